@@ -1,17 +1,91 @@
 const express = require('express');
 const path = require('path');
+const { TodoFileStore } = require('./server/TodoFileStore');
+const { createTodoRouter } = require('./server/todoRoutes');
+const { createSyncRouter } = require('./server/syncRoutes');
+const { createListRouter, createSettingsRouter } = require('./server/listRoutes');
+const { createHistoryRouter } = require('./server/historyRoutes');
+const { migrateStores } = require('./server/schemaMigration');
 
-const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_FILE = process.env.TODOS_FILE || path.join(__dirname, 'data', 'todos.json');
 
-// Serve static files from the public directory
-app.use(express.static('public'));
+/**
+ * Get the path of a data file stored next to the todos file
+ * @param {string} dataFile - Path of the todos file
+ * @param {string} name - Document name
+ * @returns {string} - File path
+ */
+function siblingFile(dataFile, name) {
+    return path.join(path.dirname(dataFile), `${name}.json`);
+}
 
-// Serve the main HTML file
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'pages', 'index.html'));
-});
+/**
+ * Create the Express application
+ * The todo model and validator are shared with the browser as ES modules
+ * @param {Object} options - Options
+ * @param {string} options.dataFile - Path of the JSON file holding the todos
+ * @returns {Promise<express.Application>} - Configured application
+ */
+async function createApp({ dataFile = DATA_FILE } = {}) {
+    const [{ TodoItem }, { TodoValidator }, { TodoMerger }, { TagUtils }, { SchemaMigrations }, { CommandHistory }] = await Promise.all([
+        import('./public/assets/js/models/TodoItem.js'),
+        import('./public/assets/js/utils/TodoValidator.js'),
+        import('./public/assets/js/utils/TodoMerger.js'),
+        import('./public/assets/js/utils/TagUtils.js'),
+        import('./public/assets/js/utils/SchemaMigrations.js'),
+        import('./public/assets/js/services/CommandHistory.js')
+    ]);
 
-app.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+    const app = express();
+    const store = new TodoFileStore(dataFile);
+    const listStore = new TodoFileStore(siblingFile(dataFile, 'lists'), { updatedAt: null, lists: [] });
+    const settingsStore = new TodoFileStore(siblingFile(dataFile, 'settings'), {});
+    const historyStore = new TodoFileStore(siblingFile(dataFile, 'history'), {});
+    const schemaStore = new TodoFileStore(siblingFile(dataFile, 'schema'), {});
+    const backupStore = new TodoFileStore(siblingFile(dataFile, 'backup'), {});
+
+    const applied = await migrateStores({ store, listStore, historyStore, schemaStore, backupStore, SchemaMigrations });
+    if (applied.length > 0) {
+        console.log(`Upgraded stored data: ${applied.join(', ')}`);
+    }
+
+    // Serve static files from the public directory
+    app.use(express.static('public'));
+
+    // Todo REST API
+    app.use('/api/todos', createTodoRouter({ store, TodoItem, TodoValidator, TagUtils }));
+
+    app.use('/api/lists', createListRouter({ store: listStore, TodoValidator }));
+    app.use('/api/settings', createSettingsRouter({ store: settingsStore, listStore, TodoValidator }));
+    app.use('/api/history', createHistoryRouter({ store: historyStore, TodoValidator, CommandHistory }));
+    // The schema version and the pre-migration backup; the server migrates its data when it
+    // starts, so clients only ever read them
+    app.use('/api/schema', createSettingsRouter({ store: schemaStore, readOnly: true }));
+    app.use('/api/backup', createSettingsRouter({ store: backupStore, readOnly: true }));
+
+    // Offline sync endpoint
+    app.use('/api/sync', createSyncRouter({ store, listStore, TodoItem, TodoValidator, TodoMerger }));
+
+    // Serve the main HTML file, also for the deep links of the filtered views
+    app.get(['/', '/active', '/completed'], (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'pages', 'index.html'));
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    createApp()
+        .then(app => {
+            app.listen(PORT, () => {
+                console.log(`Server is running on http://localhost:${PORT}`);
+            });
+        })
+        .catch(error => {
+            console.error('Failed to start server:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { createApp };
@@ -3,12 +3,38 @@
  * Initializes the TodoList application when DOM is loaded
  */
 import { TodoList } from './services/TodoList.js';
+import { StorageFactory } from './services/storage/StorageFactory.js';
+import { SyncManager } from './services/SyncManager.js';
+import { I18n } from './utils/I18n.js';
+
+/**
+ * Read the storage backend configured for this deployment
+ * Set with <meta name="todo-storage" content="local|indexeddb|memory|http">
+ * @returns {string} - Storage adapter name
+ */
+function getConfiguredStorage() {
+    const meta = document.querySelector('meta[name="todo-storage"]');
+    return meta?.content || 'local';
+}
+
+/**
+ * Read the sync endpoint configured for this deployment
+ * Set with <meta name="todo-sync" content="/api/sync">; leave it out to stay local-only
+ * @returns {string|null} - Sync endpoint URL or null when sync is disabled
+ */
+function getConfiguredSyncEndpoint() {
+    const meta = document.querySelector('meta[name="todo-sync"]');
+    return meta?.content || null;
+}
 
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     try {
         // Create and initialize the TodoList application
-        const todoApp = new TodoList();
+        const storage = StorageFactory.create(getConfiguredStorage());
+        const syncEndpoint = getConfiguredSyncEndpoint();
+        const sync = syncEndpoint ? new SyncManager(storage, { endpoint: syncEndpoint }) : null;
+        const todoApp = new TodoList(storage, { sync });
 
         // Make it available globally for debugging (optional)
         window.todoApp = todoApp;
@@ -17,7 +43,8 @@ document.addEventListener('DOMContentLoaded', () => {
     } catch (error) {
         console.error('Failed to initialize Todo List application:', error);
 
-        // Show error message to user
+        // Show error message to user, in their language even though the app never loaded
+        I18n.setLocale(I18n.detectLocale());
         const errorDiv = document.createElement('div');
         errorDiv.style.cssText = `
             position: fixed;
@@ -33,10 +60,11 @@ document.addEventListener('DOMContentLoaded', () => {
             max-width: 400px;
         `;
         errorDiv.innerHTML = `
-            <h3>Application Error</h3>
-            <p>Failed to initialize the Todo List application.</p>
-            <p>Please refresh the page or check the console for details.</p>
+            <h3 data-i18n="app.errorTitle"></h3>
+            <p data-i18n="app.errorMessage"></p>
+            <p data-i18n="app.errorHint"></p>
         `;
+        I18n.translate(errorDiv);
         document.body.appendChild(errorDiv);
     }
 });
\ No newline at end of file
@@ -0,0 +1,370 @@
+/**
+ * English messages - the default catalog, and the fallback for keys missing elsewhere
+ * Keys are grouped by prefix. A message with plural forms is an object keyed by
+ * Intl.PluralRules category ('one', 'other', ...), picked by the 'count' parameter.
+ */
+export const en = {
+    // Application
+    'app.title': 'Todo List',
+    'app.errorTitle': 'Application Error',
+    'app.errorMessage': 'Failed to initialize the Todo List application.',
+    'app.errorHint': 'Please refresh the page or check the console for details.',
+
+    // Sidebar and forms in the page
+    'sidebar.lists': 'Lists',
+    'sidebar.tags': 'Tags',
+    'sidebar.newList': 'New list name',
+    'sidebar.newListPlaceholder': 'New list...',
+    'form.task': 'New task',
+    'form.taskPlaceholder': 'Enter a new task... (#tags allowed)',
+    'form.add': 'Add Task',
+    'form.due': 'Due',
+    'form.dueTime': 'Due time',
+    'form.priority': 'Priority',
+    'form.priorityNone': 'None',
+    'form.repeat': 'Repeat',
+    'form.repeat.none': 'Never',
+    'form.repeat.daily': 'Every N days',
+    'form.repeat.weekly': 'Weekly on...',
+    'form.repeat.monthlyDay': 'Monthly on the same day',
+    'form.repeat.monthlyWeekday': 'Monthly on the same weekday (e.g. last Friday)',
+    'form.repeat.afterCompletion': 'N days after completion',
+    'form.days': 'Days',
+    'form.repeatInterval': 'Repeat interval in days',
+    'weekday.mon': 'Mon',
+    'weekday.tue': 'Tue',
+    'weekday.wed': 'Wed',
+    'weekday.thu': 'Thu',
+    'weekday.fri': 'Fri',
+    'weekday.sat': 'Sat',
+    'weekday.sun': 'Sun',
+    'toolbar.transfer': 'Import / export',
+    'toolbar.transferTitle': 'Import or export tasks',
+    'toolbar.sortBy': 'Sort by',
+    'toolbar.autoComplete': 'Auto-complete',
+    'toolbar.autoCompleteTitle': 'Complete a task when all its steps are done',
+    'toolbar.language': 'Language',
+    'search.placeholder': 'Search tasks… "exact phrase" -exclude',
+    'filter.label': 'Show tasks',
+    'filter.all': 'All',
+    'filter.active': 'Active',
+    'filter.completed': 'Completed',
+    'list.tasks': 'Tasks',
+
+    // Validation
+    'validation.textRequired': 'Please enter a task!',
+    'validation.textTooLong': 'Task is too long! Maximum {max} characters.',
+    'validation.textTooShort': 'Task must have at least one character.',
+    'validation.invalidDueDate': 'Invalid due date',
+    'validation.invalidDueTime': 'Invalid due time',
+    'validation.dueTimeNeedsDate': 'A due time needs a due date',
+    'validation.invalidPriority': 'Priority must be one of: {priorities}',
+    'validation.invalidTag': 'Invalid tag "{tag}": use letters, numbers, \'-\' or \'_\'',
+    'validation.tagTooLong': 'Tag is too long! Maximum {max} characters.',
+    'validation.tagsNotArray': 'Tags must be an array',
+    'validation.tooManyTags': 'Too many tags! Maximum {max} per task.',
+    'validation.invalidTagColor': 'Tag color must be a hex color like #667eea',
+    'validation.subtasksNotArray': 'Subtasks must be an array',
+    'validation.tooManySubtasks': 'Too many subtasks! Maximum {max} per task.',
+    'validation.invalidSubtask': 'Invalid subtask',
+    'validation.invalidRecurrence': 'Invalid repeat rule',
+    'validation.invalidRecurrenceInterval': 'Repeat interval must be between 1 and {max} days',
+    'validation.recurrenceWeekdaysRequired': 'Choose at least one weekday to repeat on',
+    'validation.invalidMonthlyRecurrence': 'Invalid monthly repeat rule',
+    'validation.invalidHistory': 'Invalid occurrence history',
+    'validation.invalidSortKey': 'Invalid sort key',
+    'validation.listNameRequired': 'Please enter a list name!',
+    'validation.listNameTooLong': 'List name is too long! Maximum {max} characters.',
+    'validation.invalidListId': 'Invalid list ID',
+    'validation.invalidList': 'Invalid list object',
+    'validation.invalidSortOrder': 'Invalid sort order',
+    'validation.invalidSettings': 'Invalid settings: expected an object',
+    'validation.unknownSetting': 'Unknown setting: {key}',
+    'validation.invalidSetting': 'Invalid value for setting: {key}',
+    'validation.unknownList': 'No list with ID {listId}',
+    'validation.invalidTodoId': 'Invalid todo ID',
+    'validation.invalidTodo': 'Invalid todo object',
+    'validation.missingField': 'Missing required field: {field}',
+    'validation.completedNotBoolean': 'Completed field must be a boolean',
+    'validation.invalidCreatedAt': 'Invalid createdAt date',
+    'validation.invalidUpdatedAt': 'Invalid updatedAt date',
+    'validation.invalidRevision': 'Revision must be a positive integer',
+    'validation.invalidFieldUpdatedAt': 'fieldUpdatedAt must map task fields to dates',
+
+    // Undo history labels
+    'command.addTask': 'Add task',
+    'command.changeRepeat': 'Change repeat',
+    'command.completeTask': 'Complete task',
+    'command.toggleTask': 'Toggle task',
+    'command.deleteTask': 'Delete task',
+    'command.deleteTasks': 'Delete tasks',
+    'command.editTask': 'Edit task',
+    'command.changeDueDate': 'Change due date',
+    'command.changePriority': 'Change priority',
+    'command.addStep': 'Add step',
+    'command.toggleStep': 'Toggle step',
+    'command.deleteStep': 'Delete step',
+    'command.changeTags': 'Change tags',
+    'command.renameTag': 'Rename tag',
+    'command.changeSortOrder': 'Change sort order',
+    'command.moveTask': 'Move task',
+    'command.clearAllTasks': 'Clear all tasks',
+    'command.clearCompletedTasks': 'Clear completed tasks',
+    'command.createList': 'Create list',
+    'command.renameList': 'Rename list',
+    'command.deleteList': 'Delete list',
+    'command.moveList': 'Move list',
+    'command.importTasks': 'Import tasks',
+    'command.completeTasks': 'Complete tasks',
+    'command.reopenTasks': 'Re-open tasks',
+    'history.undone': 'Undone: {label}',
+    'history.redone': 'Redone: {label}',
+    'history.undoExpired': 'This change can no longer be undone.',
+    'history.undoTitle': 'Undo {label} (Ctrl+Z)',
+    'history.redoTitle': 'Redo {label} (Ctrl+Shift+Z)',
+    'history.nothingToUndo': 'Nothing to undo',
+    'history.nothingToRedo': 'Nothing to redo',
+
+    // Task notifications
+    'todo.added': 'Task added successfully!',
+    'todo.nextOccurrence': 'Next occurrence: {due}',
+    'todo.deleted': 'Task deleted!',
+    'todo.notFound': 'Task not found',
+    'todo.allCleared': 'All tasks cleared!',
+    'todo.completedCleared': 'Completed tasks cleared!',
+    'todo.created': 'Created {date}',
+    'reorder.needsManualOrder': 'Switch to manual order to reorder tasks.',
+
+    // Priorities and sort orders
+    'priority.none': 'No priority',
+    'priority.low': 'Low',
+    'priority.medium': 'Medium',
+    'priority.high': 'High',
+    'priority.urgent': 'Urgent',
+    'sort.manual': 'Manual',
+    'sort.priority': 'Priority',
+    'sort.dueDate': 'Due date',
+    'sort.created': 'Created date',
+    'sort.alphabetical': 'Alphabetical',
+    'sort.completedLast': 'Completed last',
+
+    // Bulk actions
+    'bulk.selected': '{count} selected',
+    'bulk.selectAll': 'Select all',
+    'bulk.complete': 'Complete',
+    'bulk.reopen': 'Re-open',
+    'bulk.setPriority': 'Set priority',
+    'bulk.setPriorityOption': 'Set priority…',
+    'bulk.tagInput': 'Tag to add or remove',
+    'bulk.addTag': 'Add tag',
+    'bulk.removeTag': 'Remove tag',
+    'bulk.delete': 'Delete',
+    'bulk.clearSelection': 'Clear selection',
+    'bulk.completed': { one: 'Completed 1 task', other: 'Completed {count} tasks' },
+    'bulk.reopened': { one: 'Re-opened 1 task', other: 'Re-opened {count} tasks' },
+    'bulk.deleted': { one: 'Deleted 1 task', other: 'Deleted {count} tasks' },
+    'bulk.prioritySet': { one: 'Priority set to {priority} on 1 task', other: 'Priority set to {priority} on {count} tasks' },
+    'bulk.tagAdded': { one: 'Added #{tag} to 1 task', other: 'Added #{tag} to {count} tasks' },
+    'bulk.tagRemoved': { one: 'Removed #{tag} from 1 task', other: 'Removed #{tag} from {count} tasks' },
+    'bulk.tagNotFound': 'No selected task has #{tag}',
+
+    // Tags
+    'tag.empty': 'Add #tags to a task to see them here',
+    'tag.color': 'Tag color',
+    'tag.filter': 'Filter by this tag',
+    'tag.filterBy': 'Filter by #{tag}',
+    'tag.rename': 'Rename or merge tag',
+    'tag.removeFromFilter': 'Remove from filter',
+    'tag.filterLabel': 'Tags:',
+    'tag.modeTitle': 'Switch between matching all and any of the tags',
+    'tag.matchAll': 'Match all',
+    'tag.matchAny': 'Match any',
+    'tag.clearFilter': 'Clear',
+    'tag.merged': 'Merged #{tag} into #{newTag}',
+    'tag.renamed': 'Renamed #{tag} to #{newTag}',
+
+    // Lists
+    'list.created': 'List created!',
+    'list.lastList': 'You need at least one list.',
+    'list.confirmDelete': {
+        one: 'Delete "{name}" and its 1 task?',
+        other: 'Delete "{name}" and its {count} tasks?'
+    },
+    'list.deleted': 'List deleted!',
+    'list.show': 'Show list',
+    'list.moveUp': 'Move up',
+    'list.moveDown': 'Move down',
+    'list.rename': 'Rename list',
+    'list.delete': 'Delete list',
+
+    // Task rows
+    'row.select': 'Select "{name}"',
+    'row.selectTitle': 'Select (Shift+click for a range)',
+    'row.reorder': 'Reorder "{name}"',
+    'row.reorderTitle': 'Drag to reorder (Alt+↑/↓)',
+    'row.done': 'Done: {name}',
+    'row.edit': 'Edit "{name}"',
+    'row.editTitle': 'Edit task',
+    'row.editInput': 'Edit task',
+    'row.delete': 'Delete "{name}"',
+    'row.deleteTitle': 'Delete task',
+    'row.priority': 'Priority: {priority}. Change priority',
+    'row.priorityTitle': 'Priority: {priority} (click to change)',
+    'subtask.add': 'Add steps',
+    'subtask.progress': '{done} of {count} steps done',
+    'subtask.list': 'Steps',
+    'subtask.done': 'Done: {name}',
+    'subtask.delete': 'Delete step: {name}',
+    'subtask.deleteTitle': 'Delete step',
+    'subtask.placeholder': 'Add a step...',
+    'subtask.input': 'Add a step',
+
+    // Due dates and repeats
+    'due.today': 'Today',
+    'due.tomorrow': 'Tomorrow',
+    'due.group.overdue': 'Overdue',
+    'due.group.today': 'Today',
+    'due.group.tomorrow': 'Tomorrow',
+    'due.group.later': 'Later',
+    'due.group.done': 'Due',
+    'recurrence.daily': { one: 'Daily', other: 'Every {count} days' },
+    'recurrence.weekly': 'Weekly on {days}',
+    'recurrence.monthlyDay': 'Monthly on day {day}',
+    'recurrence.monthlyWeekday': 'Monthly on the {week} {weekday}',
+    'recurrence.week.first': 'first',
+    'recurrence.week.second': 'second',
+    'recurrence.week.third': 'third',
+    'recurrence.week.fourth': 'fourth',
+    'recurrence.week.last': 'last',
+    'recurrence.afterCompletion': { one: '1 day after completion', other: '{count} days after completion' },
+    'recurrence.repeats': 'Repeats {rule}',
+    'recurrence.doneTimes': { one: 'Done 1 time, last on {date}', other: 'Done {count} times, last on {date}' },
+
+    // Empty states and stats
+    'empty.noTasks': 'No tasks yet. Add your first task above!',
+    'empty.noSearchMatches': 'No tasks match your search.',
+    'empty.noTagMatches': 'No tasks match the selected tags.',
+    'empty.noActive': 'No active tasks. Nice work!',
+    'empty.noCompleted': 'No completed tasks yet.',
+    'stats.showing': 'Showing: {shown} of {total}',
+    'stats.total': 'Total: {count}',
+    'stats.completed': 'Completed: {count}',
+    'stats.overdue': 'Overdue: {count}',
+    'stats.steps': 'Steps: {done}/{count}',
+
+    // Storage and sync
+    'storage.migrationFailed': 'Could not upgrade your saved tasks: {error}. They were left unchanged.',
+    'storage.loadFailed': 'Could not load your tasks.',
+    'storage.migrationSkipped': {
+        one: 'Your tasks were upgraded, but 1 unreadable entry was left out. They are kept in the backup.',
+        other: 'Your tasks were upgraded, but {count} unreadable entries were left out. They are kept in the backup.'
+    },
+    'storage.entriesSkipped': {
+        one: '1 saved entry is not a task and was left out.',
+        other: '{count} saved entries are not tasks and were left out.'
+    },
+    'storage.saveFailed': 'Could not save your tasks.',
+    'sync.synced': 'Synced',
+    'sync.pending': 'Pending {count}',
+    'sync.error': 'Sync error',
+    'sync.rejected': {
+        one: 'The server refused 1 change, so it is kept on this device only: {error}',
+        other: 'The server refused {count} changes, so they are kept on this device only: {error}'
+    },
+    'settings.unsupportedLocale': 'Unsupported language: {locale}',
+
+    // Notifications
+    'notification.undo': 'Undo',
+    'notification.retry': 'Retry',
+    'notification.dismiss': 'Dismiss notification',
+    'notification.dismissTitle': 'Dismiss',
+    'notificationHistory.title': 'Notifications',
+    'notificationHistory.buttonUnread': 'Notifications ({count} unread)',
+    'notificationHistory.clear': 'Clear',
+    'notificationHistory.empty': 'No notifications yet.',
+    'dialog.close': 'Close',
+
+    // Import and export
+    'import.invalidList': 'Invalid list: {error}',
+    'import.duplicateId': 'Duplicate ID: {id}',
+    'import.merged': { one: 'Imported 1 task', other: 'Imported {count} tasks' },
+    'import.replaced': 'Todos imported successfully!',
+    'import.invalidTodo': 'Invalid todo: {error}',
+    'import.failed': 'Import failed: {error}',
+    'format.json.label': 'JSON (complete backup)',
+    'format.csv.label': 'CSV (spreadsheet)',
+    'format.markdown.label': 'Markdown task list',
+    'format.todotxt.label': 'todo.txt',
+    'format.ical.label': 'iCalendar (VTODO)',
+    'format.unknown': 'Unknown format: {name}',
+    'format.json.notArray': 'Invalid format: expected array',
+    'format.json.noLists': 'Invalid format: expected at least one list',
+    'format.csv.empty': 'The file is empty',
+    'format.csv.noTextColumn': 'CSV files need a "text" column',
+    'format.csv.invalidCompleted': 'Invalid completed value: {value}',
+    'format.csv.unclosedQuote': 'Unclosed quote in the row starting on line {line}',
+    'format.ical.notCalendar': 'Not an iCalendar file',
+    'format.ical.invalidCreated': 'Invalid CREATED date: {value}',
+    'format.ical.invalidDue': 'Invalid DUE date: {value}',
+    'transfer.title': 'Import and export',
+    'transfer.export': 'Export',
+    'transfer.format': 'Format',
+    'transfer.allLists': 'All lists',
+    'transfer.download': 'Download',
+    'transfer.import': 'Import',
+    'transfer.file': 'File to import',
+    'transfer.existingTasks': 'Existing tasks',
+    'transfer.merge': 'Merge: add new tasks and update matching ones',
+    'transfer.replace': 'Replace: remove the tasks of the current list first',
+    'transfer.readFailed': 'Could not read {file}: {error}',
+    'transfer.rowOk': 'OK',
+    'transfer.more': '…and {count} more',
+    'transfer.ready': { one: '{valid} of 1 task ready', other: '{valid} of {count} tasks ready' },
+    'transfer.skipped': ', {count} with errors will be skipped',
+    'transfer.column.row': 'Row',
+    'transfer.column.done': 'Done',
+    'transfer.column.task': 'Task',
+    'transfer.column.status': 'Status',
+    'transfer.importCount': { one: 'Import 1 task', other: 'Import {count} tasks' },
+
+    // Command palette
+    'palette.title': 'Command palette',
+    'palette.placeholder': 'Type a command…',
+    'palette.input': 'Command',
+    'palette.noMatches': 'No matching commands',
+    'palette.newTask': 'New task',
+    'palette.search': 'Search tasks',
+    'palette.showAll': 'Show all tasks',
+    'palette.showActive': 'Show active tasks',
+    'palette.showCompleted': 'Show completed tasks',
+    'palette.clearCompleted': 'Clear completed tasks',
+    'palette.clearAll': 'Clear all tasks',
+    'palette.selectAll': 'Select all tasks',
+    'palette.clearSelection': 'Clear selection',
+    'palette.exportList': 'Export current list',
+    'palette.exportAll': 'Export all lists',
+    'palette.import': 'Import tasks',
+    'palette.exportAs': 'Export as…',
+    'palette.undo': 'Undo',
+    'palette.redo': 'Redo',
+    'palette.shortcuts': 'Keyboard shortcuts',
+    'palette.notificationHistory': 'Notification history',
+    'palette.sortBy': 'Sort by: {sort}',
+    'palette.language': 'Language: {language}',
+    'palette.goToList': 'Go to list: {name}',
+
+    // Keyboard shortcuts
+    'shortcut.title': 'Keyboard shortcuts',
+    'shortcut.newTask': 'New task',
+    'shortcut.select': 'Select next / previous task',
+    'shortcut.moveFocus': 'Move between tasks in the list',
+    'shortcut.toggle': 'Complete or re-open the selected task',
+    'shortcut.edit': 'Edit the selected task',
+    'shortcut.delete': 'Delete the selected task',
+    'shortcut.move': 'Move the selected task',
+    'shortcut.search': 'Search',
+    'shortcut.palette': 'Command palette',
+    'shortcut.undoRedo': 'Undo / redo',
+    'shortcut.escape': 'Clear the selection or close this help',
+    'shortcut.help': 'Show or hide this help'
+};
@@ -0,0 +1,369 @@
+/**
+ * Spanish messages
+ * Keys missing here fall back to the English catalog.
+ */
+export const es = {
+    // Application
+    'app.title': 'Lista de tareas',
+    'app.errorTitle': 'Error de la aplicación',
+    'app.errorMessage': 'No se pudo iniciar la lista de tareas.',
+    'app.errorHint': 'Recarga la página o revisa la consola para ver los detalles.',
+
+    // Sidebar and forms in the page
+    'sidebar.lists': 'Listas',
+    'sidebar.tags': 'Etiquetas',
+    'sidebar.newList': 'Nombre de la nueva lista',
+    'sidebar.newListPlaceholder': 'Nueva lista...',
+    'form.task': 'Nueva tarea',
+    'form.taskPlaceholder': 'Escribe una nueva tarea... (admite #etiquetas)',
+    'form.add': 'Añadir tarea',
+    'form.due': 'Vence',
+    'form.dueTime': 'Hora de vencimiento',
+    'form.priority': 'Prioridad',
+    'form.priorityNone': 'Ninguna',
+    'form.repeat': 'Repetir',
+    'form.repeat.none': 'Nunca',
+    'form.repeat.daily': 'Cada N días',
+    'form.repeat.weekly': 'Semanalmente los...',
+    'form.repeat.monthlyDay': 'Cada mes el mismo día',
+    'form.repeat.monthlyWeekday': 'Cada mes el mismo día de la semana (p. ej. el último viernes)',
+    'form.repeat.afterCompletion': 'N días después de completarla',
+    'form.days': 'Días',
+    'form.repeatInterval': 'Intervalo de repetición en días',
+    'weekday.mon': 'lun',
+    'weekday.tue': 'mar',
+    'weekday.wed': 'mié',
+    'weekday.thu': 'jue',
+    'weekday.fri': 'vie',
+    'weekday.sat': 'sáb',
+    'weekday.sun': 'dom',
+    'toolbar.transfer': 'Importar / exportar',
+    'toolbar.transferTitle': 'Importar o exportar tareas',
+    'toolbar.sortBy': 'Ordenar por',
+    'toolbar.autoComplete': 'Completar automáticamente',
+    'toolbar.autoCompleteTitle': 'Completar una tarea cuando todos sus pasos estén hechos',
+    'toolbar.language': 'Idioma',
+    'search.placeholder': 'Buscar tareas… "frase exacta" -excluir',
+    'filter.label': 'Mostrar tareas',
+    'filter.all': 'Todas',
+    'filter.active': 'Pendientes',
+    'filter.completed': 'Completadas',
+    'list.tasks': 'Tareas',
+
+    // Validation
+    'validation.textRequired': '¡Escribe una tarea!',
+    'validation.textTooLong': '¡La tarea es demasiado larga! Máximo {max} caracteres.',
+    'validation.textTooShort': 'La tarea debe tener al menos un carácter.',
+    'validation.invalidDueDate': 'Fecha de vencimiento no válida',
+    'validation.invalidDueTime': 'Hora de vencimiento no válida',
+    'validation.dueTimeNeedsDate': 'Una hora de vencimiento necesita una fecha',
+    'validation.invalidPriority': 'La prioridad debe ser una de: {priorities}',
+    'validation.invalidTag': 'Etiqueta "{tag}" no válida: usa letras, números, \'-\' o \'_\'',
+    'validation.tagTooLong': '¡La etiqueta es demasiado larga! Máximo {max} caracteres.',
+    'validation.tagsNotArray': 'Las etiquetas deben ser una lista',
+    'validation.tooManyTags': '¡Demasiadas etiquetas! Máximo {max} por tarea.',
+    'validation.invalidTagColor': 'El color de la etiqueta debe ser un color hexadecimal como #667eea',
+    'validation.subtasksNotArray': 'Los pasos deben ser una lista',
+    'validation.tooManySubtasks': '¡Demasiados pasos! Máximo {max} por tarea.',
+    'validation.invalidSubtask': 'Paso no válido',
+    'validation.invalidRecurrence': 'Regla de repetición no válida',
+    'validation.invalidRecurrenceInterval': 'El intervalo de repetición debe estar entre 1 y {max} días',
+    'validation.recurrenceWeekdaysRequired': 'Elige al menos un día de la semana para repetir',
+    'validation.invalidMonthlyRecurrence': 'Regla de repetición mensual no válida',
+    'validation.invalidHistory': 'Historial de repeticiones no válido',
+    'validation.invalidSortKey': 'Clave de orden no válida',
+    'validation.listNameRequired': '¡Escribe un nombre para la lista!',
+    'validation.listNameTooLong': '¡El nombre de la lista es demasiado largo! Máximo {max} caracteres.',
+    'validation.invalidListId': 'ID de lista no válido',
+    'validation.invalidList': 'Objeto de lista no válido',
+    'validation.invalidSortOrder': 'Orden no válido',
+    'validation.invalidSettings': 'Ajustes no válidos: se esperaba un objeto',
+    'validation.unknownSetting': 'Ajuste desconocido: {key}',
+    'validation.invalidSetting': 'Valor no válido para el ajuste: {key}',
+    'validation.unknownList': 'No hay ninguna lista con el ID {listId}',
+    'validation.invalidTodoId': 'ID de tarea no válido',
+    'validation.invalidTodo': 'Objeto de tarea no válido',
+    'validation.missingField': 'Falta el campo obligatorio: {field}',
+    'validation.completedNotBoolean': 'El campo completed debe ser un booleano',
+    'validation.invalidCreatedAt': 'Fecha createdAt no válida',
+    'validation.invalidUpdatedAt': 'Fecha updatedAt no válida',
+    'validation.invalidRevision': 'La revisión debe ser un entero positivo',
+    'validation.invalidFieldUpdatedAt': 'fieldUpdatedAt debe asociar campos de la tarea a fechas',
+
+    // Undo history labels
+    'command.addTask': 'añadir tarea',
+    'command.changeRepeat': 'cambiar repetición',
+    'command.completeTask': 'completar tarea',
+    'command.toggleTask': 'marcar tarea',
+    'command.deleteTask': 'eliminar tarea',
+    'command.deleteTasks': 'eliminar tareas',
+    'command.editTask': 'editar tarea',
+    'command.changeDueDate': 'cambiar vencimiento',
+    'command.changePriority': 'cambiar prioridad',
+    'command.addStep': 'añadir paso',
+    'command.toggleStep': 'marcar paso',
+    'command.deleteStep': 'eliminar paso',
+    'command.changeTags': 'cambiar etiquetas',
+    'command.renameTag': 'renombrar etiqueta',
+    'command.changeSortOrder': 'cambiar orden',
+    'command.moveTask': 'mover tarea',
+    'command.clearAllTasks': 'borrar todas las tareas',
+    'command.clearCompletedTasks': 'borrar tareas completadas',
+    'command.createList': 'crear lista',
+    'command.renameList': 'renombrar lista',
+    'command.deleteList': 'eliminar lista',
+    'command.moveList': 'mover lista',
+    'command.importTasks': 'importar tareas',
+    'command.completeTasks': 'completar tareas',
+    'command.reopenTasks': 'reabrir tareas',
+    'history.undone': 'Deshecho: {label}',
+    'history.redone': 'Rehecho: {label}',
+    'history.undoExpired': 'Este cambio ya no se puede deshacer.',
+    'history.undoTitle': 'Deshacer {label} (Ctrl+Z)',
+    'history.redoTitle': 'Rehacer {label} (Ctrl+Shift+Z)',
+    'history.nothingToUndo': 'Nada que deshacer',
+    'history.nothingToRedo': 'Nada que rehacer',
+
+    // Task notifications
+    'todo.added': '¡Tarea añadida!',
+    'todo.nextOccurrence': 'Próxima repetición: {due}',
+    'todo.deleted': '¡Tarea eliminada!',
+    'todo.notFound': 'Tarea no encontrada',
+    'todo.allCleared': '¡Se borraron todas las tareas!',
+    'todo.completedCleared': '¡Se borraron las tareas completadas!',
+    'todo.created': 'Creada el {date}',
+    'reorder.needsManualOrder': 'Cambia al orden manual para reordenar las tareas.',
+
+    // Priorities and sort orders
+    'priority.none': 'Sin prioridad',
+    'priority.low': 'Baja',
+    'priority.medium': 'Media',
+    'priority.high': 'Alta',
+    'priority.urgent': 'Urgente',
+    'sort.manual': 'Manual',
+    'sort.priority': 'Prioridad',
+    'sort.dueDate': 'Fecha de vencimiento',
+    'sort.created': 'Fecha de creación',
+    'sort.alphabetical': 'Alfabético',
+    'sort.completedLast': 'Completadas al final',
+
+    // Bulk actions
+    'bulk.selected': { one: '1 seleccionada', other: '{count} seleccionadas' },
+    'bulk.selectAll': 'Seleccionar todas',
+    'bulk.complete': 'Completar',
+    'bulk.reopen': 'Reabrir',
+    'bulk.setPriority': 'Establecer prioridad',
+    'bulk.setPriorityOption': 'Establecer prioridad…',
+    'bulk.tagInput': 'Etiqueta para añadir o quitar',
+    'bulk.addTag': 'Añadir etiqueta',
+    'bulk.removeTag': 'Quitar etiqueta',
+    'bulk.delete': 'Eliminar',
+    'bulk.clearSelection': 'Quitar selección',
+    'bulk.completed': { one: '1 tarea completada', other: '{count} tareas completadas' },
+    'bulk.reopened': { one: '1 tarea reabierta', other: '{count} tareas reabiertas' },
+    'bulk.deleted': { one: '1 tarea eliminada', other: '{count} tareas eliminadas' },
+    'bulk.prioritySet': { one: 'Prioridad {priority} en 1 tarea', other: 'Prioridad {priority} en {count} tareas' },
+    'bulk.tagAdded': { one: 'Se añadió #{tag} a 1 tarea', other: 'Se añadió #{tag} a {count} tareas' },
+    'bulk.tagRemoved': { one: 'Se quitó #{tag} de 1 tarea', other: 'Se quitó #{tag} de {count} tareas' },
+    'bulk.tagNotFound': 'Ninguna tarea seleccionada tiene #{tag}',
+
+    // Tags
+    'tag.empty': 'Añade #etiquetas a una tarea para verlas aquí',
+    'tag.color': 'Color de la etiqueta',
+    'tag.filter': 'Filtrar por esta etiqueta',
+    'tag.filterBy': 'Filtrar por #{tag}',
+    'tag.rename': 'Renombrar o fusionar etiqueta',
+    'tag.removeFromFilter': 'Quitar del filtro',
+    'tag.filterLabel': 'Etiquetas:',
+    'tag.modeTitle': 'Alternar entre coincidir con todas o con alguna de las etiquetas',
+    'tag.matchAll': 'Todas',
+    'tag.matchAny': 'Alguna',
+    'tag.clearFilter': 'Quitar',
+    'tag.merged': 'Se fusionó #{tag} en #{newTag}',
+    'tag.renamed': 'Se renombró #{tag} a #{newTag}',
+
+    // Lists
+    'list.created': '¡Lista creada!',
+    'list.lastList': 'Necesitas al menos una lista.',
+    'list.confirmDelete': {
+        one: '¿Eliminar "{name}" y su tarea?',
+        other: '¿Eliminar "{name}" y sus {count} tareas?'
+    },
+    'list.deleted': '¡Lista eliminada!',
+    'list.show': 'Mostrar lista',
+    'list.moveUp': 'Subir',
+    'list.moveDown': 'Bajar',
+    'list.rename': 'Renombrar lista',
+    'list.delete': 'Eliminar lista',
+
+    // Task rows
+    'row.select': 'Seleccionar "{name}"',
+    'row.selectTitle': 'Seleccionar (Mayús+clic para un rango)',
+    'row.reorder': 'Reordenar "{name}"',
+    'row.reorderTitle': 'Arrastra para reordenar (Alt+↑/↓)',
+    'row.done': 'Hecha: {name}',
+    'row.edit': 'Editar "{name}"',
+    'row.editTitle': 'Editar tarea',
+    'row.editInput': 'Editar tarea',
+    'row.delete': 'Eliminar "{name}"',
+    'row.deleteTitle': 'Eliminar tarea',
+    'row.priority': 'Prioridad: {priority}. Cambiar prioridad',
+    'row.priorityTitle': 'Prioridad: {priority} (clic para cambiarla)',
+    'subtask.add': 'Añadir pasos',
+    'subtask.progress': '{done} de {count} pasos hechos',
+    'subtask.list': 'Pasos',
+    'subtask.done': 'Hecho: {name}',
+    'subtask.delete': 'Eliminar paso: {name}',
+    'subtask.deleteTitle': 'Eliminar paso',
+    'subtask.placeholder': 'Añade un paso...',
+    'subtask.input': 'Añadir un paso',
+
+    // Due dates and repeats
+    'due.today': 'Hoy',
+    'due.tomorrow': 'Mañana',
+    'due.group.overdue': 'Vencida',
+    'due.group.today': 'Hoy',
+    'due.group.tomorrow': 'Mañana',
+    'due.group.later': 'Más adelante',
+    'due.group.done': 'Vence',
+    'recurrence.daily': { one: 'Cada día', other: 'Cada {count} días' },
+    'recurrence.weekly': 'Semanalmente los {days}',
+    'recurrence.monthlyDay': 'Cada mes el día {day}',
+    'recurrence.monthlyWeekday': 'Cada mes el {week} {weekday}',
+    'recurrence.week.first': 'primer',
+    'recurrence.week.second': 'segundo',
+    'recurrence.week.third': 'tercer',
+    'recurrence.week.fourth': 'cuarto',
+    'recurrence.week.last': 'último',
+    'recurrence.afterCompletion': { one: '1 día después de completarla', other: '{count} días después de completarla' },
+    'recurrence.repeats': 'Se repite: {rule}',
+    'recurrence.doneTimes': { one: 'Hecha 1 vez, la última el {date}', other: 'Hecha {count} veces, la última el {date}' },
+
+    // Empty states and stats
+    'empty.noTasks': 'Aún no hay tareas. ¡Añade la primera arriba!',
+    'empty.noSearchMatches': 'Ninguna tarea coincide con la búsqueda.',
+    'empty.noTagMatches': 'Ninguna tarea tiene las etiquetas seleccionadas.',
+    'empty.noActive': 'No hay tareas pendientes. ¡Buen trabajo!',
+    'empty.noCompleted': 'Aún no hay tareas completadas.',
+    'stats.showing': 'Mostrando: {shown} de {total}',
+    'stats.total': 'Total: {count}',
+    'stats.completed': 'Completadas: {count}',
+    'stats.overdue': 'Vencidas: {count}',
+    'stats.steps': 'Pasos: {done}/{count}',
+
+    // Storage and sync
+    'storage.migrationFailed': 'No se pudieron actualizar las tareas guardadas: {error}. No se modificaron.',
+    'storage.loadFailed': 'No se pudieron cargar las tareas.',
+    'storage.migrationSkipped': {
+        one: 'Las tareas se actualizaron, pero se omitió 1 entrada ilegible. Se conserva en la copia de seguridad.',
+        other: 'Las tareas se actualizaron, pero se omitieron {count} entradas ilegibles. Se conservan en la copia de seguridad.'
+    },
+    'storage.entriesSkipped': {
+        one: '1 entrada guardada no es una tarea y se omitió.',
+        other: '{count} entradas guardadas no son tareas y se omitieron.'
+    },
+    'storage.saveFailed': 'No se pudieron guardar las tareas.',
+    'sync.synced': 'Sincronizado',
+    'sync.pending': 'Pendientes: {count}',
+    'sync.error': 'Error de sincronización',
+    'sync.rejected': {
+        one: 'El servidor rechazó 1 cambio, así que solo se guarda en este dispositivo: {error}',
+        other: 'El servidor rechazó {count} cambios, así que solo se guardan en este dispositivo: {error}'
+    },
+    'settings.unsupportedLocale': 'Idioma no disponible: {locale}',
+
+    // Notifications
+    'notification.undo': 'Deshacer',
+    'notification.retry': 'Reintentar',
+    'notification.dismiss': 'Cerrar notificación',
+    'notification.dismissTitle': 'Cerrar',
+    'notificationHistory.title': 'Notificaciones',
+    'notificationHistory.buttonUnread': { one: 'Notificaciones (1 sin leer)', other: 'Notificaciones ({count} sin leer)' },
+    'notificationHistory.clear': 'Borrar',
+    'notificationHistory.empty': 'Aún no hay notificaciones.',
+    'dialog.close': 'Cerrar',
+
+    // Import and export
+    'import.invalidList': 'Lista no válida: {error}',
+    'import.duplicateId': 'ID duplicado: {id}',
+    'import.merged': { one: 'Se importó 1 tarea', other: 'Se importaron {count} tareas' },
+    'import.replaced': '¡Tareas importadas!',
+    'import.invalidTodo': 'Tarea no válida: {error}',
+    'import.failed': 'Error al importar: {error}',
+    'format.json.label': 'JSON (copia de seguridad completa)',
+    'format.csv.label': 'CSV (hoja de cálculo)',
+    'format.markdown.label': 'Lista de tareas en Markdown',
+    'format.todotxt.label': 'todo.txt',
+    'format.ical.label': 'iCalendar (VTODO)',
+    'format.unknown': 'Formato desconocido: {name}',
+    'format.json.notArray': 'Formato no válido: se esperaba una lista de tareas',
+    'format.json.noLists': 'Formato no válido: se esperaba al menos una lista',
+    'format.csv.empty': 'El archivo está vacío',
+    'format.csv.noTextColumn': 'Los archivos CSV necesitan una columna "text"',
+    'format.csv.invalidCompleted': 'Valor de completada no válido: {value}',
+    'format.csv.unclosedQuote': 'Comilla sin cerrar en la fila que empieza en la línea {line}',
+    'format.ical.notCalendar': 'No es un archivo iCalendar',
+    'format.ical.invalidCreated': 'Fecha CREATED no válida: {value}',
+    'format.ical.invalidDue': 'Fecha DUE no válida: {value}',
+    'transfer.title': 'Importar y exportar',
+    'transfer.export': 'Exportar',
+    'transfer.format': 'Formato',
+    'transfer.allLists': 'Todas las listas',
+    'transfer.download': 'Descargar',
+    'transfer.import': 'Importar',
+    'transfer.file': 'Archivo para importar',
+    'transfer.existingTasks': 'Tareas existentes',
+    'transfer.merge': 'Combinar: añadir las tareas nuevas y actualizar las que coincidan',
+    'transfer.replace': 'Reemplazar: quitar primero las tareas de la lista actual',
+    'transfer.readFailed': 'No se pudo leer {file}: {error}',
+    'transfer.rowOk': 'Correcta',
+    'transfer.more': '…y {count} más',
+    'transfer.ready': { one: '{valid} de 1 tarea lista', other: '{valid} de {count} tareas listas' },
+    'transfer.skipped': ', se omitirán {count} con errores',
+    'transfer.column.row': 'Fila',
+    'transfer.column.done': 'Hecha',
+    'transfer.column.task': 'Tarea',
+    'transfer.column.status': 'Estado',
+    'transfer.importCount': { one: 'Importar 1 tarea', other: 'Importar {count} tareas' },
+
+    // Command palette
+    'palette.title': 'Paleta de comandos',
+    'palette.placeholder': 'Escribe un comando…',
+    'palette.input': 'Comando',
+    'palette.noMatches': 'Ningún comando coincide',
+    'palette.newTask': 'Nueva tarea',
+    'palette.search': 'Buscar tareas',
+    'palette.showAll': 'Mostrar todas las tareas',
+    'palette.showActive': 'Mostrar tareas pendientes',
+    'palette.showCompleted': 'Mostrar tareas completadas',
+    'palette.clearCompleted': 'Borrar tareas completadas',
+    'palette.clearAll': 'Borrar todas las tareas',
+    'palette.selectAll': 'Seleccionar todas las tareas',
+    'palette.clearSelection': 'Quitar selección',
+    'palette.exportList': 'Exportar la lista actual',
+    'palette.exportAll': 'Exportar todas las listas',
+    'palette.import': 'Importar tareas',
+    'palette.exportAs': 'Exportar como…',
+    'palette.undo': 'Deshacer',
+    'palette.redo': 'Rehacer',
+    'palette.shortcuts': 'Atajos de teclado',
+    'palette.notificationHistory': 'Historial de notificaciones',
+    'palette.sortBy': 'Ordenar por: {sort}',
+    'palette.language': 'Idioma: {language}',
+    'palette.goToList': 'Ir a la lista: {name}',
+
+    // Keyboard shortcuts
+    'shortcut.title': 'Atajos de teclado',
+    'shortcut.newTask': 'Nueva tarea',
+    'shortcut.select': 'Seleccionar la tarea siguiente / anterior',
+    'shortcut.moveFocus': 'Moverse entre las tareas de la lista',
+    'shortcut.toggle': 'Completar o reabrir la tarea seleccionada',
+    'shortcut.edit': 'Editar la tarea seleccionada',
+    'shortcut.delete': 'Eliminar la tarea seleccionada',
+    'shortcut.move': 'Mover la tarea seleccionada',
+    'shortcut.search': 'Buscar',
+    'shortcut.palette': 'Paleta de comandos',
+    'shortcut.undoRedo': 'Deshacer / rehacer',
+    'shortcut.escape': 'Quitar la selección o cerrar esta ayuda',
+    'shortcut.help': 'Mostrar u ocultar esta ayuda'
+};
@@ -1,42 +1,269 @@
 /**
  * TodoItem class - represents a single todo item
  */
+import { TodoProject } from './TodoProject.js';
+import { IdUtils } from '../utils/IdUtils.js';
+
 export class TodoItem {
-    constructor(text, id = null) {
-        this.id = id || Date.now();
+    static PRIORITIES = ['none', 'low', 'medium', 'high', 'urgent'];
+
+    // Fields whose last change is dated in fieldUpdatedAt
+    static TRACKED_FIELDS = [
+        'text', 'listId', 'completed', 'dueDate', 'dueTime', 'priority',
+        'tags', 'subtasks', 'recurrence', 'history', 'sortKey'
+    ];
+
+    /**
+     * @param {string} text - Task text
+     * @param {string|null} id - ID, or null to create one
+     * @param {string} listId - List the todo belongs to
+     * @param {Date} now - Creation time, from the caller's clock
+     */
+    constructor(text, id = null, listId = TodoProject.DEFAULT_ID, now = new Date()) {
+        this.id = id || IdUtils.createId();
         this.text = text;
+        this.listId = listId;
         this.completed = false;
-        this.createdAt = new Date().toISOString();
+        this.dueDate = null;
+        this.dueTime = null;
+        this.priority = 'none';
+        this.tags = [];
+        this.subtasks = [];
+        this.recurrence = null;
+        this.history = [];
+        // Position in the manual order (see SortKeyUtils); null until placed
+        this.sortKey = null;
+        this.createdAt = now.toISOString();
+
+        // Sync metadata used to resolve conflicts between devices
+        this.updatedAt = this.createdAt;
+        this.revision = 1;
+        this.fieldUpdatedAt = {};
+    }
+
+    /**
+     * Record a change to one or more fields
+     * @param {Array<string>} fields - Names of the changed fields
+     * @param {Date} now - Time of the change, from the caller's clock
+     */
+    touch(fields, now = new Date()) {
+        const changedAt = now.toISOString();
+        this.updatedAt = changedAt;
+        this.revision += 1;
+        fields.forEach(field => {
+            this.fieldUpdatedAt[field] = changedAt;
+        });
     }
 
     /**
      * Toggle the completion status of the todo item
+     * @param {Date} now - Time of the change, from the caller's clock
      */
-    toggle() {
+    toggle(now = new Date()) {
         this.completed = !this.completed;
+        this.touch(['completed'], now);
         return this.completed;
     }
 
     /**
      * Mark the todo item as completed
+     * @param {Date} now - Time of the change, from the caller's clock
      */
-    complete() {
+    complete(now = new Date()) {
         this.completed = true;
+        this.touch(['completed'], now);
     }
 
     /**
      * Mark the todo item as incomplete
+     * @param {Date} now - Time of the change, from the caller's clock
      */
-    uncomplete() {
+    uncomplete(now = new Date()) {
         this.completed = false;
+        this.touch(['completed'], now);
     }
 
     /**
      * Update the text of the todo item
      * @param {string} newText - The new text for the todo item
+     * @param {Date} now - Time of the change, from the caller's clock
      */
-    updateText(newText) {
+    updateText(newText, now = new Date()) {
         this.text = newText.trim();
+        this.touch(['text'], now);
+    }
+
+    /**
+     * Set or clear the due date
+     * @param {string|null} dueDate - Local date as 'YYYY-MM-DD', or null to clear
+     * @param {string|null} dueTime - Local time as 'HH:MM', or null for an all-day task
+     * @param {Date} now - Time of the change, from the caller's clock
+     */
+    setDue(dueDate, dueTime = null, now = new Date()) {
+        this.dueDate = dueDate || null;
+        this.dueTime = this.dueDate && dueTime ? dueTime : null;
+        this.touch(['dueDate', 'dueTime'], now);
+    }
+
+    /**
+     * Set the priority
+     * @param {string} priority - One of TodoItem.PRIORITIES
+     * @param {Date} now - Time of the change, from the caller's clock
+     */
+    setPriority(priority, now = new Date()) {
+        this.priority = priority;
+        this.touch(['priority'], now);
+    }
+
+    /**
+     * Replace the tags
+     * @param {Array<string>} tags - Normalized tags
+     * @param {Date} now - Time of the change, from the caller's clock
+     */
+    setTags(tags, now = new Date()) {
+        this.tags = [...tags];
+        this.touch(['tags'], now);
+    }
+
+    /**
+     * Add a checklist step
+     * @param {string} text - Step text
+     * @param {Date} now - Time of the change, from the caller's clock
+     * @returns {Object} - The new subtask { id, text, completed }
+     */
+    addSubtask(text, now = new Date()) {
+        const id = this.subtasks.reduce((max, subtask) => Math.max(max, subtask.id), 0) + 1;
+        const subtask = { id, text: text.trim(), completed: false };
+        this.subtasks = [...this.subtasks, subtask];
+        this.touch(['subtasks'], now);
+        return subtask;
+    }
+
+    /**
+     * Toggle a checklist step
+     * With autoComplete, finishing the last open step completes the todo and
+     * re-opening a step re-opens it.
+     * @param {number} subtaskId - Subtask ID
+     * @param {boolean} autoComplete - Keep the todo's completion in step with its subtasks
+     * @param {Date} now - Time of the change, from the caller's clock
+     * @returns {boolean} - True if the subtask was found
+     */
+    toggleSubtask(subtaskId, autoComplete = false, now = new Date()) {
+        const subtask = this.subtasks.find(item => item.id === subtaskId);
+        if (!subtask) return false;
+
+        const toggled = { ...subtask, completed: !subtask.completed };
+        this.subtasks = this.subtasks.map(item => (item === subtask ? toggled : item));
+
+        const fields = ['subtasks'];
+        if (autoComplete) {
+            const allDone = this.subtasks.every(item => item.completed);
+            if (allDone !== this.completed && (allDone || !toggled.completed)) {
+                this.completed = allDone;
+                fields.push('completed');
+            }
+        }
+        this.touch(fields, now);
+        return true;
+    }
+
+    /**
+     * Remove a checklist step
+     * @param {number} subtaskId - Subtask ID
+     * @param {Date} now - Time of the change, from the caller's clock
+     * @returns {boolean} - True if the subtask was found
+     */
+    removeSubtask(subtaskId, now = new Date()) {
+        const subtasks = this.subtasks.filter(item => item.id !== subtaskId);
+        if (subtasks.length === this.subtasks.length) return false;
+
+        this.subtasks = subtasks;
+        this.touch(['subtasks'], now);
+        return true;
+    }
+
+    /**
+     * Replace every checklist step
+     * @param {Array} subtasks - Subtasks { id, text, completed }
+     * @param {Date} now - Time of the change, from the caller's clock
+     */
+    setSubtasks(subtasks, now = new Date()) {
+        this.subtasks = subtasks.map(({ id, text, completed }) => ({ id, text: text.trim(), completed }));
+        this.touch(['subtasks'], now);
+    }
+
+    /**
+     * Count finished checklist steps
+     * @returns {Object} - { completed, total }
+     */
+    getSubtaskProgress() {
+        return {
+            completed: this.subtasks.filter(subtask => subtask.completed).length,
+            total: this.subtasks.length
+        };
+    }
+
+    /**
+     * Set or clear the recurrence rule
+     * @param {Object|null} recurrence - Rule (see RecurrenceUtils), or null for a one-off task
+     * @param {Date} now - Time of the change, from the caller's clock
+     */
+    setRecurrence(recurrence, now = new Date()) {
+        this.recurrence = recurrence ? { ...recurrence } : null;
+        this.touch(['recurrence'], now);
+    }
+
+    /**
+     * Complete this occurrence of a recurring todo
+     * The completed copy stops repeating; the series continues in the next occurrence.
+     * @param {Date} now - Time of the change, from the caller's clock
+     */
+    completeOccurrence(now = new Date()) {
+        this.completed = true;
+        this.recurrence = null;
+        this.history = [];
+        this.touch(['completed', 'recurrence', 'history'], now);
+    }
+
+    /**
+     * Create the next occurrence of a recurring todo
+     * @param {string} id - ID of the new todo
+     * @param {string} dueDate - Due date of the next occurrence ('YYYY-MM-DD')
+     * @param {string} completedAt - ISO time this occurrence was completed
+     * @param {number} maxHistory - Number of past occurrences to keep
+     * @param {Date} now - Creation time of the next occurrence, from the caller's clock
+     * @returns {TodoItem} - The next occurrence, with subtasks reset and this one added to its history
+     */
+    createNextOccurrence(id, dueDate, completedAt, maxHistory = Infinity, now = new Date()) {
+        const next = new TodoItem(this.text, id, this.listId, now);
+        next.dueDate = dueDate;
+        next.dueTime = this.dueTime;
+        next.priority = this.priority;
+        next.tags = [...this.tags];
+        next.subtasks = this.subtasks.map(subtask => ({ ...subtask, completed: false }));
+        next.recurrence = { ...this.recurrence };
+        next.history = [...this.history, { dueDate: this.dueDate, completedAt }].slice(-maxHistory);
+        return next;
+    }
+
+    /**
+     * Set the position of the todo item in the manual order
+     * @param {string} sortKey - Key from SortKeyUtils
+     * @param {Date} now - Time of the change, from the caller's clock
+     */
+    setSortKey(sortKey, now = new Date()) {
+        this.sortKey = sortKey;
+        this.touch(['sortKey'], now);
+    }
+
+    /**
+     * Move the todo item to another list
+     * @param {string} listId - Target list ID
+     * @param {Date} now - Time of the change, from the caller's clock
+     */
+    moveToList(listId, now = new Date()) {
+        this.listId = listId;
+        this.touch(['listId'], now);
     }
 
     /**
@@ -55,8 +282,20 @@ export class TodoItem {
         return {
             id: this.id,
             text: this.text,
+            listId: this.listId,
             completed: this.completed,
-            createdAt: this.createdAt
+            dueDate: this.dueDate,
+            dueTime: this.dueTime,
+            priority: this.priority,
+            tags: [...this.tags],
+            subtasks: this.subtasks.map(subtask => ({ ...subtask })),
+            recurrence: this.recurrence ? { ...this.recurrence } : null,
+            history: this.history.map(entry => ({ ...entry })),
+            sortKey: this.sortKey,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+            revision: this.revision,
+            fieldUpdatedAt: { ...this.fieldUpdatedAt }
         };
     }
 
@@ -66,9 +305,22 @@ export class TodoItem {
      * @returns {TodoItem} - New TodoItem instance
      */
     static fromJSON(data) {
-        const todoItem = new TodoItem(data.text, data.id);
+        const todoItem = new TodoItem(data.text, data.id, data.listId || TodoProject.DEFAULT_ID);
         todoItem.completed = data.completed;
+        todoItem.dueDate = data.dueDate || null;
+        todoItem.dueTime = data.dueDate && data.dueTime ? data.dueTime : null;
+        todoItem.priority = data.priority || 'none';
+        todoItem.tags = Array.isArray(data.tags) ? [...data.tags] : [];
+        todoItem.subtasks = Array.isArray(data.subtasks) ? data.subtasks.map(subtask => ({ ...subtask })) : [];
+        todoItem.recurrence = data.recurrence ? { ...data.recurrence } : null;
+        todoItem.history = Array.isArray(data.history) ? data.history.map(entry => ({ ...entry })) : [];
+        todoItem.sortKey = typeof data.sortKey === 'string' ? data.sortKey : null;
         todoItem.createdAt = data.createdAt;
+        todoItem.updatedAt = data.updatedAt || data.createdAt;
+        todoItem.revision = data.revision || 1;
+        todoItem.fieldUpdatedAt = data.fieldUpdatedAt && typeof data.fieldUpdatedAt === 'object' && !Array.isArray(data.fieldUpdatedAt)
+            ? { ...data.fieldUpdatedAt }
+            : {};
         return todoItem;
     }
 }
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * TodoProject class - represents a named list of todos
+ */
+export class TodoProject {
+    static DEFAULT_ID = 'default';
+    static DEFAULT_NAME = 'My Tasks';
+
+    constructor(name, id = null) {
+        this.id = id || `list-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        this.name = name;
+        this.sortBy = 'manual';
+        this.createdAt = new Date().toISOString();
+    }
+
+    /**
+     * Rename the list
+     * @param {string} newName - The new name
+     */
+    rename(newName) {
+        this.name = newName.trim();
+    }
+
+    /**
+     * Change how the list's todos are sorted
+     * @param {string} sortBy - Sort order name (see TodoSorter.SORT_OPTIONS)
+     */
+    setSortBy(sortBy) {
+        this.sortBy = sortBy;
+    }
+
+    /**
+     * Convert the list to a plain object for storage
+     * @returns {Object} - Plain object representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            sortBy: this.sortBy,
+            createdAt: this.createdAt
+        };
+    }
+
+    /**
+     * Create a TodoProject from a plain object
+     * @param {Object} data - Plain object data
+     * @returns {TodoProject} - New TodoProject instance
+     */
+    static fromJSON(data) {
+        const project = new TodoProject(data.name, data.id);
+        project.sortBy = data.sortBy || project.sortBy;
+        project.createdAt = data.createdAt || project.createdAt;
+        return project;
+    }
+
+    /**
+     * Create the list that holds todos saved before lists existed
+     * @returns {TodoProject} - The default list
+     */
+    static createDefault() {
+        return new TodoProject(TodoProject.DEFAULT_NAME, TodoProject.DEFAULT_ID);
+    }
+}
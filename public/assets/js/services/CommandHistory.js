@@ -0,0 +1,152 @@
+/**
+ * CommandHistory class - bounded undo/redo stacks of recorded changes
+ * A command only keeps the todos it changed (before and after copies, with the position
+ * of added or removed ones) and the lists if they changed, so it stays small and can be saved.
+ */
+export class CommandHistory {
+    static DEFAULT_MAX_DEPTH = 50;
+    static MAX_SAVED_CHANGES = 2000;
+
+    /**
+     * @param {number} maxDepth - Maximum number of commands that can be undone
+     */
+    constructor(maxDepth = CommandHistory.DEFAULT_MAX_DEPTH) {
+        this.maxDepth = maxDepth;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Build a command from the state before and after a change
+     * A todo whose copy is the same object in both states counts as unchanged without comparing.
+     * @param {string} label - What the change did, e.g. 'Delete task'
+     * @param {Object} before - State before the change { todos, lists } as plain objects
+     * @param {Object} after - State after the change { todos, lists } as plain objects
+     * @returns {Object|null} - Command, or null if nothing changed
+     */
+    static createCommand(label, before, after) {
+        const beforeById = new Map(before.todos.map((todo, index) => [todo.id, { todo, index }]));
+        const afterById = new Map(after.todos.map((todo, index) => [todo.id, { todo, index }]));
+        const changes = [];
+
+        beforeById.forEach((previous, id) => {
+            const next = afterById.get(id);
+            if (!next) {
+                changes.push({ id, before: previous.todo, after: null, beforeIndex: previous.index, afterIndex: -1 });
+            } else if (previous.todo !== next.todo && JSON.stringify(previous.todo) !== JSON.stringify(next.todo)) {
+                changes.push({ id, before: previous.todo, after: next.todo, beforeIndex: previous.index, afterIndex: next.index });
+            }
+        });
+        afterById.forEach((next, id) => {
+            if (!beforeById.has(id)) {
+                changes.push({ id, before: null, after: next.todo, beforeIndex: -1, afterIndex: next.index });
+            }
+        });
+
+        const listsChanged = JSON.stringify(before.lists) !== JSON.stringify(after.lists);
+        if (changes.length === 0 && !listsChanged) {
+            return null;
+        }
+
+        return {
+            label,
+            changes,
+            lists: listsChanged ? { before: before.lists, after: after.lists } : null
+        };
+    }
+
+    /**
+     * Record a new command; anything undone before can no longer be redone
+     * @param {Object} command - Command from createCommand
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.maxDepth) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Take the command to undo and move it to the redo stack
+     * @returns {Object|null} - Command or null if there is nothing to undo
+     */
+    undo() {
+        const command = this.undoStack.pop() || null;
+        if (command) {
+            this.redoStack.push(command);
+        }
+        return command;
+    }
+
+    /**
+     * Take the command to redo and move it back to the undo stack
+     * @returns {Object|null} - Command or null if there is nothing to redo
+     */
+    redo() {
+        const command = this.redoStack.pop() || null;
+        if (command) {
+            this.undoStack.push(command);
+        }
+        return command;
+    }
+
+    /**
+     * Check if there is something to undo
+     * @returns {boolean} - True if undo is possible
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check if there is something to redo
+     * @returns {boolean} - True if redo is possible
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget every command
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Convert the history to a plain object for storage
+     * Only the newest commands are kept once MAX_SAVED_CHANGES todo changes are reached.
+     * @returns {Object} - { undo, redo } command arrays
+     */
+    toJSON() {
+        const newest = (stack) => {
+            const kept = [];
+            let changes = 0;
+            for (let i = stack.length - 1; i >= 0; i--) {
+                changes += stack[i].changes.length;
+                if (changes > CommandHistory.MAX_SAVED_CHANGES) break;
+                kept.unshift(stack[i]);
+            }
+            return kept;
+        };
+
+        return {
+            undo: newest(this.undoStack),
+            redo: newest(this.redoStack)
+        };
+    }
+
+    /**
+     * Restore a history saved with toJSON
+     * @param {Object} data - { undo, redo } command arrays
+     */
+    load(data) {
+        const isCommand = (command) => command && typeof command.label === 'string' && Array.isArray(command.changes);
+        const commands = (stack) => (Array.isArray(stack) ? stack.filter(isCommand) : []);
+
+        this.undoStack = commands(data?.undo).slice(-this.maxDepth);
+        this.redoStack = commands(data?.redo).slice(-this.maxDepth);
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * ConsoleNotifier class - reports TodoCore messages without a UI
+ * Has the same methods as NotificationManager, for TodoCore used in Node scripts,
+ * on the server or in tests. Errors and warnings are logged; other messages are dropped,
+ * and action buttons such as Retry are not offered.
+ */
+export class ConsoleNotifier {
+    /**
+     * Report a message
+     * @param {string} message - The message
+     * @param {string} type - The type of message (success, error, info, warning)
+     */
+    show(message, type = 'info') {
+        if (type === 'error' || type === 'warning') {
+            console.warn(message);
+        }
+    }
+
+    /**
+     * Report a success
+     * @param {string} message - The message
+     */
+    showSuccess(message) {
+        this.show(message, 'success');
+    }
+
+    /**
+     * Report a change that could be undone; there is no button to press here
+     * @param {string} message - The message
+     */
+    showUndo(message) {
+        this.show(message, 'info');
+    }
+
+    /**
+     * Report an error
+     * @param {string} message - The message
+     */
+    showError(message) {
+        this.show(message, 'error');
+    }
+
+    /**
+     * Report a warning
+     * @param {string} message - The message
+     */
+    showWarning(message) {
+        this.show(message, 'warning');
+    }
+
+    /**
+     * Report information
+     * @param {string} message - The message
+     */
+    showInfo(message) {
+        this.show(message, 'info');
+    }
+}
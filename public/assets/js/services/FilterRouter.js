@@ -0,0 +1,71 @@
+/**
+ * FilterRouter class - keeps the All / Active / Completed view in the URL
+ * Views are paths ('/', '/active', '/completed') so they can be bookmarked and
+ * navigated with back and forward. Pages opened from disk fall back to '#/active'
+ * style hashes because file URLs cannot change their path.
+ */
+export class FilterRouter {
+    static FILTERS = ['all', 'active', 'completed'];
+
+    /**
+     * @param {Window} win - Window whose location and history are used
+     */
+    constructor(win = window) {
+        this.window = win;
+        this.useHash = win.location.protocol === 'file:';
+    }
+
+    /**
+     * Read the filter from a path or hash route
+     * @param {string} route - e.g. '/active', '#/completed' or '/'
+     * @returns {string} - Filter name; 'all' for anything unknown
+     */
+    static parse(route) {
+        const segment = (route || '').replace(/^#/, '').replace(/\/+$/, '').split('/').pop();
+        return this.FILTERS.includes(segment) ? segment : 'all';
+    }
+
+    /**
+     * Get the path of a filter
+     * @param {string} filter - Filter name
+     * @returns {string} - Path, e.g. '/active'
+     */
+    static getPath(filter) {
+        return filter === 'all' ? '/' : `/${filter}`;
+    }
+
+    /**
+     * Get the filter of the current URL
+     * A '#/...' hash wins over the path so hash bookmarks keep working.
+     * @returns {string} - Filter name
+     */
+    getFilter() {
+        const { hash, pathname } = this.window.location;
+        return hash.startsWith('#/') ? FilterRouter.parse(hash) : FilterRouter.parse(pathname);
+    }
+
+    /**
+     * Show a filter in the URL, adding a history entry
+     * @param {string} filter - Filter name
+     */
+    navigate(filter) {
+        if (filter === this.getFilter()) return;
+
+        const path = FilterRouter.getPath(filter);
+        if (this.useHash) {
+            this.window.location.hash = `#${path}`;
+        } else {
+            this.window.history.pushState({ filter }, '', path);
+        }
+    }
+
+    /**
+     * Call back when back/forward navigation or a hash link changes the filter
+     * @param {Function} onChange - Called with the new filter name
+     */
+    listen(onChange) {
+        const notify = () => onChange(this.getFilter());
+        this.window.addEventListener('popstate', notify);
+        this.window.addEventListener('hashchange', notify);
+    }
+}
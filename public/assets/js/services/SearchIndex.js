@@ -0,0 +1,51 @@
+/**
+ * SearchIndex class - caches the normalized search text of each todo
+ * Normalizing is the slow part of a search, so it is done once per todo revision
+ * instead of on every keystroke. Entries are weakly held and vanish with their todo.
+ */
+import { SearchUtils } from '../utils/SearchUtils.js';
+
+export class SearchIndex {
+    constructor() {
+        this.entries = new WeakMap();
+    }
+
+    /**
+     * Get the normalized search text of a todo, from the cache when it has not changed
+     * @param {TodoItem} todo - Todo item
+     * @returns {string} - Normalized search text
+     */
+    getText(todo) {
+        const entry = this.entries.get(todo);
+        if (entry && entry.revision === todo.revision && entry.updatedAt === todo.updatedAt) {
+            return entry.text;
+        }
+
+        const text = SearchUtils.getSearchText(todo);
+        this.entries.set(todo, { revision: todo.revision, updatedAt: todo.updatedAt, text });
+        return text;
+    }
+
+    /**
+     * Keep the todos matching a query
+     * @param {Array<TodoItem>} todos - Todos to search
+     * @param {Object} query - Query parsed with SearchUtils.parseQuery
+     * @returns {Array<TodoItem>} - Matching todos, in the same order
+     */
+    filter(todos, query) {
+        if (SearchUtils.isEmpty(query)) {
+            return todos;
+        }
+        return todos.filter(todo => this.matches(todo, query));
+    }
+
+    /**
+     * Check whether one todo matches a query
+     * @param {TodoItem} todo - Todo item
+     * @param {Object} query - Query parsed with SearchUtils.parseQuery
+     * @returns {boolean} - True if it matches, or the query is empty
+     */
+    matches(todo, query) {
+        return SearchUtils.isEmpty(query) || SearchUtils.matches(this.getText(todo), query);
+    }
+}
@@ -0,0 +1,250 @@
+/**
+ * SyncManager class - offline-first synchronization with the server
+ * Local changes are queued in a persistent outbox and pushed when the browser
+ * is online; the server answers with the merged list, which is pulled back.
+ */
+export class SyncManager {
+    static RETRY_DELAYS = [2000, 5000, 15000, 30000, 60000];
+    static LISTS_CHANGE_ID = 'lists';
+
+    /**
+     * @param {TodoStorage} storage - Adapter used to persist the outbox
+     * @param {Object} options - Options
+     * @param {string} options.endpoint - Sync endpoint URL
+     * @param {number} options.pollInterval - Milliseconds between background pulls
+     * @param {number} options.batchDelay - Milliseconds to wait so rapid edits share one request
+     */
+    constructor(storage, { endpoint = '/api/sync', pollInterval = 30000, batchDelay = 300 } = {}) {
+        this.storage = storage;
+        this.outboxKey = storage.getKey('outbox');
+        this.endpoint = endpoint;
+        this.pollInterval = pollInterval;
+        this.batchDelay = batchDelay;
+
+        // Clock for the deletion and lists timestamps; TodoCore sets its own, so they
+        // compare with the todo timestamps on the same clock
+        this.now = () => new Date();
+
+        this.outbox = [];
+        this.rejected = new Set();
+        this.lastError = null;
+        this.isSyncing = false;
+        this.syncRequested = false;
+        this.retryCount = 0;
+        this.timers = { batch: null, retry: null, poll: null };
+        this.callbacks = {};
+
+        this.handleOnline = () => this.sync();
+        this.handleOffline = () => this.notifyStatus();
+    }
+
+    /**
+     * Load the persisted outbox
+     * @returns {Promise<boolean>} - True if this device has never synced before
+     */
+    async loadOutbox() {
+        const storedOutbox = await this.storage.read(this.outboxKey);
+        this.outbox = Array.isArray(storedOutbox) ? storedOutbox : [];
+        return storedOutbox === null;
+    }
+
+    /**
+     * Start listening for connectivity changes and run a first sync
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.onRemoteTodos - Receives the server todos and the ids still pending locally
+     * @param {Function} callbacks.onRemoteLists - Receives the server lists and whether a local lists change is pending
+     * @param {Function} callbacks.onStatusChange - Receives the current status
+     * @param {Function} callbacks.onRejected - Receives the { change, error } entries the server newly rejected
+     * @returns {Promise<void>}
+     */
+    start(callbacks = {}) {
+        this.callbacks = callbacks;
+        window.addEventListener('online', this.handleOnline);
+        window.addEventListener('offline', this.handleOffline);
+        this.timers.poll = setInterval(() => this.sync(), this.pollInterval);
+        this.notifyStatus();
+        return this.sync();
+    }
+
+    /**
+     * Stop background syncing
+     */
+    stop() {
+        window.removeEventListener('online', this.handleOnline);
+        window.removeEventListener('offline', this.handleOffline);
+        Object.values(this.timers).forEach(timer => {
+            clearTimeout(timer);
+            clearInterval(timer);
+        });
+    }
+
+    /**
+     * Queue a created or changed todo
+     * @param {Object} todo - TodoItem or plain todo object
+     */
+    enqueueUpsert(todo) {
+        const todoData = todo.toJSON ? todo.toJSON() : todo;
+        this.addChange({ type: 'upsert', id: todoData.id, todo: todoData });
+    }
+
+    /**
+     * Queue a deleted todo
+     * @param {string} id - Todo ID
+     */
+    enqueueDelete(id) {
+        this.addChange({ type: 'delete', id, deletedAt: this.now().toISOString() });
+    }
+
+    /**
+     * Queue the named lists; they are synced as one last-writer-wins collection
+     * @param {Array} lists - TodoProject instances or plain list objects
+     */
+    enqueueLists(lists) {
+        this.addChange({
+            type: 'lists',
+            id: SyncManager.LISTS_CHANGE_ID,
+            lists: lists.map(list => list.toJSON ? list.toJSON() : list),
+            updatedAt: this.now().toISOString()
+        });
+    }
+
+    /**
+     * Add a change to the outbox, replacing older changes to the same todo
+     * Upserts carry the whole todo with its field timestamps, so only the latest one matters.
+     * @param {Object} change - Queued change
+     */
+    addChange(change) {
+        this.outbox = this.outbox.filter(queued => queued.id !== change.id);
+        this.outbox.push(change);
+        this.persistOutbox();
+        this.notifyStatus();
+
+        clearTimeout(this.timers.batch);
+        this.timers.batch = setTimeout(() => this.sync(), this.batchDelay);
+    }
+
+    /**
+     * Persist the outbox so queued changes survive a reload
+     * @returns {Promise<void>}
+     */
+    async persistOutbox() {
+        try {
+            await this.storage.write(this.outboxKey, this.outbox);
+        } catch (error) {
+            console.error('Error saving sync outbox:', error);
+        }
+    }
+
+    /**
+     * Get the ids of todos with unsent changes
+     * @returns {Set} - Pending todo ids
+     */
+    getPendingIds() {
+        return new Set(this.outbox.map(change => change.id));
+    }
+
+    /**
+     * Check whether the browser reports a network connection
+     * @returns {boolean} - True if online
+     */
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * Push queued changes and pull the merged list
+     * @returns {Promise<void>}
+     */
+    async sync() {
+        if (this.isSyncing) {
+            this.syncRequested = true;
+            return;
+        }
+        if (!this.isOnline()) {
+            this.notifyStatus();
+            return;
+        }
+
+        this.isSyncing = true;
+        clearTimeout(this.timers.retry);
+        const sent = [...this.outbox];
+
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ changes: sent })
+            });
+            if (!response.ok) {
+                throw new Error(`Sync failed: ${response.status} ${response.statusText}`);
+            }
+
+            const { todos, lists, rejected = [] } = await response.json();
+            const rejections = rejected
+                .map(({ index, error }) => ({ change: sent[index], error }))
+                .filter(({ change }) => change);
+            const rejectedChanges = rejections.map(({ change }) => change);
+
+            // Changes queued while the request was in flight stay in the outbox, and so do
+            // rejected ones: their todos count as pending, so the server's copy cannot drop them
+            this.outbox = this.outbox.filter(change => !sent.includes(change) || rejectedChanges.includes(change));
+            await this.persistOutbox();
+
+            const newRejections = rejections.filter(({ change }) => !this.rejected.has(change));
+            this.rejected = new Set(rejectedChanges);
+            this.lastError = rejections.length > 0 ? new Error(`Sync rejected: ${rejections[0].error}`) : null;
+            this.retryCount = 0;
+            if (newRejections.length > 0) {
+                this.callbacks.onRejected?.(newRejections);
+            }
+            const pendingIds = this.getPendingIds();
+            this.callbacks.onRemoteLists?.(lists, pendingIds.has(SyncManager.LISTS_CHANGE_ID));
+            this.callbacks.onRemoteTodos?.(todos, pendingIds);
+        } catch (error) {
+            console.error('Error syncing todos:', error);
+            this.lastError = error;
+            this.scheduleRetry();
+        } finally {
+            this.isSyncing = false;
+            this.notifyStatus();
+        }
+
+        if (this.syncRequested) {
+            this.syncRequested = false;
+            await this.sync();
+        }
+    }
+
+    /**
+     * Retry a failed sync with increasing delays
+     */
+    scheduleRetry() {
+        const delays = SyncManager.RETRY_DELAYS;
+        const delay = delays[Math.min(this.retryCount, delays.length - 1)];
+        this.retryCount += 1;
+        clearTimeout(this.timers.retry);
+        this.timers.retry = setTimeout(() => this.sync(), delay);
+    }
+
+    /**
+     * Get the current sync status
+     * @returns {Object} - { state: 'synced' | 'pending' | 'error', pending: number }
+     */
+    getStatus() {
+        const pending = this.outbox.length;
+        let state = 'synced';
+        if (this.lastError && this.isOnline()) {
+            state = 'error';
+        } else if (pending > 0) {
+            state = 'pending';
+        }
+        return { state, pending };
+    }
+
+    /**
+     * Report the current status to the listener
+     */
+    notifyStatus() {
+        this.callbacks.onStatusChange?.(this.getStatus());
+    }
+}
@@ -0,0 +1,1847 @@
+/**
+ * TodoCore class - DOM-free domain core of the todo app
+ * Holds the todos, lists and settings and implements every operation on them:
+ * validation, undo history, persistence, sync, filtering and import/export.
+ * It runs wherever ES modules do (browser, Node scripts, the Express server, tests);
+ * TodoList adds the browser view on top. Views react to todo changes through the
+ * store and to everything else through the refresh(), onHistoryChange() and
+ * onLocaleChange() hooks. Messages come from the I18n catalogs.
+ */
+import { TodoItem } from '../models/TodoItem.js';
+import { TodoProject } from '../models/TodoProject.js';
+import { MemoryStorageAdapter } from './storage/MemoryStorageAdapter.js';
+import { CommandHistory } from './CommandHistory.js';
+import { ConsoleNotifier } from './ConsoleNotifier.js';
+import { FilterRouter } from './FilterRouter.js';
+import { SearchIndex } from './SearchIndex.js';
+import { TodoStore } from './TodoStore.js';
+import { TodoValidator } from '../utils/TodoValidator.js';
+import { TodoMerger } from '../utils/TodoMerger.js';
+import { DueDateUtils } from '../utils/DueDateUtils.js';
+import { TodoSorter } from '../utils/TodoSorter.js';
+import { TagUtils } from '../utils/TagUtils.js';
+import { RecurrenceUtils } from '../utils/RecurrenceUtils.js';
+import { SearchUtils } from '../utils/SearchUtils.js';
+import { SortKeyUtils } from '../utils/SortKeyUtils.js';
+import { IdUtils } from '../utils/IdUtils.js';
+import { TodoFormats } from '../utils/formats/TodoFormats.js';
+import { SchemaMigrationError } from '../utils/SchemaMigrations.js';
+import { I18n } from '../utils/I18n.js';
+
+export class TodoCore {
+    /**
+     * @param {TodoStorage} storage - Storage adapter used for persistence
+     * @param {Object} options - Options
+     * @param {SyncManager} options.sync - Optional server sync for offline-first use
+     * @param {Function} options.now - Clock returning the current Date; sets creation and completion
+     *   times, "today" for due dates and repeat rules, and overdue counts
+     * @param {Function} options.createId - Returns the ID of a new todo
+     * @param {Object} options.notifications - Shows messages to the user (see NotificationManager)
+     * @param {string|null} options.locale - Language of the messages until the saved one is loaded
+     */
+    constructor(storage = new MemoryStorageAdapter(), {
+        sync = null,
+        now = () => new Date(),
+        createId = () => IdUtils.createId(),
+        notifications = new ConsoleNotifier(),
+        locale = null
+    } = {}) {
+        if (locale) {
+            I18n.setLocale(locale);
+        }
+        this.store = new TodoStore();
+        this.lists = [TodoProject.createDefault()];
+        this.currentListId = TodoProject.DEFAULT_ID;
+        this.settings = {};
+        this.tagFilter = { tags: [], mode: 'and' };
+        this.viewFilter = 'all';
+        this.searchQuery = SearchUtils.parseQuery('');
+        this.searchIndex = new SearchIndex();
+        this.storage = storage;
+        this.sync = sync;
+        if (sync) {
+            sync.now = now;
+        }
+        this.now = now;
+        this.createId = createId;
+        this.notifications = notifications;
+        this.pendingSave = Promise.resolve();
+        this.history = new CommandHistory();
+        this.snapshots = new WeakMap();
+        this.isRecording = false;
+
+        this.store.subscribe((changes, info) => this.persistChanges(info));
+        this.store.subscribe((changes, info) => this.notifyChanges(info));
+
+        // Started once the constructor returns, so a view extending the core can set itself up first
+        this.ready = Promise.resolve().then(() => this.init());
+    }
+
+    /**
+     * All todos, of every list (see TodoStore)
+     * @returns {Array<TodoItem>} - Todos in stored order
+     */
+    get todos() {
+        return this.store.getAll();
+    }
+
+    /**
+     * Load the stored data and start syncing
+     * @returns {Promise<void>} - Resolves once stored todos are loaded
+     */
+    async init() {
+        // The store tells subscribers about the todos once they are in
+        await this.loadTodos();
+
+        if (this.sync) {
+            await this.startSync();
+        }
+    }
+
+    /**
+     * Start syncing with the server
+     * @returns {Promise<void>}
+     */
+    async startSync() {
+        const isFirstSync = await this.sync.loadOutbox();
+
+        // Upload data created before sync was enabled instead of dropping it
+        if (isFirstSync) {
+            this.todos.forEach(todo => this.sync.enqueueUpsert(todo));
+            this.sync.enqueueLists(this.lists);
+        }
+
+        await this.sync.start({
+            onRemoteTodos: (todos, pendingIds) => this.applyRemoteTodos(todos, pendingIds),
+            onRemoteLists: (lists, isPending) => this.applyRemoteLists(lists, isPending),
+            onStatusChange: (status) => this.onSyncStatus(status),
+            onRejected: (rejections) => this.reportRejectedChanges(rejections)
+        });
+    }
+
+    /**
+     * Tell the user that the server refused some of their changes
+     * The changes stay queued, so the todos they touch are kept on this device.
+     * @param {Array} rejections - { change, error } entries (see SyncManager)
+     */
+    reportRejectedChanges(rejections) {
+        this.notifications.showError(I18n.t('sync.rejected', {
+            count: rejections.length,
+            error: rejections[0].error
+        }));
+    }
+
+    /**
+     * Hook called when the sync status changes; views override it to show the status
+     * @param {string} status - Sync status (see SyncManager)
+     */
+    onSyncStatus(status) {}
+
+    /**
+     * Hook called after a change the store does not report: lists, settings or filters
+     * Views override it to re-render.
+     */
+    refresh() {}
+
+    /**
+     * Hook called when the undo history changes; views override it to update their buttons
+     */
+    onHistoryChange() {}
+
+    /**
+     * Hook called when the language of the messages changes; views override it to translate themselves
+     */
+    onLocaleChange() {}
+
+    /**
+     * Hook asking the user to confirm a destructive action; views override it to ask
+     * @param {string} message - Question to ask
+     * @returns {boolean} - True to go ahead
+     */
+    confirmAction(message) {
+        return true;
+    }
+
+    /**
+     * Replace the local lists with the server's copy
+     * @param {Array} remoteLists - Plain lists returned by the server
+     * @param {boolean} isPending - True if a newer local change is still queued
+     */
+    applyRemoteLists(remoteLists, isPending) {
+        if (isPending || !Array.isArray(remoteLists) || remoteLists.length === 0) {
+            return;
+        }
+
+        const before = JSON.stringify(this.lists);
+        const lists = remoteLists.map(data => TodoProject.fromJSON(data));
+        if (before !== JSON.stringify(lists)) {
+            this.lists = lists;
+            if (!this.findListById(this.currentListId)) {
+                this.currentListId = this.lists[0].id;
+                this.saveSettings();
+            }
+            this.saveLists();
+            this.refresh();
+        }
+    }
+
+    /**
+     * Merge the server's todos into the local list
+     * @param {Array} remoteTodos - Plain todos returned by the server
+     * @param {Set} pendingIds - Ids of todos with changes not yet pushed
+     */
+    applyRemoteTodos(remoteTodos, pendingIds) {
+        const localById = new Map(this.todos.map(todo => [todo.id, todo]));
+        const remoteIds = new Set(remoteTodos.map(todo => todo.id));
+
+        const merged = remoteTodos
+            // A pending local delete beats the copy the server still has
+            .filter(remote => localById.has(remote.id) || !pendingIds.has(remote.id))
+            .map(remote => {
+                const local = localById.get(remote.id);
+                return TodoItem.fromJSON(local ? TodoMerger.merge(local.toJSON(), remote) : remote);
+            });
+
+        // Keep local todos the server has not seen yet; others were deleted remotely
+        this.todos.forEach(todo => {
+            if (!remoteIds.has(todo.id) && pendingIds.has(todo.id)) {
+                merged.push(todo);
+            }
+        });
+
+        const before = JSON.stringify(this.todos);
+        const after = JSON.stringify(merged);
+        if (before !== after) {
+            this.store.batch(() => {
+                this.store.replace(merged);
+                // Todos created through the REST API have no place in the manual order yet
+                this.ensureSortKeys();
+            }, { origin: 'remote' });
+        }
+    }
+
+    /**
+     * Queue a created or changed todo for the server
+     * @param {TodoItem} todo - Changed todo
+     */
+    queueUpsert(todo) {
+        if (this.sync) {
+            this.sync.enqueueUpsert(todo);
+        }
+    }
+
+    /**
+     * Queue a deleted todo for the server
+     * @param {string} id - Todo ID
+     */
+    queueDelete(id) {
+        if (this.sync) {
+            this.sync.enqueueDelete(id);
+        }
+    }
+
+    /**
+     * Queue the current lists for the server
+     */
+    queueLists() {
+        if (this.sync) {
+            this.sync.enqueueLists(this.lists);
+        }
+    }
+
+    /**
+     * Run a mutation and record it in the undo history
+     * Nested calls join the outermost change so one user action is one undo step.
+     * @param {string} label - Message key of what the change does, e.g. 'command.deleteTask'
+     * @param {Function} mutate - Changes this.todos and/or this.lists in memory
+     * @param {string|null} undoMessage - If set, shown as a notification with an Undo button
+     * @returns {*} - Whatever mutate returns
+     */
+    recordChange(label, mutate, undoMessage = null) {
+        if (this.isRecording) {
+            return mutate();
+        }
+
+        const before = this.captureState();
+        let result;
+        this.isRecording = true;
+        try {
+            result = this.store.batch(mutate);
+        } finally {
+            this.isRecording = false;
+        }
+
+        const command = CommandHistory.createCommand(label, before, this.captureState());
+        if (command) {
+            this.history.push(command);
+            this.saveHistory();
+            this.onHistoryChange();
+            if (undoMessage) {
+                this.notifications.showUndo(undoMessage, () => this.undoCommand(command));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Copy the todos and lists for the undo history
+     * Only todos changed since the last capture are serialized again; the others reuse
+     * their copy, which CommandHistory.createCommand recognizes as unchanged.
+     * @returns {Object} - { todos, lists } as plain objects
+     */
+    captureState() {
+        return {
+            todos: this.todos.map(todo => this.snapshotTodo(todo)),
+            lists: this.lists.map(list => list.toJSON())
+        };
+    }
+
+    /**
+     * Get a plain copy of a todo, cached until its revision changes
+     * @param {TodoItem} todo - Todo item
+     * @returns {Object} - Plain todo object, shared with the history; never change it
+     */
+    snapshotTodo(todo) {
+        const entry = this.snapshots.get(todo);
+        if (entry && entry.revision === todo.revision && entry.updatedAt === todo.updatedAt) {
+            return entry.data;
+        }
+
+        const data = todo.toJSON();
+        this.snapshots.set(todo, { revision: todo.revision, updatedAt: todo.updatedAt, data });
+        return data;
+    }
+
+    /**
+     * Undo the most recent change
+     * @returns {boolean} - True if something was undone
+     */
+    undo() {
+        const command = this.history.undo();
+        if (!command) return false;
+
+        this.applyCommand(command, 'before');
+        this.notifications.showInfo(I18n.t('history.undone', { label: I18n.t(command.label) }));
+        return true;
+    }
+
+    /**
+     * Redo the most recently undone change
+     * @returns {boolean} - True if something was redone
+     */
+    redo() {
+        const command = this.history.redo();
+        if (!command) return false;
+
+        this.applyCommand(command, 'after');
+        this.notifications.showInfo(I18n.t('history.redone', { label: I18n.t(command.label) }));
+        return true;
+    }
+
+    /**
+     * Undo a specific change, used by the Undo button in notifications
+     * Only the latest change can be undone this way; anything newer would be lost.
+     * @param {Object} command - Command that was recorded
+     * @returns {boolean} - True if it was undone
+     */
+    undoCommand(command) {
+        const { undoStack } = this.history;
+        if (undoStack[undoStack.length - 1] !== command) {
+            this.notifications.showError(I18n.t('history.undoExpired'));
+            return false;
+        }
+        return this.undo();
+    }
+
+    /**
+     * Restore one side of a recorded command
+     * @param {Object} command - Command from the history
+     * @param {string} side - 'before' to undo, 'after' to redo
+     */
+    applyCommand(command, side) {
+        const index = `${side}Index`;
+        const inserted = [];
+
+        this.store.batch(() => {
+            command.changes.forEach(change => {
+                const data = change[side];
+                const current = this.findTodoById(change.id);
+
+                if (!data) {
+                    if (current) {
+                        this.store.remove(change.id);
+                        this.queueDelete(change.id);
+                    }
+                    return;
+                }
+
+                if (!TodoValidator.validateTodoObject(data).isValid) return;
+
+                const todo = this.restoreTodo(current, data);
+                if (current) {
+                    this.store.update(todo);
+                } else {
+                    inserted.push({ todo, at: change[index] });
+                }
+                this.queueUpsert(todo);
+            });
+
+            // Put restored todos back where they were, lowest position first
+            inserted
+                .sort((a, b) => a.at - b.at)
+                .forEach(({ todo, at }) => this.store.add(todo, { at }));
+
+            if (command.lists) {
+                this.lists = command.lists[side].map(data => TodoProject.fromJSON(data));
+                if (!this.findListById(this.currentListId)) {
+                    this.currentListId = this.lists[0].id;
+                    this.saveSettings();
+                }
+                this.saveLists();
+                this.queueLists();
+            }
+        }, { origin: 'history' });
+
+        // Changes to the lists alone do not go through the store
+        if (command.changes.length === 0) {
+            this.refresh();
+        }
+        this.saveHistory();
+        this.onHistoryChange();
+    }
+
+    /**
+     * Build the todo to put back when undoing or redoing
+     * Restored fields get fresh sync timestamps so they win over the state they replace.
+     * @param {TodoItem|null} current - Todo currently in the list, if any
+     * @param {Object} data - Recorded todo data
+     * @returns {TodoItem} - Restored todo
+     */
+    restoreTodo(current, data) {
+        const todo = TodoItem.fromJSON(data);
+        const isContentField = field => !TodoMerger.META_FIELDS.includes(field);
+
+        if (current) {
+            const currentData = current.toJSON();
+            todo.revision = current.revision;
+            todo.fieldUpdatedAt = { ...current.fieldUpdatedAt };
+            todo.touch(Object.keys(data).filter(field =>
+                isContentField(field) && JSON.stringify(data[field]) !== JSON.stringify(currentData[field])), this.now());
+        } else {
+            // A todo brought back after a delete must beat that deletion
+            todo.touch(Object.keys(data).filter(isContentField), this.now());
+        }
+        return todo;
+    }
+
+    /**
+     * Add a new todo to the current list
+     * '#tags' in the text are stored as tags and removed from the task text.
+     * @param {string} input - Task text
+     * @param {Object} options - Optional fields
+     * @param {string|null} options.dueDate - Local date as 'YYYY-MM-DD'
+     * @param {string|null} options.dueTime - Local time as 'HH:MM'
+     * @param {string} options.priority - One of TodoItem.PRIORITIES
+     * @param {Object|null} options.recurrence - Repeat rule (see RecurrenceUtils)
+     * @returns {TodoItem|null} - The new todo, or null if the input is invalid
+     */
+    createTodo(input, { dueDate = null, dueTime = null, priority = 'none', recurrence = null } = {}) {
+        const { text, tags } = TagUtils.parseTags(input);
+        const validation = TodoValidator.validateText(text);
+
+        if (!validation.isValid) {
+            this.notifications.showError(validation.error);
+            return null;
+        }
+
+        const tagsValidation = TodoValidator.validateTags(tags);
+        if (!tagsValidation.isValid) {
+            this.notifications.showError(tagsValidation.error);
+            return null;
+        }
+
+        const dueValidation = TodoValidator.validateDueDate(dueDate, dueTime);
+        if (!dueValidation.isValid) {
+            this.notifications.showError(dueValidation.error);
+            return null;
+        }
+
+        const priorityValidation = TodoValidator.validatePriority(priority);
+        if (!priorityValidation.isValid) {
+            this.notifications.showError(priorityValidation.error);
+            return null;
+        }
+
+        const recurrenceValidation = TodoValidator.validateRecurrence(recurrence);
+        if (!recurrenceValidation.isValid) {
+            this.notifications.showError(recurrenceValidation.error);
+            return null;
+        }
+
+        const todoItem = new TodoItem(text, this.createTodoId(), this.currentListId, this.now());
+        todoItem.priority = priority;
+        todoItem.tags = tags;
+        todoItem.recurrence = recurrence;
+        todoItem.sortKey = this.nextSortKey();
+        if (dueDate || recurrence) {
+            todoItem.dueDate = dueDate || RecurrenceUtils.getFirstDueDate(recurrence, DueDateUtils.toDateKey(this.now()));
+            todoItem.dueTime = dueTime;
+        }
+        this.store.batch(() => {
+            this.recordChange('command.addTask', () => this.store.add(todoItem));
+        }, { message: I18n.t('todo.added') });
+        this.queueUpsert(todoItem);
+        return todoItem;
+    }
+
+    /**
+     * Create the ID of a new todo
+     * @returns {string} - Todo ID from the injected generator; collision-free ULIDs by default (see IdUtils)
+     */
+    createTodoId() {
+        return this.createId();
+    }
+
+    /**
+     * Set or clear the repeat rule of a todo
+     * A todo without a due date gets the first matching date.
+     * @param {string} id - Todo ID
+     * @param {Object|null} recurrence - Rule (see RecurrenceUtils), or null to stop repeating
+     * @returns {boolean} - Success status
+     */
+    setTodoRecurrence(id, recurrence) {
+        const validation = TodoValidator.validateRecurrence(recurrence);
+        if (!validation.isValid) {
+            this.notifications.showError(validation.error);
+            return false;
+        }
+
+        const todo = this.findTodoById(id);
+        if (!todo) return false;
+
+        this.recordChange('command.changeRepeat', () => {
+            const now = this.now();
+            todo.setRecurrence(recurrence, now);
+            if (recurrence && !todo.dueDate) {
+                todo.setDue(RecurrenceUtils.getFirstDueDate(recurrence, DueDateUtils.toDateKey(now)), todo.dueTime, now);
+            }
+            this.store.update(todo);
+        });
+        this.queueUpsert(todo);
+        return true;
+    }
+
+    /**
+     * Complete the current occurrence of a recurring todo and schedule the next one
+     * @param {TodoItem} todo - Recurring todo
+     * @param {Date} now - Completion time
+     * @returns {TodoItem} - The next occurrence
+     */
+    completeOccurrence(todo, now = this.now()) {
+        const next = this.createNextOccurrence(todo, now);
+        this.store.batch(() => {
+            this.recordChange('command.completeTask', () => {
+                todo.completeOccurrence(now);
+                this.store.update(todo);
+                this.store.add(next);
+            });
+        }, { message: I18n.t('todo.nextOccurrence', { due: DueDateUtils.formatDue(next, now) }) });
+
+        this.queueUpsert(todo);
+        this.queueUpsert(next);
+        return next;
+    }
+
+    /**
+     * Create the next occurrence of a recurring todo without adding it
+     * @param {TodoItem} todo - Recurring todo
+     * @param {Date} now - Completion time
+     * @returns {TodoItem} - The next occurrence
+     */
+    createNextOccurrence(todo, now) {
+        const dueDate = RecurrenceUtils.getNextDueDate(todo.recurrence, todo.dueDate, DueDateUtils.toDateKey(now));
+        const next = todo.createNextOccurrence(this.createTodoId(), dueDate, now.toISOString(), RecurrenceUtils.MAX_HISTORY, now);
+        // The next occurrence takes the place right after the finished one
+        next.sortKey = this.sortKeyAfter(todo.sortKey);
+        return next;
+    }
+
+    /**
+     * Toggle todo completion status
+     * Completing a recurring todo schedules its next occurrence.
+     * @param {string} id - Todo ID
+     */
+    toggleTodo(id) {
+        const todo = this.findTodoById(id);
+        if (todo && todo.recurrence && !todo.completed) {
+            this.completeOccurrence(todo);
+        } else if (todo) {
+            this.recordChange('command.toggleTask', () => {
+                todo.toggle(this.now());
+                this.store.update(todo);
+            });
+            this.queueUpsert(todo);
+        }
+    }
+
+    /**
+     * Delete a todo
+     * @param {string} id - Todo ID
+     */
+    deleteTodo(id) {
+        const index = this.findTodoIndexById(id);
+        if (index > -1) {
+            this.recordChange('command.deleteTask', () => this.store.remove(id), I18n.t('todo.deleted'));
+            this.queueDelete(id);
+        }
+    }
+
+    /**
+     * Apply a change to several todos as one step
+     * The change gets one undo entry, one store update (so one save and one render) and one
+     * sync upsert per changed todo.
+     * @param {Array<string>} ids - Todo IDs
+     * @param {string} label - Undo history label (message key)
+     * @param {Function} change - Called with each todo; returns false if the todo was left as is
+     * @param {string|null} undoMessage - If set, shown with an Undo button instead of the caller's notification
+     * @returns {Array<TodoItem>} - Changed todos
+     */
+    updateTodos(ids, label, change, undoMessage = null) {
+        const todos = ids.map(id => this.findTodoById(id)).filter(Boolean);
+        const changed = this.recordChange(label, () => {
+            const updated = todos.filter(todo => change(todo) !== false);
+            this.store.update(updated);
+            return updated;
+        }, undoMessage);
+        changed.forEach(todo => this.queueUpsert(todo));
+        return changed;
+    }
+
+    /**
+     * Complete or re-open several todos
+     * Completing a recurring todo schedules its next occurrence, as with toggleTodo.
+     * @param {Array<string>} ids - Todo IDs
+     * @param {boolean} completed - True to complete, false to re-open
+     * @returns {number} - Number of todos changed
+     */
+    setTodosCompleted(ids, completed = true) {
+        const now = this.now();
+        const created = [];
+        const changed = this.updateTodos(ids, completed ? 'command.completeTasks' : 'command.reopenTasks', (todo) => {
+            if (todo.completed === completed) return false;
+
+            if (completed && todo.recurrence) {
+                const next = this.createNextOccurrence(todo, now);
+                todo.completeOccurrence(now);
+                this.store.add(next);
+                created.push(next);
+            } else {
+                todo.toggle(now);
+            }
+            return true;
+        });
+        created.forEach(todo => this.queueUpsert(todo));
+
+        if (changed.length > 0) {
+            this.notifications.showSuccess(I18n.t(completed ? 'bulk.completed' : 'bulk.reopened', { count: changed.length }));
+        }
+        return changed.length;
+    }
+
+    /**
+     * Delete several todos
+     * @param {Array<string>} ids - Todo IDs
+     * @returns {number} - Number of todos deleted
+     */
+    deleteTodos(ids) {
+        const deleted = new Set(ids.map(id => this.findTodoById(id)).filter(Boolean));
+        if (deleted.size === 0) return 0;
+
+        deleted.forEach(todo => this.queueDelete(todo.id));
+        this.recordChange('command.deleteTasks', () => {
+            this.store.remove([...deleted].map(todo => todo.id));
+        }, I18n.t('bulk.deleted', { count: deleted.size }));
+        return deleted.size;
+    }
+
+    /**
+     * Set the priority of several todos
+     * @param {Array<string>} ids - Todo IDs
+     * @param {string} priority - One of TodoItem.PRIORITIES
+     * @returns {number} - Number of todos changed
+     */
+    setTodosPriority(ids, priority) {
+        const validation = TodoValidator.validatePriority(priority);
+        if (!validation.isValid) {
+            this.notifications.showError(validation.error);
+            return 0;
+        }
+
+        const changed = this.updateTodos(ids, 'command.changePriority', (todo) => {
+            if (todo.priority === priority) return false;
+            todo.setPriority(priority, this.now());
+            return true;
+        });
+        if (changed.length > 0) {
+            this.notifications.showSuccess(I18n.t('bulk.prioritySet', {
+                priority: I18n.t(`priority.${priority}`),
+                count: changed.length
+            }));
+        }
+        return changed.length;
+    }
+
+    /**
+     * Add a tag to several todos
+     * Nothing changes if any of them would go over the tag limit.
+     * @param {Array<string>} ids - Todo IDs
+     * @param {string} tag - Tag, with or without '#'
+     * @returns {number} - Number of todos changed
+     */
+    addTagToTodos(ids, tag) {
+        const normalized = TagUtils.normalizeTag(tag);
+        const validation = TodoValidator.validateTag(normalized);
+        if (!validation.isValid) {
+            this.notifications.showError(validation.error);
+            return 0;
+        }
+
+        const tagged = ids.map(id => this.findTodoById(id)).filter(todo => todo && !todo.tags.includes(normalized));
+        const tooMany = tagged.map(todo => TodoValidator.validateTags([...todo.tags, normalized])).find(result => !result.isValid);
+        if (tooMany) {
+            this.notifications.showError(tooMany.error);
+            return 0;
+        }
+
+        const changed = this.updateTodos(tagged.map(todo => todo.id), 'command.changeTags', (todo) => {
+            todo.setTags([...todo.tags, normalized], this.now());
+        });
+        if (changed.length > 0) {
+            this.notifications.showSuccess(I18n.t('bulk.tagAdded', { tag: normalized, count: changed.length }));
+        }
+        return changed.length;
+    }
+
+    /**
+     * Remove a tag from several todos
+     * @param {Array<string>} ids - Todo IDs
+     * @param {string} tag - Tag, with or without '#'
+     * @returns {number} - Number of todos changed
+     */
+    removeTagFromTodos(ids, tag) {
+        const normalized = TagUtils.normalizeTag(tag);
+        const changed = this.updateTodos(ids, 'command.changeTags', (todo) => {
+            if (!todo.tags.includes(normalized)) return false;
+            todo.setTags(todo.tags.filter(item => item !== normalized), this.now());
+            return true;
+        });
+        if (changed.length > 0) {
+            this.notifications.showSuccess(I18n.t('bulk.tagRemoved', { tag: normalized, count: changed.length }));
+        } else {
+            this.notifications.showInfo(I18n.t('bulk.tagNotFound', { tag: normalized }));
+        }
+        return changed.length;
+    }
+
+    /**
+     * Update todo text
+     * @param {string} id - Todo ID
+     * @param {string} newText - New text
+     */
+    updateTodo(id, newText) {
+        const validation = TodoValidator.validateText(newText);
+        if (!validation.isValid) {
+            this.notifications.showError(validation.error);
+            return false;
+        }
+
+        const todo = this.findTodoById(id);
+        if (todo) {
+            this.recordChange('command.editTask', () => {
+                todo.updateText(newText, this.now());
+                this.store.update(todo);
+            });
+            this.queueUpsert(todo);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Save text typed in the inline editor
+     * Only the edited row is updated; errors are returned for the editor to show inline.
+     * @param {string} id - Todo ID
+     * @param {string} newText - New text
+     * @returns {Object} - Validation result with isValid and error properties
+     */
+    editTodo(id, newText) {
+        const validation = TodoValidator.validateText(newText);
+        if (!validation.isValid) {
+            return validation;
+        }
+
+        const todo = this.findTodoById(id);
+        if (!todo) {
+            return { isValid: false, error: I18n.t('todo.notFound') };
+        }
+
+        this.store.batch(() => {
+            this.recordChange('command.editTask', () => {
+                todo.updateText(TodoValidator.sanitizeText(newText), this.now());
+                this.store.update(todo);
+            });
+        }, { inline: true });
+        this.queueUpsert(todo);
+        return validation;
+    }
+
+    /**
+     * Set or clear the due date of a todo
+     * @param {string} id - Todo ID
+     * @param {string|null} dueDate - Local date as 'YYYY-MM-DD', or null to clear
+     * @param {string|null} dueTime - Local time as 'HH:MM', or null
+     * @returns {boolean} - Success status
+     */
+    setTodoDue(id, dueDate, dueTime = null) {
+        const validation = TodoValidator.validateDueDate(dueDate, dueTime);
+        if (!validation.isValid) {
+            this.notifications.showError(validation.error);
+            return false;
+        }
+
+        const todo = this.findTodoById(id);
+        if (todo) {
+            this.recordChange('command.changeDueDate', () => {
+                todo.setDue(dueDate, dueTime, this.now());
+                this.store.update(todo);
+            });
+            this.queueUpsert(todo);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Set the priority of a todo
+     * @param {string} id - Todo ID
+     * @param {string} priority - One of TodoItem.PRIORITIES
+     * @returns {boolean} - Success status
+     */
+    setTodoPriority(id, priority) {
+        const validation = TodoValidator.validatePriority(priority);
+        if (!validation.isValid) {
+            this.notifications.showError(validation.error);
+            return false;
+        }
+
+        const todo = this.findTodoById(id);
+        if (todo) {
+            this.recordChange('command.changePriority', () => {
+                todo.setPriority(priority, this.now());
+                this.store.update(todo);
+            });
+            this.queueUpsert(todo);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Move a todo to the next priority level, wrapping back to none
+     * @param {string} id - Todo ID
+     */
+    cycleTodoPriority(id) {
+        const todo = this.findTodoById(id);
+        if (todo) {
+            const levels = TodoItem.PRIORITIES;
+            const next = levels[(levels.indexOf(todo.priority) + 1) % levels.length];
+            this.setTodoPriority(id, next);
+        }
+    }
+
+    /**
+     * Check whether finishing every subtask completes the parent todo
+     * @returns {boolean} - True unless the user turned it off
+     */
+    isAutoCompleteSubtasks() {
+        return this.settings.autoCompleteSubtasks !== false;
+    }
+
+    /**
+     * Turn parent auto-completion on or off
+     * @param {boolean} enabled - New setting
+     */
+    setAutoCompleteSubtasks(enabled) {
+        this.settings = { ...this.settings, autoCompleteSubtasks: enabled };
+        this.saveSettings();
+    }
+
+    /**
+     * Add a subtask to a todo
+     * @param {string} id - Todo ID
+     * @param {string} text - Subtask text
+     * @returns {Object|null} - The new subtask or null if the text is invalid
+     */
+    addSubtask(id, text) {
+        const validation = TodoValidator.validateText(text);
+        if (!validation.isValid) {
+            this.notifications.showError(validation.error);
+            return null;
+        }
+
+        const todo = this.findTodoById(id);
+        if (!todo) return null;
+
+        if (todo.subtasks.length >= TodoValidator.MAX_SUBTASKS) {
+            this.notifications.showError(I18n.t('validation.tooManySubtasks', { max: TodoValidator.MAX_SUBTASKS }));
+            return null;
+        }
+
+        const subtask = this.recordChange('command.addStep', () => {
+            const added = todo.addSubtask(TodoValidator.sanitizeText(text), this.now());
+            // A new open step re-opens a finished parent
+            if (todo.completed && this.isAutoCompleteSubtasks()) {
+                todo.uncomplete(this.now());
+            }
+            this.store.update(todo);
+            return added;
+        });
+        this.queueUpsert(todo);
+        return subtask;
+    }
+
+    /**
+     * Toggle a subtask, completing or re-opening the parent if auto-complete is on
+     * @param {string} id - Todo ID
+     * @param {number} subtaskId - Subtask ID
+     */
+    toggleSubtask(id, subtaskId) {
+        this.recordChange('command.toggleStep', () => {
+            const todo = this.findTodoById(id);
+            const autoComplete = this.isAutoCompleteSubtasks();
+            if (todo && todo.toggleSubtask(subtaskId, autoComplete && !todo.recurrence, this.now())) {
+                // Finishing every step of a recurring todo completes this occurrence
+                if (autoComplete && todo.recurrence && !todo.completed &&
+                    todo.subtasks.every(subtask => subtask.completed)) {
+                    this.completeOccurrence(todo);
+                    return;
+                }
+                this.store.update(todo);
+                this.queueUpsert(todo);
+            }
+        });
+    }
+
+    /**
+     * Delete a subtask
+     * @param {string} id - Todo ID
+     * @param {number} subtaskId - Subtask ID
+     */
+    deleteSubtask(id, subtaskId) {
+        const todo = this.findTodoById(id);
+        const removed = todo && this.recordChange('command.deleteStep', () => {
+            const isRemoved = todo.removeSubtask(subtaskId, this.now());
+            if (isRemoved) {
+                this.store.update(todo);
+            }
+            return isRemoved;
+        });
+        if (removed) {
+            this.queueUpsert(todo);
+        }
+    }
+
+    /**
+     * Replace the tags of a todo
+     * @param {string} id - Todo ID
+     * @param {Array<string>} tags - Tags, with or without '#'
+     * @returns {boolean} - Success status
+     */
+    setTodoTags(id, tags) {
+        const normalized = TagUtils.normalizeTags(tags);
+        const validation = TodoValidator.validateTags(normalized);
+        if (!validation.isValid) {
+            this.notifications.showError(validation.error);
+            return false;
+        }
+
+        const todo = this.findTodoById(id);
+        if (todo) {
+            this.recordChange('command.changeTags', () => {
+                todo.setTags(normalized, this.now());
+                this.store.update(todo);
+            });
+            this.queueUpsert(todo);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Get every tag in use across all lists
+     * @returns {Array} - { tag, count, color } entries sorted by name
+     */
+    getTags() {
+        const counts = new Map();
+        this.todos.forEach(todo => {
+            todo.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+
+        return [...counts.keys()]
+            .sort((a, b) => a.localeCompare(b))
+            .map(tag => ({ tag, count: counts.get(tag), color: this.getTagColor(tag) }));
+    }
+
+    /**
+     * Get the display color of a tag
+     * @param {string} tag - Normalized tag
+     * @returns {string} - Hex color
+     */
+    getTagColor(tag) {
+        const color = this.settings.tagColors?.[tag];
+        return TodoValidator.validateTagColor(color).isValid ? color : TagUtils.getDefaultColor(tag);
+    }
+
+    /**
+     * Set the display color of a tag
+     * @param {string} tag - Normalized tag
+     * @param {string} color - Hex color
+     * @returns {boolean} - Success status
+     */
+    setTagColor(tag, color) {
+        const validation = TodoValidator.validateTagColor(color);
+        if (!validation.isValid) {
+            this.notifications.showError(validation.error);
+            return false;
+        }
+
+        this.settings = { ...this.settings, tagColors: { ...this.settings.tagColors, [tag]: color } };
+        this.saveSettings();
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Rename a tag on every todo; renaming to an existing tag merges the two
+     * @param {string} tag - Current tag
+     * @param {string} newName - New tag, with or without '#'
+     * @returns {boolean} - Success status
+     */
+    renameTag(tag, newName) {
+        const newTag = TagUtils.normalizeTag(newName);
+        const validation = TodoValidator.validateTag(newTag);
+        if (!validation.isValid) {
+            this.notifications.showError(validation.error);
+            return false;
+        }
+        if (newTag === tag) return false;
+
+        const isMerge = this.todos.some(todo => todo.tags.includes(newTag));
+        const message = I18n.t(isMerge ? 'tag.merged' : 'tag.renamed', { tag, newTag });
+        // The old color is kept so undoing the rename brings it back
+        const tagColors = { ...this.settings.tagColors };
+        if (tagColors[tag] && !tagColors[newTag]) {
+            tagColors[newTag] = tagColors[tag];
+        }
+        this.settings = { ...this.settings, tagColors };
+        this.tagFilter.tags = TagUtils.normalizeTags(this.tagFilter.tags.map(item => (item === tag ? newTag : item)));
+        this.saveSettings();
+
+        const renamed = this.todos.filter(todo => todo.tags.includes(tag));
+        if (renamed.length === 0) {
+            this.refresh();
+            return true;
+        }
+        this.recordChange('command.renameTag', () => {
+            renamed.forEach(todo => {
+                todo.setTags(TagUtils.normalizeTags(todo.tags.map(item => (item === tag ? newTag : item))), this.now());
+                this.queueUpsert(todo);
+            });
+            this.store.update(renamed);
+        }, message);
+        return true;
+    }
+
+    /**
+     * Add a tag to the filter, or remove it if it is already there
+     * @param {string} tag - Normalized tag
+     */
+    toggleTagFilter(tag) {
+        const tags = this.tagFilter.tags;
+        this.tagFilter.tags = tags.includes(tag) ? tags.filter(item => item !== tag) : [...tags, tag];
+        this.refresh();
+    }
+
+    /**
+     * Choose whether filtered todos need all or any of the tags
+     * @param {string} mode - 'and' or 'or'
+     */
+    setTagFilterMode(mode) {
+        if (mode !== 'and' && mode !== 'or') return;
+
+        this.tagFilter.mode = mode;
+        this.refresh();
+    }
+
+    /**
+     * Show every todo again
+     */
+    clearTagFilter() {
+        this.tagFilter.tags = [];
+        this.refresh();
+    }
+
+    /**
+     * Search the current list
+     * @param {string} query - Words, "quoted phrases" and -exclusions
+     */
+    setSearchQuery(query) {
+        this.searchQuery = SearchUtils.parseQuery(query);
+        this.refresh();
+    }
+
+    /**
+     * Show all, active or completed todos
+     * @param {string} filter - 'all', 'active' or 'completed'
+     * @returns {boolean} - Success status
+     */
+    setViewFilter(filter) {
+        if (!FilterRouter.FILTERS.includes(filter)) return false;
+
+        if (filter !== this.viewFilter) {
+            this.viewFilter = filter;
+            this.refresh();
+        }
+        return true;
+    }
+
+    /**
+     * Change the sort order of the current list
+     * @param {string} sortBy - Sort order name (see TodoSorter.SORT_OPTIONS)
+     * @returns {boolean} - Success status
+     */
+    setSortOrder(sortBy) {
+        if (!TodoSorter.isValidSort(sortBy)) {
+            this.notifications.showError(I18n.t('validation.invalidSortOrder'));
+            return false;
+        }
+
+        this.recordChange('command.changeSortOrder', () => this.getCurrentList().setSortBy(sortBy));
+        this.saveLists();
+        this.queueLists();
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Get the key that puts a todo after every other todo
+     * @returns {string} - Sort key
+     */
+    nextSortKey() {
+        return SortKeyUtils.between(this.lastSortKey(), null);
+    }
+
+    /**
+     * Get the highest sort key in use
+     * @returns {string|null} - Sort key, or null if no todo has one
+     */
+    lastSortKey() {
+        return this.todos
+            .map(todo => todo.sortKey)
+            .filter(Boolean)
+            .reduce((max, key) => (max === null || key > max ? key : max), null);
+    }
+
+    /**
+     * Get a key right after another one, before the next todo
+     * @param {string|null} sortKey - Key to follow, or null for the end
+     * @returns {string} - Sort key
+     */
+    sortKeyAfter(sortKey) {
+        if (!sortKey) return this.nextSortKey();
+
+        const following = this.todos
+            .map(todo => todo.sortKey)
+            .filter(key => key && key > sortKey)
+            .reduce((min, key) => (min === null || key < min ? key : min), null);
+        return SortKeyUtils.between(sortKey, following);
+    }
+
+    /**
+     * Give todos without a sort key a place at the end, keeping their array order
+     * Used for todos saved before the manual order existed and for imported or
+     * API-created ones. The keys are derived from the data only, so every device
+     * assigns the same ones. Runs in the same store batch as the replace that brought
+     * the todos in, so subscribers see the keys with that change.
+     * @returns {boolean} - True if any key was assigned
+     */
+    ensureSortKeys() {
+        const unplaced = this.todos.filter(todo => !todo.sortKey);
+        if (unplaced.length === 0) return false;
+
+        SortKeyUtils.generate(this.lastSortKey(), null, unplaced.length).forEach((key, index) => {
+            unplaced[index].sortKey = key;
+        });
+        return true;
+    }
+
+    /**
+     * Move a todo between two others in the manual order
+     * Only the moved todo gets a new key.
+     * @param {string} id - Todo ID
+     * @param {string|null} previousId - Todo that should come before it, or null for the top
+     * @param {string|null} nextId - Todo that should come after it, or null for the bottom
+     * @returns {boolean} - Success status
+     */
+    moveTodo(id, previousId, nextId) {
+        const todo = this.findTodoById(id);
+        if (!todo || id === previousId || id === nextId) return false;
+        if (this.getCurrentList().sortBy !== 'manual') {
+            this.notifications.showInfo(I18n.t('reorder.needsManualOrder'));
+            return false;
+        }
+
+        const previousKey = previousId !== null ? this.findTodoById(previousId)?.sortKey || null : null;
+        const nextKey = nextId !== null ? this.findTodoById(nextId)?.sortKey || null : null;
+        let sortKey;
+        if (previousKey !== null && nextKey !== null && previousKey >= nextKey) {
+            // Two devices placed todos at the same spot; settle right after the previous one
+            sortKey = this.sortKeyAfter(previousKey);
+        } else if (previousKey === null && nextKey === null) {
+            sortKey = this.nextSortKey();
+        } else {
+            sortKey = SortKeyUtils.between(previousKey, nextKey);
+        }
+
+        this.recordChange('command.moveTask', () => {
+            todo.setSortKey(sortKey, this.now());
+            this.store.reorder(todo);
+        });
+        this.queueUpsert(todo);
+        return true;
+    }
+
+    /**
+     * Move a todo up or down among the visible todos (Alt+Up / Alt+Down)
+     * @param {string} id - Todo ID
+     * @param {number} offset - -1 to move up, 1 to move down
+     * @returns {boolean} - Success status
+     */
+    moveTodoBy(id, offset) {
+        const visible = this.getVisibleTodos();
+        const index = visible.findIndex(todo => todo.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= visible.length) return false;
+
+        const others = visible.filter(todo => todo.id !== id);
+        const previous = others[target - 1] || null;
+        const next = others[target] || null;
+        return this.moveTodo(id, previous ? previous.id : null, next ? next.id : null);
+    }
+
+    /**
+     * Get the todos of the current list in display order
+     * @returns {Array} - Sorted todos
+     */
+    getSortedTodos() {
+        return TodoSorter.sort(this.getAllTodos(), this.getCurrentList().sortBy);
+    }
+
+    /**
+     * Get the todos to show: the current list in display order, narrowed by the
+     * All / Active / Completed view, the tag filter and the search
+     * @returns {Array} - Visible todos
+     */
+    getVisibleTodos() {
+        const { tags, mode } = this.tagFilter;
+        const todos = this.getSortedTodos()
+            .filter(todo => this.viewFilter === 'all' || todo.completed === (this.viewFilter === 'completed'))
+            .filter(todo => TagUtils.matchesFilter(todo, tags, mode));
+        return this.searchIndex.filter(todos, this.searchQuery);
+    }
+
+    /**
+     * Check whether a todo is shown: in the current list and matching the view, tag filter and search
+     * @param {TodoItem} todo - Todo item
+     * @returns {boolean} - True if it is one of getVisibleTodos()
+     */
+    isTodoVisible(todo) {
+        const { tags, mode } = this.tagFilter;
+        return this.resolveListId(todo) === this.currentListId &&
+            (this.viewFilter === 'all' || todo.completed === (this.viewFilter === 'completed')) &&
+            TagUtils.matchesFilter(todo, tags, mode) &&
+            this.searchIndex.matches(todo, this.searchQuery);
+    }
+
+    /**
+     * Find todo by ID
+     * @param {string} id - Todo ID
+     * @returns {TodoItem|null} - Found todo or null
+     */
+    findTodoById(id) {
+        return this.store.findById(id);
+    }
+
+    /**
+     * Find todo index by ID
+     * @param {string} id - Todo ID
+     * @returns {number} - Index or -1 if not found
+     */
+    findTodoIndexById(id) {
+        return this.store.findIndexById(id);
+    }
+
+    /**
+     * Get the list a todo belongs to
+     * Todos pointing at an unknown list (e.g. synced before their list) show up in the first list.
+     * @param {TodoItem} todo - Todo item
+     * @returns {string} - List ID
+     */
+    resolveListId(todo) {
+        return this.findListById(todo.listId) ? todo.listId : this.lists[0].id;
+    }
+
+    /**
+     * Get the todos of a list
+     * @param {string} listId - List ID
+     * @returns {Array} - Array of todos
+     */
+    getTodosForList(listId) {
+        return this.todos.filter(todo => this.resolveListId(todo) === listId);
+    }
+
+    /**
+     * Get all todos of the current list
+     * @returns {Array} - Array of todos
+     */
+    getAllTodos() {
+        return this.getTodosForList(this.currentListId);
+    }
+
+    /**
+     * Get completed todos of the current list
+     * @returns {Array} - Array of completed todos
+     */
+    getCompletedTodos() {
+        return this.getAllTodos().filter(todo => todo.completed);
+    }
+
+    /**
+     * Get incomplete todos of the current list
+     * @returns {Array} - Array of incomplete todos
+     */
+    getIncompleteTodos() {
+        return this.getAllTodos().filter(todo => !todo.completed);
+    }
+
+    /**
+     * Get statistics for the current list
+     * @returns {Object} - Statistics object
+     */
+    getStats() {
+        // One pass without sorting, as this runs after every change
+        const todos = this.getAllTodos();
+        const now = this.now();
+        let completed = 0;
+        let overdue = 0;
+        let visible = 0;
+        const subtasks = { completed: 0, total: 0 };
+        todos.forEach(todo => {
+            completed += todo.completed ? 1 : 0;
+            overdue += DueDateUtils.isOverdue(todo, now) ? 1 : 0;
+            visible += this.isTodoVisible(todo) ? 1 : 0;
+            const progress = todo.getSubtaskProgress();
+            subtasks.completed += progress.completed;
+            subtasks.total += progress.total;
+        });
+        const total = todos.length;
+
+        return {
+            total,
+            completed,
+            incomplete: total - completed,
+            overdue,
+            completionRate: total > 0 ? (completed / total) * 100 : 0,
+            subtasksTotal: subtasks.total,
+            subtasksCompleted: subtasks.completed,
+            visible
+        };
+    }
+
+    /**
+     * Clear all todos of the current list
+     */
+    clearAllTodos() {
+        const cleared = new Set(this.getAllTodos());
+        cleared.forEach(todo => this.queueDelete(todo.id));
+        this.recordChange('command.clearAllTasks', () => {
+            this.store.remove([...cleared].map(todo => todo.id));
+        }, I18n.t('todo.allCleared'));
+    }
+
+    /**
+     * Clear completed todos of the current list
+     */
+    clearCompletedTodos() {
+        const cleared = new Set(this.getCompletedTodos());
+        cleared.forEach(todo => this.queueDelete(todo.id));
+        this.recordChange('command.clearCompletedTasks', () => {
+            this.store.remove([...cleared].map(todo => todo.id));
+        }, I18n.t('todo.completedCleared'));
+    }
+
+    /**
+     * Load todos, lists and settings from storage
+     * @returns {Promise<void>}
+     */
+    async loadTodos() {
+        try {
+            this.reportMigration(await this.storage.migrate());
+            const [{ todos: storedTodos, skipped }, storedLists, storedSettings] = await Promise.all([
+                this.storage.readTodos(),
+                this.storage.loadLists(),
+                this.storage.loadSettings()
+            ]);
+
+            if (storedLists.length > 0) {
+                this.lists = storedLists.map(listData => TodoProject.fromJSON(listData));
+            }
+            this.settings = storedSettings;
+            if (storedSettings.locale && storedSettings.locale !== I18n.getLocale() && I18n.setLocale(storedSettings.locale)) {
+                this.onLocaleChange();
+            }
+            if (this.findListById(storedSettings.currentListId)) {
+                this.currentListId = storedSettings.currentListId;
+            } else if (!this.findListById(this.currentListId)) {
+                this.currentListId = this.lists[0].id;
+            }
+
+            const addedWhileLoading = this.todos;
+            const isChanged = this.store.batch(() => {
+                this.store.replace(storedTodos.map(todoData => TodoItem.fromJSON(todoData)).concat(addedWhileLoading));
+                return this.ensureSortKeys() || addedWhileLoading.length > 0;
+            }, { origin: 'storage' });
+            if (isChanged) {
+                this.saveTodos();
+            }
+            if (skipped > 0) {
+                this.notifications.showError(I18n.t('storage.entriesSkipped', { count: skipped }));
+            }
+        } catch (error) {
+            console.error('Error loading todos:', error);
+            this.notifications.showError(error instanceof SchemaMigrationError
+                ? I18n.t('storage.migrationFailed', { error: error.message })
+                : I18n.t('storage.loadFailed'));
+        }
+
+        // A lost history only costs the ability to undo, so it never blocks loading
+        try {
+            this.history.load(await this.storage.loadHistory());
+        } catch (error) {
+            console.warn('Could not load undo history:', error);
+        }
+        this.onHistoryChange();
+    }
+
+    /**
+     * Tell the user about stored entries a schema migration could not upgrade
+     * @param {Object} report - Result of TodoStorage.migrate()
+     */
+    reportMigration({ skipped }) {
+        if (skipped > 0) {
+            this.notifications.showError(I18n.t('storage.migrationSkipped', { count: skipped }));
+        }
+    }
+
+    /**
+     * Save the todos after a store change (store subscriber)
+     * Todos that were just loaded are already stored.
+     * @param {Object} info - Batch info from TodoStore
+     */
+    persistChanges(info) {
+        if (info.origin !== 'storage') {
+            this.saveTodos();
+        }
+    }
+
+    /**
+     * Queue a storage write behind any pending ones
+     * Saves are chained so a slow backend never applies them out of order.
+     * @param {Function} write - Performs the write and returns a promise
+     * @returns {Promise<void>}
+     */
+    persist(write) {
+        this.pendingSave = this.pendingSave
+            .then(write)
+            .catch(error => {
+                console.error('Error saving todos:', error);
+                this.notifications.showError(I18n.t('storage.saveFailed'), {
+                    label: I18n.t('notification.retry'),
+                    onClick: () => this.retrySave()
+                });
+            });
+        return this.pendingSave;
+    }
+
+    /**
+     * Save the current todos, lists and settings again after a failed save
+     * The current state is written rather than the failed write, which may be out of date.
+     * @returns {Promise<void>}
+     */
+    retrySave() {
+        this.saveTodos();
+        this.saveLists();
+        return this.saveSettings();
+    }
+
+    /**
+     * Save todos to storage
+     * @returns {Promise<void>}
+     */
+    saveTodos() {
+        const todoData = this.todos.map(todo => todo.toJSON());
+        return this.persist(() => this.storage.saveTodos(todoData));
+    }
+
+    /**
+     * Save lists to storage
+     * @returns {Promise<void>}
+     */
+    saveLists() {
+        const listData = this.lists.map(list => list.toJSON());
+        return this.persist(() => this.storage.saveLists(listData));
+    }
+
+    /**
+     * Save the undo history to storage
+     * Failures are only logged; the todos themselves are already saved.
+     * @returns {Promise<void>}
+     */
+    saveHistory() {
+        const history = this.history.toJSON();
+        this.pendingSave = this.pendingSave
+            .then(() => this.storage.saveHistory(history))
+            .catch(error => console.warn('Could not save undo history:', error));
+        return this.pendingSave;
+    }
+
+    /**
+     * Get the language messages are shown in
+     * @returns {string} - Locale (see I18n)
+     */
+    getLocale() {
+        return I18n.getLocale();
+    }
+
+    /**
+     * Show messages in another language and remember the choice in the settings
+     * @param {string} locale - Supported locale, e.g. 'es'
+     * @returns {boolean} - True if the locale is supported
+     */
+    setLocale(locale) {
+        if (!I18n.setLocale(locale)) {
+            this.notifications.showError(I18n.t('settings.unsupportedLocale', { locale }));
+            return false;
+        }
+
+        this.settings = { ...this.settings, locale: I18n.getLocale() };
+        this.saveSettings();
+        this.onLocaleChange();
+        return true;
+    }
+
+    /**
+     * Save settings to storage
+     * @returns {Promise<void>}
+     */
+    saveSettings() {
+        this.settings = { ...this.settings, currentListId: this.currentListId };
+        const settings = { ...this.settings };
+        return this.persist(() => this.storage.saveSettings(settings));
+    }
+
+    /**
+     * Find list by ID
+     * @param {string} listId - List ID
+     * @returns {TodoProject|null} - Found list or null
+     */
+    findListById(listId) {
+        return this.lists.find(list => list.id === listId) || null;
+    }
+
+    /**
+     * Get the current list
+     * @returns {TodoProject} - The current list
+     */
+    getCurrentList() {
+        return this.findListById(this.currentListId) || this.lists[0];
+    }
+
+    /**
+     * Create a new list and switch to it
+     * @param {string} name - List name
+     * @returns {TodoProject|null} - The new list or null if the name is invalid
+     */
+    createList(name) {
+        const validation = TodoValidator.validateListName(name);
+        if (!validation.isValid) {
+            this.notifications.showError(validation.error);
+            return null;
+        }
+
+        const list = new TodoProject(TodoValidator.sanitizeText(name));
+        this.recordChange('command.createList', () => this.lists.push(list));
+        this.saveLists();
+        this.queueLists();
+        this.switchList(list.id);
+        this.notifications.showSuccess(I18n.t('list.created'));
+        return list;
+    }
+
+    /**
+     * Rename a list
+     * @param {string} listId - List ID
+     * @param {string} name - New name
+     * @returns {boolean} - Success status
+     */
+    renameList(listId, name) {
+        const validation = TodoValidator.validateListName(name);
+        if (!validation.isValid) {
+            this.notifications.showError(validation.error);
+            return false;
+        }
+
+        const list = this.findListById(listId);
+        if (!list) return false;
+
+        this.recordChange('command.renameList', () => list.rename(name));
+        this.saveLists();
+        this.queueLists();
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Delete a list together with its todos
+     * @param {string} listId - List ID
+     * @returns {boolean} - Success status
+     */
+    deleteList(listId) {
+        const list = this.findListById(listId);
+        if (!list) return false;
+
+        if (this.lists.length === 1) {
+            this.notifications.showError(I18n.t('list.lastList'));
+            return false;
+        }
+
+        const listTodos = this.getTodosForList(listId);
+        if (listTodos.length > 0 &&
+            !this.confirmAction(I18n.t('list.confirmDelete', { name: list.name, count: listTodos.length }))) {
+            return false;
+        }
+
+        listTodos.forEach(todo => this.queueDelete(todo.id));
+        this.store.batch(() => {
+            this.recordChange('command.deleteList', () => {
+                this.store.remove(listTodos.map(todo => todo.id));
+                this.lists = this.lists.filter(item => item !== list);
+            }, I18n.t('list.deleted'));
+            if (this.currentListId === listId) {
+                this.currentListId = this.lists[0].id;
+                this.saveSettings();
+            }
+        });
+
+        this.saveLists();
+        this.queueLists();
+        // An empty list leaves the todos, and so the store, untouched
+        if (listTodos.length === 0) {
+            this.refresh();
+        }
+        return true;
+    }
+
+    /**
+     * Move a list up or down in the sidebar
+     * @param {string} listId - List ID
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveList(listId, offset) {
+        const index = this.lists.findIndex(list => list.id === listId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.lists.length) return;
+
+        this.recordChange('command.moveList', () => {
+            const [list] = this.lists.splice(index, 1);
+            this.lists.splice(target, 0, list);
+        });
+        this.saveLists();
+        this.queueLists();
+        this.refresh();
+    }
+
+    /**
+     * Switch to another list
+     * @param {string} listId - List ID
+     */
+    switchList(listId) {
+        if (!this.findListById(listId)) return;
+
+        this.currentListId = listId;
+        this.saveSettings();
+        this.refresh();
+    }
+
+    /**
+     * Show the message a batch of changes was made with (store subscriber)
+     * @param {Object} info - Batch info, e.g. { message: I18n.t('todo.added') }
+     */
+    notifyChanges(info) {
+        if (info.message) {
+            this.notifications.showSuccess(info.message);
+        }
+    }
+
+    /**
+     * Export todos
+     * @param {Object} options - Export options
+     * @param {boolean} options.allLists - Export every list instead of only the current one
+     * @param {string} options.format - Format name (see TodoFormats)
+     * @returns {string} - File contents; for JSON an array of todos, or { lists, todos } for all lists
+     */
+    exportTodos({ allLists = false, format = 'json' } = {}) {
+        const todos = (allLists ? this.todos : this.getAllTodos()).map(todo => todo.toJSON());
+        return TodoFormats.get(format).serialize(todos, {
+            lists: allLists ? this.lists.map(list => list.toJSON()) : null,
+            title: allLists ? null : this.getCurrentList().name
+        });
+    }
+
+    /**
+     * Parse and validate a file before importing it
+     * Formats other than JSON carry fewer fields: missing IDs and creation dates are filled in.
+     * @param {string} text - File contents
+     * @param {string} format - Format name (see TodoFormats)
+     * @returns {Object} - { format, lists, rows } with a { row, data, error } entry per todo
+     */
+    previewImport(text, format = 'json') {
+        const { lists, rows } = TodoFormats.get(format).parse(text);
+        if (lists) {
+            for (const data of lists) {
+                const validation = TodoValidator.validateListObject(data);
+                if (!validation.isValid) {
+                    throw new Error(I18n.t('import.invalidList', { error: validation.error }));
+                }
+            }
+        }
+
+        const seenIds = new Set();
+        const createdAt = this.now().toISOString();
+
+        return {
+            format,
+            lists,
+            rows: rows.map(({ row, data, error }) => {
+                if (error) return { row, data, error };
+
+                if (format !== 'json') {
+                    data = {
+                        createdAt,
+                        ...data,
+                        id: data.id ?? this.createTodoId(),
+                        subtasks: (data.subtasks || []).map((subtask, index) => ({ id: index + 1, ...subtask }))
+                    };
+                }
+
+                const validation = TodoValidator.validateTodoObject(data);
+                if (!validation.isValid) {
+                    return { row, data, error: validation.error };
+                }
+                if (seenIds.has(data.id)) {
+                    return { row, data, error: I18n.t('import.duplicateId', { id: data.id }) };
+                }
+                seenIds.add(data.id);
+                return { row, data, error: null };
+            })
+        };
+    }
+
+    /**
+     * Import the valid rows of a preview
+     * Replace swaps the current list for the imported todos (every list for an all-lists
+     * JSON export); merge adds new todos and replaces those with the same ID.
+     * @param {Object} preview - Result of previewImport
+     * @param {Object} options - Import options
+     * @param {string} options.mode - 'replace' or 'merge'
+     * @returns {number} - Number of imported todos
+     */
+    applyImport(preview, { mode = 'replace' } = {}) {
+        const isAllLists = Boolean(preview.lists);
+        const isMerge = mode === 'merge';
+        const importedTodos = preview.rows.filter(row => !row.error).map(row => TodoItem.fromJSON(row.data));
+        if (!isAllLists) {
+            importedTodos
+                .filter(todo => todo.listId !== this.currentListId)
+                .forEach(todo => todo.moveToList(this.currentListId, this.now()));
+        }
+
+        const importedIds = new Set(importedTodos.map(todo => todo.id));
+        const replacedTodos = new Set(isMerge ? [] : (isAllLists ? this.todos : this.getAllTodos()));
+        replacedTodos.forEach(todo => {
+            if (!importedIds.has(todo.id)) {
+                this.queueDelete(todo.id);
+            }
+        });
+
+        const message = isMerge
+            ? I18n.t('import.merged', { count: importedTodos.length })
+            : I18n.t('import.replaced');
+        this.recordChange('command.importTasks', () => {
+            if (isAllLists) {
+                const importedLists = preview.lists.map(data => TodoProject.fromJSON(data));
+                this.lists = isMerge
+                    ? this.lists.concat(importedLists.filter(list => !this.findListById(list.id)))
+                    : importedLists;
+                if (!this.findListById(this.currentListId)) {
+                    this.currentListId = this.lists[0].id;
+                    this.saveSettings();
+                }
+                this.saveLists();
+                this.queueLists();
+            }
+
+            const kept = this.todos.filter(todo => !importedIds.has(todo.id) && !replacedTodos.has(todo));
+            this.store.replace(kept.concat(importedTodos));
+            this.ensureSortKeys();
+        }, message);
+
+        importedTodos.forEach(todo => this.queueUpsert(todo));
+        return importedTodos.length;
+    }
+
+    /**
+     * Import todos, failing if any of them is invalid
+     * By default a JSON array replaces the current list and a { lists, todos } export replaces every list.
+     * @param {string} text - File contents
+     * @param {Object} options - Import options
+     * @param {string} options.format - Format name (see TodoFormats)
+     * @param {string} options.mode - 'replace' or 'merge'
+     * @returns {boolean} - Success status
+     */
+    importTodos(text, { format = 'json', mode = 'replace' } = {}) {
+        try {
+            const preview = this.previewImport(text, format);
+            const invalid = preview.rows.find(row => row.error);
+            if (invalid) {
+                throw new Error(I18n.t('import.invalidTodo', { error: TodoFormats.describeError(invalid.error) }));
+            }
+
+            this.applyImport(preview, { mode });
+            return true;
+        } catch (error) {
+            this.notifications.showError(I18n.t('import.failed', { error: TodoFormats.describeError(error) }));
+            return false;
+        }
+    }
+}
@@ -1,42 +1,439 @@
 /**
- * TodoList class - main application controller
- * Orchestrates all todo operations and UI interactions
+ * TodoList class - browser view of the todo app
+ * Extends the DOM-free TodoCore with rendering, notifications, the form,
+ * keyboard shortcuts, selection and the other UI components.
  */
-import { TodoItem } from '../models/TodoItem.js';
-import { TodoStorage } from './TodoStorage.js';
-import { TodoValidator } from '../utils/TodoValidator.js';
+import { TodoCore } from './TodoCore.js';
+import { LocalStorageAdapter } from './storage/LocalStorageAdapter.js';
+import { FilterRouter } from './FilterRouter.js';
+import { TodoSorter } from '../utils/TodoSorter.js';
+import { RecurrenceUtils } from '../utils/RecurrenceUtils.js';
+import { DueDateUtils } from '../utils/DueDateUtils.js';
+import { SearchUtils } from '../utils/SearchUtils.js';
+import { TodoFormats } from '../utils/formats/TodoFormats.js';
+import { I18n } from '../utils/I18n.js';
 import { TodoRenderer } from '../ui/TodoRenderer.js';
 import { NotificationManager } from '../ui/NotificationManager.js';
-
-export class TodoList {
-    constructor() {
-        this.todos = [];
-        this.storage = new TodoStorage();
-        this.renderer = new TodoRenderer();
-        this.notifications = new NotificationManager();
+import { NotificationHistory } from '../ui/NotificationHistory.js';
+import { ProjectSidebar } from '../ui/ProjectSidebar.js';
+import { TagPanel } from '../ui/TagPanel.js';
+import { CommandPalette } from '../ui/CommandPalette.js';
+import { ShortcutHelp } from '../ui/ShortcutHelp.js';
+import { BulkActionBar } from '../ui/BulkActionBar.js';
+import { ImportExportDialog } from '../ui/ImportExportDialog.js';
+
+export class TodoList extends TodoCore {
+    /**
+     * @param {TodoStorage} storage - Storage adapter used for persistence
+     * @param {Object} options - TodoCore options (sync, now, createId, notifications, locale);
+     *   the locale defaults to the browser's until a saved choice is loaded
+     */
+    constructor(storage = new LocalStorageAdapter(), options = {}) {
+        super(storage, { notifications: new NotificationManager(), locale: I18n.detectLocale(), ...options });
+        this.router = new FilterRouter();
+        this.viewFilter = this.router.getFilter();
+        this.searchTimer = null;
+        this.selectedTodoId = null;
+        this.bulkSelection = new Set();
+        this.bulkAnchorId = null;
+        this.expandedTodoIds = new Set();
+        this.renderer = new TodoRenderer('#todoList', { now: this.now });
+        this.sidebar = new ProjectSidebar();
+        this.tagPanel = new TagPanel();
+        this.commandPalette = new CommandPalette();
+        this.shortcutHelp = new ShortcutHelp();
+        this.bulkBar = new BulkActionBar();
+        this.transferDialog = new ImportExportDialog();
+        this.notificationHistory = new NotificationHistory(this.notifications);
+
+        // The view renders every todo change the store reports
+        this.store.subscribe((changes, info) => this.renderChanges(changes, info));
+        this.store.subscribe(() => this.updateStats());
 
         // DOM elements
         this.todoInput = document.getElementById('todoInput');
+        this.dueDateInput = document.getElementById('dueDateInput');
+        this.dueTimeInput = document.getElementById('dueTimeInput');
+        this.prioritySelect = document.getElementById('prioritySelect');
+        this.recurrenceSelect = document.getElementById('recurrenceSelect');
+        this.recurrenceInterval = document.getElementById('recurrenceInterval');
+        this.recurrenceWeekdays = document.getElementById('recurrenceWeekdays');
+        this.sortSelect = document.getElementById('sortSelect');
+        this.autoCompleteToggle = document.getElementById('autoCompleteToggle');
         this.addButton = document.getElementById('addButton');
+        this.newListInput = document.getElementById('newListInput');
+        this.addListButton = document.getElementById('addListButton');
+        this.filterTabs = document.getElementById('filterTabs');
+        this.searchInput = document.getElementById('searchInput');
+        this.transferButton = document.getElementById('transferButton');
+        this.undoButton = document.getElementById('undoButton');
+        this.redoButton = document.getElementById('redoButton');
+        this.localeSelect = document.getElementById('localeSelect');
+
+        // Add notification animations
+        NotificationManager.addAnimations();
+
+        // Bind event listeners
+        this.bindEvents();
 
-        this.init();
+        this.renderLocaleOptions();
+        I18n.translate(document);
+
+        // Render empty state while the storage backend loads (see TodoCore.init)
+        this.refresh();
     }
 
     /**
-     * Initialize the application
+     * Translate the page into the new language
+     * Static markup is translated through its data-i18n attributes; everything else is re-rendered.
      */
-    init() {
-        // Add notification animations
-        NotificationManager.addAnimations();
+    onLocaleChange() {
+        I18n.translate(document);
+        if (this.renderer.syncStatus) {
+            this.renderer.updateSyncStatus(this.renderer.syncStatus);
+        }
+        this.notificationHistory.update();
+        this.updateHistoryButtons();
+        this.refresh();
+    }
 
-        // Load existing todos
-        this.loadTodos();
+    /**
+     * Fill the language switcher with the languages that have a catalog
+     */
+    renderLocaleOptions() {
+        if (!this.localeSelect) return;
 
-        // Bind event listeners
-        this.bindEvents();
+        this.localeSelect.innerHTML = Object.entries(I18n.LOCALE_NAMES)
+            .map(([locale, name]) => `<option value="${locale}" lang="${locale}">${name}</option>`)
+            .join('');
+    }
 
-        // Render initial state
-        this.render();
+    /**
+     * Show the sync status in the stats bar
+     * @param {string} status - Sync status (see SyncManager)
+     */
+    onSyncStatus(status) {
+        this.renderer.updateSyncStatus(status);
+    }
+
+    /**
+     * Enable or disable the undo and redo buttons when the history changes
+     */
+    onHistoryChange() {
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Ask before a destructive action
+     * @param {string} message - Question to ask
+     * @returns {boolean} - True if the user confirmed
+     */
+    confirmAction(message) {
+        return window.confirm(message);
+    }
+
+    /**
+     * Change the All / Active / Completed view and show it in the URL
+     * @param {string} filter - One of FilterRouter.FILTERS
+     * @param {Object} options - Options
+     * @param {boolean} options.updateUrl - Update the URL hash; false when following the URL
+     * @returns {boolean} - True if the filter is valid
+     */
+    setViewFilter(filter, { updateUrl = true } = {}) {
+        if (!FilterRouter.FILTERS.includes(filter)) return false;
+
+        if (updateUrl) {
+            this.router.navigate(filter);
+        }
+        return super.setViewFilter(filter);
+    }
+
+    /**
+     * Search the todos, cancelling a search still waiting for typing to stop
+     * @param {string} query - Search text
+     */
+    setSearchQuery(query) {
+        clearTimeout(this.searchTimer);
+        super.setSearchQuery(query);
+    }
+
+    /**
+     * Add a subtask, keeping the subtask list open for the next one
+     * @param {string} id - Todo ID
+     * @param {string} text - Subtask text
+     * @returns {Object|null} - New subtask, or null if it was not added
+     */
+    addSubtask(id, text) {
+        const subtask = this.store.batch(() => {
+            const added = super.addSubtask(id, text);
+            if (added) {
+                this.expandedTodoIds.add(id);
+            }
+            return added;
+        });
+        if (subtask) {
+            this.renderer.focusSubtaskInput(id);
+        }
+        return subtask;
+    }
+
+    /**
+     * Move a todo up or down and keep the focus on its drag handle
+     * @param {string} id - Todo ID
+     * @param {number} offset - Positions to move, negative for up
+     * @returns {boolean} - True if the todo moved
+     */
+    moveTodoBy(id, offset) {
+        const moved = super.moveTodoBy(id, offset);
+        if (moved) {
+            this.renderer.focusDragHandle(id);
+        }
+        return moved;
+    }
+
+    /**
+     * Handle Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y
+     * Text fields keep their own undo.
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        if (this.isTypingTarget(e.target)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || (key === 'y' && e.ctrlKey)) {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    /**
+     * Check if a key press belongs to a text field rather than the app
+     * @param {EventTarget} target - Event target
+     * @returns {boolean} - True while typing in a field
+     */
+    isTypingTarget(target) {
+        if (!target || !target.tagName) return false;
+        if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+        return target.tagName === 'INPUT' &&
+            !['checkbox', 'radio', 'button', 'submit', 'reset', 'color', 'file', 'range'].includes(target.type);
+    }
+
+    /**
+     * Handle the single-key shortcuts and Ctrl/Cmd+K
+     * Single keys are ignored while typing in a field; see ShortcutHelp.SHORTCUTS.
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleShortcut(e) {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            this.toggleCommandPalette();
+            return;
+        }
+        if (e.ctrlKey || e.metaKey || e.altKey || this.commandPalette.isOpen() || this.transferDialog.isOpen() ||
+            this.notificationHistory.isOpen()) return;
+
+        if (e.key === 'Escape' && this.shortcutHelp.isOpen()) {
+            this.shortcutHelp.close();
+            return;
+        }
+        if (this.isTypingTarget(e.target)) return;
+
+        const actions = {
+            n: () => this.focusNewTask(),
+            j: () => this.moveSelection(1),
+            k: () => this.moveSelection(-1),
+            x: () => this.toggleSelectedTodo(),
+            e: () => this.editSelectedTodo(),
+            Delete: () => this.deleteSelectedTodo(),
+            '/': () => this.searchInput?.focus(),
+            '?': () => this.shortcutHelp.toggle(),
+            Escape: () => this.selectTodo(null)
+        };
+        const action = actions[e.key];
+        if (action) {
+            e.preventDefault();
+            action();
+        }
+    }
+
+    /**
+     * Open the command palette, or close it if it is open
+     */
+    toggleCommandPalette() {
+        if (this.commandPalette.isOpen()) {
+            this.commandPalette.close();
+        } else {
+            this.shortcutHelp.close();
+            this.commandPalette.open(this.getCommands());
+        }
+    }
+
+    /**
+     * Get the actions offered in the command palette
+     * @returns {Array} - { label, run, shortcut } entries
+     */
+    getCommands() {
+        return [
+            { label: I18n.t('palette.newTask'), shortcut: 'N', run: () => this.focusNewTask() },
+            { label: I18n.t('palette.search'), shortcut: '/', run: () => this.searchInput?.focus() },
+            { label: I18n.t('palette.showAll'), run: () => this.setViewFilter('all') },
+            { label: I18n.t('palette.showActive'), run: () => this.setViewFilter('active') },
+            { label: I18n.t('palette.showCompleted'), run: () => this.setViewFilter('completed') },
+            { label: I18n.t('palette.clearCompleted'), run: () => this.clearCompletedTodos() },
+            { label: I18n.t('palette.clearAll'), run: () => this.clearAllTodos() },
+            { label: I18n.t('palette.selectAll'), run: () => this.selectAllVisible() },
+            { label: I18n.t('palette.clearSelection'), run: () => this.clearBulkSelection() },
+            { label: I18n.t('palette.exportList'), run: () => this.downloadExport() },
+            { label: I18n.t('palette.exportAll'), run: () => this.downloadExport({ allLists: true }) },
+            { label: I18n.t('palette.import'), run: () => this.transferDialog.open('import') },
+            { label: I18n.t('palette.exportAs'), run: () => this.transferDialog.open('export') },
+            { label: I18n.t('palette.undo'), shortcut: 'Ctrl+Z', run: () => this.undo() },
+            { label: I18n.t('palette.redo'), shortcut: 'Ctrl+Shift+Z', run: () => this.redo() },
+            { label: I18n.t('palette.shortcuts'), shortcut: '?', run: () => this.shortcutHelp.open() },
+            { label: I18n.t('palette.notificationHistory'), run: () => this.notificationHistory.open() },
+            ...TodoSorter.SORT_OPTIONS.map(sortBy => ({
+                label: I18n.t('palette.sortBy', { sort: I18n.t(`sort.${sortBy}`) }),
+                run: () => this.setSortOrder(sortBy)
+            })),
+            ...Object.entries(I18n.LOCALE_NAMES)
+                .filter(([locale]) => locale !== this.getLocale())
+                .map(([locale, name]) => ({
+                    label: I18n.t('palette.language', { language: name }),
+                    run: () => this.setLocale(locale)
+                })),
+            ...this.lists
+                .filter(list => list.id !== this.currentListId)
+                .map(list => ({ label: I18n.t('palette.goToList', { name: list.name }), run: () => this.switchList(list.id) }))
+        ];
+    }
+
+    /**
+     * Move the focus to the new task input
+     */
+    focusNewTask() {
+        if (this.todoInput) {
+            this.todoInput.focus();
+        }
+    }
+
+    /**
+     * Select a todo for the keyboard shortcuts
+     * @param {string|null} id - Todo ID, or null to clear the selection
+     */
+    selectTodo(id) {
+        this.selectedTodoId = id;
+        this.renderer.markSelected(id);
+    }
+
+    /**
+     * Get the selected todo if it is visible
+     * @returns {TodoItem|null} - Selected todo or null
+     */
+    getSelectedTodo() {
+        return this.getVisibleTodos().find(todo => todo.id === this.selectedTodoId) || null;
+    }
+
+    /**
+     * Select the next or previous visible todo (j / k)
+     * Without a selection, j starts at the top and k at the bottom.
+     * @param {number} offset - 1 for next, -1 for previous
+     */
+    moveSelection(offset) {
+        const visible = this.getVisibleTodos();
+        if (visible.length === 0) return;
+
+        const index = visible.findIndex(todo => todo.id === this.selectedTodoId);
+        const target = index === -1
+            ? (offset > 0 ? 0 : visible.length - 1)
+            : Math.min(Math.max(index + offset, 0), visible.length - 1);
+        this.selectTodo(visible[target].id);
+    }
+
+    /**
+     * Run an action on the selected todo, then keep a selection in place
+     * If the todo disappears from view (deleted, or filtered out after toggling),
+     * the todo now at its position is selected instead.
+     * @param {Function} action - Called with the selected todo
+     */
+    withSelectedTodo(action) {
+        const todo = this.getSelectedTodo();
+        if (!todo) return;
+
+        const index = this.getVisibleTodos().indexOf(todo);
+        action(todo);
+
+        const visible = this.getVisibleTodos();
+        if (!visible.some(item => item.id === todo.id)) {
+            const next = visible[Math.min(index, visible.length - 1)];
+            this.selectTodo(next ? next.id : null);
+        } else {
+            this.renderer.markSelected(todo.id);
+        }
+    }
+
+    /**
+     * Complete or re-open the selected todo (x)
+     */
+    toggleSelectedTodo() {
+        this.withSelectedTodo(todo => this.toggleTodo(todo.id));
+    }
+
+    /**
+     * Delete the selected todo (Delete)
+     */
+    deleteSelectedTodo() {
+        this.withSelectedTodo(todo => this.deleteTodo(todo.id));
+    }
+
+    /**
+     * Open the inline editor on the selected todo (e)
+     */
+    editSelectedTodo() {
+        const todo = this.getSelectedTodo();
+        const todoElement = todo ? this.renderer.getTodoElement(todo.id) : null;
+        if (todoElement) {
+            this.renderer.startEdit(todoElement, (text) => this.editTodo(todo.id, text));
+        }
+    }
+
+    /**
+     * Download the current list, or every list, as a file
+     * @param {Object} options - Export options
+     * @param {boolean} options.allLists - Export every list
+     * @param {string} options.format - Format name (see TodoFormats)
+     */
+    downloadExport({ allLists = false, format = 'json' } = {}) {
+        const { EXTENSION, MIME_TYPE } = TodoFormats.get(format);
+        const blob = new Blob([this.exportTodos({ allLists, format })], { type: MIME_TYPE });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = allLists ? `todos.${EXTENSION}` : `todos-${this.currentListId}.${EXTENSION}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Enable or disable the undo and redo buttons
+     */
+    updateHistoryButtons() {
+        if (this.undoButton) {
+            this.undoButton.disabled = !this.history.canUndo();
+            this.undoButton.title = this.history.canUndo()
+                ? I18n.t('history.undoTitle', { label: I18n.t(this.history.undoStack[this.history.undoStack.length - 1].label) })
+                : I18n.t('history.nothingToUndo');
+        }
+        if (this.redoButton) {
+            this.redoButton.disabled = !this.history.canRedo();
+            this.redoButton.title = this.history.canRedo()
+                ? I18n.t('history.redoTitle', { label: I18n.t(this.history.redoStack[this.history.redoStack.length - 1].label) })
+                : I18n.t('history.nothingToRedo');
+        }
     }
 
     /**
@@ -65,244 +462,439 @@ export class TodoList {
                 this.todoInput.style.borderColor = '#e1e5e9';
             });
         }
-    }
 
-    /**
-     * Add a new todo
-     */
-    addTodo() {
-        if (!this.todoInput) return;
+        // Show the inputs the chosen repeat rule needs
+        if (this.recurrenceSelect) {
+            this.recurrenceSelect.addEventListener('change', () => this.updateRecurrenceInputs());
+        }
 
-        const text = this.todoInput.value;
-        const validation = TodoValidator.validateText(text);
+        // Sort order of the current list
+        if (this.sortSelect) {
+            this.sortSelect.addEventListener('change', () => this.setSortOrder(this.sortSelect.value));
+        }
 
-        if (!validation.isValid) {
-            this.notifications.showError(validation.error);
-            return;
+        // Language switcher
+        if (this.localeSelect) {
+            this.localeSelect.addEventListener('change', () => this.setLocale(this.localeSelect.value));
         }
 
-        const todoItem = new TodoItem(text);
-        this.todos.push(todoItem);
+        // Complete a task together with its last subtask
+        if (this.autoCompleteToggle) {
+            this.autoCompleteToggle.addEventListener('change', () => {
+                this.setAutoCompleteSubtasks(this.autoCompleteToggle.checked);
+            });
+        }
 
-        this.saveTodos();
-        this.render();
+        // New list
+        if (this.addListButton) {
+            this.addListButton.addEventListener('click', () => this.createListFromInput());
+        }
 
-        // Clear input and focus
-        this.renderer.clearInput();
-        this.renderer.focusInput();
+        if (this.newListInput) {
+            this.newListInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.createListFromInput();
+                }
+            });
+        }
+
+        // Undo and redo
+        if (this.undoButton) {
+            this.undoButton.addEventListener('click', () => this.undo());
+        }
+
+        if (this.redoButton) {
+            this.redoButton.addEventListener('click', () => this.redo());
+        }
+
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+
+        // Keyboard shortcuts and the command palette
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+
+        // Import and export dialog
+        if (this.transferButton) {
+            this.transferButton.addEventListener('click', () => this.transferDialog.open());
+        }
+        this.transferDialog.bindEvents({
+            onExport: (format, allLists) => this.downloadExport({ format, allLists }),
+            onPreview: (text, format) => this.previewImport(text, format),
+            onImport: (preview, mode) => this.applyImport(preview, { mode })
+        });
+
+        // Search as you type; Escape clears the search
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.setSearchQuery(this.searchInput.value), SearchUtils.DEBOUNCE_MS);
+            });
+            this.searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.searchInput.value = '';
+                    this.setSearchQuery('');
+                }
+            });
+        }
 
-        this.notifications.showSuccess('Task added successfully!');
+        // All / Active / Completed views
+        if (this.filterTabs) {
+            this.filterTabs.addEventListener('click', (e) => {
+                const tab = e.target.closest('[data-filter]');
+                if (tab) {
+                    e.preventDefault();
+                    this.setViewFilter(tab.dataset.filter);
+                }
+            });
+        }
+
+        this.router.listen((filter) => this.setViewFilter(filter, { updateUrl: false }));
+
+        // Controls on the todo rows, delegated to the list so re-rendering needs no new listeners
+        this.renderer.bindTodoEvents({
+            onToggle: (id) => this.toggleTodo(id),
+            onSelect: (id, options) => this.toggleBulkSelection(id, options),
+            onDelete: (id) => this.deleteTodo(id),
+            onCyclePriority: (id) => this.cycleTodoPriority(id),
+            onEdit: (id, text) => this.editTodo(id, text),
+            onTagClick: (tag) => this.toggleTagFilter(tag),
+            onToggleSubtaskList: (id) => this.toggleSubtaskList(id),
+            onAddSubtask: (id, text) => this.addSubtask(id, text),
+            onToggleSubtask: (id, subtaskId) => this.toggleSubtask(id, subtaskId),
+            onDeleteSubtask: (id, subtaskId) => this.deleteSubtask(id, subtaskId),
+            onFocusRow: (id) => this.selectTodo(id)
+        });
+
+        // Manual reordering
+        this.renderer.bindReorderEvents({
+            onReorder: (id, previousId, nextId) => this.moveTodo(id, previousId, nextId),
+            onMoveBy: (id, offset) => this.moveTodoBy(id, offset)
+        });
+
+        // Sidebar actions
+        this.sidebar.bindEvents({
+            onSelect: (listId) => this.switchList(listId),
+            onRename: (listId, name) => this.renameList(listId, name),
+            onMove: (listId, offset) => this.moveList(listId, offset),
+            onDelete: (listId) => this.deleteList(listId)
+        });
+
+        // Tag filter and management
+        this.tagPanel.bindEvents({
+            onToggleFilter: (tag) => this.toggleTagFilter(tag),
+            onModeChange: (mode) => this.setTagFilterMode(mode),
+            onClearFilter: () => this.clearTagFilter(),
+            onRename: (tag, newName) => this.renameTag(tag, newName),
+            onColorChange: (tag, color) => this.setTagColor(tag, color)
+        });
+
+        // Bulk actions on the checked todos
+        this.bulkBar.bindEvents({
+            onSelectAll: (selected) => this.selectAllVisible(selected),
+            onComplete: () => this.setTodosCompleted(this.getBulkSelectedIds(), true),
+            onReopen: () => this.setTodosCompleted(this.getBulkSelectedIds(), false),
+            onSetPriority: (priority) => this.setTodosPriority(this.getBulkSelectedIds(), priority),
+            onAddTag: (tag) => this.addTagToTodos(this.getBulkSelectedIds(), tag) > 0,
+            onRemoveTag: (tag) => this.removeTagFromTodos(this.getBulkSelectedIds(), tag) > 0,
+            onDelete: () => this.deleteTodos(this.getBulkSelectedIds()),
+            onClearSelection: () => this.clearBulkSelection()
+        });
     }
 
     /**
-     * Toggle todo completion status
-     * @param {number} id - Todo ID
+     * Add a new todo
+     * '#tags' in the text are stored as tags and removed from the task text.
      */
-    toggleTodo(id) {
-        const todo = this.findTodoById(id);
-        if (todo) {
-            todo.toggle();
-            this.saveTodos();
-            this.render();
+    addTodo() {
+        if (!this.todoInput) return;
+
+        const dueDate = this.dueDateInput?.value || null;
+        const todo = this.createTodo(this.todoInput.value, {
+            dueDate,
+            dueTime: this.dueTimeInput?.value || null,
+            priority: this.prioritySelect?.value || 'none',
+            recurrence: this.readRecurrenceInput(dueDate)
+        });
+        if (!todo) return;
+
+        // Clear input and focus
+        this.renderer.clearInput();
+        this.renderer.clearInput('#dueDateInput');
+        this.renderer.clearInput('#dueTimeInput');
+        if (this.prioritySelect) {
+            this.prioritySelect.value = 'none';
+        }
+        if (this.recurrenceSelect) {
+            this.recurrenceSelect.value = 'none';
+            this.updateRecurrenceInputs();
         }
+        this.renderer.focusInput();
     }
 
     /**
-     * Delete a todo
-     * @param {number} id - Todo ID
+     * Build the repeat rule chosen in the add form
+     * Monthly and default weekly rules follow the due date, or today without one.
+     * @param {string|null} dueDate - Due date chosen in the form
+     * @returns {Object|null} - Recurrence rule, or null for a one-off task
      */
-    deleteTodo(id) {
-        const index = this.findTodoIndexById(id);
-        if (index > -1) {
-            this.todos.splice(index, 1);
-            this.saveTodos();
-            this.render();
-            this.notifications.showInfo('Task deleted!');
+    readRecurrenceInput(dueDate) {
+        const type = this.recurrenceSelect?.value || 'none';
+        const anchor = DueDateUtils.parseDateKey(dueDate) || this.now();
+        const interval = Number(this.recurrenceInterval?.value || 1);
+
+        switch (type) {
+            case 'daily':
+            case 'afterCompletion':
+                return { type, interval };
+            case 'weekly': {
+                const checked = this.recurrenceWeekdays?.querySelectorAll('input:checked') || [];
+                const weekdays = [...checked].map(input => Number(input.value));
+                return { type, weekdays: weekdays.length > 0 ? weekdays : [anchor.getDay()] };
+            }
+            case 'monthlyDay':
+                return { type: 'monthly', day: anchor.getDate() };
+            case 'monthlyWeekday':
+                return RecurrenceUtils.monthlyWeekdayRuleFor(DueDateUtils.toDateKey(anchor));
+            default:
+                return null;
         }
     }
 
     /**
-     * Update todo text
-     * @param {number} id - Todo ID
-     * @param {string} newText - New text
+     * Show the interval or weekday inputs for the chosen repeat rule
      */
-    updateTodo(id, newText) {
-        const validation = TodoValidator.validateText(newText);
-        if (!validation.isValid) {
-            this.notifications.showError(validation.error);
-            return false;
+    updateRecurrenceInputs() {
+        const type = this.recurrenceSelect?.value;
+        if (this.recurrenceInterval) {
+            this.recurrenceInterval.hidden = type !== 'daily' && type !== 'afterCompletion';
+            if (this.recurrenceInterval.hidden) {
+                this.recurrenceInterval.value = '1';
+            }
         }
-
-        const todo = this.findTodoById(id);
-        if (todo) {
-            todo.updateText(newText);
-            this.saveTodos();
-            this.render();
-            return true;
+        if (this.recurrenceWeekdays) {
+            this.recurrenceWeekdays.hidden = type !== 'weekly';
+            if (this.recurrenceWeekdays.hidden) {
+                this.recurrenceWeekdays.querySelectorAll('input').forEach(input => {
+                    input.checked = false;
+                });
+            }
         }
-        return false;
     }
 
     /**
-     * Find todo by ID
-     * @param {number} id - Todo ID
-     * @returns {TodoItem|null} - Found todo or null
+     * Check or uncheck a todo for bulk actions
+     * With range, every visible todo between the last checked one and this one is checked.
+     * @param {string} id - Todo ID
+     * @param {Object} options - Selection options
+     * @param {boolean} options.range - Extend the selection from the last clicked todo (Shift+click)
      */
-    findTodoById(id) {
-        return this.todos.find(todo => todo.id === id) || null;
+    toggleBulkSelection(id, { range = false } = {}) {
+        const visibleIds = this.getVisibleTodos().map(todo => todo.id);
+        const anchorIndex = visibleIds.indexOf(this.bulkAnchorId);
+        const index = visibleIds.indexOf(id);
+        if (index === -1) return;
+
+        if (range && anchorIndex > -1) {
+            const [start, end] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+            visibleIds.slice(start, end + 1).forEach(todoId => this.bulkSelection.add(todoId));
+        } else if (this.bulkSelection.has(id)) {
+            this.bulkSelection.delete(id);
+        } else {
+            this.bulkSelection.add(id);
+        }
+        this.bulkAnchorId = id;
+        this.updateBulkSelection();
     }
 
     /**
-     * Find todo index by ID
-     * @param {number} id - Todo ID
-     * @returns {number} - Index or -1 if not found
+     * Check or uncheck every visible todo
+     * @param {boolean} selected - True to check all
      */
-    findTodoIndexById(id) {
-        return this.todos.findIndex(todo => todo.id === id);
+    selectAllVisible(selected = true) {
+        this.bulkSelection = selected ? new Set(this.getVisibleTodos().map(todo => todo.id)) : new Set();
+        this.bulkAnchorId = null;
+        this.updateBulkSelection();
     }
 
     /**
-     * Get all todos
-     * @returns {Array} - Array of todos
+     * Uncheck every todo
      */
-    getAllTodos() {
-        return [...this.todos];
+    clearBulkSelection() {
+        this.selectAllVisible(false);
     }
 
     /**
-     * Get completed todos
-     * @returns {Array} - Array of completed todos
+     * Get the todos checked for bulk actions
+     * @returns {Array<string>} - Todo IDs in view order
      */
-    getCompletedTodos() {
-        return this.todos.filter(todo => todo.completed);
+    getBulkSelectedIds() {
+        return this.getVisibleTodos().map(todo => todo.id).filter(id => this.bulkSelection.has(id));
     }
 
     /**
-     * Get incomplete todos
-     * @returns {Array} - Array of incomplete todos
+     * Show the bulk selection on the rows and in the action bar without re-rendering
      */
-    getIncompleteTodos() {
-        return this.todos.filter(todo => !todo.completed);
+    updateBulkSelection() {
+        this.renderer.markBulkSelected(this.bulkSelection);
+        this.bulkBar.render(this.bulkSelection.size, this.getVisibleTodos().length);
     }
 
     /**
-     * Get statistics
-     * @returns {Object} - Statistics object
+     * Show or hide the subtasks of a todo
+     * @param {string} id - Todo ID
      */
-    getStats() {
-        const total = this.todos.length;
-        const completed = this.getCompletedTodos().length;
-        const incomplete = this.getIncompleteTodos().length;
-
-        return {
-            total,
-            completed,
-            incomplete,
-            completionRate: total > 0 ? (completed / total) * 100 : 0
-        };
+    toggleSubtaskList(id) {
+        if (this.expandedTodoIds.has(id)) {
+            this.expandedTodoIds.delete(id);
+        } else {
+            this.expandedTodoIds.add(id);
+        }
+        this.refresh();
     }
 
     /**
-     * Clear all todos
+     * Create a list from the sidebar input
      */
-    clearAllTodos() {
-        this.todos = [];
-        this.saveTodos();
-        this.render();
-        this.notifications.showInfo('All tasks cleared!');
+    createListFromInput() {
+        if (!this.newListInput) return;
+
+        if (this.createList(this.newListInput.value)) {
+            this.newListInput.value = '';
+        }
     }
 
     /**
-     * Clear completed todos
+     * Render the todos after a store change (store subscriber)
+     * Text saved from the inline editor only updates its own row. Todos changed in place,
+     * e.g. toggled, only re-render their rows and the counts, unless that would add, hide
+     * or move a row; anything else renders the whole list.
+     * @param {Array<Object>} changes - { type, todos } changes from TodoStore
+     * @param {Object} info - Batch info
      */
-    clearCompletedTodos() {
-        this.todos = this.getIncompleteTodos();
-        this.saveTodos();
-        this.render();
-        this.notifications.showInfo('Completed tasks cleared!');
+    renderChanges(changes, info) {
+        if (info.inline) {
+            changes.forEach(change => change.todos.forEach(todo => this.renderer.updateTodoElement(todo.id, todo)));
+        } else if (this.canPatchRows(changes)) {
+            this.renderPanels();
+            this.renderer.patchTodos(changes.flatMap(change => change.todos));
+        } else {
+            this.render();
+        }
     }
 
     /**
-     * Load todos from storage
+     * Check whether a batch only changed todos that keep their place in the rendered list
+     * Each must stay hidden, or stay visible and in order with the rows next to it.
+     * @param {Array<Object>} changes - { type, todos } changes from TodoStore
+     * @returns {boolean} - True if patching their rows is enough
      */
-    loadTodos() {
-        const storedTodos = this.storage.loadTodos();
-        this.todos = storedTodos.map(todoData => TodoItem.fromJSON(todoData));
+    canPatchRows(changes) {
+        if (!changes.every(change => change.type === 'updated')) return false;
+
+        const updated = new Map(changes.flatMap(change => change.todos.map(todo => [todo.id, todo])));
+        const rendered = this.renderer.todos;
+        const latest = (index) => (rendered[index] ? updated.get(rendered[index].id) || rendered[index] : null);
+        const { sortBy } = this.getCurrentList();
+
+        return [...updated.values()].every(todo => {
+            const index = this.renderer.indexOfTodo(todo.id);
+            if (!this.isTodoVisible(todo)) return index === -1;
+            if (index === -1) return false;
+
+            const previous = latest(index - 1);
+            const next = latest(index + 1);
+            return (!previous || TodoSorter.compare(previous, todo, sortBy) <= 0) &&
+                (!next || TodoSorter.compare(todo, next, sortBy) <= 0);
+        });
     }
 
     /**
-     * Save todos to storage
+     * Re-render everything after a change of view, list or settings
      */
-    saveTodos() {
-        this.storage.saveTodos(this.todos);
+    refresh() {
+        this.render();
+        this.updateStats();
     }
 
     /**
-     * Render the todo list and update UI
+     * Render the lists, tags and todos
+     * Statistics are updated separately by updateStats().
      */
     render() {
-        // Render todos
-        this.renderer.renderTodos(this.todos);
-
-        // Add event listeners to rendered elements
-        this.addEventListenersToRenderedTodos();
-
-        // Update statistics
-        const stats = this.getStats();
-        this.renderer.updateStats(stats.total, stats.completed);
+        this.renderPanels();
+        this.renderer.updateListTitle(this.getCurrentList().name);
+        this.renderer.updateSortSelect(this.getCurrentList().sortBy);
+        if (this.autoCompleteToggle) {
+            this.autoCompleteToggle.checked = this.isAutoCompleteSubtasks();
+        }
+        if (this.localeSelect) {
+            this.localeSelect.value = this.getLocale();
+        }
+        this.renderer.setExpandedTodoIds(this.expandedTodoIds);
+        this.renderer.setSearchQuery(this.searchQuery);
+        this.renderer.setReorderable(this.getCurrentList().sortBy === 'manual');
+        this.renderer.setSelectedTodoId(this.selectedTodoId);
+
+        // Only todos in view stay checked for bulk actions
+        const visibleTodos = this.getVisibleTodos();
+        this.bulkSelection = new Set(visibleTodos.map(todo => todo.id).filter(id => this.bulkSelection.has(id)));
+        this.renderer.setBulkSelection(this.bulkSelection);
+        this.bulkBar.render(this.bulkSelection.size, visibleTodos.length);
+
+        // Render todos; only rows that changed are touched
+        this.renderer.renderTodos(visibleTodos, this.getEmptyMessage());
     }
 
     /**
-     * Add event listeners to rendered todo elements
+     * Render the lists with their open task counts, and the tags with their colors
      */
-    addEventListenersToRenderedTodos() {
-        const todoElements = this.renderer.getContainer()?.querySelectorAll('.todo-item');
-        if (!todoElements) return;
-
-        todoElements.forEach(todoElement => {
-            this.renderer.addEventListeners(todoElement, {
-                onToggle: (id) => this.toggleTodo(id),
-                onDelete: (id) => this.deleteTodo(id)
-            });
+    renderPanels() {
+        const counts = new Map(this.lists.map(list => [list.id, 0]));
+        this.todos.forEach(todo => {
+            if (!todo.completed) {
+                const listId = this.resolveListId(todo);
+                counts.set(listId, counts.get(listId) + 1);
+            }
         });
+        this.sidebar.render(this.lists, this.currentListId, counts);
+
+        const tags = this.getTags();
+        this.tagPanel.render(tags, this.tagFilter);
+        this.renderer.setTagColors(new Map(tags.map(entry => [entry.tag, entry.color])));
     }
 
     /**
-     * Export todos to JSON
-     * @returns {string} - JSON string
+     * Update the statistics and the counts on the filter tabs
      */
-    exportTodos() {
-        return JSON.stringify(this.todos.map(todo => todo.toJSON()), null, 2);
+    updateStats() {
+        const stats = this.getStats();
+        this.renderer.updateFilterTabs(this.viewFilter, {
+            all: stats.total,
+            active: stats.incomplete,
+            completed: stats.completed
+        });
+        this.renderer.updateStats(stats.total, stats.completed, stats.overdue, {
+            completed: stats.subtasksCompleted,
+            total: stats.subtasksTotal
+        }, stats.visible);
     }
 
     /**
-     * Import todos from JSON
-     * @param {string} jsonString - JSON string
-     * @returns {boolean} - Success status
+     * Get the message shown when no todo is visible
+     * @returns {string|undefined} - Message, or undefined for the default one
      */
-    importTodos(jsonString) {
-        try {
-            const todoData = JSON.parse(jsonString);
-            if (!Array.isArray(todoData)) {
-                throw new Error('Invalid format: expected array');
-            }
-
-            // Validate each todo
-            for (const data of todoData) {
-                const validation = TodoValidator.validateTodoObject(data);
-                if (!validation.isValid) {
-                    throw new Error(`Invalid todo: ${validation.error}`);
-                }
-            }
-
-            this.todos = todoData.map(data => TodoItem.fromJSON(data));
-            this.saveTodos();
-            this.render();
-            this.notifications.showSuccess('Todos imported successfully!');
-            return true;
-        } catch (error) {
-            this.notifications.showError(`Import failed: ${error.message}`);
-            return false;
+    getEmptyMessage() {
+        if (!SearchUtils.isEmpty(this.searchQuery)) {
+            return I18n.t('empty.noSearchMatches');
+        }
+        if (this.tagFilter.tags.length > 0) {
+            return I18n.t('empty.noTagMatches');
+        }
+        if (this.viewFilter === 'active' && this.getAllTodos().length > 0) {
+            return I18n.t('empty.noActive');
+        }
+        if (this.viewFilter === 'completed') {
+            return I18n.t('empty.noCompleted');
         }
+        return undefined;
     }
-}
\ No newline at end of file
+}
@@ -1,81 +1,264 @@
 /**
- * TodoStorage class - handles localStorage operations for todo persistence
+ * TodoStorage class - storage adapter interface for todo persistence
+ * Concrete adapters (localStorage, IndexedDB, memory, HTTP) live in ./storage/
+ * and only implement the asynchronous read/write/remove primitives.
+ * The schema version is stored next to the data; older data is upgraded (see
+ * SchemaMigrations) before anything is read or written.
  */
+import { SchemaMigrations } from '../utils/SchemaMigrations.js';
+
 export class TodoStorage {
     constructor(storageKey = 'todos') {
         this.storageKey = storageKey;
+        this.migration = null;
+    }
+
+    /**
+     * Get the storage key of a collection
+     * Todos keep the bare key so data saved by earlier versions is still found.
+     * @param {string} collection - Collection name (todos, lists, settings, ...)
+     * @returns {string} - Storage key
+     */
+    getKey(collection) {
+        return collection === 'todos' ? this.storageKey : `${this.storageKey}-${collection}`;
     }
 
     /**
-     * Save todos to localStorage
+     * Save todos
      * @param {Array} todos - Array of todo items
+     * @returns {Promise<void>}
      */
-    saveTodos(todos) {
-        try {
-            const todoData = todos.map(todo => todo.toJSON ? todo.toJSON() : todo);
-            localStorage.setItem(this.storageKey, JSON.stringify(todoData));
-        } catch (error) {
-            console.error('Error saving todos to localStorage:', error);
-        }
+    async saveTodos(todos) {
+        // Never overwrite data that has not been upgraded and backed up yet
+        await this.migrate();
+        const todoData = todos.map(todo => todo.toJSON ? todo.toJSON() : todo);
+        await this.write(this.getKey('todos'), todoData);
     }
 
     /**
-     * Load todos from localStorage
-     * @returns {Array} - Array of todo items
+     * Load todos
+     * @returns {Promise<Array>} - Array of plain todo objects
      */
-    loadTodos() {
-        try {
-            const storedData = localStorage.getItem(this.storageKey);
-            if (!storedData) {
-                return [];
-            }
+    async loadTodos() {
+        const { todos } = await this.readTodos();
+        return todos;
+    }
+
+    /**
+     * Load todos and count the stored entries that could not be loaded
+     * Unreadable entries are set aside during migration, so any left here were saved by
+     * something else; the caller should tell the user they are missing.
+     * @returns {Promise<Object>} - { todos, skipped } with an array of plain todo objects
+     */
+    async readTodos() {
+        await this.migrate();
+        const todoData = await this.read(this.getKey('todos'));
+        if (!Array.isArray(todoData)) {
+            return { todos: [], skipped: 0 };
+        }
+
+        const todos = todoData.filter(data => TodoStorage.isTodoData(data));
+        return { todos, skipped: todoData.length - todos.length };
+    }
 
-            const todoData = JSON.parse(storedData);
-            return todoData.map(data => {
-                // Handle both TodoItem instances and plain objects
-                if (data.text !== undefined) {
-                    return data;
-                }
-                return null;
-            }).filter(Boolean);
-        } catch (error) {
-            console.error('Error loading todos from localStorage:', error);
-            return [];
+    /**
+     * Upgrade the stored data to the current schema
+     * Runs once per adapter; the data is backed up under the 'backup' collection first.
+     * A failure leaves the stored data untouched and rejects the read or write waiting for it;
+     * the next one tries again, so a passing error such as a lost connection is not permanent.
+     * @returns {Promise<Object>} - { fromVersion, toVersion, applied, skipped, backupKey }
+     */
+    migrate() {
+        if (!this.migration) {
+            this.migration = this.runMigrations().catch(error => {
+                this.migration = null;
+                throw error;
+            });
         }
+        return this.migration;
     }
 
     /**
-     * Clear all todos from localStorage
+     * Read the stored data, migrate it and write it back with the new version
+     * @returns {Promise<Object>} - Migration report, see migrate()
      */
-    clearTodos() {
-        try {
-            localStorage.removeItem(this.storageKey);
-        } catch (error) {
-            console.error('Error clearing todos from localStorage:', error);
+    async runMigrations() {
+        const schema = await this.read(this.getKey('schema'));
+        const fromVersion = SchemaMigrations.normalizeVersion(schema?.version);
+        const report = {
+            fromVersion,
+            toVersion: SchemaMigrations.CURRENT_VERSION,
+            applied: [],
+            skipped: 0,
+            backupKey: null
+        };
+        if (fromVersion === SchemaMigrations.CURRENT_VERSION) {
+            return report;
         }
+
+        const [todoData, listData, outboxData, historyData] = await Promise.all([
+            this.read(this.getKey('todos')),
+            this.read(this.getKey('lists')),
+            this.read(this.getKey('outbox')),
+            this.read(this.getKey('history'))
+        ]);
+        const todos = Array.isArray(todoData) ? todoData : [];
+        const lists = Array.isArray(listData) ? listData : [];
+
+        if (todos.length > 0 || lists.length > 0) {
+            report.backupKey = this.getKey('backup');
+            await this.write(report.backupKey, {
+                version: fromVersion,
+                createdAt: new Date().toISOString(),
+                todos: todoData,
+                lists: listData,
+                outbox: outboxData,
+                history: historyData
+            });
+
+            const migrated = SchemaMigrations.migrate({
+                todos,
+                lists,
+                outbox: Array.isArray(outboxData) ? outboxData : [],
+                history: historyData
+            }, fromVersion);
+            const readable = migrated.todos.filter(data => TodoStorage.isTodoData(data));
+            report.applied = migrated.applied;
+            report.skipped = migrated.todos.length - readable.length;
+
+            await this.write(this.getKey('todos'), readable);
+            if (Array.isArray(listData)) {
+                await this.write(this.getKey('lists'), migrated.lists);
+            }
+            if (Array.isArray(outboxData)) {
+                await this.write(this.getKey('outbox'), migrated.outbox);
+            }
+            if (historyData) {
+                await this.write(this.getKey('history'), migrated.history);
+            }
+        }
+
+        // Written last, so an interrupted migration runs again on the next load
+        await this.write(this.getKey('schema'), { version: SchemaMigrations.CURRENT_VERSION });
+        return report;
+    }
+
+    /**
+     * Check whether a stored entry can be loaded as a todo
+     * @param {*} data - Stored entry
+     * @returns {boolean} - True for objects with text
+     */
+    static isTodoData(data) {
+        return SchemaMigrations.isRecord(data) && typeof data.text === 'string';
+    }
+
+    /**
+     * Clear all stored todos
+     * @returns {Promise<void>}
+     */
+    async clearTodos() {
+        await this.remove(this.getKey('todos'));
+    }
+
+    /**
+     * Save the named lists
+     * @param {Array} lists - Array of list objects, in display order
+     * @returns {Promise<void>}
+     */
+    async saveLists(lists) {
+        await this.migrate();
+        const listData = lists.map(list => list.toJSON ? list.toJSON() : list);
+        await this.write(this.getKey('lists'), listData);
+    }
+
+    /**
+     * Load the named lists
+     * @returns {Promise<Array>} - Array of plain list objects, empty if none were saved
+     */
+    async loadLists() {
+        await this.migrate();
+        const listData = await this.read(this.getKey('lists'));
+        return Array.isArray(listData) ? listData.filter(data => data && data.id !== undefined) : [];
+    }
+
+    /**
+     * Save user settings such as the current list
+     * @param {Object} settings - Settings object
+     * @returns {Promise<void>}
+     */
+    async saveSettings(settings) {
+        await this.write(this.getKey('settings'), settings);
+    }
+
+    /**
+     * Load user settings
+     * @returns {Promise<Object>} - Settings object
+     */
+    async loadSettings() {
+        const settings = await this.read(this.getKey('settings'));
+        return settings && typeof settings === 'object' ? settings : {};
+    }
+
+    /**
+     * Save the undo/redo history
+     * @param {Object} history - { undo, redo } command arrays
+     * @returns {Promise<void>}
+     */
+    async saveHistory(history) {
+        await this.write(this.getKey('history'), history);
+    }
+
+    /**
+     * Load the undo/redo history
+     * @returns {Promise<Object|null>} - { undo, redo } command arrays, or null if none was saved
+     */
+    async loadHistory() {
+        const history = await this.read(this.getKey('history'));
+        return history && typeof history === 'object' ? history : null;
     }
 
     /**
      * Get the number of stored todos
-     * @returns {number} - Number of stored todos
+     * @returns {Promise<number>} - Number of stored todos
      */
-    getTodoCount() {
-        const todos = this.loadTodos();
+    async getTodoCount() {
+        const todos = await this.loadTodos();
         return todos.length;
     }
 
     /**
-     * Check if localStorage is available
-     * @returns {boolean} - True if localStorage is available
+     * Check if the backend can be used in this environment
+     * @returns {Promise<boolean>} - True if the backend is available
      */
-    isAvailable() {
-        try {
-            const test = '__localStorage_test__';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
-            return true;
-        } catch (error) {
-            return false;
-        }
+    async isAvailable() {
+        return true;
+    }
+
+    /**
+     * Read a stored value
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} - Parsed value or null when missing
+     */
+    async read(key) {
+        throw new Error(`${this.constructor.name} does not implement read()`);
+    }
+
+    /**
+     * Write a value
+     * @param {string} key - Storage key
+     * @param {*} value - JSON-serializable value
+     * @returns {Promise<void>}
+     */
+    async write(key, value) {
+        throw new Error(`${this.constructor.name} does not implement write()`);
+    }
+
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        throw new Error(`${this.constructor.name} does not implement remove()`);
     }
-}
\ No newline at end of file
+}
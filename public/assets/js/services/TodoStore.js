@@ -0,0 +1,175 @@
+/**
+ * TodoStore class - holds the todos and tells subscribers what changed
+ * Every change to the todos goes through the store, which emits typed changes:
+ * 'added', 'updated', 'removed', 'reordered' and 'replaced'. Changes made inside
+ * batch() reach subscribers together once the outermost batch ends, so one user
+ * action causes one render and one save however many todos it touches.
+ */
+export class TodoStore {
+    static CHANGE_TYPES = ['added', 'updated', 'removed', 'reordered', 'replaced'];
+
+    /**
+     * @param {Array<TodoItem>} todos - Initial todos
+     */
+    constructor(todos = []) {
+        this.todos = [...todos];
+        this.listeners = new Set();
+        this.pending = null;
+    }
+
+    /**
+     * Listen for changes
+     * The listener is called with (changes, info): the { type, todos } changes of one
+     * batch in the order they happened, and the info the batch was started with,
+     * e.g. { origin: 'remote' }. Removed todos are passed as they were before removal.
+     * @param {Function} listener - Called after every batch of changes
+     * @returns {Function} - Call to stop listening
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Get every todo, in stored order
+     * @returns {Array<TodoItem>} - Todos; do not change the array itself
+     */
+    getAll() {
+        return this.todos;
+    }
+
+    /**
+     * Find todo by ID
+     * @param {string} id - Todo ID
+     * @returns {TodoItem|null} - Found todo or null
+     */
+    findById(id) {
+        return this.todos.find(todo => todo.id === id) || null;
+    }
+
+    /**
+     * Find todo index by ID
+     * @param {string} id - Todo ID
+     * @returns {number} - Index or -1 if not found
+     */
+    findIndexById(id) {
+        return this.todos.findIndex(todo => todo.id === id);
+    }
+
+    /**
+     * Add todos
+     * @param {TodoItem|Array<TodoItem>} todos - New todos
+     * @param {Object} options - Options
+     * @param {number} options.at - Position to insert them at; the end by default
+     */
+    add(todos, { at = this.todos.length } = {}) {
+        const added = [].concat(todos);
+        if (added.length === 0) return;
+
+        this.todos.splice(Math.min(Math.max(at, 0), this.todos.length), 0, ...added);
+        this.emit('added', added);
+    }
+
+    /**
+     * Report changed todos
+     * Todos changed in place only need reporting; a new object replaces the todo with its ID.
+     * @param {TodoItem|Array<TodoItem>} todos - Changed todos
+     */
+    update(todos) {
+        const updated = [].concat(todos).filter(todo => {
+            const index = this.findIndexById(todo.id);
+            if (index > -1) {
+                this.todos[index] = todo;
+            }
+            return index > -1;
+        });
+        this.emit('updated', updated);
+    }
+
+    /**
+     * Remove todos
+     * @param {string|Array<string>} ids - Todo IDs
+     */
+    remove(ids) {
+        const removedIds = new Set([].concat(ids));
+        const removed = this.todos.filter(todo => removedIds.has(todo.id));
+        if (removed.length === 0) return;
+
+        this.todos = this.todos.filter(todo => !removedIds.has(todo.id));
+        this.emit('removed', removed);
+    }
+
+    /**
+     * Report todos that moved in the manual order
+     * @param {TodoItem|Array<TodoItem>} todos - Todos with a new sort key
+     */
+    reorder(todos) {
+        this.emit('reordered', [].concat(todos).filter(todo => this.todos.includes(todo)));
+    }
+
+    /**
+     * Swap every todo for a new set, e.g. after loading, importing or syncing
+     * @param {Array<TodoItem>} todos - New todos
+     */
+    replace(todos) {
+        this.todos = [...todos];
+        this.emit('replaced', this.todos);
+    }
+
+    /**
+     * Run several changes as one batch
+     * Nested batches join the outermost one; info of inner batches is added to it.
+     * @param {Function} fn - Makes the changes
+     * @param {Object} info - Passed to subscribers, e.g. { origin: 'storage' }
+     * @returns {*} - Whatever fn returns
+     */
+    batch(fn, info = {}) {
+        if (this.pending) {
+            this.pending.info = { ...info, ...this.pending.info };
+            return fn();
+        }
+
+        this.pending = { changes: [], info };
+        try {
+            return fn();
+        } finally {
+            const { changes, info: batchInfo } = this.pending;
+            this.pending = null;
+            this.notify(changes, batchInfo);
+        }
+    }
+
+    /**
+     * Record a change, delivering it right away outside a batch
+     * @param {string} type - One of CHANGE_TYPES
+     * @param {Array<TodoItem>} todos - Todos concerned
+     */
+    emit(type, todos) {
+        if (todos.length === 0 && type !== 'replaced') return;
+
+        const change = { type, todos };
+        if (this.pending) {
+            this.pending.changes.push(change);
+        } else {
+            this.notify([change], {});
+        }
+    }
+
+    /**
+     * Call every subscriber
+     * A failing subscriber is logged so the others still hear about the change.
+     * @param {Array<Object>} changes - { type, todos } changes
+     * @param {Object} info - Batch info
+     */
+    notify(changes, info) {
+        if (changes.length === 0) return;
+
+        [...this.listeners].forEach(listener => {
+            try {
+                listener(changes, info);
+            } catch (error) {
+                console.error('Todo change listener failed:', error);
+            }
+        });
+    }
+}
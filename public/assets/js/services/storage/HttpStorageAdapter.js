@@ -0,0 +1,200 @@
+/**
+ * HttpStorageAdapter class - persists todos through the server REST API
+ * Each collection maps to a resource, e.g. 'todos' -> /api/todos, 'lists' -> /api/lists.
+ * Todos are saved as per-todo changes through /api/sync, so saving never overwrites what
+ * other clients changed in the meantime. The sync outbox belongs to this client and is kept
+ * in the browser.
+ */
+import { TodoStorage } from '../TodoStorage.js';
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+import { MemoryStorageAdapter } from './MemoryStorageAdapter.js';
+
+export class HttpStorageAdapter extends TodoStorage {
+    // Collections stored on this device instead of the server
+    static LOCAL_COLLECTIONS = ['outbox'];
+
+    constructor(storageKey = 'todos', baseUrl = '/api') {
+        super(storageKey);
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        const LocalAdapter = typeof localStorage === 'undefined' ? MemoryStorageAdapter : LocalStorageAdapter;
+        this.local = new LocalAdapter(`${storageKey}-http`);
+        // Todos as last read from or saved to the server, serialized by id
+        this.knownTodos = new Map();
+    }
+
+    /**
+     * Use the collection name itself as the key, so it maps straight to a resource
+     * @param {string} collection - Collection name
+     * @returns {string} - Storage key
+     */
+    getKey(collection) {
+        return collection;
+    }
+
+    /**
+     * Check whether a storage key is kept on this device
+     * @param {string} key - Storage key
+     * @returns {boolean} - True for local collections such as the sync outbox
+     */
+    isLocal(key) {
+        return HttpStorageAdapter.LOCAL_COLLECTIONS.includes(key);
+    }
+
+    /**
+     * Build the resource URL for a storage key
+     * @param {string} key - Storage key
+     * @returns {string} - Resource URL
+     */
+    getUrl(key) {
+        return `${this.baseUrl}/${encodeURIComponent(key)}`;
+    }
+
+    /**
+     * Send a request and fail on non-2xx responses
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options
+     * @returns {Promise<Response>} - Successful response
+     */
+    async request(url, options = {}) {
+        const response = await fetch(url, options);
+        await this.assertOk(response);
+        return response;
+    }
+
+    /**
+     * Fail with the server's error message unless a response is 2xx
+     * @param {Response} response - fetch response
+     * @returns {Promise<void>}
+     */
+    async assertOk(response) {
+        if (!response.ok) {
+            let message = `${response.status} ${response.statusText}`;
+            try {
+                const body = await response.json();
+                message = body.error || message;
+            } catch (error) {
+                // Keep the status line when the body is not JSON
+            }
+            throw new Error(`Server request failed: ${message}`);
+        }
+    }
+
+    /**
+     * Read a collection from the server
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} - Parsed response body
+     */
+    async read(key) {
+        if (this.isLocal(key)) {
+            return this.local.read(this.local.getKey(key));
+        }
+
+        const response = await fetch(this.getUrl(key));
+        // Resources the server does not provide read as missing
+        if (response.status === 404) {
+            return null;
+        }
+        await this.assertOk(response);
+        const value = await response.json();
+        if (key === this.getKey('todos') && Array.isArray(value)) {
+            this.knownTodos = new Map(value.map(todo => [todo?.id, JSON.stringify(todo)]));
+        }
+        return value;
+    }
+
+    /**
+     * Save a collection
+     * Todos are sent as changes (see writeTodos); other server collections are replaced.
+     * @param {string} key - Storage key
+     * @param {*} value - JSON-serializable value
+     */
+    async write(key, value) {
+        if (this.isLocal(key)) {
+            await this.local.write(this.local.getKey(key), value);
+            return;
+        }
+        if (key === this.getKey('todos')) {
+            await this.writeTodos(value);
+            return;
+        }
+
+        await this.request(this.getUrl(key), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(value)
+        });
+    }
+
+    /**
+     * Send the todos that changed since they were last read or saved through /api/sync
+     * The server merges each upsert field by field and drops deleted todos nobody edited
+     * since, so concurrent changes from other clients survive.
+     * @param {Array} todos - Plain todo objects
+     */
+    async writeTodos(todos) {
+        const nextTodos = new Map(todos.map(todo => [todo.id, JSON.stringify(todo)]));
+        const deletedAt = new Date().toISOString();
+        const changes = [
+            ...todos
+                .filter(todo => this.knownTodos.get(todo.id) !== nextTodos.get(todo.id))
+                .map(todo => ({ type: 'upsert', id: todo.id, todo })),
+            ...[...this.knownTodos.keys()]
+                .filter(id => !nextTodos.has(id))
+                .map(id => ({ type: 'delete', id, deletedAt }))
+        ];
+        if (changes.length === 0) {
+            return;
+        }
+
+        const response = await this.request(`${this.baseUrl}/sync`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ changes })
+        });
+        const { rejected = [] } = await response.json();
+
+        // Rejected changes keep their last known state, so the next save sends them again
+        rejected.forEach(({ index }) => {
+            const { id } = changes[index];
+            if (this.knownTodos.has(id)) {
+                nextTodos.set(id, this.knownTodos.get(id));
+            } else {
+                nextTodos.delete(id);
+            }
+        });
+        this.knownTodos = nextTodos;
+        if (rejected.length > 0) {
+            throw new Error(`Server request failed: ${rejected[0].error}`);
+        }
+    }
+
+    /**
+     * Empty a collection
+     * The server refuses a bare DELETE of a whole collection, so it is replaced with an empty
+     * one; for todos that deletes the todos this client knows about.
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        if (this.isLocal(key)) {
+            await this.local.remove(this.local.getKey(key));
+            return;
+        }
+        await this.write(key, []);
+    }
+
+    /**
+     * Check if the server API is reachable
+     * @returns {Promise<boolean>} - True if the API answered
+     */
+    async isAvailable() {
+        if (typeof fetch !== 'function') {
+            return false;
+        }
+        try {
+            await this.request(this.getUrl(this.getKey('todos')), { method: 'HEAD' });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
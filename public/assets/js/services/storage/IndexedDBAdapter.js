@@ -0,0 +1,97 @@
+/**
+ * IndexedDBAdapter class - persists todos in IndexedDB
+ * Reads and writes happen off the main thread, which keeps large lists responsive.
+ */
+import { TodoStorage } from '../TodoStorage.js';
+
+export class IndexedDBAdapter extends TodoStorage {
+    constructor(storageKey = 'todos', databaseName = 'todo-list', storeName = 'keyval') {
+        super(storageKey);
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create on first use) the database
+     * @returns {Promise<IDBDatabase>} - Open database connection
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a later call to retry after a failed open
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} - Request result
+     */
+    async runRequest(mode, operation) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Read a value from IndexedDB
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} - Stored value or null when missing
+     */
+    async read(key) {
+        const value = await this.runRequest('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Write a value to IndexedDB
+     * @param {string} key - Storage key
+     * @param {*} value - Structured-cloneable value
+     */
+    async write(key, value) {
+        await this.runRequest('readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * Remove a value from IndexedDB
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        await this.runRequest('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Check if IndexedDB is available
+     * @returns {Promise<boolean>} - True if the database can be opened
+     */
+    async isAvailable() {
+        if (typeof indexedDB === 'undefined') {
+            return false;
+        }
+        try {
+            await this.openDatabase();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
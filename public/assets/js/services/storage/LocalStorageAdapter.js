@@ -0,0 +1,48 @@
+/**
+ * LocalStorageAdapter class - persists todos in window.localStorage
+ */
+import { TodoStorage } from '../TodoStorage.js';
+
+export class LocalStorageAdapter extends TodoStorage {
+    /**
+     * Read a value from localStorage
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} - Parsed value or null when missing
+     */
+    async read(key) {
+        const storedData = localStorage.getItem(key);
+        return storedData ? JSON.parse(storedData) : null;
+    }
+
+    /**
+     * Write a value to localStorage
+     * @param {string} key - Storage key
+     * @param {*} value - JSON-serializable value
+     */
+    async write(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    /**
+     * Remove a value from localStorage
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        localStorage.removeItem(key);
+    }
+
+    /**
+     * Check if localStorage is available
+     * @returns {Promise<boolean>} - True if localStorage is available
+     */
+    async isAvailable() {
+        try {
+            const test = '__localStorage_test__';
+            localStorage.setItem(test, test);
+            localStorage.removeItem(test);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
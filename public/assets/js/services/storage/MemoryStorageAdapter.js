@@ -0,0 +1,40 @@
+/**
+ * MemoryStorageAdapter class - keeps todos in memory only
+ * Useful for demos, kiosks and tests; data is lost on reload.
+ */
+import { TodoStorage } from '../TodoStorage.js';
+
+export class MemoryStorageAdapter extends TodoStorage {
+    constructor(storageKey = 'todos', initialData = {}) {
+        super(storageKey);
+        this.data = new Map();
+        Object.entries(initialData).forEach(([key, value]) => this.data.set(key, JSON.stringify(value)));
+    }
+
+    /**
+     * Read a value from memory
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} - Copy of the stored value or null when missing
+     */
+    async read(key) {
+        // Values are kept serialized so callers never share references
+        return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+    }
+
+    /**
+     * Write a value to memory
+     * @param {string} key - Storage key
+     * @param {*} value - JSON-serializable value
+     */
+    async write(key, value) {
+        this.data.set(key, JSON.stringify(value));
+    }
+
+    /**
+     * Remove a value from memory
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        this.data.delete(key);
+    }
+}
@@ -0,0 +1,30 @@
+/**
+ * StorageFactory class - creates the storage adapter configured for a deployment
+ */
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+import { IndexedDBAdapter } from './IndexedDBAdapter.js';
+import { MemoryStorageAdapter } from './MemoryStorageAdapter.js';
+import { HttpStorageAdapter } from './HttpStorageAdapter.js';
+
+export class StorageFactory {
+    static ADAPTERS = {
+        local: LocalStorageAdapter,
+        indexeddb: IndexedDBAdapter,
+        memory: MemoryStorageAdapter,
+        http: HttpStorageAdapter
+    };
+
+    /**
+     * Create a storage adapter by name
+     * @param {string} type - Adapter name (local, indexeddb, memory, http)
+     * @param {...*} args - Constructor arguments for the adapter
+     * @returns {TodoStorage} - Storage adapter
+     */
+    static create(type = 'local', ...args) {
+        const Adapter = this.ADAPTERS[type];
+        if (!Adapter) {
+            throw new Error(`Unknown storage backend: ${type}`);
+        }
+        return new Adapter(...args);
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * BulkActionBar class - select-all checkbox and actions for the selected todos
+ */
+import { TodoItem } from '../models/TodoItem.js';
+import { I18n } from '../utils/I18n.js';
+
+export class BulkActionBar {
+    constructor(containerSelector = '#bulkActionBar') {
+        this.container = document.querySelector(containerSelector);
+
+        if (this.container) {
+            this.build();
+        }
+    }
+
+    /**
+     * Create the bar markup
+     */
+    build() {
+        const priorities = TodoItem.PRIORITIES.map(priority =>
+            `<option value="${priority}" data-i18n="priority.${priority}"></option>`
+        ).join('');
+
+        this.container.innerHTML = `
+            <label class="bulk-select-all">
+                <input type="checkbox" class="bulk-select-all-checkbox">
+                <span class="bulk-count"></span>
+            </label>
+            <div class="bulk-actions" hidden>
+                <button class="bulk-complete" data-i18n="bulk.complete"></button>
+                <button class="bulk-reopen" data-i18n="bulk.reopen"></button>
+                <select class="bulk-priority" data-i18n-aria-label="bulk.setPriority">
+                    <option value="" data-i18n="bulk.setPriorityOption"></option>
+                    ${priorities}
+                </select>
+                <input type="text" class="bulk-tag-input" placeholder="#tag" data-i18n-aria-label="bulk.tagInput">
+                <button class="bulk-add-tag" data-i18n="bulk.addTag"></button>
+                <button class="bulk-remove-tag" data-i18n="bulk.removeTag"></button>
+                <button class="bulk-delete" data-i18n="bulk.delete"></button>
+                <button class="bulk-clear" data-i18n="bulk.clearSelection"></button>
+            </div>
+        `;
+        I18n.translate(this.container);
+        this.selectAll = this.container.querySelector('.bulk-select-all-checkbox');
+        this.count = this.container.querySelector('.bulk-count');
+        this.actions = this.container.querySelector('.bulk-actions');
+        this.tagInput = this.container.querySelector('.bulk-tag-input');
+        this.prioritySelect = this.container.querySelector('.bulk-priority');
+    }
+
+    /**
+     * Show how many visible todos are selected
+     * @param {number} selectedCount - Selected todos
+     * @param {number} visibleCount - Todos in the current view
+     */
+    render(selectedCount, visibleCount) {
+        if (!this.container) return;
+
+        this.container.hidden = visibleCount === 0;
+        this.selectAll.checked = visibleCount > 0 && selectedCount === visibleCount;
+        this.selectAll.indeterminate = selectedCount > 0 && selectedCount < visibleCount;
+        this.count.textContent = selectedCount > 0 ? I18n.t('bulk.selected', { count: selectedCount }) : I18n.t('bulk.selectAll');
+        this.actions.hidden = selectedCount === 0;
+    }
+
+    /**
+     * Listen for bulk actions with delegated listeners
+     * @param {Object} callbacks - onSelectAll, onComplete, onReopen, onSetPriority, onAddTag,
+     * onRemoveTag, onDelete and onClearSelection callbacks
+     */
+    bindEvents(callbacks) {
+        if (!this.container) return;
+
+        this.selectAll.addEventListener('change', () => callbacks.onSelectAll?.(this.selectAll.checked));
+
+        this.prioritySelect.addEventListener('change', () => {
+            if (this.prioritySelect.value) {
+                callbacks.onSetPriority?.(this.prioritySelect.value);
+                this.prioritySelect.value = '';
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.classList.contains('bulk-complete')) {
+                callbacks.onComplete?.();
+            } else if (button.classList.contains('bulk-reopen')) {
+                callbacks.onReopen?.();
+            } else if (button.classList.contains('bulk-delete')) {
+                callbacks.onDelete?.();
+            } else if (button.classList.contains('bulk-clear')) {
+                callbacks.onClearSelection?.();
+            } else if (button.classList.contains('bulk-add-tag') || button.classList.contains('bulk-remove-tag')) {
+                const tag = this.tagInput.value.trim();
+                if (!tag) {
+                    this.tagInput.focus();
+                    return;
+                }
+                const applied = button.classList.contains('bulk-add-tag')
+                    ? callbacks.onAddTag?.(tag)
+                    : callbacks.onRemoveTag?.(tag);
+                if (applied) {
+                    this.tagInput.value = '';
+                }
+            }
+        });
+    }
+}
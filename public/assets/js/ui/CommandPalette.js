@@ -0,0 +1,175 @@
+/**
+ * CommandPalette class - Ctrl+K overlay to find and run actions by name
+ */
+import { FuzzyMatcher } from '../utils/FuzzyMatcher.js';
+import { I18n } from '../utils/I18n.js';
+
+export class CommandPalette {
+    constructor(containerSelector = '#commandPalette') {
+        this.container = document.querySelector(containerSelector);
+        this.commands = [];
+        this.results = [];
+        this.activeIndex = 0;
+        this.returnFocus = null;
+
+        if (this.container) {
+            this.build();
+        }
+    }
+
+    /**
+     * Create the dialog markup and its listeners
+     */
+    build() {
+        this.container.innerHTML = `
+            <div class="palette-dialog" role="dialog" aria-modal="true" data-i18n-aria-label="palette.title">
+                <input type="text" class="palette-input" data-i18n-placeholder="palette.placeholder" data-i18n-aria-label="palette.input"
+                    role="combobox" aria-expanded="true" aria-controls="paletteResults" autocomplete="off">
+                <ul class="palette-results" id="paletteResults" role="listbox"></ul>
+            </div>
+        `;
+        I18n.translate(this.container);
+        this.input = this.container.querySelector('.palette-input');
+        this.list = this.container.querySelector('.palette-results');
+
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.setActive(this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.run(this.activeIndex);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option) {
+                this.run(parseInt(option.dataset.index));
+            }
+        });
+
+        // Clicking the backdrop closes the palette
+        this.container.addEventListener('click', (e) => {
+            if (e.target === this.container) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Show the palette
+     * @param {Array} commands - { label, run, shortcut } entries
+     */
+    open(commands) {
+        if (!this.container) return;
+
+        this.commands = commands;
+        this.returnFocus = document.activeElement;
+        this.container.hidden = false;
+        this.input.value = '';
+        this.update();
+        this.input.focus();
+    }
+
+    /**
+     * Hide the palette and give the focus back
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.container.hidden = true;
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Check if the palette is showing
+     * @returns {boolean} - True if open
+     */
+    isOpen() {
+        return Boolean(this.container && !this.container.hidden);
+    }
+
+    /**
+     * Match the commands against the query
+     */
+    update() {
+        this.results = FuzzyMatcher.filter(this.input.value, this.commands, command => command.label);
+        this.activeIndex = 0;
+        this.render();
+    }
+
+    /**
+     * Render the matching commands
+     */
+    render() {
+        if (this.results.length === 0) {
+            this.list.innerHTML = `<li class="palette-empty">${this.escapeHtml(I18n.t('palette.noMatches'))}</li>`;
+            return;
+        }
+
+        this.list.innerHTML = this.results.map(({ item, positions }, index) => `
+            <li class="palette-option ${index === this.activeIndex ? 'active' : ''}" id="paletteOption${index}"
+                role="option" aria-selected="${index === this.activeIndex}" data-index="${index}">
+                <span class="palette-label">${this.highlight(item.label, positions)}</span>
+                ${item.shortcut ? `<kbd>${this.escapeHtml(item.shortcut)}</kbd>` : ''}
+            </li>
+        `).join('');
+        this.input.setAttribute('aria-activedescendant', `paletteOption${this.activeIndex}`);
+    }
+
+    /**
+     * Move the highlight to another result
+     * @param {number} index - Result index; wraps around
+     */
+    setActive(index) {
+        if (this.results.length === 0) return;
+
+        this.activeIndex = (index + this.results.length) % this.results.length;
+        this.render();
+        this.list.querySelector('.palette-option.active')?.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    /**
+     * Close the palette and run a command
+     * @param {number} index - Result index
+     */
+    run(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        this.close();
+        result.item.run();
+    }
+
+    /**
+     * Escape a label and mark the matched letters
+     * @param {string} label - Command label
+     * @param {Array<number>} positions - Matched character indexes
+     * @returns {string} - Safe HTML
+     */
+    highlight(label, positions) {
+        const matched = new Set(positions);
+        return label.split('').map((char, index) => (matched.has(index)
+            ? `<mark>${this.escapeHtml(char)}</mark>`
+            : this.escapeHtml(char))).join('');
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,237 @@
+/**
+ * ImportExportDialog class - downloads exports and previews files before importing them
+ */
+import { TodoFormats } from '../utils/formats/TodoFormats.js';
+import { I18n } from '../utils/I18n.js';
+
+export class ImportExportDialog {
+    static MAX_PREVIEW_ROWS = 200;
+
+    constructor(containerSelector = '#importExportDialog') {
+        this.container = document.querySelector(containerSelector);
+        this.callbacks = {};
+        this.fileName = '';
+        this.fileText = null;
+        this.preview = null;
+        this.returnFocus = null;
+
+        if (this.container) {
+            this.build();
+        }
+    }
+
+    /**
+     * Create the dialog markup and its listeners
+     */
+    build() {
+        const options = TodoFormats.list()
+            .map(({ name, labelKey }) => `<option value="${name}" data-i18n="${labelKey}"></option>`)
+            .join('');
+        const accept = Object.values(TodoFormats.FORMATS).map(format => `.${format.EXTENSION}`).join(',');
+
+        this.container.innerHTML = `
+            <div class="transfer-dialog" role="dialog" aria-modal="true" aria-labelledby="transferTitle">
+                <h2 id="transferTitle" data-i18n="transfer.title"></h2>
+                <section class="transfer-section">
+                    <h3 data-i18n="transfer.export"></h3>
+                    <label><span data-i18n="transfer.format"></span> <select class="export-format">${options}</select></label>
+                    <label><input type="checkbox" class="export-all-lists"> <span data-i18n="transfer.allLists"></span></label>
+                    <button class="export-download" data-i18n="transfer.download"></button>
+                </section>
+                <section class="transfer-section">
+                    <h3 data-i18n="transfer.import"></h3>
+                    <input type="file" class="import-file" accept="${accept},.markdown" data-i18n-aria-label="transfer.file">
+                    <label><span data-i18n="transfer.format"></span> <select class="import-format">${options}</select></label>
+                    <fieldset class="import-mode">
+                        <legend data-i18n="transfer.existingTasks"></legend>
+                        <label><input type="radio" name="importMode" value="merge" checked> <span data-i18n="transfer.merge"></span></label>
+                        <label><input type="radio" name="importMode" value="replace"> <span data-i18n="transfer.replace"></span></label>
+                    </fieldset>
+                    <div class="import-preview" aria-live="polite"></div>
+                    <button class="import-confirm" disabled></button>
+                </section>
+                <button class="transfer-close" data-i18n="dialog.close"></button>
+            </div>
+        `;
+        I18n.translate(this.container);
+        this.exportFormat = this.container.querySelector('.export-format');
+        this.exportAllLists = this.container.querySelector('.export-all-lists');
+        this.fileInput = this.container.querySelector('.import-file');
+        this.importFormat = this.container.querySelector('.import-format');
+        this.previewContainer = this.container.querySelector('.import-preview');
+        this.confirmButton = this.container.querySelector('.import-confirm');
+
+        this.container.querySelector('.export-download').addEventListener('click', () => {
+            this.callbacks.onExport?.(this.exportFormat.value, this.exportAllLists.checked);
+        });
+        this.fileInput.addEventListener('change', () => {
+            const [file] = this.fileInput.files;
+            if (file) {
+                this.loadFile(file);
+            }
+        });
+        this.confirmButton.textContent = I18n.t('transfer.import');
+        this.importFormat.addEventListener('change', () => this.updatePreview());
+        this.confirmButton.addEventListener('click', () => this.confirmImport());
+        this.container.querySelector('.transfer-close').addEventListener('click', () => this.close());
+
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+        this.container.addEventListener('click', (e) => {
+            if (e.target === this.container) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Set the export and import callbacks
+     * @param {Object} callbacks - onExport(format, allLists), onPreview(text, format) returning
+     * a preview, and onImport(preview, mode) returning the number of imported todos
+     */
+    bindEvents(callbacks) {
+        this.callbacks = callbacks;
+    }
+
+    /**
+     * Show the dialog
+     * @param {string} section - 'export' or 'import', the section to focus
+     */
+    open(section = 'export') {
+        if (!this.container) return;
+
+        this.returnFocus = document.activeElement;
+        this.container.hidden = false;
+        (section === 'import' ? this.fileInput : this.exportFormat).focus();
+    }
+
+    /**
+     * Hide the dialog, forget the chosen file and give the focus back
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.container.hidden = true;
+        this.reset();
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Check if the dialog is showing
+     * @returns {boolean} - True if open
+     */
+    isOpen() {
+        return Boolean(this.container && !this.container.hidden);
+    }
+
+    /**
+     * Read a chosen file and preview it in the detected format
+     * @param {File} file - File to import
+     * @returns {Promise<void>}
+     */
+    async loadFile(file) {
+        this.fileName = file.name;
+        this.fileText = await file.text();
+        this.importFormat.value = TodoFormats.detect(file.name, this.fileText);
+        this.updatePreview();
+    }
+
+    /**
+     * Parse the chosen file in the selected format and show the rows
+     */
+    updatePreview() {
+        if (this.fileText === null) return;
+
+        try {
+            this.preview = this.callbacks.onPreview(this.fileText, this.importFormat.value);
+        } catch (error) {
+            this.preview = null;
+            const message = I18n.t('transfer.readFailed', { file: this.fileName, error: TodoFormats.describeError(error) });
+            this.previewContainer.innerHTML = `<p class="import-error" role="alert">${this.escapeHtml(message)}</p>`;
+            this.confirmButton.disabled = true;
+            return;
+        }
+        this.renderPreview();
+    }
+
+    /**
+     * Show each row of the preview with its validation result
+     */
+    renderPreview() {
+        const { rows } = this.preview;
+        const valid = rows.filter(row => !row.error).length;
+        const invalid = rows.length - valid;
+        const shown = rows.slice(0, ImportExportDialog.MAX_PREVIEW_ROWS);
+
+        const tableRows = shown.map(({ row, data, error }) => `
+            <tr class="preview-row ${error ? 'invalid' : ''}">
+                <td>${row}</td>
+                <td>${data && data.completed ? '✓' : ''}</td>
+                <td>${this.escapeHtml(typeof data?.text === 'string' ? data.text : '')}</td>
+                <td>${this.escapeHtml(error ? TodoFormats.describeError(error) : I18n.t('transfer.rowOk'))}</td>
+            </tr>
+        `).join('');
+        const more = rows.length > shown.length
+            ? `<p>${this.escapeHtml(I18n.t('transfer.more', { count: rows.length - shown.length }))}</p>`
+            : '';
+        const summary = I18n.t('transfer.ready', { valid, count: rows.length }) +
+            (invalid ? I18n.t('transfer.skipped', { count: invalid }) : '');
+        const headers = ['row', 'done', 'task', 'status']
+            .map(column => `<th>${this.escapeHtml(I18n.t(`transfer.column.${column}`))}</th>`)
+            .join('');
+
+        this.previewContainer.innerHTML = `
+            <p class="import-summary">${this.escapeHtml(summary)}</p>
+            <table class="preview-table">
+                <thead><tr>${headers}</tr></thead>
+                <tbody>${tableRows}</tbody>
+            </table>
+            ${more}
+        `;
+        this.confirmButton.disabled = valid === 0;
+        this.confirmButton.textContent = I18n.t('transfer.importCount', { count: valid });
+    }
+
+    /**
+     * Import the valid rows of the preview and close the dialog
+     */
+    confirmImport() {
+        if (!this.preview) return;
+
+        const mode = this.container.querySelector('input[name="importMode"]:checked').value;
+        if (this.callbacks.onImport?.(this.preview, mode) > 0) {
+            this.close();
+        }
+    }
+
+    /**
+     * Clear the chosen file and its preview
+     */
+    reset() {
+        this.fileInput.value = '';
+        this.fileName = '';
+        this.fileText = null;
+        this.preview = null;
+        this.previewContainer.innerHTML = '';
+        this.confirmButton.disabled = true;
+        this.confirmButton.textContent = I18n.t('transfer.import');
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * NotificationHistory class - panel listing recent notifications, so missed messages can be read
+ * The toolbar button shows how many arrived since the panel was last opened.
+ */
+import { I18n } from '../utils/I18n.js';
+
+export class NotificationHistory {
+    /**
+     * @param {NotificationManager} notifications - Notifications whose history is shown
+     * @param {string} containerSelector - Overlay element
+     * @param {string} buttonSelector - Button that opens the panel
+     */
+    constructor(notifications, containerSelector = '#notificationHistory', buttonSelector = '#notificationHistoryButton') {
+        this.notifications = notifications;
+        this.container = document.querySelector(containerSelector);
+        this.button = document.querySelector(buttonSelector);
+        this.returnFocus = null;
+
+        if (this.container) {
+            this.build();
+        }
+        this.notifications.subscribe(() => this.update());
+        this.update();
+    }
+
+    /**
+     * Create the panel markup and its listeners
+     */
+    build() {
+        this.container.innerHTML = `
+            <div class="notification-history-dialog" role="dialog" aria-modal="true" aria-labelledby="notificationHistoryTitle">
+                <h2 id="notificationHistoryTitle" data-i18n="notificationHistory.title"></h2>
+                <ul class="notification-history-list"></ul>
+                <div class="notification-history-actions">
+                    <button class="notification-history-clear" data-i18n="notificationHistory.clear"></button>
+                    <button class="notification-history-close" data-i18n="dialog.close"></button>
+                </div>
+            </div>
+        `;
+        I18n.translate(this.container);
+
+        this.list = this.container.querySelector('.notification-history-list');
+        this.container.querySelector('.notification-history-close').addEventListener('click', () => this.close());
+        this.container.querySelector('.notification-history-clear').addEventListener('click', () => {
+            this.notifications.clearHistory();
+        });
+        this.container.addEventListener('click', (e) => {
+            if (e.target === this.container) {
+                this.close();
+            }
+        });
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
+            }
+        });
+
+        if (this.button) {
+            this.button.addEventListener('click', () => this.toggle());
+        }
+    }
+
+    /**
+     * Show the unread count on the button, and the messages while the panel is open
+     */
+    update() {
+        if (this.isOpen()) {
+            // Messages arriving while the panel is open are read right away
+            this.notifications.markHistoryRead();
+            this.renderList();
+        }
+        this.updateButton();
+    }
+
+    /**
+     * Show the unread count on the toolbar button
+     */
+    updateButton() {
+        if (!this.button) return;
+
+        const unread = this.notifications.unreadCount;
+        const badge = this.button.querySelector('.notification-badge');
+        if (badge) {
+            badge.textContent = unread;
+            badge.hidden = unread === 0;
+        }
+        this.button.title = unread
+            ? I18n.t('notificationHistory.buttonUnread', { count: unread })
+            : I18n.t('notificationHistory.title');
+    }
+
+    /**
+     * Render the messages, newest first
+     */
+    renderList() {
+        const { history } = this.notifications;
+        if (history.length === 0) {
+            this.list.innerHTML = `<li class="notification-history-empty">${this.escapeHtml(I18n.t('notificationHistory.empty'))}</li>`;
+            return;
+        }
+
+        this.list.innerHTML = history.map(({ message, type, time }) => `
+            <li class="notification-history-item notification-history-${type}">
+                <time datetime="${time.toISOString()}">${this.escapeHtml(I18n.formatDate(time, { timeStyle: 'medium' }))}</time>
+                <span>${this.escapeHtml(message)}</span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Show the panel and mark its messages as read
+     */
+    open() {
+        if (!this.container || this.isOpen()) return;
+
+        this.returnFocus = document.activeElement;
+        this.container.hidden = false;
+        this.update();
+        this.container.querySelector('.notification-history-close').focus();
+    }
+
+    /**
+     * Hide the panel and give the focus back
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.container.hidden = true;
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Show the panel if hidden, hide it if showing
+     */
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Check if the panel is showing
+     * @returns {boolean} - True if open
+     */
+    isOpen() {
+        return Boolean(this.container && !this.container.hidden);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
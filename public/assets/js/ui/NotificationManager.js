@@ -1,21 +1,83 @@
 /**
  * NotificationManager class - handles notification display
+ * Notifications stack in the top right corner, newest at the bottom. At most
+ * maxVisible show at once; the rest wait in a queue until one is dismissed or
+ * times out. Hovering or focusing a notification pauses its timer. Every
+ * message is also kept in a history, so missed ones can be read later.
+ * The stack is a polite live region, so screen readers announce new messages;
+ * errors use role="alert" to be announced right away.
  */
+import { I18n } from '../utils/I18n.js';
+
 export class NotificationManager {
-    constructor() {
+    static COLORS = {
+        success: '#28a745',
+        error: '#dc3545',
+        info: '#17a2b8',
+        warning: '#ffc107'
+    };
+
+    // Warnings use dark text; the yellow is too light for white
+    static TEXT_COLORS = {
+        warning: '#212529'
+    };
+
+    /**
+     * @param {Object} options - Options
+     * @param {number} options.maxVisible - Notifications shown at once
+     * @param {number} options.historyLimit - Messages kept in the history
+     */
+    constructor({ maxVisible = 3, historyLimit = 50 } = {}) {
+        this.maxVisible = maxVisible;
+        this.historyLimit = historyLimit;
         this.notificationQueue = [];
-        this.isDisplaying = false;
+        this.visible = [];
+        this.history = [];
+        this.unreadCount = 0;
+        this.nextId = 1;
+        this.stack = null;
+        this.historyListeners = new Set();
+
+        // A live region has to be in the page before its first message to be announced
+        this.getStack();
+    }
+
+    /**
+     * Check if the user asked the system for less motion
+     * @returns {boolean} - True when animations should be skipped
+     */
+    static prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
     }
 
     /**
      * Show a notification
      * @param {string} message - The message to display
-     * @param {string} type - The type of notification (success, error, info)
+     * @param {string} type - The type of notification (success, error, info, warning)
      * @param {number} duration - Duration in milliseconds (default: 3000)
+     * @param {Object|Array<Object>} actions - Optional buttons { label, onClick }, e.g. Undo
      */
-    show(message, type = 'info', duration = 3000) {
-        const notification = this.createNotification(message, type);
-        this.displayNotification(notification, duration);
+    show(message, type = 'info', duration = 3000, actions = []) {
+        const entry = {
+            id: this.nextId++,
+            message,
+            type: NotificationManager.COLORS[type] ? type : 'info',
+            time: new Date(),
+            duration,
+            actions: [].concat(actions || []),
+            element: null,
+            timer: null,
+            remaining: duration,
+            startedAt: 0
+        };
+        this.addToHistory(entry);
+
+        if (this.visible.length < this.maxVisible) {
+            this.displayNotification(entry);
+        } else {
+            this.notificationQueue.push(entry);
+        }
     }
 
     /**
@@ -26,12 +88,37 @@ export class NotificationManager {
         this.show(message, 'success');
     }
 
+    /**
+     * Show a notification with an Undo button
+     * Stays a little longer so there is time to press it.
+     * @param {string} message - The message to display
+     * @param {Function} onUndo - Called when Undo is pressed
+     * @param {string} type - The type of notification
+     */
+    showUndo(message, onUndo, type = 'info') {
+        this.show(message, type, 5000, { label: I18n.t('notification.undo'), onClick: onUndo });
+    }
+
     /**
      * Show error notification
+     * With an action, e.g. Retry, it stays longer so there is time to press it.
      * @param {string} message - The message to display
+     * @param {Object} action - Optional button { label, onClick }
      */
-    showError(message) {
-        this.show(message, 'error');
+    showError(message, action = null) {
+        if (action) {
+            this.show(message, 'error', 6000, action);
+        } else {
+            this.show(message, 'error');
+        }
+    }
+
+    /**
+     * Show warning notification
+     * @param {string} message - The message to display
+     */
+    showWarning(message) {
+        this.show(message, 'warning', 4000);
     }
 
     /**
@@ -42,60 +129,209 @@ export class NotificationManager {
         this.show(message, 'info');
     }
 
+    /**
+     * Listen for changes to the history
+     * @param {Function} listener - Called with the history, newest first
+     * @returns {Function} - Call to stop listening
+     */
+    subscribe(listener) {
+        this.historyListeners.add(listener);
+        return () => this.historyListeners.delete(listener);
+    }
+
+    /**
+     * Keep a message in the history, dropping the oldest beyond historyLimit
+     * @param {Object} entry - Notification entry
+     */
+    addToHistory({ id, message, type, time }) {
+        this.history.unshift({ id, message, type, time });
+        this.history.length = Math.min(this.history.length, this.historyLimit);
+        this.unreadCount = Math.min(this.unreadCount + 1, this.history.length);
+        this.notifyHistory();
+    }
+
+    /**
+     * Mark every message in the history as read
+     */
+    markHistoryRead() {
+        if (this.unreadCount === 0) return;
+        this.unreadCount = 0;
+        this.notifyHistory();
+    }
+
+    /**
+     * Forget every message in the history
+     */
+    clearHistory() {
+        this.history = [];
+        this.unreadCount = 0;
+        this.notifyHistory();
+    }
+
+    /**
+     * Tell the history listeners about a change
+     */
+    notifyHistory() {
+        this.historyListeners.forEach(listener => listener(this.history));
+    }
+
+    /**
+     * Get the element notifications stack in, creating it when first needed
+     * @returns {HTMLElement} - Stack element
+     */
+    getStack() {
+        if (!this.stack || !this.stack.isConnected) {
+            this.stack = document.createElement('div');
+            this.stack.className = 'notification-stack';
+            this.stack.setAttribute('aria-live', 'polite');
+            this.stack.style.cssText = `
+                position: fixed;
+                top: 20px;
+                right: 20px;
+                z-index: 1000;
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+                max-width: 300px;
+            `;
+            document.body.appendChild(this.stack);
+        }
+        return this.stack;
+    }
+
     /**
      * Create notification element
-     * @param {string} message - The message to display
-     * @param {string} type - The type of notification
+     * @param {Object} entry - Notification entry
      * @returns {HTMLElement} - The notification element
      */
-    createNotification(message, type) {
-        // Remove existing notification
-        this.removeExistingNotification();
-
+    createNotification(entry) {
+        const { message, type, actions } = entry;
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
-        notification.textContent = message;
+        notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
 
         // Add styles
         notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
             padding: 15px 20px;
             border-radius: 10px;
-            color: white;
+            color: ${NotificationManager.TEXT_COLORS[type] || 'white'};
             font-weight: 500;
-            z-index: 1000;
-            animation: slideInRight 0.3s ease;
-            max-width: 300px;
+            animation: ${NotificationManager.prefersReducedMotion() ? 'none' : 'slideInRight 0.3s ease'};
             word-wrap: break-word;
             box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
         `;
+        notification.style.backgroundColor = NotificationManager.COLORS[type];
 
-        // Set background color based on type
-        const colors = {
-            success: '#28a745',
-            error: '#dc3545',
-            info: '#17a2b8',
-            warning: '#ffc107'
-        };
-        notification.style.backgroundColor = colors[type] || colors.info;
+        const text = document.createElement('span');
+        text.className = 'notification-message';
+        text.textContent = message;
+        text.style.flex = '1';
+        notification.appendChild(text);
+
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.style.cssText = `
+                padding: 4px 10px;
+                border: 1px solid currentColor;
+                border-radius: 6px;
+                background: transparent;
+                color: inherit;
+                font-weight: 600;
+                cursor: pointer;
+            `;
+            button.addEventListener('click', () => {
+                this.dismiss(entry);
+                action.onClick();
+            });
+            notification.appendChild(button);
+        });
+
+        const dismissButton = document.createElement('button');
+        dismissButton.className = 'notification-dismiss';
+        dismissButton.textContent = '×';
+        dismissButton.title = I18n.t('notification.dismissTitle');
+        dismissButton.setAttribute('aria-label', I18n.t('notification.dismiss'));
+        dismissButton.style.cssText = `
+            border: none;
+            background: transparent;
+            color: inherit;
+            font-size: 18px;
+            line-height: 1;
+            cursor: pointer;
+        `;
+        dismissButton.addEventListener('click', () => this.dismiss(entry));
+        notification.appendChild(dismissButton);
+
+        // Pause while the user is looking at or using the notification
+        notification.addEventListener('mouseenter', () => this.pauseTimer(entry));
+        notification.addEventListener('mouseleave', () => this.resumeTimer(entry));
+        notification.addEventListener('focusin', () => this.pauseTimer(entry));
+        notification.addEventListener('focusout', (e) => {
+            if (!notification.contains(e.relatedTarget)) {
+                this.resumeTimer(entry);
+            }
+        });
 
         return notification;
     }
 
     /**
      * Display notification with animation
-     * @param {HTMLElement} notification - The notification element
-     * @param {number} duration - Duration in milliseconds
+     * @param {Object} entry - Notification entry
      */
-    displayNotification(notification, duration) {
-        document.body.appendChild(notification);
+    displayNotification(entry) {
+        entry.element = this.createNotification(entry);
+        this.visible.push(entry);
+        this.getStack().appendChild(entry.element);
+        this.resumeTimer(entry);
+    }
 
-        // Auto-remove after duration
-        setTimeout(() => {
-            this.hideNotification(notification);
-        }, duration);
+    /**
+     * Start or continue the timer that hides a notification
+     * @param {Object} entry - Notification entry
+     */
+    resumeTimer(entry) {
+        if (entry.timer || !this.visible.includes(entry)) return;
+
+        entry.startedAt = Date.now();
+        entry.timer = setTimeout(() => this.dismiss(entry), entry.remaining);
+    }
+
+    /**
+     * Stop the timer of a notification, keeping the time it has left
+     * @param {Object} entry - Notification entry
+     */
+    pauseTimer(entry) {
+        if (!entry.timer) return;
+
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        entry.remaining = Math.max(entry.remaining - (Date.now() - entry.startedAt), 0);
+    }
+
+    /**
+     * Hide a notification and show the next queued one in its place
+     * @param {Object} entry - Notification entry
+     */
+    dismiss(entry) {
+        const index = this.visible.indexOf(entry);
+        if (index === -1) return;
+
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        this.visible.splice(index, 1);
+        this.hideNotification(entry.element);
+
+        const next = this.notificationQueue.shift();
+        if (next) {
+            this.displayNotification(next);
+        }
     }
 
     /**
@@ -104,6 +340,10 @@ export class NotificationManager {
      */
     hideNotification(notification) {
         if (notification && notification.parentNode) {
+            if (NotificationManager.prefersReducedMotion()) {
+                notification.remove();
+                return;
+            }
             notification.style.animation = 'slideOutRight 0.3s ease';
             setTimeout(() => {
                 if (notification.parentNode) {
@@ -114,21 +354,13 @@ export class NotificationManager {
     }
 
     /**
-     * Remove existing notification
-     */
-    removeExistingNotification() {
-        const existingNotification = document.querySelector('.notification');
-        if (existingNotification) {
-            existingNotification.remove();
-        }
-    }
-
-    /**
-     * Clear all notifications
+     * Clear all notifications, including queued ones
      */
     clearAll() {
-        const notifications = document.querySelectorAll('.notification');
-        notifications.forEach(notification => notification.remove());
+        this.notificationQueue = [];
+        [...this.visible].forEach(entry => clearTimeout(entry.timer));
+        this.visible = [];
+        document.querySelectorAll('.notification').forEach(notification => notification.remove());
     }
 
     /**
@@ -163,7 +395,13 @@ export class NotificationManager {
                     opacity: 0;
                 }
             }
+
+            @media (prefers-reduced-motion: reduce) {
+                .notification {
+                    animation: none !important;
+                }
+            }
         `;
         document.head.appendChild(style);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,125 @@
+/**
+ * ProjectSidebar class - renders the named lists and handles list actions
+ */
+import { I18n } from '../utils/I18n.js';
+
+export class ProjectSidebar {
+    constructor(containerSelector = '#projectList') {
+        this.container = document.querySelector(containerSelector);
+        this.callbacks = {};
+    }
+
+    /**
+     * Render the lists
+     * @param {Array} lists - TodoProject instances in display order
+     * @param {string} currentListId - ID of the list being shown
+     * @param {Map} counts - Open task count per list ID
+     */
+    render(lists, currentListId, counts) {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        lists.forEach((list, index) => {
+            this.container.appendChild(this.createListElement(list, {
+                isCurrent: list.id === currentListId,
+                count: counts.get(list.id) || 0,
+                isFirst: index === 0,
+                isLast: index === lists.length - 1
+            }));
+        });
+    }
+
+    /**
+     * Create a list element
+     * @param {TodoProject} list - The list
+     * @param {Object} state - Display state (isCurrent, count, isFirst, isLast)
+     * @returns {HTMLElement} - The list element
+     */
+    createListElement(list, { isCurrent, count, isFirst, isLast }) {
+        const li = document.createElement('li');
+        li.className = `project-item ${isCurrent ? 'active' : ''}`;
+        li.dataset.listId = list.id;
+
+        li.innerHTML = `
+            <button class="project-name" data-i18n-title="list.show">${this.escapeHtml(list.name)}</button>
+            <span class="project-count">${count}</span>
+            <span class="project-actions">
+                <button class="project-move" data-offset="-1" data-i18n-title="list.moveUp" ${isFirst ? 'disabled' : ''}>↑</button>
+                <button class="project-move" data-offset="1" data-i18n-title="list.moveDown" ${isLast ? 'disabled' : ''}>↓</button>
+                <button class="project-rename" data-i18n-title="list.rename">✎</button>
+                <button class="project-delete" data-i18n-title="list.delete">×</button>
+            </span>
+        `;
+        I18n.translate(li);
+
+        return li;
+    }
+
+    /**
+     * Listen for list actions with a single delegated listener
+     * @param {Object} callbacks - onSelect, onRename, onMove and onDelete callbacks
+     */
+    bindEvents(callbacks) {
+        this.callbacks = callbacks;
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (e) => {
+            const item = e.target.closest('.project-item');
+            const button = e.target.closest('button');
+            if (!item || !button || button.disabled) return;
+
+            const listId = item.dataset.listId;
+            if (button.classList.contains('project-name')) {
+                callbacks.onSelect?.(listId);
+            } else if (button.classList.contains('project-move')) {
+                callbacks.onMove?.(listId, Number(button.dataset.offset));
+            } else if (button.classList.contains('project-rename')) {
+                this.startRename(item);
+            } else if (button.classList.contains('project-delete')) {
+                callbacks.onDelete?.(listId);
+            }
+        });
+    }
+
+    /**
+     * Replace a list name with an input until Enter, Escape or blur
+     * @param {HTMLElement} item - The list element
+     */
+    startRename(item) {
+        const nameButton = item.querySelector('.project-name');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'project-rename-input';
+        input.value = nameButton.textContent;
+        nameButton.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            const renamed = save && this.callbacks.onRename?.(item.dataset.listId, input.value);
+            if (!renamed) {
+                input.replaceWith(nameButton);
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * ShortcutHelp class - overlay listing the keyboard shortcuts (opened with '?')
+ */
+import { I18n } from '../utils/I18n.js';
+
+export class ShortcutHelp {
+    // Descriptions are message keys (see I18n)
+    static SHORTCUTS = [
+        { keys: ['N'], description: 'shortcut.newTask' },
+        { keys: ['J', 'K'], description: 'shortcut.select' },
+        { keys: ['↑', '↓', 'Home', 'End'], description: 'shortcut.moveFocus' },
+        { keys: ['X'], description: 'shortcut.toggle' },
+        { keys: ['E'], description: 'shortcut.edit' },
+        { keys: ['Delete'], description: 'shortcut.delete' },
+        { keys: ['Alt+↑', 'Alt+↓'], description: 'shortcut.move' },
+        { keys: ['/'], description: 'shortcut.search' },
+        { keys: ['Ctrl+K'], description: 'shortcut.palette' },
+        { keys: ['Ctrl+Z', 'Ctrl+Shift+Z'], description: 'shortcut.undoRedo' },
+        { keys: ['Esc'], description: 'shortcut.escape' },
+        { keys: ['?'], description: 'shortcut.help' }
+    ];
+
+    constructor(containerSelector = '#shortcutHelp') {
+        this.container = document.querySelector(containerSelector);
+        this.returnFocus = null;
+
+        if (this.container) {
+            this.build();
+        }
+    }
+
+    /**
+     * Create the overlay markup and its listeners
+     */
+    build() {
+        const rows = ShortcutHelp.SHORTCUTS.map(({ keys, description }) => `
+            <tr>
+                <td>${keys.map(key => `<kbd>${this.escapeHtml(key)}</kbd>`).join(' ')}</td>
+                <td data-i18n="${description}"></td>
+            </tr>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="shortcut-dialog" role="dialog" aria-modal="true" aria-labelledby="shortcutHelpTitle">
+                <h2 id="shortcutHelpTitle" data-i18n="shortcut.title"></h2>
+                <table class="shortcut-table">${rows}</table>
+                <button class="shortcut-close" data-i18n="dialog.close"></button>
+            </div>
+        `;
+        I18n.translate(this.container);
+
+        this.container.querySelector('.shortcut-close').addEventListener('click', () => this.close());
+        this.container.addEventListener('click', (e) => {
+            if (e.target === this.container) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Show the overlay
+     */
+    open() {
+        if (!this.container || this.isOpen()) return;
+
+        this.returnFocus = document.activeElement;
+        this.container.hidden = false;
+        this.container.querySelector('.shortcut-close').focus();
+    }
+
+    /**
+     * Hide the overlay and give the focus back
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.container.hidden = true;
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Show the overlay if hidden, hide it if showing
+     */
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Check if the overlay is showing
+     * @returns {boolean} - True if open
+     */
+    isOpen() {
+        return Boolean(this.container && !this.container.hidden);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,172 @@
+/**
+ * TagPanel class - renders the tag management list and the active tag filter
+ */
+import { I18n } from '../utils/I18n.js';
+
+export class TagPanel {
+    constructor(listSelector = '#tagList', filterBarSelector = '#tagFilterBar') {
+        this.container = document.querySelector(listSelector);
+        this.filterBar = document.querySelector(filterBarSelector);
+        this.callbacks = {};
+    }
+
+    /**
+     * Render the tags and the filter bar
+     * @param {Array} tags - { tag, count, color } entries sorted by name
+     * @param {Object} filter - Active filter { tags, mode }
+     */
+    render(tags, filter) {
+        if (this.container) {
+            this.container.innerHTML = '';
+            if (tags.length === 0) {
+                this.container.innerHTML = '<li class="tag-empty" data-i18n="tag.empty"></li>';
+                I18n.translate(this.container);
+            }
+            tags.forEach(entry => {
+                this.container.appendChild(this.createTagElement(entry, filter.tags.includes(entry.tag)));
+            });
+        }
+
+        this.renderFilterBar(filter, new Map(tags.map(entry => [entry.tag, entry.color])));
+    }
+
+    /**
+     * Create a tag management row
+     * @param {Object} entry - { tag, count, color }
+     * @param {boolean} isActive - True if the tag is part of the filter
+     * @returns {HTMLElement} - The tag element
+     */
+    createTagElement({ tag, count, color }, isActive) {
+        const li = document.createElement('li');
+        li.className = `tag-item ${isActive ? 'active' : ''}`;
+        li.dataset.tag = tag;
+
+        li.innerHTML = `
+            <input type="color" class="tag-color" value="${color}" data-i18n-title="tag.color">
+            <button class="tag-name" data-i18n-title="tag.filter">#${this.escapeHtml(tag)}</button>
+            <span class="tag-count">${count}</span>
+            <button class="tag-rename" data-i18n-title="tag.rename">✎</button>
+        `;
+        I18n.translate(li);
+
+        return li;
+    }
+
+    /**
+     * Show the tags being filtered by with the match mode toggle
+     * @param {Object} filter - Active filter { tags, mode }
+     * @param {Map} colors - Color per tag
+     */
+    renderFilterBar({ tags, mode }, colors) {
+        if (!this.filterBar) return;
+
+        this.filterBar.hidden = tags.length === 0;
+        if (tags.length === 0) {
+            this.filterBar.innerHTML = '';
+            return;
+        }
+
+        const chips = tags.map(tag => `
+            <button class="tag-chip active" data-tag="${this.escapeHtml(tag)}" style="background: ${colors.get(tag) || '#667eea'}" data-i18n-title="tag.removeFromFilter">
+                #${this.escapeHtml(tag)} ×
+            </button>
+        `).join('');
+
+        this.filterBar.innerHTML = `
+            <span data-i18n="tag.filterLabel"></span>
+            ${chips}
+            <button class="tag-filter-mode" data-mode="${mode === 'and' ? 'or' : 'and'}" data-i18n-title="tag.modeTitle"
+                data-i18n="${mode === 'and' ? 'tag.matchAll' : 'tag.matchAny'}"></button>
+            <button class="tag-filter-clear" data-i18n="tag.clearFilter"></button>
+        `;
+        I18n.translate(this.filterBar);
+    }
+
+    /**
+     * Listen for tag actions with delegated listeners
+     * @param {Object} callbacks - onToggleFilter, onModeChange, onClearFilter, onRename and onColorChange callbacks
+     */
+    bindEvents(callbacks) {
+        this.callbacks = callbacks;
+
+        if (this.container) {
+            this.container.addEventListener('click', (e) => {
+                const item = e.target.closest('.tag-item');
+                const button = e.target.closest('button');
+                if (!item || !button) return;
+
+                if (button.classList.contains('tag-name')) {
+                    callbacks.onToggleFilter?.(item.dataset.tag);
+                } else if (button.classList.contains('tag-rename')) {
+                    this.startRename(item);
+                }
+            });
+
+            this.container.addEventListener('change', (e) => {
+                const item = e.target.closest('.tag-item');
+                if (item && e.target.classList.contains('tag-color')) {
+                    callbacks.onColorChange?.(item.dataset.tag, e.target.value);
+                }
+            });
+        }
+
+        if (this.filterBar) {
+            this.filterBar.addEventListener('click', (e) => {
+                const button = e.target.closest('button');
+                if (!button) return;
+
+                if (button.classList.contains('tag-chip')) {
+                    callbacks.onToggleFilter?.(button.dataset.tag);
+                } else if (button.classList.contains('tag-filter-mode')) {
+                    callbacks.onModeChange?.(button.dataset.mode);
+                } else if (button.classList.contains('tag-filter-clear')) {
+                    callbacks.onClearFilter?.();
+                }
+            });
+        }
+    }
+
+    /**
+     * Replace a tag name with an input until Enter, Escape or blur
+     * Renaming to an existing tag merges the two.
+     * @param {HTMLElement} item - The tag element
+     */
+    startRename(item) {
+        const nameButton = item.querySelector('.tag-name');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'tag-rename-input';
+        input.value = item.dataset.tag;
+        nameButton.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            const renamed = save && input.value !== item.dataset.tag &&
+                this.callbacks.onRename?.(item.dataset.tag, input.value);
+            if (!renamed) {
+                input.replaceWith(nameButton);
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -1,36 +1,524 @@
 /**
  * TodoRenderer class - handles DOM rendering and UI updates
  */
+import { DueDateUtils } from '../utils/DueDateUtils.js';
+import { RecurrenceUtils } from '../utils/RecurrenceUtils.js';
+import { TodoValidator } from '../utils/TodoValidator.js';
+import { SearchUtils } from '../utils/SearchUtils.js';
+import { I18n } from '../utils/I18n.js';
+
 export class TodoRenderer {
-    constructor(containerSelector = '#todoList') {
+    // Longer lists only render the rows around the viewport
+    static VIRTUALIZE_THRESHOLD = 200;
+
+    // Estimated row height until a rendered row can be measured
+    static ROW_HEIGHT = 56;
+
+    // Rows rendered above and below the viewport
+    static OVERSCAN = 10;
+
+    // Controls inside a row; only the rows' single tab stop (see setActiveRow) reaches them with Tab
+    static FOCUSABLE = 'button, input, select, textarea, a[href]';
+
+    // Row controls whose aria-label names the todo, with the message key of the label
+    static NAMED_CONTROLS = {
+        '.todo-select': 'row.select',
+        '.drag-handle': 'row.reorder',
+        '.todo-checkbox': 'row.done',
+        '.edit-btn': 'row.edit',
+        '.delete-btn': 'row.delete'
+    };
+
+    /**
+     * @param {string} containerSelector - Selector of the list element
+     * @param {Object} options - Options
+     * @param {Function} options.now - Clock returning the current Date, the one the view counts overdue todos by
+     */
+    constructor(containerSelector = '#todoList', { now = () => new Date() } = {}) {
+        this.now = now;
         this.container = document.querySelector(containerSelector);
+        this.listTitle = document.querySelector('#currentListName');
+        this.sortSelect = document.querySelector('#sortSelect');
         this.statsContainer = {
             total: document.querySelector('#totalTasks'),
-            completed: document.querySelector('#completedTasks')
+            completed: document.querySelector('#completedTasks'),
+            overdue: document.querySelector('#overdueTasks'),
+            subtasks: document.querySelector('#subtaskStats'),
+            visible: document.querySelector('#visibleTasks'),
+            sync: document.querySelector('#syncStatus')
         };
+        this.filterTabs = document.querySelector('#filterTabs');
+        this.tagColors = new Map();
+        this.expandedTodoIds = new Set();
+        this.searchQuery = null;
+        this.reorderable = false;
+        this.dragState = null;
+        this.selectedTodoId = null;
+        this.activeTodoId = null;
+        this.syncStatus = null;
+        this.bulkSelection = new Set();
+        this.todos = [];
+        // Position of each todo in this.todos, by ID
+        this.todoIndexes = new Map();
+        this.rowKeys = new WeakMap();
+        this.rowHeight = TodoRenderer.ROW_HEIGHT;
+        this.windowStart = 0;
+        this.topSpacer = this.createSpacer();
+        this.bottomSpacer = this.createSpacer();
+    }
+
+    /**
+     * Set the todo selected with the keyboard
+     * @param {string|null} todoId - Selected todo ID, or null for none
+     */
+    setSelectedTodoId(todoId) {
+        this.selectedTodoId = todoId;
+    }
+
+    /**
+     * Move the keyboard selection highlight without re-rendering
+     * @param {string|null} todoId - Selected todo ID, or null for none
+     */
+    markSelected(todoId) {
+        this.selectedTodoId = todoId;
+        this.ensureRendered(todoId);
+        this.container?.querySelectorAll('.todo-item').forEach(element => {
+            const isSelected = element.dataset.todoId === todoId;
+            element.classList.toggle('selected', isSelected);
+            if (isSelected) {
+                element.scrollIntoView?.({ block: 'nearest' });
+            }
+        });
+
+        if (todoId === null) return;
+        // Keyboard focus on a row follows the selection
+        const focused = document.activeElement;
+        if (focused?.classList.contains('todo-item') && this.container.contains(focused)) {
+            this.focusRow(todoId);
+        } else {
+            this.setActiveRow(todoId);
+        }
+    }
+
+    /**
+     * Make a row the single tab stop of the list (roving tabindex)
+     * The other rows, and the controls inside them, are skipped by Tab;
+     * the arrow keys move between rows.
+     * @param {string|null} todoId - Todo ID
+     */
+    setActiveRow(todoId) {
+        if (todoId === this.activeTodoId) return;
+
+        const previous = this.getTodoElementIfRendered(this.activeTodoId);
+        this.activeTodoId = todoId;
+        if (previous) {
+            this.setRowTabStop(previous, false);
+        }
+        const row = this.getTodoElementIfRendered(todoId);
+        if (row) {
+            this.setRowTabStop(row, true);
+        }
+    }
+
+    /**
+     * Let Tab reach a row and its controls, or skip them
+     * @param {HTMLElement} row - Todo element
+     * @param {boolean} isActive - True for the list's tab stop
+     */
+    setRowTabStop(row, isActive) {
+        row.tabIndex = isActive ? 0 : -1;
+        row.querySelectorAll(TodoRenderer.FOCUSABLE).forEach(control => {
+            if (isActive) {
+                control.removeAttribute('tabindex');
+            } else {
+                control.tabIndex = -1;
+            }
+        });
+    }
+
+    /**
+     * Move the keyboard focus to a row, rendering it first if it is outside the window
+     * @param {string} todoId - Todo ID
+     */
+    focusRow(todoId) {
+        const row = this.getTodoElement(todoId);
+        if (row) {
+            this.setActiveRow(todoId);
+            row.focus();
+        }
+    }
+
+    /**
+     * Move the keyboard focus to a row above or below another one
+     * @param {string} todoId - ID of the focused row
+     * @param {number} offset - Rows to move; -Infinity / Infinity for the first / last row
+     */
+    focusRowBy(todoId, offset) {
+        const index = this.todos.findIndex(todo => todo.id === todoId);
+        if (index === -1) return;
+
+        const target = Math.min(Math.max(index + offset, 0), this.todos.length - 1);
+        this.focusRow(this.todos[target].id);
+    }
+
+    /**
+     * Set the todos checked for bulk actions
+     * @param {Set<string>} todoIds - Checked todo IDs
+     */
+    setBulkSelection(todoIds) {
+        this.bulkSelection = todoIds;
+    }
+
+    /**
+     * Update the bulk selection checkboxes without re-rendering
+     * @param {Set<string>} todoIds - Checked todo IDs
+     */
+    markBulkSelected(todoIds) {
+        this.bulkSelection = todoIds;
+        this.container?.querySelectorAll('.todo-item').forEach(element => {
+            const isChecked = todoIds.has(element.dataset.todoId);
+            element.classList.toggle('bulk-selected', isChecked);
+            const checkbox = element.querySelector('.todo-select');
+            if (checkbox) {
+                checkbox.checked = isChecked;
+            }
+        });
+    }
+
+    /**
+     * Get the rendered element of a todo
+     * @param {string} todoId - Todo ID
+     * @returns {HTMLElement|null} - Todo element
+     */
+    getTodoElement(todoId) {
+        this.ensureRendered(todoId);
+        return this.container?.querySelector(`[data-todo-id="${todoId}"]`) || null;
+    }
+
+    /**
+     * Set whether todos can be dragged into a new order (manual sort only)
+     * @param {boolean} reorderable - True to show drag handles
+     */
+    setReorderable(reorderable) {
+        this.reorderable = reorderable;
+    }
+
+    /**
+     * Set the search query whose matches are highlighted
+     * @param {Object|null} query - Query parsed with SearchUtils.parseQuery
+     */
+    setSearchQuery(query) {
+        this.searchQuery = query;
+    }
+
+    /**
+     * Escape a text for HTML and mark the search matches in it
+     * @param {string} text - Text to show
+     * @returns {string} - Safe HTML
+     */
+    highlightText(text) {
+        return SearchUtils.highlight(text, this.searchQuery, (part) => this.escapeHtml(part));
+    }
+
+    /**
+     * Set which todos show their subtasks
+     * @param {Set} todoIds - IDs of expanded todos
+     */
+    setExpandedTodoIds(todoIds) {
+        this.expandedTodoIds = todoIds;
+    }
+
+    /**
+     * Set the colors used for tag chips
+     * @param {Map} tagColors - Color per tag
+     */
+    setTagColors(tagColors) {
+        this.tagColors = tagColors;
     }
 
     /**
      * Render the todo list
+     * Rows are matched to todos by ID: unchanged rows are kept, changed rows are
+     * replaced, and rows are only moved when the order changed. Long lists are
+     * windowed (see VIRTUALIZE_THRESHOLD).
      * @param {Array} todos - Array of todo items
+     * @param {string} emptyMessage - Message shown when there is nothing to render
      */
-    renderTodos(todos) {
+    renderTodos(todos, emptyMessage) {
         if (!this.container) {
             console.error('Todo list container not found');
             return;
         }
 
-        this.container.innerHTML = '';
+        const focus = this.captureFocus();
+        this.todos = todos || [];
+        this.todoIndexes = new Map(this.todos.map((todo, index) => [todo.id, index]));
+        if (this.todos.length === 0) {
+            this.renderEmptyState(emptyMessage);
+        } else {
+            this.renderRows();
+        }
+        this.restoreFocus(focus);
+    }
+
+    /**
+     * Get the position of a todo among the rendered todos
+     * @param {string} todoId - Todo ID
+     * @returns {number} - Index into the todos of the last renderTodos(), or -1
+     */
+    indexOfTodo(todoId) {
+        return this.todoIndexes.has(todoId) ? this.todoIndexes.get(todoId) : -1;
+    }
 
-        if (!todos || todos.length === 0) {
-            this.renderEmptyState();
+    /**
+     * Re-render the rows of todos that changed but kept their place in the list
+     * Only rows whose look changed are replaced; rows outside the window are created
+     * from the new todo when they scroll into view.
+     * @param {Array} todos - Changed todos, each already among the rendered todos
+     */
+    patchTodos(todos) {
+        if (!this.container) return;
+
+        const focus = this.captureFocus();
+        todos.forEach(todo => {
+            this.todos[this.indexOfTodo(todo.id)] = todo;
+            const existing = this.getTodoElementIfRendered(todo.id);
+            if (existing && this.rowKeys.get(existing) !== this.getRowKey(todo)) {
+                existing.replaceWith(this.createTodoElement(todo));
+            }
+        });
+        this.restoreFocus(focus);
+    }
+
+    /**
+     * Remember which row, and which control in it, has the keyboard focus
+     * @returns {Object|null} - { todoId, index, className }, or null when the focus is elsewhere
+     */
+    captureFocus() {
+        const focused = document.activeElement;
+        const row = focused && this.container.contains(focused) ? focused.closest('.todo-item') : null;
+        if (!row) return null;
+
+        return {
+            todoId: row.dataset.todoId,
+            index: this.todos.findIndex(todo => todo.id === row.dataset.todoId),
+            className: focused === row ? null : focused.classList[0]
+        };
+    }
+
+    /**
+     * Put the focus back after rendering removed or replaced the focused element
+     * A replaced row gets the focus on the same control; when the row is gone (e.g. deleted),
+     * the row now at its position gets it, or the new task input when the list is empty.
+     * @param {Object|null} focus - Result of captureFocus()
+     */
+    restoreFocus(focus) {
+        if (!focus || this.container.contains(document.activeElement)) return;
+
+        if (this.todos.length === 0) {
+            this.focusInput();
             return;
         }
 
-        todos.forEach(todo => {
-            const todoElement = this.createTodoElement(todo);
-            this.container.appendChild(todoElement);
+        if (this.todos.some(todo => todo.id === focus.todoId)) {
+            const row = this.getTodoElement(focus.todoId);
+            const control = focus.className ? row.querySelector(`.${focus.className}`) : null;
+            this.setActiveRow(focus.todoId);
+            (control || row).focus();
+        } else {
+            this.focusRow(this.todos[Math.min(Math.max(focus.index, 0), this.todos.length - 1)].id);
+        }
+    }
+
+    /**
+     * Bring the rendered rows in line with the todos in the current window
+     */
+    renderRows() {
+        const { start, end } = this.getWindow();
+        const shown = this.todos.slice(start, end);
+        const shownIds = new Set(shown.map(todo => todo.id));
+        const rows = new Map();
+
+        [...this.container.children].forEach(element => {
+            const todoId = element.dataset.todoId;
+            if (todoId !== undefined && shownIds.has(todoId)) {
+                rows.set(todoId, element);
+            } else if (todoId !== undefined) {
+                // Removed todos, and rows scrolled out of the window
+                this.removeTodoElement(todoId);
+            } else if (element !== this.topSpacer && element !== this.bottomSpacer) {
+                // The empty state
+                element.remove();
+            }
         });
+
+        const isWindowed = end - start < this.todos.length;
+        this.updateSpacer(this.topSpacer, isWindowed ? start : null);
+        this.updateSpacer(this.bottomSpacer, isWindowed ? this.todos.length - end : null);
+
+        let cursor = isWindowed ? this.topSpacer.nextElementSibling : this.container.firstElementChild;
+        shown.forEach(todo => {
+            const existing = rows.get(todo.id);
+            let element = existing;
+            if (!existing) {
+                element = this.addTodoElement(todo, cursor);
+            } else if (this.rowKeys.get(existing) !== this.getRowKey(todo)) {
+                element = this.createTodoElement(todo);
+                existing.replaceWith(element);
+                if (cursor === existing) {
+                    cursor = element;
+                }
+            }
+
+            if (element === cursor) {
+                cursor = cursor.nextElementSibling;
+            } else if (existing) {
+                this.container.insertBefore(element, cursor);
+            }
+        });
+
+        // Keep one row reachable with Tab
+        if (!shownIds.has(this.activeTodoId)) {
+            this.setActiveRow(shown[0].id);
+        }
+
+        if (isWindowed) {
+            this.measureRowHeight();
+        }
+    }
+
+    /**
+     * Get the range of todos to render
+     * Short lists are rendered whole; long ones from windowStart, plus OVERSCAN rows either side.
+     * @returns {Object} - { start, end } indices into the todos
+     */
+    getWindow() {
+        const count = this.todos.length;
+        if (count <= TodoRenderer.VIRTUALIZE_THRESHOLD) {
+            return { start: 0, end: count };
+        }
+
+        const pageRows = this.getPageRows();
+        this.windowStart = Math.min(this.windowStart, Math.max(count - pageRows, 0));
+        return {
+            start: Math.max(this.windowStart - TodoRenderer.OVERSCAN, 0),
+            end: Math.min(this.windowStart + pageRows + TodoRenderer.OVERSCAN, count)
+        };
+    }
+
+    /**
+     * Get how many rows fit in the scrolling list
+     * @returns {number} - Rows in view
+     */
+    getPageRows() {
+        return Math.ceil((this.container.clientHeight || window.innerHeight || 800) / this.rowHeight);
+    }
+
+    /**
+     * Render the rows that scrolled into view of a windowed list
+     */
+    updateWindow() {
+        if (!this.container || this.todos.length <= TodoRenderer.VIRTUALIZE_THRESHOLD) return;
+
+        const first = Math.floor(this.container.scrollTop / this.rowHeight);
+        if (first !== this.windowStart) {
+            this.windowStart = first;
+            this.renderRows();
+        }
+    }
+
+    /**
+     * Render the row of a todo that is outside the window, e.g. when selecting it with the keyboard
+     * @param {string|null} todoId - Todo ID
+     */
+    ensureRendered(todoId) {
+        if (!this.container || todoId === null || this.todos.length <= TodoRenderer.VIRTUALIZE_THRESHOLD) return;
+
+        const index = this.todos.findIndex(todo => todo.id === todoId);
+        const { start, end } = this.getWindow();
+        if (index === -1 || (index >= start && index < end)) return;
+
+        this.windowStart = Math.max(index - Math.floor(this.getPageRows() / 2), 0);
+        this.renderRows();
+        this.getTodoElementIfRendered(todoId)?.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    /**
+     * Get the row of a todo without rendering it
+     * @param {string} todoId - Todo ID
+     * @returns {HTMLElement|null} - Todo element, or null outside the window
+     */
+    getTodoElementIfRendered(todoId) {
+        return this.container?.querySelector(`[data-todo-id="${todoId}"]`) || null;
+    }
+
+    /**
+     * Use the distance between two rendered rows, margins included, for the spacers and the window
+     */
+    measureRowHeight() {
+        const row = this.topSpacer.nextElementSibling;
+        const next = row?.nextElementSibling;
+        const height = next && next !== this.bottomSpacer ? next.offsetTop - row.offsetTop : 0;
+        if (height > 0) {
+            this.rowHeight = height;
+        }
+    }
+
+    /**
+     * Create an element that stands in for rows outside the window
+     * @returns {HTMLElement} - Spacer element
+     */
+    createSpacer() {
+        const spacer = document.createElement('li');
+        spacer.className = 'todo-spacer';
+        spacer.setAttribute('aria-hidden', 'true');
+        return spacer;
+    }
+
+    /**
+     * Size a spacer for a number of rows, or take it out of the list
+     * @param {HTMLElement} spacer - topSpacer or bottomSpacer
+     * @param {number|null} rows - Rows it stands for; null when the list is not windowed
+     */
+    updateSpacer(spacer, rows) {
+        if (rows === null) {
+            spacer.remove();
+            return;
+        }
+
+        const height = `${rows * this.rowHeight}px`;
+        if (spacer.style.height !== height) {
+            spacer.style.height = height;
+        }
+        if (spacer === this.topSpacer && this.container.firstElementChild !== spacer) {
+            this.container.prepend(spacer);
+        } else if (spacer === this.bottomSpacer && this.container.lastElementChild !== spacer) {
+            this.container.append(spacer);
+        }
+    }
+
+    /**
+     * Get what a row looks like, to tell whether it needs replacing
+     * @param {Object} todo - Todo item object
+     * @returns {string} - Class name, drag state and markup of the row
+     */
+    getRowKey(todo) {
+        return `${this.getRowClassName(todo)}|${this.reorderable}|${this.getRowMarkup(todo)}`;
+    }
+
+    /**
+     * Get the class name of a row
+     * @param {Object} todo - Todo item object
+     * @returns {string} - Class name
+     */
+    getRowClassName(todo) {
+        return [
+            'todo-item',
+            `priority-${todo.priority || 'none'}`,
+            todo.completed ? 'completed' : '',
+            todo.id === this.selectedTodoId ? 'selected' : '',
+            this.bulkSelection.has(todo.id) ? 'bulk-selected' : ''
+        ].filter(Boolean).join(' ');
     }
 
     /**
@@ -40,25 +528,424 @@ export class TodoRenderer {
      */
     createTodoElement(todo) {
         const li = document.createElement('li');
-        li.className = `todo-item ${todo.completed ? 'completed' : ''}`;
+        li.className = this.getRowClassName(todo);
         li.dataset.todoId = todo.id;
+        li.draggable = this.reorderable;
+        li.setAttribute('aria-label', todo.text);
+        li.innerHTML = this.getRowMarkup(todo);
+        this.setRowTabStop(li, todo.id === this.activeTodoId);
+        this.rowKeys.set(li, this.getRowKey(todo));
+
+        return li;
+    }
+
+    /**
+     * Create the markup inside a row
+     * @param {Object} todo - Todo item object
+     * @returns {string} - Row HTML
+     */
+    getRowMarkup(todo) {
+        const label = (key) => this.escapeAttribute(I18n.t(key, { name: todo.text }));
+        const created = I18n.t('todo.created', { date: I18n.formatDate(todo.createdAt) });
+        return `
+            <input type="checkbox" class="todo-select" aria-label="${label('row.select')}" title="${label('row.selectTitle')}" ${this.bulkSelection.has(todo.id) ? 'checked' : ''}>
+            ${this.reorderable ? `<button class="drag-handle" title="${label('row.reorderTitle')}" aria-label="${label('row.reorder')}">⠿</button>` : ''}
+            <input type="checkbox" class="todo-checkbox" aria-label="${label('row.done')}" ${todo.completed ? 'checked' : ''}>
+            ${this.createPriorityButton(todo)}
+            <span class="todo-text" title="${this.escapeAttribute(created)}">${this.highlightText(todo.text)}</span>
+            ${this.createTagChips(todo)}
+            ${this.createDueBadge(todo)}
+            ${this.createRecurrenceBadge(todo)}
+            ${this.createSubtaskToggle(todo)}
+            <button class="edit-btn" title="${label('row.editTitle')}" aria-label="${label('row.edit')}">✎</button>
+            <button class="delete-btn" title="${label('row.deleteTitle')}" aria-label="${label('row.delete')}">×</button>
+            ${this.expandedTodoIds.has(todo.id) ? this.createSubtaskList(todo) : ''}
+        `;
+    }
+
+    /**
+     * Create the priority indicator markup; clicking it cycles the priority
+     * @param {Object} todo - Todo item object
+     * @returns {string} - Button HTML
+     */
+    createPriorityButton(todo) {
+        const priority = todo.priority || 'none';
+        const label = I18n.t(`priority.${priority}`);
+        const text = priority === 'none' ? '⚑' : this.escapeHtml(label);
+
+        return `<button class="priority-btn priority-${priority}" title="${this.escapeAttribute(I18n.t('row.priorityTitle', { priority: label }))}" aria-label="${this.escapeAttribute(I18n.t('row.priority', { priority: label }))}">${text}</button>`;
+    }
 
-        li.innerHTML = `
-            <input type="checkbox" class="todo-checkbox" ${todo.completed ? 'checked' : ''}>
-            <span class="todo-text">${this.escapeHtml(todo.text)}</span>
-            <button class="delete-btn" title="Delete task">×</button>
+    /**
+     * Create the tag chips markup; clicking a chip filters by that tag
+     * @param {Object} todo - Todo item object
+     * @returns {string} - Chips HTML, empty without tags
+     */
+    createTagChips(todo) {
+        if (!todo.tags || todo.tags.length === 0) return '';
+
+        const chips = todo.tags.map(tag => {
+            const color = this.tagColors.get(tag) || '#667eea';
+            const escaped = this.escapeHtml(tag);
+            return `<button class="tag-chip" data-tag="${escaped}" style="background: ${color}" title="${this.escapeAttribute(I18n.t('tag.filterBy', { tag }))}">#${escaped}</button>`;
+        }).join('');
+
+        return `<span class="todo-tags">${chips}</span>`;
+    }
+
+    /**
+     * Create the repeat badge markup, with past occurrences in its tooltip
+     * @param {Object} todo - Todo item object
+     * @returns {string} - Badge HTML, empty for one-off tasks
+     */
+    createRecurrenceBadge(todo) {
+        if (!todo.recurrence) return '';
+
+        const label = RecurrenceUtils.describe(todo.recurrence);
+        const history = todo.history || [];
+        const last = history[history.length - 1];
+        const repeats = I18n.t('recurrence.repeats', { rule: label.toLowerCase() });
+        const title = last
+            ? `${repeats} · ${I18n.t('recurrence.doneTimes', { count: history.length, date: I18n.formatDate(last.completedAt) })}`
+            : repeats;
+
+        return `<span class="recurrence-badge" title="${this.escapeAttribute(title)}">↻ ${this.escapeHtml(label)}</span>`;
+    }
+
+    /**
+     * Create the subtask progress button, e.g. "3/5"; clicking it shows the checklist
+     * @param {Object} todo - Todo item object
+     * @returns {string} - Button HTML
+     */
+    createSubtaskToggle(todo) {
+        const subtasks = todo.subtasks || [];
+        const expanded = this.expandedTodoIds.has(todo.id);
+        if (subtasks.length === 0) {
+            const addSteps = this.escapeAttribute(I18n.t('subtask.add'));
+            return `<button class="subtask-toggle" title="${addSteps}" aria-label="${addSteps}" aria-expanded="${expanded}">☰</button>`;
+        }
+
+        const done = subtasks.filter(subtask => subtask.completed).length;
+        const complete = done === subtasks.length ? 'complete' : '';
+        const title = this.escapeAttribute(I18n.t('subtask.progress', { done, count: subtasks.length }));
+        return `<button class="subtask-toggle subtask-progress ${complete}" title="${title}" aria-label="${title}" aria-expanded="${expanded}">${done}/${subtasks.length}</button>`;
+    }
+
+    /**
+     * Create the checklist markup with an input for new steps
+     * @param {Object} todo - Todo item object
+     * @returns {string} - List HTML
+     */
+    createSubtaskList(todo) {
+        const items = (todo.subtasks || []).map(subtask => `
+            <li class="subtask-item ${subtask.completed ? 'completed' : ''}" data-subtask-id="${subtask.id}">
+                <input type="checkbox" class="subtask-checkbox" aria-label="${this.escapeAttribute(I18n.t('subtask.done', { name: subtask.text }))}" ${subtask.completed ? 'checked' : ''}>
+                <span class="subtask-text">${this.highlightText(subtask.text)}</span>
+                <button class="subtask-delete" title="${this.escapeAttribute(I18n.t('subtask.deleteTitle'))}" aria-label="${this.escapeAttribute(I18n.t('subtask.delete', { name: subtask.text }))}">×</button>
+            </li>
+        `).join('');
+
+        return `
+            <ul class="subtask-list" aria-label="${this.escapeAttribute(I18n.t('subtask.list'))}">
+                ${items}
+                <li class="subtask-new">
+                    <input type="text" class="subtask-input" placeholder="${this.escapeAttribute(I18n.t('subtask.placeholder'))}" aria-label="${this.escapeAttribute(I18n.t('subtask.input'))}" maxlength="100">
+                </li>
+            </ul>
         `;
+    }
 
-        return li;
+    /**
+     * Focus the new step input of a todo
+     * @param {string} todoId - Todo ID
+     */
+    focusSubtaskInput(todoId) {
+        const input = this.getTodoElement(todoId)?.querySelector('.subtask-input');
+        if (input) {
+            input.focus();
+        }
+    }
+
+    /**
+     * Put the focus back on a todo after it moved
+     * @param {string} todoId - Todo ID
+     */
+    focusDragHandle(todoId) {
+        const todoElement = this.getTodoElement(todoId);
+        const target = todoElement?.querySelector('.drag-handle') || todoElement?.querySelector('.todo-checkbox');
+        if (target) {
+            target.focus();
+        }
+    }
+
+    /**
+     * Listen for reordering on the list container: mouse drag-and-drop, touch
+     * dragging by the handle, and Alt+Up / Alt+Down on a focused todo
+     * Bound once; the listeners are delegated so they survive re-rendering.
+     * @param {Object} callbacks - { onReorder(id, previousId, nextId), onMoveBy(id, offset) }
+     */
+    bindReorderEvents(callbacks) {
+        if (!this.container) return;
+
+        this.container.addEventListener('keydown', (e) => {
+            if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+            const todoElement = e.target.closest('.todo-item');
+            if (!todoElement || e.target.matches('input[type="text"]')) return;
+
+            e.preventDefault();
+            callbacks.onMoveBy(todoElement.dataset.todoId, e.key === 'ArrowUp' ? -1 : 1);
+        });
+
+        // Mouse
+        this.container.addEventListener('dragstart', (e) => {
+            const todoElement = e.target.closest('.todo-item');
+            if (!todoElement || !todoElement.draggable) return;
+
+            this.startDrag(todoElement);
+            if (e.dataTransfer) {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', todoElement.dataset.todoId);
+            }
+        });
+        this.container.addEventListener('dragover', (e) => {
+            if (!this.dragState) return;
+            e.preventDefault();
+            this.showDropIndicator(e.clientY);
+        });
+        this.container.addEventListener('drop', (e) => {
+            if (!this.dragState) return;
+            e.preventDefault();
+            this.finishDrag(e.clientY, callbacks.onReorder);
+        });
+        this.container.addEventListener('dragend', () => this.cancelDrag());
+
+        // Touch: drag by the handle, since touch screens do not fire drag events
+        this.container.addEventListener('touchstart', (e) => {
+            const handle = e.target.closest('.drag-handle');
+            if (!handle) return;
+            this.startDrag(handle.closest('.todo-item'));
+        }, { passive: true });
+        this.container.addEventListener('touchmove', (e) => {
+            if (!this.dragState) return;
+            // Keep the page from scrolling while dragging
+            e.preventDefault();
+            this.dragState.lastY = e.touches[0].clientY;
+            this.showDropIndicator(this.dragState.lastY);
+        }, { passive: false });
+        this.container.addEventListener('touchend', () => {
+            if (!this.dragState) return;
+            if (this.dragState.lastY === null) {
+                this.cancelDrag();
+            } else {
+                this.finishDrag(this.dragState.lastY, callbacks.onReorder);
+            }
+        });
+        this.container.addEventListener('touchcancel', () => this.cancelDrag());
+    }
+
+    /**
+     * Listen for the controls of every todo row with one listener per event type
+     * on the list container, and render the rows scrolled into view of a long list
+     * Bound once; rows added later need no listeners of their own.
+     * @param {Object} callbacks - Object containing callback functions
+     */
+    bindTodoEvents(callbacks) {
+        if (!this.container) return;
+
+        const findRow = (e) => {
+            const todoElement = e.target.closest('.todo-item');
+            return todoElement && this.container.contains(todoElement) ? todoElement : null;
+        };
+        const subtaskIdOf = (target) => parseInt(target.closest('.subtask-item').dataset.subtaskId);
+
+        this.container.addEventListener('click', (e) => {
+            const todoElement = findRow(e);
+            if (!todoElement) return;
+            const todoId = todoElement.dataset.todoId;
+            const target = e.target;
+
+            // Only the select checkbox checks the todo for bulk actions; clicks between the
+            // other controls of the row do nothing
+            if (target.classList.contains('todo-select')) {
+                callbacks.onSelect?.(todoId, { range: e.shiftKey });
+            } else if (target.closest('.delete-btn')) {
+                callbacks.onDelete?.(todoId);
+            } else if (target.closest('.priority-btn')) {
+                callbacks.onCyclePriority?.(todoId);
+            } else if (target.closest('.edit-btn') && callbacks.onEdit) {
+                this.startEdit(todoElement, (text) => callbacks.onEdit(todoId, text));
+            } else if (target.closest('.tag-chip')) {
+                callbacks.onTagClick?.(target.closest('.tag-chip').dataset.tag);
+            } else if (target.closest('.subtask-toggle')) {
+                callbacks.onToggleSubtaskList?.(todoId);
+            } else if (target.closest('.subtask-delete')) {
+                callbacks.onDeleteSubtask?.(todoId, subtaskIdOf(target));
+            }
+        });
+
+        this.container.addEventListener('dblclick', (e) => {
+            const todoElement = findRow(e);
+            if (todoElement && e.target.closest('.todo-text') && callbacks.onEdit) {
+                this.startEdit(todoElement, (text) => callbacks.onEdit(todoElement.dataset.todoId, text));
+            }
+        });
+
+        this.container.addEventListener('change', (e) => {
+            const todoElement = findRow(e);
+            if (!todoElement) return;
+
+            if (e.target.classList.contains('todo-checkbox')) {
+                callbacks.onToggle?.(todoElement.dataset.todoId);
+            } else if (e.target.classList.contains('subtask-checkbox')) {
+                callbacks.onToggleSubtask?.(todoElement.dataset.todoId, subtaskIdOf(e.target));
+            }
+        });
+
+        this.container.addEventListener('keydown', (e) => {
+            const todoElement = findRow(e);
+            if (todoElement && e.key === 'Enter' && e.target.classList.contains('subtask-input')) {
+                callbacks.onAddSubtask?.(todoElement.dataset.todoId, e.target.value);
+            }
+
+            // Arrow keys, Home and End move between rows while a row itself has the focus
+            const offsets = { ArrowDown: 1, ArrowUp: -1, Home: -Infinity, End: Infinity };
+            if (todoElement && e.target === todoElement && e.key in offsets && !e.altKey && !e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                this.focusRowBy(todoElement.dataset.todoId, offsets[e.key]);
+            }
+        });
+
+        // The focused row becomes the list's tab stop and the selected todo
+        this.container.addEventListener('focusin', (e) => {
+            const todoElement = findRow(e);
+            if (!todoElement) return;
+
+            const todoId = todoElement.dataset.todoId;
+            this.setActiveRow(todoId);
+            if (todoId !== this.selectedTodoId) {
+                callbacks.onFocusRow?.(todoId);
+            }
+        });
+
+        // The list scrolls on its own (see #todoList in style.css)
+        this.container.addEventListener('scroll', () => this.updateWindow(), { passive: true });
+        window.addEventListener('resize', () => this.updateWindow());
+    }
+
+    /**
+     * Start dragging a todo
+     * @param {HTMLElement} todoElement - Dragged todo element
+     */
+    startDrag(todoElement) {
+        this.dragState = { element: todoElement, lastY: null };
+        todoElement.classList.add('dragging');
+    }
+
+    /**
+     * Find the todo a dragged todo would be dropped in front of
+     * @param {number} y - Pointer position (client coordinates)
+     * @returns {HTMLElement|null} - Todo element, or null to drop at the end
+     */
+    getDropTarget(y) {
+        const others = [...this.container.querySelectorAll('.todo-item')]
+            .filter(element => element !== this.dragState.element);
+        return others.find(element => {
+            const rect = element.getBoundingClientRect();
+            return y < rect.top + rect.height / 2;
+        }) || null;
+    }
+
+    /**
+     * Show where a dragged todo would land
+     * @param {number} y - Pointer position (client coordinates)
+     */
+    showDropIndicator(y) {
+        this.clearDropIndicator();
+        const target = this.getDropTarget(y);
+        const last = [...this.container.querySelectorAll('.todo-item')]
+            .filter(element => element !== this.dragState.element)
+            .pop();
+
+        if (target) {
+            target.classList.add('drop-before');
+        } else if (last) {
+            last.classList.add('drop-after');
+        }
+    }
+
+    /**
+     * Remove the drop position marker
+     */
+    clearDropIndicator() {
+        this.container.querySelectorAll('.drop-before, .drop-after').forEach(element => {
+            element.classList.remove('drop-before', 'drop-after');
+        });
+    }
+
+    /**
+     * Drop the dragged todo and report its new neighbours
+     * Nothing is reported if it lands where it already was.
+     * @param {number} y - Pointer position (client coordinates)
+     * @param {Function} onReorder - Called with (id, previousId, nextId)
+     */
+    finishDrag(y, onReorder) {
+        const { element } = this.dragState;
+        const target = this.getDropTarget(y);
+        const others = [...this.container.querySelectorAll('.todo-item')].filter(item => item !== element);
+        const index = target ? others.indexOf(target) : others.length;
+        const previous = others[index - 1] || null;
+        this.cancelDrag();
+
+        const idOf = (item) => (item ? item.dataset.todoId : null);
+        const id = idOf(element);
+        // Below the last rendered row of a windowed list, the next todo has no row
+        const otherIds = this.todos.map(todo => todo.id).filter(todoId => todoId !== id);
+        const nextId = target ? idOf(target) : (otherIds[otherIds.indexOf(idOf(previous)) + 1] ?? null);
+
+        const ids = this.todos.map(todo => todo.id);
+        const position = ids.indexOf(id);
+        const unchanged = (ids[position - 1] ?? null) === idOf(previous) && (ids[position + 1] ?? null) === nextId;
+        if (!unchanged) {
+            onReorder(id, idOf(previous), nextId);
+        }
+    }
+
+    /**
+     * Stop dragging without moving anything
+     */
+    cancelDrag() {
+        if (!this.dragState) return;
+        this.dragState.element.classList.remove('dragging');
+        this.clearDropIndicator();
+        this.dragState = null;
+    }
+
+    /**
+     * Create the due date badge markup
+     * @param {Object} todo - Todo item object
+     * @returns {string} - Badge HTML, empty without a due date
+     */
+    createDueBadge(todo) {
+        if (!todo.dueDate) return '';
+
+        const now = this.now();
+        const group = todo.completed ? 'done' : DueDateUtils.getDueGroup(todo, now);
+        const label = DueDateUtils.formatDue(todo, now);
+        const prefix = group === 'overdue' ? `${I18n.t('due.group.overdue')} · ` : '';
+        const title = I18n.t(`due.group.${group}`);
+
+        return `<span class="due-badge due-${group}" title="${this.escapeAttribute(title)}">${this.escapeHtml(prefix + label)}</span>`;
     }
 
     /**
      * Render empty state
+     * @param {string} message - Message to show
      */
-    renderEmptyState() {
+    renderEmptyState(message = I18n.t('empty.noTasks')) {
+        this.windowStart = 0;
         this.container.innerHTML = `
             <li style="text-align: center; color: #6c757d; font-style: italic; padding: 20px;">
-                No tasks yet. Add your first task above!
+                ${this.escapeHtml(message)}
             </li>
         `;
     }
@@ -67,44 +954,182 @@ export class TodoRenderer {
      * Update statistics display
      * @param {number} total - Total number of todos
      * @param {number} completed - Number of completed todos
+     * @param {number} overdue - Number of overdue todos
+     * @param {Object} subtasks - Subtask progress { completed, total }
+     * @param {number} shown - Number of todos in the filtered view
      */
-    updateStats(total, completed) {
+    updateStats(total, completed, overdue = 0, subtasks = { completed: 0, total: 0 }, shown = total) {
+        if (this.statsContainer.visible) {
+            this.statsContainer.visible.textContent = I18n.t('stats.showing', { shown, total });
+            this.statsContainer.visible.hidden = shown === total;
+        }
         if (this.statsContainer.total) {
-            this.statsContainer.total.textContent = `Total: ${total}`;
+            this.statsContainer.total.textContent = I18n.t('stats.total', { count: total });
         }
         if (this.statsContainer.completed) {
-            this.statsContainer.completed.textContent = `Completed: ${completed}`;
+            this.statsContainer.completed.textContent = I18n.t('stats.completed', { count: completed });
+        }
+        if (this.statsContainer.overdue) {
+            this.statsContainer.overdue.textContent = I18n.t('stats.overdue', { count: overdue });
+            this.statsContainer.overdue.hidden = overdue === 0;
+        }
+        if (this.statsContainer.subtasks) {
+            this.statsContainer.subtasks.textContent = I18n.t('stats.steps', { done: subtasks.completed, count: subtasks.total });
+            this.statsContainer.subtasks.hidden = subtasks.total === 0;
         }
     }
 
     /**
-     * Add event listeners to todo elements
-     * @param {HTMLElement} todoElement - The todo element
-     * @param {Object} callbacks - Object containing callback functions
+     * Highlight the current view tab and show how many todos each view holds
+     * @param {string} filter - 'all', 'active' or 'completed'
+     * @param {Object} counts - Number of todos per view { all, active, completed }
      */
-    addEventListeners(todoElement, callbacks) {
-        const checkbox = todoElement.querySelector('.todo-checkbox');
-        const deleteBtn = todoElement.querySelector('.delete-btn');
-        const todoId = parseInt(todoElement.dataset.todoId);
+    updateFilterTabs(filter, counts) {
+        if (!this.filterTabs) return;
 
-        if (checkbox && callbacks.onToggle) {
-            checkbox.addEventListener('change', () => callbacks.onToggle(todoId));
+        this.filterTabs.querySelectorAll('[data-filter]').forEach(tab => {
+            const isCurrent = tab.dataset.filter === filter;
+            tab.classList.toggle('active', isCurrent);
+            if (isCurrent) {
+                tab.setAttribute('aria-current', 'page');
+            } else {
+                tab.removeAttribute('aria-current');
+            }
+
+            const count = tab.querySelector('.filter-count');
+            if (count) {
+                count.textContent = counts[tab.dataset.filter] ?? 0;
+            }
+        });
+    }
+
+    /**
+     * Show the name of the current list
+     * @param {string} name - List name
+     */
+    updateListTitle(name) {
+        if (this.listTitle) {
+            this.listTitle.textContent = name;
         }
+    }
 
-        if (deleteBtn && callbacks.onDelete) {
-            deleteBtn.addEventListener('click', () => callbacks.onDelete(todoId));
+    /**
+     * Show the sort order of the current list
+     * @param {string} sortBy - Sort order name
+     */
+    updateSortSelect(sortBy) {
+        if (this.sortSelect) {
+            this.sortSelect.value = sortBy;
         }
     }
 
     /**
-     * Update a specific todo element
-     * @param {number} todoId - The ID of the todo to update
+     * Update the sync status indicator next to the statistics
+     * @param {Object} status - Sync status
+     * @param {string} status.state - 'synced', 'pending' or 'error'
+     * @param {number} status.pending - Number of queued changes
+     */
+    updateSyncStatus({ state, pending }) {
+        // Kept so the status can be shown again in another language
+        this.syncStatus = { state, pending };
+        const element = this.statsContainer.sync;
+        if (!element) return;
+
+        const labels = {
+            synced: I18n.t('sync.synced'),
+            pending: I18n.t('sync.pending', { count: pending }),
+            error: I18n.t('sync.error')
+        };
+        element.hidden = false;
+        element.className = `sync-status sync-${state}`;
+        element.textContent = labels[state] || labels.synced;
+    }
+
+    /**
+     * Turn the text of a todo into an input
+     * Enter and blur save, Escape cancels. Invalid text keeps the input open with the error
+     * shown below it. The text span stays in place (hidden) so updateTodoElement can update it.
+     * @param {HTMLElement} todoElement - The todo element
+     * @param {Function} onSave - Called with the new text; returns { isValid, error }
+     */
+    startEdit(todoElement, onSave) {
+        const textSpan = todoElement.querySelector('.todo-text');
+        if (!textSpan || todoElement.classList.contains('editing')) return;
+
+        const maxLength = TodoValidator.MAX_LENGTH;
+        const editor = document.createElement('span');
+        editor.className = 'todo-edit';
+        editor.innerHTML = `
+            <input type="text" class="todo-edit-input" maxlength="${maxLength}" aria-label="${this.escapeAttribute(I18n.t('row.editInput'))}">
+            <span class="todo-edit-counter"></span>
+            <span class="todo-edit-error" role="alert"></span>
+        `;
+
+        const input = editor.querySelector('.todo-edit-input');
+        const counter = editor.querySelector('.todo-edit-counter');
+        const error = editor.querySelector('.todo-edit-error');
+        const original = textSpan.textContent;
+
+        const updateCounter = () => {
+            counter.textContent = `${input.value.length}/${maxLength}`;
+            counter.classList.toggle('near-limit', input.value.length >= maxLength * 0.9);
+        };
+
+        let finished = false;
+        const close = () => {
+            finished = true;
+            editor.remove();
+            textSpan.hidden = false;
+            todoElement.classList.remove('editing');
+        };
+        const save = () => {
+            if (finished) return;
+            if (input.value.trim() === original) {
+                close();
+                return;
+            }
+
+            const result = onSave(input.value);
+            if (result && result.isValid) {
+                close();
+            } else {
+                error.textContent = result?.error || '';
+                input.classList.add('invalid');
+            }
+        };
+
+        input.value = original;
+        updateCounter();
+        textSpan.hidden = true;
+        textSpan.after(editor);
+        todoElement.classList.add('editing');
+        input.focus();
+        input.select();
+
+        input.addEventListener('input', () => {
+            updateCounter();
+            error.textContent = '';
+            input.classList.remove('invalid');
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') save();
+            if (e.key === 'Escape') close();
+        });
+        input.addEventListener('blur', save);
+    }
+
+    /**
+     * Update a specific todo element in place, e.g. while its inline editor is open
+     * The labels naming the todo follow its text, and the row key is updated so the
+     * next render keeps the row.
+     * @param {string} todoId - The ID of the todo to update
      * @param {Object} todo - Updated todo data
      */
     updateTodoElement(todoId, todo) {
-        const todoElement = this.container.querySelector(`[data-todo-id="${todoId}"]`);
+        const todoElement = this.getTodoElementIfRendered(todoId);
         if (todoElement) {
-            todoElement.className = `todo-item ${todo.completed ? 'completed' : ''}`;
+            todoElement.className = this.getRowClassName(todo);
+            todoElement.setAttribute('aria-label', todo.text);
             const checkbox = todoElement.querySelector('.todo-checkbox');
             const textSpan = todoElement.querySelector('.todo-text');
 
@@ -112,17 +1137,24 @@ export class TodoRenderer {
                 checkbox.checked = todo.completed;
             }
             if (textSpan) {
-                textSpan.textContent = todo.text;
+                textSpan.innerHTML = this.highlightText(todo.text);
             }
+            Object.entries(TodoRenderer.NAMED_CONTROLS).forEach(([selector, key]) => {
+                const control = todoElement.querySelector(selector);
+                if (control) {
+                    control.setAttribute('aria-label', I18n.t(key, { name: todo.text }));
+                }
+            });
+            this.rowKeys.set(todoElement, this.getRowKey(todo));
         }
     }
 
     /**
      * Remove a todo element
-     * @param {number} todoId - The ID of the todo to remove
+     * @param {string} todoId - The ID of the todo to remove
      */
     removeTodoElement(todoId) {
-        const todoElement = this.container.querySelector(`[data-todo-id="${todoId}"]`);
+        const todoElement = this.getTodoElementIfRendered(todoId);
         if (todoElement) {
             todoElement.remove();
         }
@@ -130,13 +1162,15 @@ export class TodoRenderer {
 
     /**
      * Add a new todo element
+     * Its controls are handled by the listeners of bindTodoEvents.
      * @param {Object} todo - The todo to add
-     * @param {Object} callbacks - Object containing callback functions
+     * @param {HTMLElement|null} before - Element to insert it in front of; appended when null
+     * @returns {HTMLElement} - The todo element
      */
-    addTodoElement(todo, callbacks) {
+    addTodoElement(todo, before = null) {
         const todoElement = this.createTodoElement(todo);
-        this.addEventListeners(todoElement, callbacks);
-        this.container.appendChild(todoElement);
+        this.container.insertBefore(todoElement, before);
+        return todoElement;
     }
 
     /**
@@ -144,6 +1178,8 @@ export class TodoRenderer {
      */
     clear() {
         if (this.container) {
+            this.todos = [];
+            this.todoIndexes = new Map();
             this.container.innerHTML = '';
         }
     }
@@ -159,6 +1195,15 @@ export class TodoRenderer {
         return div.innerHTML;
     }
 
+    /**
+     * Escape text for use inside a double-quoted attribute
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
     /**
      * Get the container element
      * @returns {HTMLElement} - The container element
@@ -0,0 +1,130 @@
+/**
+ * DueDateUtils class - helpers for todo due dates
+ * Due dates are stored as floating local values ('YYYY-MM-DD' and optional 'HH:MM')
+ * so a task due "on the 5th" stays on the 5th whatever the device's timezone.
+ */
+import { I18n } from './I18n.js';
+
+export class DueDateUtils {
+    static DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+    static TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+    /**
+     * Format a Date as a local 'YYYY-MM-DD' key
+     * @param {Date} date - The date
+     * @returns {string} - Date key
+     */
+    static toDateKey(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Format a Date as a local 'HH:MM' time
+     * @param {Date} date - The date
+     * @returns {string} - Time string
+     */
+    static toTimeKey(date) {
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Parse a 'YYYY-MM-DD' key into a local Date at midnight
+     * @param {string} dateKey - Date key
+     * @returns {Date|null} - Date, or null if the key is not a real calendar date
+     */
+    static parseDateKey(dateKey) {
+        const match = this.DATE_PATTERN.exec(dateKey || '');
+        if (!match) return null;
+
+        const [, year, month, day] = match.map(Number);
+        const date = new Date(year, month - 1, day);
+        // Reject dates like 2024-02-30 that Date silently rolls over
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return date;
+    }
+
+    /**
+     * Check if a string is a valid 'HH:MM' time
+     * @param {string} time - Time string
+     * @returns {boolean} - True if valid
+     */
+    static isValidTime(time) {
+        return this.TIME_PATTERN.test(time || '');
+    }
+
+    /**
+     * Add days to a date key
+     * @param {string} dateKey - Date key
+     * @param {number} days - Days to add (may be negative)
+     * @returns {string} - New date key
+     */
+    static addDays(dateKey, days) {
+        const date = this.parseDateKey(dateKey);
+        date.setDate(date.getDate() + days);
+        return this.toDateKey(date);
+    }
+
+    /**
+     * Check whether a todo is past its due date and time
+     * @param {Object} todo - Todo with dueDate and dueTime
+     * @param {Date} now - Current time
+     * @returns {boolean} - True if overdue
+     */
+    static isOverdue(todo, now = new Date()) {
+        if (!todo.dueDate || todo.completed) return false;
+
+        const today = this.toDateKey(now);
+        if (todo.dueDate !== today) {
+            return todo.dueDate < today;
+        }
+        return Boolean(todo.dueTime) && todo.dueTime < this.toTimeKey(now);
+    }
+
+    /**
+     * Get the due group of a todo
+     * @param {Object} todo - Todo with dueDate and dueTime
+     * @param {Date} now - Current time
+     * @returns {string|null} - 'overdue', 'today', 'tomorrow', 'later' or null without a due date
+     */
+    static getDueGroup(todo, now = new Date()) {
+        if (!todo.dueDate) return null;
+        if (this.isOverdue(todo, now)) return 'overdue';
+
+        const today = this.toDateKey(now);
+        if (todo.dueDate === today) return 'today';
+        if (todo.dueDate === this.addDays(today, 1)) return 'tomorrow';
+        return 'later';
+    }
+
+    /**
+     * Format a due date for display in the current language
+     * @param {Object} todo - Todo with dueDate and dueTime
+     * @param {Date} now - Current time
+     * @returns {string} - Human readable due date
+     */
+    static formatDue(todo, now = new Date()) {
+        if (!todo.dueDate) return '';
+
+        const today = this.toDateKey(now);
+        let label;
+        if (todo.dueDate === today) {
+            label = I18n.t('due.today');
+        } else if (todo.dueDate === this.addDays(today, 1)) {
+            label = I18n.t('due.tomorrow');
+        } else {
+            const date = this.parseDateKey(todo.dueDate);
+            const options = { weekday: 'short', month: 'short', day: 'numeric' };
+            if (date.getFullYear() !== now.getFullYear()) {
+                options.year = 'numeric';
+            }
+            label = I18n.formatDate(date, options);
+        }
+
+        return todo.dueTime ? `${label} ${todo.dueTime}` : label;
+    }
+}
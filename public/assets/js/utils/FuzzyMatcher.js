@@ -0,0 +1,64 @@
+/**
+ * FuzzyMatcher class - ranks labels against an abbreviated query
+ * The query letters must appear in order but not next to each other, so 'clc'
+ * finds 'Clear completed'. Case and accents are ignored.
+ */
+import { SearchUtils } from './SearchUtils.js';
+
+export class FuzzyMatcher {
+    static CONSECUTIVE_BONUS = 5;
+    static WORD_START_BONUS = 3;
+    static WORD_SEPARATOR = /[\s\-_/:.]/;
+
+    /**
+     * Match a query against a text
+     * Consecutive letters and letters at the start of a word score higher.
+     * @param {string} query - Query typed by the user
+     * @param {string} text - Text to match
+     * @returns {Object|null} - { score, positions } with the matched character indexes, or null
+     */
+    static match(query, text) {
+        const needle = SearchUtils.normalize(query).replace(/\s+/g, '');
+        if (!needle) {
+            return { score: 0, positions: [] };
+        }
+
+        const positions = [];
+        let score = 0;
+        for (let i = 0; i < text.length && positions.length < needle.length; i++) {
+            if (SearchUtils.normalize(text[i]) !== needle[positions.length]) continue;
+
+            let points = 1;
+            if (positions.length > 0 && positions[positions.length - 1] === i - 1) {
+                points += this.CONSECUTIVE_BONUS;
+            }
+            if (i === 0 || this.WORD_SEPARATOR.test(text[i - 1])) {
+                points += this.WORD_START_BONUS;
+            }
+            score += points;
+            positions.push(i);
+        }
+
+        if (positions.length < needle.length) {
+            return null;
+        }
+        // Prefer matches that start early and do not spread over the whole text
+        score -= (positions[0] + (positions[positions.length - 1] - positions[0])) * 0.1;
+        return { score, positions };
+    }
+
+    /**
+     * Keep the items matching a query, best first
+     * Items with equal scores keep their original order.
+     * @param {string} query - Query typed by the user
+     * @param {Array} items - Items to rank
+     * @param {Function} getText - Returns the text of an item
+     * @returns {Array<Object>} - { item, score, positions } entries
+     */
+    static filter(query, items, getText) {
+        return items
+            .map(item => ({ item, ...this.match(query, getText(item)) }))
+            .filter(result => result.positions)
+            .sort((a, b) => b.score - a.score);
+    }
+}
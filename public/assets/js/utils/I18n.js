@@ -0,0 +1,125 @@
+/**
+ * I18n class - message catalogs, locale detection and locale-aware formatting
+ * Messages are looked up by key in the catalog of the current locale, then in the
+ * English one. '{name}' placeholders are filled from the parameters, and a message
+ * given as { one, other, ... } is picked by the plural rules of the locale for the
+ * 'count' parameter. Static markup is translated through data-i18n attributes.
+ */
+import { en } from '../locales/en.js';
+import { es } from '../locales/es.js';
+
+export class I18n {
+    static DEFAULT_LOCALE = 'en';
+    static CATALOGS = { en, es };
+
+    // Shown in the language switcher, each in its own language
+    static LOCALE_NAMES = { en: 'English', es: 'Español' };
+
+    // Attribute holding a message key -> property or attribute it fills
+    static ATTRIBUTES = {
+        'data-i18n': 'textContent',
+        'data-i18n-placeholder': 'placeholder',
+        'data-i18n-title': 'title',
+        'data-i18n-aria-label': 'aria-label'
+    };
+
+    static locale = I18n.DEFAULT_LOCALE;
+
+    /**
+     * Get the current locale
+     * @returns {string} - Supported locale, e.g. 'es'
+     */
+    static getLocale() {
+        return this.locale;
+    }
+
+    /**
+     * Change the current locale
+     * @param {string} locale - Locale such as 'es' or 'es-MX'
+     * @returns {boolean} - True if the locale is supported
+     */
+    static setLocale(locale) {
+        const supported = this.resolveLocale(locale);
+        if (!supported) return false;
+
+        this.locale = supported;
+        if (typeof document !== 'undefined') {
+            document.documentElement.lang = supported;
+        }
+        return true;
+    }
+
+    /**
+     * Find the supported locale for a language tag
+     * @param {string} locale - Language tag such as 'es-MX'
+     * @returns {string|null} - Supported locale, or null if there is no catalog for it
+     */
+    static resolveLocale(locale) {
+        if (typeof locale !== 'string') return null;
+
+        const language = locale.trim().toLowerCase().split(/[-_]/)[0];
+        return Object.hasOwn(this.CATALOGS, language) ? language : null;
+    }
+
+    /**
+     * Pick the first supported locale the browser asks for
+     * @param {Array<string>} languages - Preferred languages, navigator.languages by default
+     * @returns {string} - Supported locale, English if none matches
+     */
+    static detectLocale(languages = globalThis.navigator?.languages ?? [globalThis.navigator?.language]) {
+        for (const language of languages) {
+            const supported = this.resolveLocale(language);
+            if (supported) return supported;
+        }
+        return this.DEFAULT_LOCALE;
+    }
+
+    /**
+     * Translate a message
+     * @param {string} key - Message key, e.g. 'todo.added'
+     * @param {Object} params - Values for the '{name}' placeholders; 'count' also picks the plural form
+     * @returns {string} - Translated message, or the key itself when no catalog has it
+     */
+    static t(key, params = {}) {
+        let message = this.CATALOGS[this.locale][key] ?? this.CATALOGS[this.DEFAULT_LOCALE][key];
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(this.locale).select(params.count ?? 0);
+            message = message[form] ?? message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            Object.hasOwn(params, name) ? String(params[name]) : placeholder);
+    }
+
+    /**
+     * Format a date for the current locale
+     * @param {Date|string} date - Date, or an ISO string such as a todo's createdAt
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} - Formatted date, or '' for an invalid date
+     */
+    static formatDate(date, options = { dateStyle: 'medium' }) {
+        const value = date instanceof Date ? date : new Date(date);
+        if (Number.isNaN(value.getTime())) return '';
+        return new Intl.DateTimeFormat(this.locale, options).format(value);
+    }
+
+    /**
+     * Translate the static markup under an element
+     * Elements name their message with data-i18n (text), data-i18n-placeholder,
+     * data-i18n-title or data-i18n-aria-label.
+     * @param {Element|Document} root - Element to translate
+     */
+    static translate(root = document) {
+        Object.entries(this.ATTRIBUTES).forEach(([attribute, target]) => {
+            root.querySelectorAll(`[${attribute}]`).forEach(element => {
+                const message = this.t(element.getAttribute(attribute));
+                if (target === 'textContent') {
+                    element.textContent = message;
+                } else {
+                    element.setAttribute(target, message);
+                }
+            });
+        });
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * IdUtils class - creates and checks todo IDs
+ * New IDs are ULIDs: 26 Crockford base32 characters, a 48-bit millisecond timestamp
+ * followed by 80 random bits. They sort by creation time, and IDs made within the same
+ * millisecond increment the random part, so they never collide and keep their order.
+ * Any short string of letters, digits, '-' and '_' is accepted, so IDs from other
+ * tools (e.g. UUIDs) and converted numeric IDs stay valid.
+ */
+export class IdUtils {
+    static ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+    static TIME_LENGTH = 10;
+    static RANDOM_LENGTH = 16;
+    static ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+    // Time and random part of the last ID, to keep IDs made in the same millisecond ordered
+    static lastTime = -1;
+    static lastRandom = [];
+
+    /**
+     * Create a new ULID
+     * @param {number} time - Milliseconds since the epoch
+     * @returns {string} - 26-character ID
+     */
+    static createId(time = Date.now()) {
+        if (time === this.lastTime) {
+            this.lastRandom = this.increment(this.lastRandom);
+        } else {
+            this.lastTime = time;
+            this.lastRandom = this.randomDigits(this.RANDOM_LENGTH);
+        }
+        return this.encodeTime(time) + this.lastRandom.map(digit => this.ENCODING[digit]).join('');
+    }
+
+    /**
+     * Encode a timestamp as the first 10 characters of a ULID
+     * @param {number} time - Milliseconds since the epoch
+     * @returns {string} - Encoded time
+     */
+    static encodeTime(time) {
+        let remaining = Math.floor(time);
+        let encoded = '';
+        for (let i = 0; i < this.TIME_LENGTH; i++) {
+            encoded = this.ENCODING[remaining % 32] + encoded;
+            remaining = Math.floor(remaining / 32);
+        }
+        return encoded;
+    }
+
+    /**
+     * Draw random base32 digits
+     * @param {number} length - Number of digits
+     * @returns {Array<number>} - Digits from 0 to 31
+     */
+    static randomDigits(length) {
+        const bytes = new Uint8Array(length);
+        globalThis.crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte % 32);
+    }
+
+    /**
+     * Add one to a base32 number, keeping its length
+     * @param {Array<number>} digits - Digits, most significant first
+     * @returns {Array<number>} - Incremented digits
+     */
+    static increment(digits) {
+        const next = [...digits];
+        for (let i = next.length - 1; i >= 0; i--) {
+            if (next[i] < 31) {
+                next[i] += 1;
+                return next;
+            }
+            next[i] = 0;
+        }
+        // The random part overflowed: over 2^80 IDs in one millisecond, start a fresh sequence
+        return this.randomDigits(digits.length);
+    }
+
+    /**
+     * Check if a value can be used as a todo ID
+     * @param {*} id - Value to check
+     * @returns {boolean} - True for short strings of letters, digits, '-' and '_'
+     */
+    static isValidId(id) {
+        return typeof id === 'string' && this.ID_PATTERN.test(id);
+    }
+
+    /**
+     * Convert an ID saved before IDs were strings
+     * The conversion is deterministic, so every device and the server agree on the result.
+     * @param {*} id - Stored ID
+     * @returns {*} - String ID for numbers, anything else unchanged
+     */
+    static fromLegacyId(id) {
+        return typeof id === 'number' && Number.isFinite(id) ? String(id) : id;
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * RecurrenceUtils class - recurrence rules for repeating todos
+ *
+ * Rules are plain objects so they serialize with the todo:
+ *   { type: 'daily', interval: 1 }                   every N days
+ *   { type: 'weekly', weekdays: [1, 3] }             on chosen weekdays (0 = Sunday)
+ *   { type: 'monthly', day: 15 }                     on day N (clamped to short months)
+ *   { type: 'monthly', weekday: 5, week: -1 }        on the Nth (1-4) or last (-1) weekday
+ *   { type: 'afterCompletion', interval: 3 }         N days after the last completion
+ */
+import { DueDateUtils } from './DueDateUtils.js';
+import { I18n } from './I18n.js';
+
+export class RecurrenceUtils {
+    static TYPES = ['daily', 'weekly', 'monthly', 'afterCompletion'];
+    static WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    static WEEK_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+    static MAX_INTERVAL = 365;
+    static MAX_HISTORY = 100;
+
+    /**
+     * Get the due date of the occurrence after the one being completed
+     * Fixed schedules continue from the later of the due date and the completion day,
+     * so finishing an overdue task never creates another overdue one.
+     * @param {Object} rule - Recurrence rule
+     * @param {string|null} dueDate - Due date of the completed occurrence ('YYYY-MM-DD')
+     * @param {string} completedOn - Local completion day ('YYYY-MM-DD')
+     * @returns {string} - Next due date
+     */
+    static getNextDueDate(rule, dueDate, completedOn) {
+        if (rule.type === 'afterCompletion') {
+            return DueDateUtils.addDays(completedOn, rule.interval);
+        }
+
+        const after = dueDate && dueDate > completedOn ? dueDate : completedOn;
+        if (rule.type === 'daily' && dueDate) {
+            // Keep the cadence of the original due date
+            let next = DueDateUtils.addDays(dueDate, rule.interval);
+            while (next <= after) {
+                next = DueDateUtils.addDays(next, rule.interval);
+            }
+            return next;
+        }
+        return this.getOccurrenceAfter(rule, after);
+    }
+
+    /**
+     * Get the first due date of a new recurring todo, on or after today
+     * @param {Object} rule - Recurrence rule
+     * @param {string} today - Local day ('YYYY-MM-DD')
+     * @returns {string} - First due date
+     */
+    static getFirstDueDate(rule, today) {
+        if (rule.type === 'daily' || rule.type === 'afterCompletion') {
+            return today;
+        }
+        return this.getOccurrenceAfter(rule, DueDateUtils.addDays(today, -1));
+    }
+
+    /**
+     * Find the first day strictly after a date that matches a fixed schedule
+     * @param {Object} rule - Daily, weekly or monthly rule
+     * @param {string} dateKey - Start date ('YYYY-MM-DD')
+     * @returns {string} - Matching date
+     */
+    static getOccurrenceAfter(rule, dateKey) {
+        if (rule.type === 'daily') {
+            return DueDateUtils.addDays(dateKey, rule.interval);
+        }
+
+        if (rule.type === 'weekly') {
+            let next = DueDateUtils.addDays(dateKey, 1);
+            while (!rule.weekdays.includes(DueDateUtils.parseDateKey(next).getDay())) {
+                next = DueDateUtils.addDays(next, 1);
+            }
+            return next;
+        }
+
+        const start = DueDateUtils.parseDateKey(dateKey);
+        for (let offset = 0; ; offset++) {
+            const date = this.getMonthlyDate(rule, start.getFullYear(), start.getMonth() + offset);
+            if (date > start) {
+                return DueDateUtils.toDateKey(date);
+            }
+        }
+    }
+
+    /**
+     * Get the day a monthly rule falls on in a given month
+     * @param {Object} rule - Monthly rule
+     * @param {number} year - Year
+     * @param {number} month - Month index (may overflow into the next years)
+     * @returns {Date} - Local date at midnight
+     */
+    static getMonthlyDate(rule, year, month) {
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        if (rule.day !== undefined) {
+            return new Date(year, month, Math.min(rule.day, daysInMonth));
+        }
+
+        if (rule.week === -1) {
+            const last = new Date(year, month, daysInMonth);
+            return new Date(year, month, daysInMonth - ((last.getDay() - rule.weekday + 7) % 7));
+        }
+
+        const first = new Date(year, month, 1);
+        return new Date(year, month, 1 + ((rule.weekday - first.getDay() + 7) % 7) + (rule.week - 1) * 7);
+    }
+
+    /**
+     * Build the "Nth weekday" monthly rule matching a date
+     * The last occurrence of a weekday in its month becomes "last", e.g. "last Friday".
+     * @param {string} dateKey - Date ('YYYY-MM-DD')
+     * @returns {Object} - Monthly rule
+     */
+    static monthlyWeekdayRuleFor(dateKey) {
+        const date = DueDateUtils.parseDateKey(dateKey);
+        const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+        const isLast = date.getDate() + 7 > daysInMonth;
+
+        return {
+            type: 'monthly',
+            weekday: date.getDay(),
+            week: isLast ? -1 : Math.ceil(date.getDate() / 7)
+        };
+    }
+
+    /**
+     * Describe a rule for display in the current language
+     * @param {Object} rule - Recurrence rule
+     * @returns {string} - e.g. 'Weekly on Mon, Wed' or 'Monthly on the last Friday'
+     */
+    static describe(rule) {
+        switch (rule.type) {
+            case 'daily':
+                return I18n.t('recurrence.daily', { count: rule.interval });
+            case 'weekly':
+                return I18n.t('recurrence.weekly', {
+                    days: [...rule.weekdays].sort().map(day => this.getWeekdayName(day, 'short')).join(', ')
+                });
+            case 'monthly':
+                return rule.day !== undefined
+                    ? I18n.t('recurrence.monthlyDay', { day: rule.day })
+                    : I18n.t('recurrence.monthlyWeekday', {
+                        week: I18n.t(`recurrence.week.${this.WEEK_NAMES[rule.week]}`),
+                        weekday: this.getWeekdayName(rule.weekday)
+                    });
+            case 'afterCompletion':
+                return I18n.t('recurrence.afterCompletion', { count: rule.interval });
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Name a weekday in the current language
+     * @param {number} day - Weekday, 0 = Sunday
+     * @param {string} style - 'long' (Friday) or 'short' (Fri)
+     * @returns {string} - Weekday name
+     */
+    static getWeekdayName(day, style = 'long') {
+        // 7 January 2024 was a Sunday
+        return I18n.formatDate(new Date(2024, 0, 7 + day), { weekday: style });
+    }
+}
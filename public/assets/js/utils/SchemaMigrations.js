@@ -0,0 +1,188 @@
+/**
+ * SchemaMigrations class - upgrades saved and imported data to the current schema
+ * Data without a version is treated as version 1, the original { id, text, completed,
+ * createdAt } todos. Each migration upgrades { todos, lists, outbox, history } by one version;
+ * they only fill in or convert fields, so running one over data that is already current changes nothing.
+ */
+import { TodoProject } from '../models/TodoProject.js';
+import { TodoItem } from '../models/TodoItem.js';
+import { IdUtils } from './IdUtils.js';
+
+export class SchemaMigrationError extends Error {
+    constructor(message, fromVersion) {
+        super(message);
+        this.name = 'SchemaMigrationError';
+        this.fromVersion = fromVersion;
+    }
+}
+
+export class SchemaMigrations {
+    static BASE_VERSION = 1;
+
+    static MIGRATIONS = [
+        {
+            version: 2,
+            description: 'Assign todos to lists',
+            migrate: ({ todos, lists, ...payload }) => ({
+                ...payload,
+                todos: SchemaMigrations.mapRecords(todos, todo => ({
+                    ...todo,
+                    listId: todo.listId || TodoProject.DEFAULT_ID
+                })),
+                lists: SchemaMigrations.mapRecords(lists, list => ({
+                    ...list,
+                    sortBy: list.sortBy || 'manual'
+                }))
+            })
+        },
+        {
+            version: 3,
+            description: 'Add priorities, due dates, tags and subtasks',
+            migrate: ({ todos, ...payload }) => ({
+                ...payload,
+                todos: SchemaMigrations.mapRecords(todos, todo => ({
+                    ...todo,
+                    priority: TodoItem.PRIORITIES.includes(todo.priority) ? todo.priority : 'none',
+                    dueDate: todo.dueDate || null,
+                    dueTime: todo.dueDate && todo.dueTime ? todo.dueTime : null,
+                    tags: Array.isArray(todo.tags) ? todo.tags : [],
+                    subtasks: Array.isArray(todo.subtasks) ? todo.subtasks : [],
+                    recurrence: todo.recurrence || null
+                }))
+            })
+        },
+        {
+            version: 4,
+            description: 'Add sync metadata',
+            migrate: ({ todos, ...payload }) => ({
+                ...payload,
+                todos: SchemaMigrations.mapRecords(todos, todo => ({
+                    ...todo,
+                    updatedAt: todo.updatedAt || todo.createdAt,
+                    revision: Number.isInteger(todo.revision) && todo.revision > 0 ? todo.revision : 1,
+                    fieldUpdatedAt: SchemaMigrations.isRecord(todo.fieldUpdatedAt) ? todo.fieldUpdatedAt : {}
+                }))
+            })
+        },
+        {
+            version: 5,
+            description: 'Use string todo IDs',
+            migrate: ({ todos, outbox, history, ...payload }) => {
+                const withStringId = todo => ({ ...todo, id: IdUtils.fromLegacyId(todo.id) });
+                return {
+                    ...payload,
+                    todos: SchemaMigrations.mapRecords(todos, withStringId),
+                    // Queued sync changes and undo steps name their todo by ID and carry copies of it
+                    outbox: SchemaMigrations.mapRecords(outbox, change => ({
+                        ...withStringId(change),
+                        ...(SchemaMigrations.isRecord(change.todo) && { todo: withStringId(change.todo) })
+                    })),
+                    history: SchemaMigrations.mapHistoryChanges(history, change => ({
+                        ...withStringId(change),
+                        before: SchemaMigrations.isRecord(change.before) ? withStringId(change.before) : change.before,
+                        after: SchemaMigrations.isRecord(change.after) ? withStringId(change.after) : change.after
+                    }))
+                };
+            }
+        }
+    ];
+
+    static CURRENT_VERSION = SchemaMigrations.MIGRATIONS[SchemaMigrations.MIGRATIONS.length - 1].version;
+
+    /**
+     * Read the schema version of a payload
+     * @param {*} version - Stored version, missing for data saved before versioning
+     * @returns {number} - Schema version
+     */
+    static normalizeVersion(version) {
+        if (version === undefined || version === null) {
+            return this.BASE_VERSION;
+        }
+        if (!Number.isInteger(version) || version < this.BASE_VERSION) {
+            throw new SchemaMigrationError(`Unknown schema version: ${version}`, version);
+        }
+        if (version > this.CURRENT_VERSION) {
+            throw new SchemaMigrationError(
+                `The data was saved by a newer version of the app (schema version ${version})`,
+                version
+            );
+        }
+        return version;
+    }
+
+    /**
+     * Check whether a payload needs migrating
+     * @param {*} version - Stored version
+     * @returns {boolean} - True if older than the current schema
+     */
+    static needsMigration(version) {
+        return this.normalizeVersion(version) < this.CURRENT_VERSION;
+    }
+
+    /**
+     * Upgrade a payload to the current schema, one migration at a time
+     * @param {Object} payload - { todos, lists, outbox } plain arrays and the saved undo history, if any
+     * @param {*} fromVersion - Version the payload was saved with
+     * @returns {Object} - { todos, lists, outbox, history, version, applied } with the descriptions of the applied migrations
+     */
+    static migrate({ todos = [], lists = [], outbox = [], history = null }, fromVersion) {
+        const startVersion = this.normalizeVersion(fromVersion);
+        let payload = { todos, lists, outbox, history };
+        const applied = [];
+
+        this.MIGRATIONS
+            .filter(migration => migration.version > startVersion)
+            .forEach(migration => {
+                try {
+                    payload = migration.migrate(payload);
+                } catch (error) {
+                    throw new SchemaMigrationError(
+                        `Upgrade to version ${migration.version} (${migration.description}) failed: ${error.message}`,
+                        startVersion
+                    );
+                }
+                applied.push(migration.description);
+            });
+
+        return { ...payload, version: this.CURRENT_VERSION, applied };
+    }
+
+    /**
+     * Apply a function to the objects of an array, leaving other entries untouched
+     * Entries that are not objects are reported by whoever reads the data.
+     * @param {Array} records - Plain objects
+     * @param {Function} migrate - Receives an object and returns its upgraded copy
+     * @returns {Array} - Upgraded array
+     */
+    static mapRecords(records, migrate) {
+        return records.map(record => (this.isRecord(record) ? migrate(record) : record));
+    }
+
+    /**
+     * Apply a function to the changes of every command in a saved undo history
+     * @param {Object|null} history - { undo, redo } command arrays (see CommandHistory)
+     * @param {Function} migrate - Receives a change and returns its upgraded copy
+     * @returns {Object|null} - Upgraded history
+     */
+    static mapHistoryChanges(history, migrate) {
+        if (!this.isRecord(history)) {
+            return history;
+        }
+        const mapStack = stack => (Array.isArray(stack)
+            ? this.mapRecords(stack, command => ({
+                ...command,
+                changes: Array.isArray(command.changes) ? this.mapRecords(command.changes, migrate) : command.changes
+            }))
+            : stack);
+        return { ...history, undo: mapStack(history.undo), redo: mapStack(history.redo) };
+    }
+
+    /**
+     * Check whether a value is a plain object
+     * @param {*} value - Value to check
+     * @returns {boolean} - True for non-array objects
+     */
+    static isRecord(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * SearchUtils class - search query parsing, matching and highlighting
+ * Matching ignores case and accents, so 'cafe' finds 'Café' and 'ANO' finds 'año'.
+ *
+ * Query syntax:
+ *   milk bread          both words, anywhere in the task
+ *   "buy milk"          the exact phrase
+ *   -bread  -"old list" anything except these words or phrases
+ */
+export class SearchUtils {
+    static DEBOUNCE_MS = 150;
+    static DIACRITICS = /[\u0300-\u036f]/g;
+    static TOKEN_PATTERN = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+
+    /**
+     * Normalize text for matching: lowercase without accents
+     * @param {string} text - Text to normalize
+     * @returns {string} - Normalized text
+     */
+    static normalize(text) {
+        return String(text).normalize('NFD').replace(this.DIACRITICS, '').toLowerCase();
+    }
+
+    /**
+     * Parse a search query into normalized terms
+     * @param {string} query - Query typed by the user
+     * @returns {Object} - { include, exclude } arrays of words and phrases
+     */
+    static parseQuery(query) {
+        const include = [];
+        const exclude = [];
+
+        for (const [, phraseMinus, phrase, wordMinus, word] of String(query || '').matchAll(this.TOKEN_PATTERN)) {
+            const isExcluded = phrase !== undefined ? phraseMinus === '-' : wordMinus === '-';
+            const term = this.normalize(phrase !== undefined ? phrase : word).trim();
+            if (term) {
+                (isExcluded ? exclude : include).push(term);
+            }
+        }
+
+        return { include, exclude };
+    }
+
+    /**
+     * Check if a parsed query has no terms
+     * @param {Object} query - Parsed query
+     * @returns {boolean} - True if every todo matches
+     */
+    static isEmpty(query) {
+        return !query || (query.include.length === 0 && query.exclude.length === 0);
+    }
+
+    /**
+     * Check if normalized text matches a parsed query
+     * @param {string} normalizedText - Text passed through normalize()
+     * @param {Object} query - Parsed query
+     * @returns {boolean} - True if every included term is found and no excluded one is
+     */
+    static matches(normalizedText, query) {
+        return query.include.every(term => normalizedText.includes(term)) &&
+            !query.exclude.some(term => normalizedText.includes(term));
+    }
+
+    /**
+     * Get the text a todo is searched by: its text, tags and steps
+     * @param {Object} todo - Todo item
+     * @returns {string} - Normalized search text
+     */
+    static getSearchText(todo) {
+        const parts = [todo.text, ...(todo.tags || []), ...(todo.subtasks || []).map(subtask => subtask.text)];
+        return this.normalize(parts.join('\n'));
+    }
+
+    /**
+     * Find where the included terms of a query appear in the original text
+     * Each character is normalized on its own so positions map back to the original text.
+     * @param {string} text - Original text
+     * @param {Object} query - Parsed query
+     * @returns {Array<Array<number>>} - Sorted, merged [start, end) ranges
+     */
+    static findMatches(text, query) {
+        if (!query || query.include.length === 0 || !text) {
+            return [];
+        }
+
+        let normalized = '';
+        const starts = [];
+        const ends = [];
+        for (let index = 0; index < text.length;) {
+            const char = String.fromCodePoint(text.codePointAt(index));
+            const folded = this.normalize(char);
+            for (let i = 0; i < folded.length; i++) {
+                starts.push(index);
+                ends.push(index + char.length);
+            }
+            normalized += folded;
+            index += char.length;
+        }
+
+        const ranges = [];
+        query.include.forEach(term => {
+            for (let found = normalized.indexOf(term); found !== -1; found = normalized.indexOf(term, found + 1)) {
+                ranges.push([starts[found], ends[found + term.length - 1]]);
+            }
+        });
+
+        ranges.sort((a, b) => a[0] - b[0]);
+        return ranges.reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([...range]);
+            }
+            return merged;
+        }, []);
+    }
+
+    /**
+     * Build HTML for a text with the matches of a query wrapped in <mark>
+     * Every piece of the text goes through the given escape function.
+     * @param {string} text - Original text
+     * @param {Object} query - Parsed query
+     * @param {Function} escapeHtml - Escapes plain text for HTML
+     * @returns {string} - Safe HTML
+     */
+    static highlight(text, query, escapeHtml) {
+        let html = '';
+        let position = 0;
+        this.findMatches(text, query).forEach(([start, end]) => {
+            html += escapeHtml(text.slice(position, start));
+            html += `<mark class="search-match">${escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+        return html + escapeHtml(text.slice(position));
+    }
+}
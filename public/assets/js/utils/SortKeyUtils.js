@@ -0,0 +1,230 @@
+/**
+ * SortKeyUtils class - fractional sort keys for the manual order
+ * A key is a string that sorts by code point. A new key can always be made between
+ * two others, so moving a todo only rewrites that todo's key.
+ *
+ * Keys are an integer part followed by an optional fraction, both in base 62:
+ * the first character encodes the integer's length ('a' = 1 digit, 'b' = 2 digits, ...,
+ * 'Z' = 1 digit below zero, 'Y' = 2 digits, ...). Appending increments the integer,
+ * so keys grow slowly at the ends; inserting between neighbours uses the fraction.
+ */
+export class SortKeyUtils {
+    static DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+    static FIRST_KEY = 'a0';
+    static SMALLEST_INTEGER = 'A' + '0'.repeat(26);
+    // Keys only grow when inserting into the same gap again and again (about one
+    // character per five inserts), so this is a sanity limit for stored data
+    static MAX_LENGTH = 1000;
+
+    /**
+     * Make a key that sorts between two keys
+     * @param {string|null} before - Key to sort after, or null for the start
+     * @param {string|null} after - Key to sort before, or null for the end
+     * @returns {string} - New key
+     */
+    static between(before, after) {
+        if (before !== null) this.validate(before);
+        if (after !== null) this.validate(after);
+        if (before !== null && after !== null && before >= after) {
+            throw new Error(`Sort key ${before} is not before ${after}`);
+        }
+
+        if (before === null) {
+            if (after === null) return this.FIRST_KEY;
+
+            const integer = this.getIntegerPart(after);
+            if (integer === this.SMALLEST_INTEGER) {
+                return integer + this.midpoint('', after.slice(integer.length));
+            }
+            if (integer < after) return integer;
+
+            const decremented = this.decrementInteger(integer);
+            if (decremented === null) throw new Error('Sort key out of range');
+            return decremented;
+        }
+
+        const integer = this.getIntegerPart(before);
+        const fraction = before.slice(integer.length);
+        if (after === null) {
+            const incremented = this.incrementInteger(integer);
+            return incremented === null ? integer + this.midpoint(fraction, null) : incremented;
+        }
+
+        const afterInteger = this.getIntegerPart(after);
+        if (integer === afterInteger) {
+            return integer + this.midpoint(fraction, after.slice(afterInteger.length));
+        }
+
+        const incremented = this.incrementInteger(integer);
+        if (incremented === null) throw new Error('Sort key out of range');
+        return incremented < after ? incremented : integer + this.midpoint(fraction, null);
+    }
+
+    /**
+     * Make several ascending keys between two keys
+     * @param {string|null} before - Key to sort after, or null for the start
+     * @param {string|null} after - Key to sort before, or null for the end
+     * @param {number} count - Number of keys
+     * @returns {Array<string>} - Ascending keys
+     */
+    static generate(before, after, count) {
+        const keys = [];
+        let previous = before;
+        for (let i = 0; i < count; i++) {
+            previous = this.between(previous, after);
+            keys.push(previous);
+        }
+        return keys;
+    }
+
+    /**
+     * Check if a value is a usable sort key
+     * @param {*} key - Value to check
+     * @returns {boolean} - True if valid
+     */
+    static isValid(key) {
+        try {
+            this.validate(key);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Throw if a value is not a usable sort key
+     * @param {*} key - Value to check
+     */
+    static validate(key) {
+        if (typeof key !== 'string' || key.length > this.MAX_LENGTH || !/^[A-Za-z][0-9A-Za-z]*$/.test(key)) {
+            throw new Error(`Invalid sort key: ${key}`);
+        }
+        if (key === this.SMALLEST_INTEGER) {
+            throw new Error(`Invalid sort key: ${key}`);
+        }
+
+        const integer = this.getIntegerPart(key);
+        if (key.length > integer.length && key.endsWith(this.DIGITS[0])) {
+            throw new Error(`Invalid sort key: ${key}`);
+        }
+    }
+
+    /**
+     * Get the length of the integer part from its first character
+     * @param {string} head - First character of a key
+     * @returns {number} - Length including the head
+     */
+    static getIntegerLength(head) {
+        if (head >= 'a' && head <= 'z') {
+            return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+        }
+        if (head >= 'A' && head <= 'Z') {
+            return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+        }
+        throw new Error(`Invalid sort key head: ${head}`);
+    }
+
+    /**
+     * Get the integer part of a key
+     * @param {string} key - Sort key
+     * @returns {string} - Integer part
+     */
+    static getIntegerPart(key) {
+        const length = this.getIntegerLength(key[0]);
+        if (length > key.length) {
+            throw new Error(`Invalid sort key: ${key}`);
+        }
+        return key.slice(0, length);
+    }
+
+    /**
+     * Add one to an integer part
+     * @param {string} integer - Integer part
+     * @returns {string|null} - Next integer, or null past the largest one
+     */
+    static incrementInteger(integer) {
+        const [head, ...digits] = integer.split('');
+        let carry = true;
+        for (let i = digits.length - 1; carry && i >= 0; i--) {
+            const digit = this.DIGITS.indexOf(digits[i]) + 1;
+            if (digit === this.DIGITS.length) {
+                digits[i] = this.DIGITS[0];
+            } else {
+                digits[i] = this.DIGITS[digit];
+                carry = false;
+            }
+        }
+        if (!carry) return head + digits.join('');
+
+        if (head === 'Z') return 'a' + this.DIGITS[0];
+        if (head === 'z') return null;
+        const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+        if (nextHead > 'a') {
+            digits.push(this.DIGITS[0]);
+        } else {
+            digits.pop();
+        }
+        return nextHead + digits.join('');
+    }
+
+    /**
+     * Subtract one from an integer part
+     * @param {string} integer - Integer part
+     * @returns {string|null} - Previous integer, or null before the smallest one
+     */
+    static decrementInteger(integer) {
+        const [head, ...digits] = integer.split('');
+        const maxDigit = this.DIGITS[this.DIGITS.length - 1];
+        let borrow = true;
+        for (let i = digits.length - 1; borrow && i >= 0; i--) {
+            const digit = this.DIGITS.indexOf(digits[i]) - 1;
+            if (digit === -1) {
+                digits[i] = maxDigit;
+            } else {
+                digits[i] = this.DIGITS[digit];
+                borrow = false;
+            }
+        }
+        if (!borrow) return head + digits.join('');
+
+        if (head === 'a') return 'Z' + maxDigit;
+        if (head === 'A') return null;
+        const previousHead = String.fromCharCode(head.charCodeAt(0) - 1);
+        if (previousHead < 'Z') {
+            digits.push(maxDigit);
+        } else {
+            digits.pop();
+        }
+        return previousHead + digits.join('');
+    }
+
+    /**
+     * Make a fraction between two fractions
+     * @param {string} low - Lower fraction ('' for zero)
+     * @param {string|null} high - Higher fraction, or null for one
+     * @returns {string} - Fraction without a trailing zero digit
+     */
+    static midpoint(low, high) {
+        const zero = this.DIGITS[0];
+        if (high !== null) {
+            // Keep the common prefix and split on the first differing digit
+            let common = 0;
+            while ((low[common] || zero) === high[common]) {
+                common++;
+            }
+            if (common > 0) {
+                return high.slice(0, common) + this.midpoint(low.slice(common), high.slice(common));
+            }
+        }
+
+        const lowDigit = low ? this.DIGITS.indexOf(low[0]) : 0;
+        const highDigit = high !== null ? this.DIGITS.indexOf(high[0]) : this.DIGITS.length;
+        if (highDigit - lowDigit > 1) {
+            return this.DIGITS[Math.round((lowDigit + highDigit) / 2)];
+        }
+        if (high && high.length > 1) {
+            return high.slice(0, 1);
+        }
+        return this.DIGITS[lowDigit] + this.midpoint(low.slice(1), null);
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * TagUtils class - parsing, normalization and filtering of todo tags
+ * Tags are stored lowercase without the leading '#'.
+ */
+export class TagUtils {
+    static HASHTAG_PATTERN = /(^|\s)#([\p{L}\p{N}][\p{L}\p{N}_-]*)/gu;
+    static PALETTE = ['#667eea', '#28a745', '#fd7e14', '#e83e8c', '#17a2b8', '#6f42c1', '#20c997', '#dc3545'];
+
+    /**
+     * Normalize a tag for storage
+     * @param {string} tag - Raw tag, with or without '#'
+     * @returns {string} - Normalized tag
+     */
+    static normalizeTag(tag) {
+        return String(tag).trim().replace(/^#/, '').toLowerCase();
+    }
+
+    /**
+     * Normalize and de-duplicate a list of tags
+     * @param {Array<string>} tags - Raw tags
+     * @returns {Array<string>} - Normalized unique tags
+     */
+    static normalizeTags(tags) {
+        return [...new Set(tags.map(tag => this.normalizeTag(tag)).filter(Boolean))];
+    }
+
+    /**
+     * Split '#hashtags' out of a task text
+     * @param {string} text - Text typed by the user
+     * @returns {Object} - { text, tags } with the hashtags removed from the text
+     */
+    static parseTags(text) {
+        const tags = [];
+        const cleanText = text.replace(this.HASHTAG_PATTERN, (match, space, tag) => {
+            tags.push(tag);
+            return space;
+        });
+
+        return {
+            text: cleanText.replace(/\s{2,}/g, ' ').trim(),
+            tags: this.normalizeTags(tags)
+        };
+    }
+
+    /**
+     * Check whether a todo matches a tag filter
+     * @param {Object} todo - Todo with a tags array
+     * @param {Array<string>} tags - Tags to filter by
+     * @param {string} mode - 'and' (all tags) or 'or' (any tag)
+     * @returns {boolean} - True if the todo matches
+     */
+    static matchesFilter(todo, tags, mode = 'and') {
+        if (!tags || tags.length === 0) return true;
+
+        const todoTags = todo.tags || [];
+        return mode === 'or'
+            ? tags.some(tag => todoTags.includes(tag))
+            : tags.every(tag => todoTags.includes(tag));
+    }
+
+    /**
+     * Pick a stable default color for a tag
+     * @param {string} tag - Normalized tag
+     * @returns {string} - Hex color
+     */
+    static getDefaultColor(tag) {
+        let hash = 0;
+        for (const char of tag) {
+            hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+        }
+        return this.PALETTE[hash % this.PALETTE.length];
+    }
+}
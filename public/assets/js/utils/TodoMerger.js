@@ -0,0 +1,88 @@
+/**
+ * TodoMerger class - deterministic conflict resolution for synced todos
+ * Shared by the browser and the server so both sides merge identically.
+ *
+ * Each field is resolved independently (last writer wins):
+ *   1. the side whose field changed later wins (fieldUpdatedAt; untouched fields date from createdAt)
+ *   2. on equal timestamps the higher revision wins
+ *   3. on a full tie the greater serialized value wins, so the result never depends on argument order
+ */
+export class TodoMerger {
+    static META_FIELDS = ['id', 'createdAt', 'updatedAt', 'revision', 'fieldUpdatedAt'];
+
+    /**
+     * Get the time a field was last changed
+     * @param {Object} todo - Plain todo object
+     * @param {string} field - Field name
+     * @returns {string} - ISO timestamp
+     */
+    static getFieldTimestamp(todo, field) {
+        return todo.fieldUpdatedAt?.[field] || todo.createdAt || '';
+    }
+
+    /**
+     * Decide whether the remote value of a field beats the local one
+     * @param {Object} local - Local plain todo
+     * @param {Object} remote - Remote plain todo
+     * @param {string} field - Field name
+     * @returns {boolean} - True if the remote value wins
+     */
+    static remoteWins(local, remote, field) {
+        if (!(field in local)) return true;
+        if (!(field in remote)) return false;
+
+        const localTime = this.getFieldTimestamp(local, field);
+        const remoteTime = this.getFieldTimestamp(remote, field);
+        if (localTime !== remoteTime) {
+            return remoteTime > localTime;
+        }
+
+        const localRevision = local.revision || 1;
+        const remoteRevision = remote.revision || 1;
+        if (localRevision !== remoteRevision) {
+            return remoteRevision > localRevision;
+        }
+
+        return JSON.stringify(remote[field]) > JSON.stringify(local[field]);
+    }
+
+    /**
+     * Merge two versions of the same todo
+     * @param {Object} local - Local plain todo
+     * @param {Object} remote - Remote plain todo
+     * @returns {Object} - Merged plain todo
+     */
+    static merge(local, remote) {
+        const merged = {
+            id: local.id,
+            createdAt: [local.createdAt, remote.createdAt].filter(Boolean).sort()[0],
+            updatedAt: [local.updatedAt, remote.updatedAt].filter(Boolean).sort().pop(),
+            revision: Math.max(local.revision || 1, remote.revision || 1),
+            fieldUpdatedAt: {}
+        };
+
+        const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+        fields.forEach(field => {
+            if (this.META_FIELDS.includes(field)) return;
+
+            const winner = this.remoteWins(local, remote, field) ? remote : local;
+            merged[field] = winner[field];
+            if (winner.fieldUpdatedAt?.[field]) {
+                merged.fieldUpdatedAt[field] = winner.fieldUpdatedAt[field];
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Decide whether a deletion should remove the current version of a todo
+     * Edits made after the deletion win and keep the todo alive.
+     * @param {Object} todo - Current plain todo
+     * @param {string} deletedAt - ISO timestamp of the deletion
+     * @returns {boolean} - True if the todo should be removed
+     */
+    static deletionWins(todo, deletedAt) {
+        return !todo.updatedAt || deletedAt >= todo.updatedAt;
+    }
+}
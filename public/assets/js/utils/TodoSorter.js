@@ -0,0 +1,100 @@
+/**
+ * TodoSorter class - sort orders applied before rendering a list
+ */
+import { TodoItem } from '../models/TodoItem.js';
+
+export class TodoSorter {
+    // Sort order names; their labels are the 'sort.<name>' messages of the I18n catalogs
+    static SORT_OPTIONS = ['manual', 'priority', 'dueDate', 'created', 'alphabetical', 'completedLast'];
+
+    static DEFAULT_SORT = 'manual';
+
+    /**
+     * Check if a sort order is supported
+     * @param {string} sortBy - Sort order name
+     * @returns {boolean} - True if supported
+     */
+    static isValidSort(sortBy) {
+        return this.SORT_OPTIONS.includes(sortBy);
+    }
+
+    /**
+     * Sort todos without changing the original array
+     * Todos are first put in manual order (by sort key, then array order for todos
+     * without one); every other order is stable, so ties keep the manual order.
+     * @param {Array} todos - Todos
+     * @param {string} sortBy - Sort order name
+     * @returns {Array} - Sorted copy
+     */
+    static sort(todos, sortBy = this.DEFAULT_SORT) {
+        const manual = [...todos].sort((a, b) => this.compareKeys(a.sortKey || '', b.sortKey || ''));
+        const compare = this.getComparator(sortBy);
+        return compare ? manual.sort(compare) : manual;
+    }
+
+    /**
+     * Get the comparator for a sort order
+     * @param {string} sortBy - Sort order name
+     * @returns {Function|null} - Comparator, or null to keep the manual order
+     */
+    static getComparator(sortBy) {
+        switch (sortBy) {
+            case 'priority':
+                return (a, b) => this.priorityRank(b) - this.priorityRank(a);
+            case 'dueDate':
+                return (a, b) => this.compareKeys(this.dueKey(a), this.dueKey(b));
+            case 'created':
+                return (a, b) => this.compareKeys(b.createdAt || '', a.createdAt || '');
+            case 'alphabetical':
+                return (a, b) => a.text.localeCompare(b.text, undefined, { sensitivity: 'base', numeric: true });
+            case 'completedLast':
+                return (a, b) => Number(a.completed) - Number(b.completed);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Compare two todos the way sort() orders them
+     * Todos without a sort key tie; sort() keeps those in array order.
+     * @param {Object} a - First todo
+     * @param {Object} b - Second todo
+     * @param {string} sortBy - Sort order name
+     * @returns {number} - Negative, zero or positive
+     */
+    static compare(a, b, sortBy = this.DEFAULT_SORT) {
+        const compare = this.getComparator(sortBy);
+        return (compare ? compare(a, b) : 0) || this.compareKeys(a.sortKey || '', b.sortKey || '');
+    }
+
+    /**
+     * Compare two sort keys by code point (locale collation would misplace the '~' sentinel)
+     * @param {string} a - First key
+     * @param {string} b - Second key
+     * @returns {number} - Negative, zero or positive
+     */
+    static compareKeys(a, b) {
+        if (a === b) return 0;
+        return a < b ? -1 : 1;
+    }
+
+    /**
+     * Get the rank of a todo's priority (higher is more important)
+     * @param {Object} todo - Todo item
+     * @returns {number} - Rank
+     */
+    static priorityRank(todo) {
+        return Math.max(0, TodoItem.PRIORITIES.indexOf(todo.priority));
+    }
+
+    /**
+     * Build a sortable key from the due date; todos without one go last
+     * @param {Object} todo - Todo item
+     * @returns {string} - Sort key
+     */
+    static dueKey(todo) {
+        if (!todo.dueDate) return '~';
+        // All-day tasks sort after timed tasks on the same day
+        return `${todo.dueDate} ${todo.dueTime || '24:00'}`;
+    }
+}
@@ -1,39 +1,470 @@
 /**
  * TodoValidator class - handles validation logic for todo items
  */
+import { DueDateUtils } from './DueDateUtils.js';
+import { TodoSorter } from './TodoSorter.js';
+import { RecurrenceUtils } from './RecurrenceUtils.js';
+import { SortKeyUtils } from './SortKeyUtils.js';
+import { IdUtils } from './IdUtils.js';
+import { TodoItem } from '../models/TodoItem.js';
+import { TodoProject } from '../models/TodoProject.js';
+import { I18n } from './I18n.js';
+
 export class TodoValidator {
     static MIN_LENGTH = 1;
     static MAX_LENGTH = 100;
+    static MAX_LIST_NAME_LENGTH = 50;
+    static MAX_TAGS = 10;
+    static MAX_TAG_LENGTH = 30;
+    static TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_-]*$/u;
+    static TAG_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+    static MAX_SUBTASKS = 50;
+    static SETTINGS_KEYS = ['currentListId', 'autoCompleteSubtasks', 'tagColors', 'locale'];
 
     /**
      * Validate todo text
-     * @param {string} text - The text to validate
+     * @param {string} text - The text to validate; anything else is reported as missing
      * @returns {Object} - Validation result with isValid and error properties
      */
     static validateText(text) {
+        if (typeof text !== 'string') {
+            return {
+                isValid: false,
+                error: I18n.t('validation.textRequired')
+            };
+        }
+
         const trimmedText = text.trim();
 
         if (!trimmedText) {
             return {
                 isValid: false,
-                error: 'Please enter a task!'
+                error: I18n.t('validation.textRequired')
             };
         }
 
         if (trimmedText.length > this.MAX_LENGTH) {
             return {
                 isValid: false,
-                error: `Task is too long! Maximum ${this.MAX_LENGTH} characters.`
+                error: I18n.t('validation.textTooLong', { max: this.MAX_LENGTH })
             };
         }
 
         if (trimmedText.length < this.MIN_LENGTH) {
             return {
                 isValid: false,
-                error: 'Task must have at least one character.'
+                error: I18n.t('validation.textTooShort')
+            };
+        }
+
+        return {
+            isValid: true,
+            error: null
+        };
+    }
+
+    /**
+     * Validate an optional due date and time
+     * @param {string|null} dueDate - Local date as 'YYYY-MM-DD', or null
+     * @param {string|null} dueTime - Local time as 'HH:MM', or null
+     * @returns {Object} - Validation result with isValid and error properties
+     */
+    static validateDueDate(dueDate, dueTime = null) {
+        if (dueDate !== null && dueDate !== undefined && dueDate !== '' &&
+            (typeof dueDate !== 'string' || !DueDateUtils.parseDateKey(dueDate))) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.invalidDueDate')
+            };
+        }
+
+        if (dueTime !== null && dueTime !== undefined && dueTime !== '') {
+            if (typeof dueTime !== 'string' || !DueDateUtils.isValidTime(dueTime)) {
+                return {
+                    isValid: false,
+                    error: I18n.t('validation.invalidDueTime')
+                };
+            }
+            if (!dueDate) {
+                return {
+                    isValid: false,
+                    error: I18n.t('validation.dueTimeNeedsDate')
+                };
+            }
+        }
+
+        return {
+            isValid: true,
+            error: null
+        };
+    }
+
+    /**
+     * Validate a priority level
+     * @param {string} priority - The priority to validate
+     * @returns {Object} - Validation result with isValid and error properties
+     */
+    static validatePriority(priority) {
+        if (!TodoItem.PRIORITIES.includes(priority)) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.invalidPriority', { priorities: TodoItem.PRIORITIES.join(', ') })
+            };
+        }
+
+        return {
+            isValid: true,
+            error: null
+        };
+    }
+
+    /**
+     * Validate a single tag
+     * @param {string} tag - Normalized tag (lowercase, without '#')
+     * @returns {Object} - Validation result with isValid and error properties
+     */
+    static validateTag(tag) {
+        if (typeof tag !== 'string' || !this.TAG_PATTERN.test(tag)) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.invalidTag', { tag })
+            };
+        }
+
+        if (tag.length > this.MAX_TAG_LENGTH) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.tagTooLong', { max: this.MAX_TAG_LENGTH })
+            };
+        }
+
+        return {
+            isValid: true,
+            error: null
+        };
+    }
+
+    /**
+     * Validate a list of tags
+     * @param {Array<string>} tags - Normalized tags
+     * @returns {Object} - Validation result with isValid and error properties
+     */
+    static validateTags(tags) {
+        if (!Array.isArray(tags)) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.tagsNotArray')
+            };
+        }
+
+        if (tags.length > this.MAX_TAGS) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.tooManyTags', { max: this.MAX_TAGS })
+            };
+        }
+
+        for (const tag of tags) {
+            const validation = this.validateTag(tag);
+            if (!validation.isValid) {
+                return validation;
+            }
+        }
+
+        return {
+            isValid: true,
+            error: null
+        };
+    }
+
+    /**
+     * Validate a tag color
+     * @param {string} color - Hex color such as '#667eea'
+     * @returns {Object} - Validation result with isValid and error properties
+     */
+    static validateTagColor(color) {
+        if (typeof color !== 'string' || !this.TAG_COLOR_PATTERN.test(color)) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.invalidTagColor')
+            };
+        }
+
+        return {
+            isValid: true,
+            error: null
+        };
+    }
+
+    /**
+     * Validate the checklist steps of a todo
+     * @param {Array} subtasks - Subtasks { id, text, completed }
+     * @returns {Object} - Validation result with isValid and error properties
+     */
+    static validateSubtasks(subtasks) {
+        if (!Array.isArray(subtasks)) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.subtasksNotArray')
+            };
+        }
+
+        if (subtasks.length > this.MAX_SUBTASKS) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.tooManySubtasks', { max: this.MAX_SUBTASKS })
+            };
+        }
+
+        const ids = new Set();
+        for (const subtask of subtasks) {
+            if (!subtask || typeof subtask !== 'object' || !Number.isInteger(subtask.id) ||
+                subtask.id <= 0 || ids.has(subtask.id) || typeof subtask.text !== 'string' ||
+                typeof subtask.completed !== 'boolean') {
+                return {
+                    isValid: false,
+                    error: I18n.t('validation.invalidSubtask')
+                };
+            }
+            ids.add(subtask.id);
+
+            const textValidation = this.validateText(subtask.text);
+            if (!textValidation.isValid) {
+                return textValidation;
+            }
+        }
+
+        return {
+            isValid: true,
+            error: null
+        };
+    }
+
+    /**
+     * Validate a recurrence rule
+     * @param {Object|null} rule - Rule (see RecurrenceUtils), or null for a one-off task
+     * @returns {Object} - Validation result with isValid and error properties
+     */
+    static validateRecurrence(rule) {
+        if (rule === null) {
+            return {
+                isValid: true,
+                error: null
+            };
+        }
+
+        const invalid = (error) => ({ isValid: false, error });
+        const isIntegerIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+        if (!rule || typeof rule !== 'object' || !RecurrenceUtils.TYPES.includes(rule.type)) {
+            return invalid(I18n.t('validation.invalidRecurrence'));
+        }
+
+        switch (rule.type) {
+            case 'daily':
+            case 'afterCompletion':
+                if (!isIntegerIn(rule.interval, 1, RecurrenceUtils.MAX_INTERVAL)) {
+                    return invalid(I18n.t('validation.invalidRecurrenceInterval', { max: RecurrenceUtils.MAX_INTERVAL }));
+                }
+                break;
+            case 'weekly':
+                if (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0 ||
+                    new Set(rule.weekdays).size !== rule.weekdays.length ||
+                    !rule.weekdays.every(day => isIntegerIn(day, 0, 6))) {
+                    return invalid(I18n.t('validation.recurrenceWeekdaysRequired'));
+                }
+                break;
+            case 'monthly':
+                if (rule.day !== undefined ? !isIntegerIn(rule.day, 1, 31)
+                    : !isIntegerIn(rule.weekday, 0, 6) || !(rule.week === -1 || isIntegerIn(rule.week, 1, 4))) {
+                    return invalid(I18n.t('validation.invalidMonthlyRecurrence'));
+                }
+                break;
+        }
+
+        return {
+            isValid: true,
+            error: null
+        };
+    }
+
+    /**
+     * Validate the completed occurrences of a recurring todo
+     * @param {Array} history - Entries { dueDate, completedAt }
+     * @returns {Object} - Validation result with isValid and error properties
+     */
+    static validateHistory(history) {
+        const isValid = Array.isArray(history) && history.every(entry =>
+            entry && typeof entry === 'object' &&
+            (entry.dueDate === null || DueDateUtils.parseDateKey(entry.dueDate) !== null) &&
+            typeof entry.completedAt === 'string' && this.isValidDate(entry.completedAt));
+
+        return {
+            isValid,
+            error: isValid ? null : I18n.t('validation.invalidHistory')
+        };
+    }
+
+    /**
+     * Validate the sync timestamps of a todo's fields
+     * @param {Object} fieldUpdatedAt - Date of the last change per field (see TodoItem.TRACKED_FIELDS)
+     * @returns {Object} - Validation result with isValid and error properties
+     */
+    static validateFieldUpdatedAt(fieldUpdatedAt) {
+        const isValid = Boolean(fieldUpdatedAt) && typeof fieldUpdatedAt === 'object' && !Array.isArray(fieldUpdatedAt) &&
+            Object.entries(fieldUpdatedAt).every(([field, date]) =>
+                TodoItem.TRACKED_FIELDS.includes(field) && typeof date === 'string' && this.isValidDate(date));
+
+        return {
+            isValid,
+            error: isValid ? null : I18n.t('validation.invalidFieldUpdatedAt')
+        };
+    }
+
+    /**
+     * Validate a manual-order sort key
+     * @param {string|null} sortKey - Key from SortKeyUtils, or null if not placed yet
+     * @returns {Object} - Validation result with isValid and error properties
+     */
+    static validateSortKey(sortKey) {
+        const isValid = sortKey === null || SortKeyUtils.isValid(sortKey);
+
+        return {
+            isValid,
+            error: isValid ? null : I18n.t('validation.invalidSortKey')
+        };
+    }
+
+    /**
+     * Validate a list name
+     * @param {string} name - The name to validate
+     * @returns {Object} - Validation result with isValid and error properties
+     */
+    static validateListName(name) {
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+        if (!trimmedName) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.listNameRequired')
+            };
+        }
+
+        if (trimmedName.length > this.MAX_LIST_NAME_LENGTH) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.listNameTooLong', { max: this.MAX_LIST_NAME_LENGTH })
+            };
+        }
+
+        return {
+            isValid: true,
+            error: null
+        };
+    }
+
+    /**
+     * Validate list ID
+     * @param {string} listId - The list ID to validate
+     * @returns {Object} - Validation result
+     */
+    static validateListId(listId) {
+        if (typeof listId !== 'string' || !listId.trim()) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.invalidListId')
+            };
+        }
+
+        return {
+            isValid: true,
+            error: null
+        };
+    }
+
+    /**
+     * Validate list object structure
+     * @param {Object} list - The list object to validate
+     * @returns {Object} - Validation result
+     */
+    static validateListObject(list) {
+        if (!list || typeof list !== 'object') {
+            return {
+                isValid: false,
+                error: I18n.t('validation.invalidList')
+            };
+        }
+
+        const idValidation = this.validateListId(list.id);
+        if (!idValidation.isValid) {
+            return idValidation;
+        }
+
+        if (list.sortBy !== undefined && !TodoSorter.isValidSort(list.sortBy)) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.invalidSortOrder')
             };
         }
 
+        return this.validateListName(list.name);
+    }
+
+    /**
+     * Validate a settings document
+     * @param {Object} settings - Settings such as the current list and the tag colors
+     * @param {Array<string>} listIds - IDs of the stored lists; with none stored, only the default list exists
+     * @returns {Object} - Validation result
+     */
+    static validateSettings(settings, listIds = []) {
+        const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const invalid = (key, params = {}) => ({ isValid: false, error: I18n.t(key, params) });
+
+        if (!isPlainObject(settings)) {
+            return invalid('validation.invalidSettings');
+        }
+
+        const unknownKey = Object.keys(settings).find(key => !this.SETTINGS_KEYS.includes(key));
+        if (unknownKey !== undefined) {
+            return invalid('validation.unknownSetting', { key: unknownKey });
+        }
+
+        if (settings.currentListId !== undefined) {
+            const idValidation = this.validateListId(settings.currentListId);
+            if (!idValidation.isValid) {
+                return idValidation;
+            }
+            const knownIds = listIds.length > 0 ? listIds : [TodoProject.DEFAULT_ID];
+            if (!knownIds.includes(settings.currentListId)) {
+                return invalid('validation.unknownList', { listId: settings.currentListId });
+            }
+        }
+
+        if (settings.autoCompleteSubtasks !== undefined && typeof settings.autoCompleteSubtasks !== 'boolean') {
+            return invalid('validation.invalidSetting', { key: 'autoCompleteSubtasks' });
+        }
+
+        if (settings.tagColors !== undefined) {
+            if (!isPlainObject(settings.tagColors)) {
+                return invalid('validation.invalidSetting', { key: 'tagColors' });
+            }
+            for (const [tag, color] of Object.entries(settings.tagColors)) {
+                const validation = this.validateTag(tag);
+                if (!validation.isValid) {
+                    return validation;
+                }
+                const colorValidation = this.validateTagColor(color);
+                if (!colorValidation.isValid) {
+                    return colorValidation;
+                }
+            }
+        }
+
+        if (settings.locale !== undefined &&
+            (typeof settings.locale !== 'string' || I18n.resolveLocale(settings.locale) !== settings.locale)) {
+            return invalid('settings.unsupportedLocale', { locale: settings.locale });
+        }
+
         return {
             isValid: true,
             error: null
@@ -42,14 +473,14 @@ export class TodoValidator {
 
     /**
      * Validate todo ID
-     * @param {number} id - The ID to validate
+     * @param {string} id - The ID to validate
      * @returns {Object} - Validation result
      */
     static validateId(id) {
-        if (!id || typeof id !== 'number' || id <= 0) {
+        if (!IdUtils.isValidId(id)) {
             return {
                 isValid: false,
-                error: 'Invalid todo ID'
+                error: I18n.t('validation.invalidTodoId')
             };
         }
 
@@ -68,7 +499,7 @@ export class TodoValidator {
         if (!todo || typeof todo !== 'object') {
             return {
                 isValid: false,
-                error: 'Invalid todo object'
+                error: I18n.t('validation.invalidTodo')
             };
         }
 
@@ -77,7 +508,7 @@ export class TodoValidator {
             if (!(field in todo)) {
                 return {
                     isValid: false,
-                    error: `Missing required field: ${field}`
+                    error: I18n.t('validation.missingField', { field })
                 };
             }
         }
@@ -96,17 +527,95 @@ export class TodoValidator {
         if (typeof todo.completed !== 'boolean') {
             return {
                 isValid: false,
-                error: 'Completed field must be a boolean'
+                error: I18n.t('validation.completedNotBoolean')
             };
         }
 
         if (typeof todo.createdAt !== 'string' || !this.isValidDate(todo.createdAt)) {
             return {
                 isValid: false,
-                error: 'Invalid createdAt date'
+                error: I18n.t('validation.invalidCreatedAt')
             };
         }
 
+        // Todos saved before lists existed have no listId
+        if (todo.listId !== undefined) {
+            const listIdValidation = this.validateListId(todo.listId);
+            if (!listIdValidation.isValid) {
+                return listIdValidation;
+            }
+        }
+
+        const dueValidation = this.validateDueDate(todo.dueDate, todo.dueTime);
+        if (!dueValidation.isValid) {
+            return dueValidation;
+        }
+
+        if (todo.tags !== undefined) {
+            const tagsValidation = this.validateTags(todo.tags);
+            if (!tagsValidation.isValid) {
+                return tagsValidation;
+            }
+        }
+
+        if (todo.subtasks !== undefined) {
+            const subtasksValidation = this.validateSubtasks(todo.subtasks);
+            if (!subtasksValidation.isValid) {
+                return subtasksValidation;
+            }
+        }
+
+        if (todo.recurrence !== undefined) {
+            const recurrenceValidation = this.validateRecurrence(todo.recurrence);
+            if (!recurrenceValidation.isValid) {
+                return recurrenceValidation;
+            }
+        }
+
+        if (todo.sortKey !== undefined) {
+            const sortKeyValidation = this.validateSortKey(todo.sortKey);
+            if (!sortKeyValidation.isValid) {
+                return sortKeyValidation;
+            }
+        }
+
+        if (todo.history !== undefined) {
+            const historyValidation = this.validateHistory(todo.history);
+            if (!historyValidation.isValid) {
+                return historyValidation;
+            }
+        }
+
+        if (todo.priority !== undefined) {
+            const priorityValidation = this.validatePriority(todo.priority);
+            if (!priorityValidation.isValid) {
+                return priorityValidation;
+            }
+        }
+
+        // Sync metadata is optional for data saved before it existed
+        if (todo.updatedAt !== undefined &&
+            (typeof todo.updatedAt !== 'string' || !this.isValidDate(todo.updatedAt))) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.invalidUpdatedAt')
+            };
+        }
+
+        if (todo.revision !== undefined && (!Number.isInteger(todo.revision) || todo.revision < 1)) {
+            return {
+                isValid: false,
+                error: I18n.t('validation.invalidRevision')
+            };
+        }
+
+        if (todo.fieldUpdatedAt !== undefined) {
+            const fieldUpdatedAtValidation = this.validateFieldUpdatedAt(todo.fieldUpdatedAt);
+            if (!fieldUpdatedAtValidation.isValid) {
+                return fieldUpdatedAtValidation;
+            }
+        }
+
         return {
             isValid: true,
             error: null
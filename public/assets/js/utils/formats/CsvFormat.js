@@ -0,0 +1,179 @@
+/**
+ * CsvFormat class - one todo per row, for spreadsheets
+ * Quoting follows RFC 4180. Only the text column is required on import; column names
+ * are matched case-insensitively and unknown columns are ignored.
+ */
+import { TagUtils } from '../TagUtils.js';
+import { FormatError } from './FormatError.js';
+
+export class CsvFormat {
+    static LABEL_KEY = 'format.csv.label';
+    static EXTENSION = 'csv';
+    static MIME_TYPE = 'text/csv';
+    static COLUMNS = ['id', 'text', 'completed', 'priority', 'dueDate', 'dueTime', 'tags', 'createdAt'];
+    static COLUMN_ALIASES = {
+        id: 'id',
+        text: 'text',
+        task: 'text',
+        title: 'text',
+        completed: 'completed',
+        done: 'completed',
+        priority: 'priority',
+        duedate: 'dueDate',
+        due: 'dueDate',
+        duetime: 'dueTime',
+        tags: 'tags',
+        createdat: 'createdAt',
+        created: 'createdAt'
+    };
+    static TRUE_VALUES = ['true', 'yes', '1', 'x'];
+    static FALSE_VALUES = ['', 'false', 'no', '0'];
+
+    /**
+     * Convert todos to text
+     * @param {Array<Object>} todos - Plain todo objects
+     * @returns {string} - File contents
+     */
+    static serialize(todos) {
+        const rows = todos.map(todo => [
+            todo.id,
+            todo.text,
+            todo.completed,
+            todo.priority || 'none',
+            todo.dueDate || '',
+            todo.dueTime || '',
+            (todo.tags || []).join(' '),
+            todo.createdAt
+        ]);
+
+        return [this.COLUMNS, ...rows]
+            .map(row => row.map(value => this.quote(String(value))).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Read todos from text
+     * @param {string} text - File contents
+     * @returns {Object} - { lists: null, rows }
+     */
+    static parse(text) {
+        const [header, ...records] = this.parseRecords(text);
+        if (!header) {
+            throw new FormatError('format.csv.empty');
+        }
+
+        const columns = header.fields.map(name => this.COLUMN_ALIASES[name.trim().toLowerCase()] || null);
+        if (!columns.includes('text')) {
+            throw new FormatError('format.csv.noTextColumn');
+        }
+
+        const rows = records
+            .filter(record => record.fields.some(field => field.trim() !== ''))
+            .map(record => {
+                const values = {};
+                columns.forEach((column, index) => {
+                    if (column) {
+                        values[column] = (record.fields[index] ?? '').trim();
+                    }
+                });
+                return { row: record.line, ...this.toTodoData(values) };
+            });
+
+        return { lists: null, rows };
+    }
+
+    /**
+     * Turn the cells of a row into todo fields
+     * @param {Object} values - Trimmed cell text per column
+     * @returns {Object} - { data, error } with error a { key, params } message
+     */
+    static toTodoData(values) {
+        const data = {
+            text: values.text,
+            priority: values.priority ? values.priority.toLowerCase() : 'none',
+            dueDate: values.dueDate || null,
+            dueTime: values.dueTime || null,
+            tags: TagUtils.normalizeTags((values.tags || '').split(/[\s,]+/))
+        };
+        if (values.createdAt) {
+            data.createdAt = values.createdAt;
+        }
+        if (values.id) {
+            data.id = values.id;
+        }
+
+        const completed = (values.completed || '').toLowerCase();
+        if (this.TRUE_VALUES.includes(completed)) {
+            data.completed = true;
+        } else if (this.FALSE_VALUES.includes(completed)) {
+            data.completed = false;
+        } else {
+            return { data, error: { key: 'format.csv.invalidCompleted', params: { value: values.completed } } };
+        }
+        return { data, error: null };
+    }
+
+    /**
+     * Split CSV text into records; quoted fields may contain commas, quotes and line breaks
+     * @param {string} text - CSV text
+     * @returns {Array<Object>} - { line, fields } with the line each record starts on
+     */
+    static parseRecords(text) {
+        const records = [];
+        let fields = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let recordLine = 1;
+
+        const endRecord = () => {
+            fields.push(field);
+            records.push({ line: recordLine, fields });
+            fields = [];
+            field = '';
+            recordLine = line;
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                line++;
+                endRecord();
+            } else {
+                field += char;
+            }
+        }
+        if (quoted) {
+            throw new FormatError('format.csv.unclosedQuote', { line: recordLine });
+        }
+        if (field !== '' || fields.length > 0) {
+            endRecord();
+        }
+        return records;
+    }
+
+    /**
+     * Quote a value if it contains a separator, quote or line break
+     * @param {string} value - Cell text
+     * @returns {string} - CSV field
+     */
+    static quote(value) {
+        return /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+}
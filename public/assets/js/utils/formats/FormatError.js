@@ -0,0 +1,17 @@
+/**
+ * FormatError class - a file that cannot be read in the chosen format
+ * The message is a catalog key so the error can be shown in the language of the page;
+ * see TodoFormats.describeError.
+ */
+export class FormatError extends Error {
+    /**
+     * @param {string} key - Message key (see locales)
+     * @param {Object} params - Values for the placeholders of the message
+     */
+    constructor(key, params = {}) {
+        super(key);
+        this.name = 'FormatError';
+        this.key = key;
+        this.params = params;
+    }
+}
@@ -0,0 +1,257 @@
+/**
+ * ICalendarFormat class - iCalendar (RFC 5545) VTODO components
+ * Calendar apps such as Thunderbird and Apple Reminders read these. Due dates without a
+ * time are written as DATE values and due times as floating local times, so they do
+ * not shift between timezones.
+ */
+import { DueDateUtils } from '../DueDateUtils.js';
+import { TagUtils } from '../TagUtils.js';
+import { FormatError } from './FormatError.js';
+
+export class ICalendarFormat {
+    static LABEL_KEY = 'format.ical.label';
+    static EXTENSION = 'ics';
+    static MIME_TYPE = 'text/calendar';
+    static PRODUCT_ID = '-//Todo App//EN';
+    static UID_PATTERN = /^todo-([A-Za-z0-9_-]+)@todo-app$/;
+    static PRIORITY_VALUES = { urgent: 1, high: 3, medium: 5, low: 9 };
+    static MAX_LINE_OCTETS = 75;
+
+    /**
+     * Convert todos to text
+     * @param {Array<Object>} todos - Plain todo objects
+     * @param {Object} options - Options
+     * @param {Date} options.now - Time written as DTSTAMP
+     * @returns {string} - File contents
+     */
+    static serialize(todos, { now = new Date() } = {}) {
+        const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${this.PRODUCT_ID}`];
+        todos.forEach(todo => {
+            lines.push(
+                'BEGIN:VTODO',
+                `UID:todo-${todo.id}@todo-app`,
+                `DTSTAMP:${this.formatUtc(now)}`,
+                `CREATED:${this.formatUtc(new Date(todo.createdAt))}`,
+                `LAST-MODIFIED:${this.formatUtc(new Date(todo.updatedAt || todo.createdAt))}`,
+                `SUMMARY:${this.escapeText(todo.text)}`,
+                `STATUS:${todo.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`
+            );
+            if (todo.completed) {
+                lines.push(`COMPLETED:${this.formatUtc(new Date(todo.fieldUpdatedAt?.completed || todo.updatedAt || todo.createdAt))}`);
+            }
+            if (this.PRIORITY_VALUES[todo.priority]) {
+                lines.push(`PRIORITY:${this.PRIORITY_VALUES[todo.priority]}`);
+            }
+            if (todo.tags && todo.tags.length > 0) {
+                lines.push(`CATEGORIES:${todo.tags.map(tag => this.escapeText(tag)).join(',')}`);
+            }
+            if (todo.dueDate) {
+                const date = todo.dueDate.replace(/-/g, '');
+                lines.push(todo.dueTime ? `DUE:${date}T${todo.dueTime.replace(':', '')}00` : `DUE;VALUE=DATE:${date}`);
+            }
+            lines.push('END:VTODO');
+        });
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Read todos from text
+     * Other components, such as VEVENT, are skipped.
+     * @param {string} text - File contents
+     * @returns {Object} - { lists: null, rows }
+     */
+    static parse(text) {
+        const lines = this.unfoldLines(text);
+        if (!lines.some(({ content }) => content.toUpperCase() === 'BEGIN:VCALENDAR')) {
+            throw new FormatError('format.ical.notCalendar');
+        }
+
+        const rows = [];
+        let current = null;
+        lines.forEach(({ line, content }) => {
+            const property = this.parseProperty(content);
+            if (!property) return;
+
+            if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VTODO') {
+                current = { row: line, properties: {} };
+            } else if (property.name === 'END' && property.value.toUpperCase() === 'VTODO' && current) {
+                rows.push({ row: current.row, ...this.toTodoData(current.properties) });
+                current = null;
+            } else if (current) {
+                current.properties[property.name] = property;
+            }
+        });
+
+        return { lists: null, rows };
+    }
+
+    /**
+     * Turn the properties of a VTODO into todo fields
+     * @param {Object} properties - { name, params, value } per property name
+     * @returns {Object} - { data, error } with error a { key, params } message
+     */
+    static toTodoData(properties) {
+        const value = (name) => properties[name]?.value;
+        const data = {
+            text: this.unescapeText(value('SUMMARY') || ''),
+            completed: (value('STATUS') || '').toUpperCase() === 'COMPLETED' || Boolean(value('COMPLETED')),
+            priority: this.toPriority(Number(value('PRIORITY') || 0)),
+            tags: TagUtils.normalizeTags(this.splitList(value('CATEGORIES') || '').map(tag => tag.replace(/\s+/g, '-'))),
+            dueDate: null,
+            dueTime: null
+        };
+
+        const uid = (value('UID') || '').match(this.UID_PATTERN);
+        if (uid) {
+            data.id = uid[1];
+        }
+        if (value('CREATED')) {
+            const created = this.parseDateTime(value('CREATED'));
+            if (!created) {
+                return { data, error: { key: 'format.ical.invalidCreated', params: { value: value('CREATED') } } };
+            }
+            data.createdAt = created.date.toISOString();
+        }
+        if (value('DUE')) {
+            const due = this.parseDateTime(value('DUE'));
+            if (!due) {
+                return { data, error: { key: 'format.ical.invalidDue', params: { value: value('DUE') } } };
+            }
+            data.dueDate = DueDateUtils.toDateKey(due.date);
+            data.dueTime = due.hasTime ? DueDateUtils.toTimeKey(due.date) : null;
+        }
+        return { data, error: null };
+    }
+
+    /**
+     * Map an iCalendar priority (1 highest to 9 lowest, 0 undefined) to a priority level
+     * @param {number} value - PRIORITY value
+     * @returns {string} - Priority level
+     */
+    static toPriority(value) {
+        if (value === 1) return 'urgent';
+        if (value >= 2 && value <= 4) return 'high';
+        if (value === 5) return 'medium';
+        if (value >= 6 && value <= 9) return 'low';
+        return 'none';
+    }
+
+    /**
+     * Parse a DATE or DATE-TIME value
+     * A trailing Z means UTC; other times are floating local times.
+     * @param {string} value - e.g. '20240105', '20240105T093000' or '20240105T093000Z'
+     * @returns {Object|null} - { date, hasTime } or null if invalid
+     */
+    static parseDateTime(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+        if (!match) return null;
+
+        const [, year, month, day, hours, minutes, seconds, utc] = match;
+        const parts = [Number(year), Number(month) - 1, Number(day), Number(hours || 0), Number(minutes || 0), Number(seconds || 0)];
+        const date = utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+        return Number.isNaN(date.getTime()) ? null : { date, hasTime: hours !== undefined };
+    }
+
+    /**
+     * Format a time as a UTC DATE-TIME value
+     * @param {Date} date - Time
+     * @returns {string} - e.g. '20240105T093000Z'
+     */
+    static formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Split a content line into its name, parameters and value
+     * @param {string} content - Unfolded line
+     * @returns {Object|null} - { name, params, value } or null if not a property
+     */
+    static parseProperty(content) {
+        const match = /^([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/.exec(content);
+        if (!match) return null;
+        return { name: match[1].toUpperCase(), params: match[2], value: match[3] };
+    }
+
+    /**
+     * Split a list value on commas that are not escaped
+     * @param {string} value - e.g. 'work,home\\,garden'
+     * @returns {Array<string>} - Unescaped items
+     */
+    static splitList(value) {
+        return value.split(/(?<!\\),/).map(item => this.unescapeText(item)).filter(Boolean);
+    }
+
+    /**
+     * Escape a TEXT value
+     * @param {string} text - Plain text
+     * @returns {string} - Escaped text
+     */
+    static escapeText(text) {
+        return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Unescape a TEXT value
+     * @param {string} text - Escaped text
+     * @returns {string} - Plain text
+     */
+    static unescapeText(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+    }
+
+    /**
+     * Split a long line into 75-octet pieces joined by CRLF and a space
+     * @param {string} line - Content line
+     * @returns {string} - Folded line
+     */
+    static foldLine(line) {
+        const pieces = [];
+        let piece = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = this.getUtf8Length(char);
+            // Continuation lines start with a space, which counts towards their length
+            if (octets + size > this.MAX_LINE_OCTETS - (pieces.length > 0 ? 1 : 0)) {
+                pieces.push(piece);
+                piece = '';
+                octets = 0;
+            }
+            piece += char;
+            octets += size;
+        }
+        pieces.push(piece);
+        return pieces.join('\r\n ');
+    }
+
+    /**
+     * Join folded lines and number them by the line they start on
+     * @param {string} text - File contents
+     * @returns {Array<Object>} - { line, content } entries
+     */
+    static unfoldLines(text) {
+        const lines = [];
+        text.split(/\r?\n/).forEach((content, index) => {
+            if (/^[ \t]/.test(content) && lines.length > 0) {
+                lines[lines.length - 1].content += content.slice(1);
+            } else if (content) {
+                lines.push({ line: index + 1, content });
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * Count the UTF-8 bytes of a character
+     * @param {string} char - One code point
+     * @returns {number} - Byte length
+     */
+    static getUtf8Length(char) {
+        const codePoint = char.codePointAt(0);
+        if (codePoint < 0x80) return 1;
+        if (codePoint < 0x800) return 2;
+        if (codePoint < 0x10000) return 3;
+        return 4;
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * JsonFormat class - the app's own export format, keeping every field
+ * The current list is an array of todos; all lists are { schemaVersion, lists, todos }.
+ * Imports are upgraded to the current schema; arrays and files without a version count
+ * as the oldest one.
+ */
+import { SchemaMigrations } from '../SchemaMigrations.js';
+import { FormatError } from './FormatError.js';
+
+export class JsonFormat {
+    static LABEL_KEY = 'format.json.label';
+    static EXTENSION = 'json';
+    static MIME_TYPE = 'application/json';
+
+    /**
+     * Convert todos to text
+     * @param {Array<Object>} todos - Plain todo objects
+     * @param {Object} options - Options
+     * @param {Array<Object>|null} options.lists - Plain list objects to export with the todos
+     * @returns {string} - File contents
+     */
+    static serialize(todos, { lists = null } = {}) {
+        const data = lists ? { schemaVersion: SchemaMigrations.CURRENT_VERSION, lists, todos } : todos;
+        return JSON.stringify(data, null, 2);
+    }
+
+    /**
+     * Read todos from text
+     * @param {string} text - File contents
+     * @returns {Object} - { lists, rows } with lists null for a single-list export
+     */
+    static parse(text) {
+        const parsed = JSON.parse(text);
+        const isObject = SchemaMigrations.isRecord(parsed);
+        const isAllLists = isObject && Array.isArray(parsed.lists);
+        const todoData = isObject ? parsed.todos : parsed;
+        if (!Array.isArray(todoData)) {
+            throw new FormatError('format.json.notArray');
+        }
+        if (isAllLists && parsed.lists.length === 0) {
+            throw new FormatError('format.json.noLists');
+        }
+
+        const { todos, lists } = SchemaMigrations.migrate(
+            { todos: todoData, lists: isAllLists ? parsed.lists : [] },
+            isObject ? parsed.schemaVersion : undefined
+        );
+        return {
+            lists: isAllLists ? lists : null,
+            rows: todos.map((data, index) => ({ row: index + 1, data, error: null }))
+        };
+    }
+}
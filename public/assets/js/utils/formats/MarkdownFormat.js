@@ -0,0 +1,66 @@
+/**
+ * MarkdownFormat class - GitHub-style task lists ("- [x] text")
+ * Tags are written as #hashtags and steps as indented items under their task.
+ * Lines that are not task list items, such as headings, are skipped on import.
+ */
+import { TagUtils } from '../TagUtils.js';
+
+export class MarkdownFormat {
+    static LABEL_KEY = 'format.markdown.label';
+    static EXTENSION = 'md';
+    static MIME_TYPE = 'text/markdown';
+    static TASK_PATTERN = /^(\s*)[-*+]\s+\[([ xX])\]\s*(.*)$/;
+
+    /**
+     * Convert todos to text
+     * @param {Array<Object>} todos - Plain todo objects
+     * @param {Object} options - Options
+     * @param {string} options.title - Heading written above the tasks
+     * @returns {string} - File contents
+     */
+    static serialize(todos, { title = null } = {}) {
+        const lines = title ? [`# ${title}`, ''] : [];
+        todos.forEach(todo => {
+            const tags = (todo.tags || []).map(tag => ` #${tag}`).join('');
+            lines.push(`- [${todo.completed ? 'x' : ' '}] ${todo.text}${tags}`);
+            (todo.subtasks || []).forEach(subtask => {
+                lines.push(`  - [${subtask.completed ? 'x' : ' '}] ${subtask.text}`);
+            });
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Read todos from text
+     * Items indented below a task become its steps.
+     * @param {string} text - File contents
+     * @returns {Object} - { lists: null, rows }
+     */
+    static parse(text) {
+        const rows = [];
+        let parent = null;
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            const match = line.match(this.TASK_PATTERN);
+            if (!match) return;
+
+            const [, indent, mark, content] = match;
+            const completed = mark !== ' ';
+            if (parent && indent.length > parent.indent) {
+                parent.row.data.subtasks.push({ text: content.trim(), completed });
+                return;
+            }
+
+            const { text: taskText, tags } = TagUtils.parseTags(content);
+            const row = {
+                row: index + 1,
+                data: { text: taskText, completed, tags: TagUtils.normalizeTags(tags), subtasks: [] },
+                error: null
+            };
+            rows.push(row);
+            parent = { indent: indent.length, row };
+        });
+
+        return { lists: null, rows };
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * TodoFormats class - looks up the file formats todos can be exported to and imported from
+ * Every format has LABEL_KEY, EXTENSION and MIME_TYPE, serialize(todos, options) and
+ * parse(text), which returns { lists, rows } with one { row, data, error } entry per todo.
+ * Formats throw FormatError and report row errors as { key, params }; describeError
+ * turns either into a message in the current language.
+ */
+import { JsonFormat } from './JsonFormat.js';
+import { CsvFormat } from './CsvFormat.js';
+import { MarkdownFormat } from './MarkdownFormat.js';
+import { TodoTxtFormat } from './TodoTxtFormat.js';
+import { ICalendarFormat } from './ICalendarFormat.js';
+import { FormatError } from './FormatError.js';
+import { I18n } from '../I18n.js';
+
+export class TodoFormats {
+    static FORMATS = {
+        json: JsonFormat,
+        csv: CsvFormat,
+        markdown: MarkdownFormat,
+        todotxt: TodoTxtFormat,
+        ical: ICalendarFormat
+    };
+
+    /**
+     * Get a format by name
+     * @param {string} name - Format name (json, csv, markdown, todotxt, ical)
+     * @returns {Function} - Format class
+     */
+    static get(name) {
+        const format = this.FORMATS[name];
+        if (!format) {
+            throw new FormatError('format.unknown', { name });
+        }
+        return format;
+    }
+
+    /**
+     * List the formats for a format picker
+     * @returns {Array<Object>} - { name, labelKey } entries
+     */
+    static list() {
+        return Object.entries(this.FORMATS).map(([name, format]) => ({ name, labelKey: format.LABEL_KEY }));
+    }
+
+    /**
+     * Get the message for a parse error or a row error
+     * @param {Error|Object|string} error - Thrown error, { key, params } row error or message
+     * @returns {string} - Message in the current language
+     */
+    static describeError(error) {
+        if (typeof error === 'string') return error;
+        if (error && error.key) return I18n.t(error.key, error.params);
+        return error?.message || '';
+    }
+
+    /**
+     * Guess the format of a file from its name, then its contents
+     * @param {string} fileName - File name
+     * @param {string} text - File contents
+     * @returns {string} - Format name, 'todotxt' for unrecognized plain text
+     */
+    static detect(fileName = '', text = '') {
+        const extension = fileName.split('.').pop().toLowerCase();
+        if (extension === 'markdown') return 'markdown';
+
+        const byExtension = Object.keys(this.FORMATS).find(name => this.FORMATS[name].EXTENSION === extension);
+        if (byExtension && byExtension !== 'todotxt') return byExtension;
+
+        const start = text.trimStart();
+        if (start.startsWith('[') || start.startsWith('{')) return 'json';
+        if (/^BEGIN:VCALENDAR/i.test(start)) return 'ical';
+        if (text.split(/\r?\n/).some(line => MarkdownFormat.TASK_PATTERN.test(line))) return 'markdown';
+        return 'todotxt';
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * TodoTxtFormat class - the todo.txt format (https://github.com/todotxt/todo.txt)
+ * Priorities map to (A) urgent, (B) high, (C) medium and (D) low; tags are written as
+ * +projects and read from +projects and @contexts; due dates use the due: key.
+ * Completed tasks keep their priority in a pri: key, as the format suggests.
+ */
+import { DueDateUtils } from '../DueDateUtils.js';
+import { TagUtils } from '../TagUtils.js';
+
+export class TodoTxtFormat {
+    static LABEL_KEY = 'format.todotxt.label';
+    static EXTENSION = 'txt';
+    static MIME_TYPE = 'text/plain';
+    static PRIORITY_LETTERS = { urgent: 'A', high: 'B', medium: 'C', low: 'D' };
+
+    /**
+     * Convert todos to text
+     * @param {Array<Object>} todos - Plain todo objects
+     * @returns {string} - File contents
+     */
+    static serialize(todos) {
+        return todos.map(todo => {
+            const letter = this.PRIORITY_LETTERS[todo.priority];
+            const created = DueDateUtils.toDateKey(new Date(todo.createdAt));
+            const parts = todo.completed
+                ? ['x', DueDateUtils.toDateKey(new Date(todo.fieldUpdatedAt?.completed || todo.updatedAt || todo.createdAt)), created]
+                : [letter ? `(${letter})` : null, created];
+
+            parts.push(todo.text);
+            (todo.tags || []).forEach(tag => parts.push(`+${tag}`));
+            if (todo.dueDate) {
+                parts.push(`due:${todo.dueDate}`);
+            }
+            if (todo.completed && letter) {
+                parts.push(`pri:${letter}`);
+            }
+            return parts.filter(Boolean).join(' ');
+        }).join('\n') + '\n';
+    }
+
+    /**
+     * Read todos from text
+     * @param {string} text - File contents
+     * @returns {Object} - { lists: null, rows }
+     */
+    static parse(text) {
+        const rows = [];
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (line.trim()) {
+                rows.push({ row: index + 1, ...this.parseLine(line.trim()) });
+            }
+        });
+        return { lists: null, rows };
+    }
+
+    /**
+     * Read one task line
+     * @param {string} line - Trimmed line
+     * @returns {Object} - { data, error }
+     */
+    static parseLine(line) {
+        const words = line.split(/\s+/);
+        const data = { completed: false, priority: 'none', tags: [], dueDate: null };
+
+        if (words[0] === 'x') {
+            data.completed = true;
+            words.shift();
+            // The first date of a completed task is its completion date; the creation date may follow
+            if (DueDateUtils.DATE_PATTERN.test(words[0])) {
+                words.shift();
+            }
+        } else if (/^\([A-Z]\)$/.test(words[0])) {
+            data.priority = this.toPriority(words.shift()[1]);
+        }
+        if (DueDateUtils.DATE_PATTERN.test(words[0])) {
+            const created = DueDateUtils.parseDateKey(words.shift());
+            if (created) {
+                data.createdAt = created.toISOString();
+            }
+        }
+
+        const textWords = [];
+        words.forEach(word => {
+            const key = word.match(/^(due|pri):(.+)$/);
+            if (/^[+@]\S+$/.test(word)) {
+                data.tags.push(word.slice(1));
+            } else if (key && key[1] === 'due') {
+                data.dueDate = key[2];
+            } else if (key && key[1] === 'pri' && /^[A-Z]$/.test(key[2])) {
+                data.priority = this.toPriority(key[2]);
+            } else {
+                textWords.push(word);
+            }
+        });
+        data.text = textWords.join(' ');
+        data.tags = TagUtils.normalizeTags(data.tags);
+
+        return { data, error: null };
+    }
+
+    /**
+     * Map a todo.txt priority letter to a priority level
+     * @param {string} letter - 'A' to 'Z'
+     * @returns {string} - Priority level; E to Z count as low
+     */
+    static toPriority(letter) {
+        const priority = Object.keys(this.PRIORITY_LETTERS).find(level => this.PRIORITY_LETTERS[level] === letter);
+        return priority || 'low';
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * TodoFileStore class - persists todos (or any JSON document) as a file on disk
+ */
+const fs = require('fs/promises');
+const path = require('path');
+
+class TodoFileStore {
+    /**
+     * @param {string} filePath - Path of the JSON file
+     * @param {*} emptyValue - Value returned while the file does not exist
+     */
+    constructor(filePath, emptyValue = []) {
+        this.filePath = filePath;
+        this.emptyValue = emptyValue;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Read all todos from disk
+     * @returns {Promise<Array>} - Array of plain todo objects
+     */
+    async readAll() {
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            const data = JSON.parse(content);
+            return Array.isArray(this.emptyValue) === Array.isArray(data) ? data : this.copyEmptyValue();
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return this.copyEmptyValue();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get a fresh copy of the empty value
+     * @returns {*} - Copy of the empty value
+     */
+    copyEmptyValue() {
+        return JSON.parse(JSON.stringify(this.emptyValue));
+    }
+
+    /**
+     * Write all todos to disk, replacing the file atomically
+     * @param {Array} todos - Array of plain todo objects
+     */
+    async writeAll(todos) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(todos, null, 2), 'utf8');
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * Run a read-modify-write cycle, serialized with every other update
+     * @param {Function} mutator - Receives the stored data and returns { data, result }; data null skips the write
+     * @returns {Promise<*>} - The mutator's result
+     */
+    update(mutator) {
+        const run = this.pending.then(async () => {
+            const current = await this.readAll();
+            const { data, result } = mutator(current);
+            if (data) {
+                await this.writeAll(data);
+            }
+            return result;
+        });
+
+        // Keep the queue alive even if this update fails
+        this.pending = run.catch(() => {});
+        return run;
+    }
+}
+
+module.exports = { TodoFileStore };
@@ -0,0 +1,103 @@
+/**
+ * Undo history API route
+ * Stores the { undo, redo } command stacks saved by the client (see CommandHistory)
+ */
+const express = require('express');
+const { ApiError, asyncHandler, assertValid, jsonErrorHandler } = require('./httpUtils');
+
+// A full history holds up to MAX_SAVED_CHANGES before and after todo copies per stack
+const BODY_LIMIT = '5mb';
+
+/**
+ * Validate a saved undo history
+ * @param {*} history - History from a request body
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.TodoValidator - TodoValidator class
+ * @param {Function} deps.CommandHistory - CommandHistory class
+ * @returns {Object} - { undo, redo } command arrays
+ */
+function normalizeHistory(history, { TodoValidator, CommandHistory }) {
+    if (!history || typeof history !== 'object' || Array.isArray(history)) {
+        throw new ApiError(400, 'Invalid format: expected object');
+    }
+
+    const isIndex = (index) => Number.isInteger(index) && index >= -1;
+    const assertTodo = (todo) => {
+        if (todo !== null) {
+            assertValid(TodoValidator.validateTodoObject(todo));
+        }
+    };
+    const assertLists = (lists) => {
+        if (!Array.isArray(lists)) {
+            throw new ApiError(400, 'Invalid command lists');
+        }
+        lists.forEach(list => assertValid(TodoValidator.validateListObject(list)));
+    };
+
+    const normalizeStack = (stack, name) => {
+        if (!Array.isArray(stack)) {
+            throw new ApiError(400, `Invalid format: expected ${name} array`);
+        }
+        if (stack.length > CommandHistory.DEFAULT_MAX_DEPTH) {
+            throw new ApiError(400, `Too many ${name} commands`);
+        }
+        let changeCount = 0;
+        stack.forEach(command => {
+            if (!command || typeof command.label !== 'string' || !Array.isArray(command.changes)) {
+                throw new ApiError(400, 'Invalid command');
+            }
+            changeCount += command.changes.length;
+            command.changes.forEach(change => {
+                if (!change || typeof change !== 'object' || !isIndex(change.beforeIndex) || !isIndex(change.afterIndex) ||
+                    (change.before === null && change.after === null)) {
+                    throw new ApiError(400, 'Invalid command change');
+                }
+                assertValid(TodoValidator.validateId(change.id));
+                assertTodo(change.before);
+                assertTodo(change.after);
+            });
+            if (command.lists) {
+                assertLists(command.lists.before);
+                assertLists(command.lists.after);
+            }
+        });
+        if (changeCount > CommandHistory.MAX_SAVED_CHANGES) {
+            throw new ApiError(400, `Too many ${name} changes`);
+        }
+        return stack;
+    };
+
+    return {
+        undo: normalizeStack(history.undo, 'undo'),
+        redo: normalizeStack(history.redo, 'redo')
+    };
+}
+
+/**
+ * Create the /api/history router
+ * @param {Object} deps - Dependencies
+ * @param {TodoFileStore} deps.store - History persistence
+ * @param {Function} deps.TodoValidator - TodoValidator class
+ * @param {Function} deps.CommandHistory - CommandHistory class
+ * @returns {express.Router} - Configured router
+ */
+function createHistoryRouter({ store, TodoValidator, CommandHistory }) {
+    const router = express.Router();
+    router.use(express.json({ limit: BODY_LIMIT }));
+
+    router.get('/', asyncHandler(async (req, res) => {
+        res.json(await store.readAll());
+    }));
+
+    router.put('/', asyncHandler(async (req, res) => {
+        const history = normalizeHistory(req.body, { TodoValidator, CommandHistory });
+        await store.update(() => ({ data: history, result: null }));
+        res.json(history);
+    }));
+
+    router.use(jsonErrorHandler);
+
+    return router;
+}
+
+module.exports = { createHistoryRouter, normalizeHistory };
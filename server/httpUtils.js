@@ -0,0 +1,51 @@
+/**
+ * Shared helpers for the API routers
+ */
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * Wrap an async route handler so rejections reach the error middleware
+ * @param {Function} handler - Async route handler
+ * @returns {Function} - Express route handler
+ */
+function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+/**
+ * Throw an ApiError when a validation result is invalid
+ * @param {Object} validation - Result from TodoValidator
+ */
+function assertValid(validation) {
+    if (!validation.isValid) {
+        throw new ApiError(400, validation.error);
+    }
+}
+
+/**
+ * Error middleware that reports every API failure as JSON
+ * @param {Error} error - The error
+ * @param {express.Request} req - Request
+ * @param {express.Response} res - Response
+ * @param {Function} next - Next middleware
+ */
+function jsonErrorHandler(error, req, res, next) {
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) {
+        console.error('API error:', error);
+    }
+    res.status(status).json({
+        error: status >= 500 ? 'Internal server error' : error.message
+    });
+}
+
+module.exports = { ApiError, asyncHandler, assertValid, jsonErrorHandler };
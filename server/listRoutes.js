@@ -0,0 +1,98 @@
+/**
+ * List and settings API routes
+ * Named lists are stored as one document: { updatedAt, lists }
+ */
+const express = require('express');
+const { ApiError, asyncHandler, assertValid, jsonErrorHandler } = require('./httpUtils');
+
+/**
+ * Validate and normalize a full array of lists
+ * @param {*} lists - Lists from a request body
+ * @param {Function} TodoValidator - TodoValidator class
+ * @returns {Array} - Normalized plain list objects
+ */
+function normalizeLists(lists, TodoValidator) {
+    if (!Array.isArray(lists)) {
+        throw new ApiError(400, 'Invalid format: expected array');
+    }
+
+    const ids = new Set();
+    return lists.map(list => {
+        assertValid(TodoValidator.validateListObject(list));
+        if (ids.has(list.id)) {
+            throw new ApiError(400, `Duplicate list id: ${list.id}`);
+        }
+        ids.add(list.id);
+        return {
+            id: list.id,
+            name: list.name.trim(),
+            sortBy: list.sortBy || 'manual',
+            createdAt: list.createdAt || new Date().toISOString()
+        };
+    });
+}
+
+/**
+ * Create the /api/lists router
+ * @param {Object} deps - Dependencies
+ * @param {TodoFileStore} deps.store - List document persistence
+ * @param {Function} deps.TodoValidator - TodoValidator class
+ * @returns {express.Router} - Configured router
+ */
+function createListRouter({ store, TodoValidator }) {
+    const router = express.Router();
+    router.use(express.json());
+
+    router.get('/', asyncHandler(async (req, res) => {
+        const { lists } = await store.readAll();
+        res.json(lists);
+    }));
+
+    router.put('/', asyncHandler(async (req, res) => {
+        const lists = normalizeLists(req.body, TodoValidator);
+        await store.update(() => ({
+            data: { updatedAt: new Date().toISOString(), lists },
+            result: null
+        }));
+        res.json(lists);
+    }));
+
+    router.use(jsonErrorHandler);
+
+    return router;
+}
+
+/**
+ * Create the /api/settings router, also used for other single-document endpoints
+ * @param {Object} deps - Dependencies
+ * @param {TodoFileStore} deps.store - Settings persistence
+ * @param {TodoFileStore} deps.listStore - List document persistence, to check the current list
+ * @param {Function} deps.TodoValidator - TodoValidator class
+ * @param {boolean} deps.readOnly - Refuse PUT, for documents only the server writes
+ * @returns {express.Router} - Configured router
+ */
+function createSettingsRouter({ store, listStore, TodoValidator, readOnly = false }) {
+    const router = express.Router();
+    router.use(express.json());
+
+    router.get('/', asyncHandler(async (req, res) => {
+        res.json(await store.readAll());
+    }));
+
+    router.put('/', asyncHandler(async (req, res) => {
+        if (readOnly) {
+            throw new ApiError(405, 'This document is read-only');
+        }
+        const settings = req.body;
+        const { lists } = await listStore.readAll();
+        assertValid(TodoValidator.validateSettings(settings, lists.map(list => list.id)));
+        await store.update(() => ({ data: settings, result: null }));
+        res.json(settings);
+    }));
+
+    router.use(jsonErrorHandler);
+
+    return router;
+}
+
+module.exports = { createListRouter, createSettingsRouter, normalizeLists };
@@ -0,0 +1,53 @@
+/**
+ * Upgrades the stored documents to the current schema when the server starts
+ * Uses the same SchemaMigrations module as the browser's TodoStorage, so data saved
+ * through the REST API and the sync endpoint matches what clients expect.
+ */
+
+/**
+ * Migrate the todo, list and history documents, backing them up first
+ * @param {Object} deps - Dependencies
+ * @param {TodoFileStore} deps.store - Todo persistence
+ * @param {TodoFileStore} deps.listStore - { updatedAt, lists } document
+ * @param {TodoFileStore} deps.historyStore - Saved undo history
+ * @param {TodoFileStore} deps.schemaStore - { version } document
+ * @param {TodoFileStore} deps.backupStore - Copy of the data taken before migrating
+ * @param {Function} deps.SchemaMigrations - SchemaMigrations class
+ * @returns {Promise<Array<string>>} - Descriptions of the applied migrations
+ */
+async function migrateStores({ store, listStore, historyStore, schemaStore, backupStore, SchemaMigrations }) {
+    const schema = await schemaStore.readAll();
+    const fromVersion = SchemaMigrations.normalizeVersion(schema.version);
+    if (fromVersion === SchemaMigrations.CURRENT_VERSION) {
+        return [];
+    }
+
+    const [todos, listDocument, history] = await Promise.all([
+        store.readAll(),
+        listStore.readAll(),
+        historyStore.readAll()
+    ]);
+    let applied = [];
+
+    if (todos.length > 0 || listDocument.lists.length > 0) {
+        await backupStore.writeAll({
+            version: fromVersion,
+            createdAt: new Date().toISOString(),
+            todos,
+            lists: listDocument.lists,
+            history
+        });
+
+        const migrated = SchemaMigrations.migrate({ todos, lists: listDocument.lists, history }, fromVersion);
+        applied = migrated.applied;
+        await store.writeAll(migrated.todos.filter(todo => SchemaMigrations.isRecord(todo) && typeof todo.text === 'string'));
+        await listStore.writeAll({ ...listDocument, lists: migrated.lists });
+        await historyStore.writeAll(migrated.history);
+    }
+
+    // Written last, so an interrupted migration runs again on the next start
+    await schemaStore.writeAll({ version: SchemaMigrations.CURRENT_VERSION });
+    return applied;
+}
+
+module.exports = { migrateStores };
@@ -0,0 +1,129 @@
+/**
+ * Sync API route
+ * Applies a batch of offline changes from a client and answers with the merged list
+ */
+const express = require('express');
+const { ApiError, asyncHandler, assertValid, jsonErrorHandler } = require('./httpUtils');
+const { normalizeLists } = require('./listRoutes');
+
+/**
+ * Create the /api/sync router
+ * @param {Object} deps - Dependencies
+ * @param {TodoFileStore} deps.store - Todo persistence
+ * @param {TodoFileStore} deps.listStore - List document persistence
+ * @param {Function} deps.TodoItem - TodoItem model class
+ * @param {Function} deps.TodoValidator - TodoValidator class
+ * @param {Function} deps.TodoMerger - TodoMerger class
+ * @returns {express.Router} - Configured router
+ */
+function createSyncRouter({ store, listStore, TodoItem, TodoValidator, TodoMerger }) {
+    const router = express.Router();
+    router.use(express.json());
+
+    /**
+     * Apply one queued change to the stored todos
+     * @param {Array} todos - Stored todos (mutated in place)
+     * @param {Object} change - { type: 'upsert', todo } or { type: 'delete', id, deletedAt }
+     */
+    function applyChange(todos, change) {
+        if (!change || typeof change !== 'object') {
+            throw new ApiError(400, 'Invalid change');
+        }
+
+        if (change.type === 'upsert') {
+            assertValid(TodoValidator.validateTodoObject(change.todo));
+            const incoming = TodoItem.fromJSON(change.todo).toJSON();
+            const index = todos.findIndex(todo => todo.id === incoming.id);
+            if (index === -1) {
+                todos.push(incoming);
+            } else {
+                todos[index] = TodoMerger.merge(todos[index], incoming);
+            }
+            return;
+        }
+
+        if (change.type === 'delete') {
+            assertValid(TodoValidator.validateId(change.id));
+            if (typeof change.deletedAt !== 'string' || !TodoValidator.isValidDate(change.deletedAt)) {
+                throw new ApiError(400, 'Invalid deletedAt date');
+            }
+            const index = todos.findIndex(todo => todo.id === change.id);
+            if (index > -1 && TodoMerger.deletionWins(todos[index], change.deletedAt)) {
+                todos.splice(index, 1);
+            }
+            return;
+        }
+
+        throw new ApiError(400, `Unknown change type: ${change.type}`);
+    }
+
+    /**
+     * Apply a queued lists change; the whole collection is last-writer-wins
+     * @param {Object} document - Stored { updatedAt, lists } document
+     * @param {Object} change - { type: 'lists', lists, updatedAt }
+     * @returns {Object|null} - Replacement document, or null if the stored one is newer
+     */
+    function applyListsChange(document, change) {
+        if (typeof change.updatedAt !== 'string' || !TodoValidator.isValidDate(change.updatedAt)) {
+            throw new ApiError(400, 'Invalid updatedAt date');
+        }
+        const lists = normalizeLists(change.lists, TodoValidator);
+        if (document.updatedAt && document.updatedAt > change.updatedAt) {
+            return null;
+        }
+        return { updatedAt: change.updatedAt, lists };
+    }
+
+    router.post('/', asyncHandler(async (req, res) => {
+        const changes = req.body?.changes;
+        if (!Array.isArray(changes)) {
+            throw new ApiError(400, 'Invalid format: expected changes array');
+        }
+
+        // Invalid changes are rejected one by one so they cannot block the rest of the outbox.
+        // An unexpected failure rejects only its own change too: the client would otherwise
+        // resend the same batch forever.
+        const rejected = [];
+        const tryApply = (index, apply) => {
+            try {
+                return apply();
+            } catch (error) {
+                if (!(error instanceof ApiError)) {
+                    console.error(`Sync change ${index} failed:`, error);
+                }
+                rejected.push({ index, error: error instanceof ApiError ? error.message : 'Invalid change' });
+                return null;
+            }
+        };
+
+        const { lists } = await listStore.update(document => {
+            let nextDocument = null;
+            changes.forEach((change, index) => {
+                if (change?.type !== 'lists') return;
+                nextDocument = tryApply(index, () => applyListsChange(nextDocument || document, change)) || nextDocument;
+            });
+            return { data: nextDocument, result: nextDocument || document };
+        });
+
+        const todos = await store.update(storedTodos => {
+            const nextTodos = [...storedTodos];
+            let applied = 0;
+            changes.forEach((change, index) => {
+                if (change?.type === 'lists') return;
+                tryApply(index, () => {
+                    applyChange(nextTodos, change);
+                    applied += 1;
+                });
+            });
+            return { data: applied > 0 ? nextTodos : null, result: nextTodos };
+        });
+
+        res.json({ todos, lists, rejected });
+    }));
+
+    router.use(jsonErrorHandler);
+
+    return router;
+}
+
+module.exports = { createSyncRouter };
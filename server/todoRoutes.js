@@ -0,0 +1,242 @@
+/**
+ * Todo REST API routes
+ * Exposes the todo list persisted by TodoFileStore as JSON resources
+ */
+const express = require('express');
+const { ApiError, asyncHandler, assertValid, jsonErrorHandler } = require('./httpUtils');
+
+/**
+ * Create the /api/todos router
+ * @param {Object} deps - Dependencies
+ * @param {TodoFileStore} deps.store - Todo persistence
+ * @param {Function} deps.TodoItem - TodoItem model class
+ * @param {Function} deps.TodoValidator - TodoValidator class
+ * @param {Function} deps.TagUtils - TagUtils class
+ * @returns {express.Router} - Configured router
+ */
+function createTodoRouter({ store, TodoItem, TodoValidator, TagUtils }) {
+    const router = express.Router();
+    router.use(express.json());
+
+    /**
+     * Validate the :id route parameter
+     * @param {string} rawId - Raw id from the URL
+     * @returns {string} - Todo id
+     */
+    function parseId(rawId) {
+        assertValid(TodoValidator.validateId(rawId));
+        return rawId;
+    }
+
+    /**
+     * Normalize and validate a tags array from a request body
+     * @param {*} tags - Raw tags
+     * @returns {Array<string>} - Normalized tags
+     */
+    function parseTags(tags) {
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            throw new ApiError(400, 'Tags must be an array of strings');
+        }
+        const normalized = TagUtils.normalizeTags(tags);
+        assertValid(TodoValidator.validateTags(normalized));
+        return normalized;
+    }
+
+    /**
+     * Build a new todo from a request body
+     * @param {Object} body - Request body, either { text, listId, dueDate, dueTime, priority, tags } or a full todo object
+     * @param {Array} todos - Stored todos
+     * @returns {Object} - Plain todo object
+     */
+    function buildTodo(body, todos) {
+        if (body.id !== undefined) {
+            assertValid(TodoValidator.validateTodoObject(body));
+            if (todos.some(todo => todo.id === body.id)) {
+                throw new ApiError(409, `Todo ${body.id} already exists`);
+            }
+            return TodoItem.fromJSON(body).toJSON();
+        }
+
+        if (typeof body.text !== 'string') {
+            throw new ApiError(400, 'Please enter a task!');
+        }
+        assertValid(TodoValidator.validateText(body.text));
+
+        const todoItem = new TodoItem(TodoValidator.sanitizeText(body.text));
+        if (body.listId !== undefined) {
+            assertValid(TodoValidator.validateListId(body.listId));
+            todoItem.listId = body.listId;
+        }
+        if (body.completed !== undefined) {
+            if (typeof body.completed !== 'boolean') {
+                throw new ApiError(400, 'Completed field must be a boolean');
+            }
+            todoItem.completed = body.completed;
+        }
+        if (body.priority !== undefined) {
+            assertValid(TodoValidator.validatePriority(body.priority));
+            todoItem.priority = body.priority;
+        }
+        if (body.dueDate) {
+            assertValid(TodoValidator.validateDueDate(body.dueDate, body.dueTime));
+            todoItem.dueDate = body.dueDate;
+            todoItem.dueTime = body.dueTime || null;
+        }
+        if (body.tags !== undefined) {
+            todoItem.tags = parseTags(body.tags);
+        }
+        return todoItem.toJSON();
+    }
+
+    /**
+     * Apply a partial update to a stored todo
+     * @param {Object} todo - Stored todo
+     * @param {Object} changes - Request body with text, listId, dueDate, dueTime, priority, tags, subtasks, recurrence, sortKey and/or completed
+     * @returns {Object} - Updated plain todo object
+     */
+    function applyChanges(todo, changes) {
+        const todoItem = TodoItem.fromJSON(todo);
+
+        if (changes.text !== undefined) {
+            if (typeof changes.text !== 'string') {
+                throw new ApiError(400, 'Please enter a task!');
+            }
+            assertValid(TodoValidator.validateText(changes.text));
+            todoItem.updateText(changes.text);
+        }
+
+        if (changes.dueDate !== undefined || changes.dueTime !== undefined) {
+            const dueDate = changes.dueDate !== undefined ? changes.dueDate : todoItem.dueDate;
+            const dueTime = changes.dueTime !== undefined ? changes.dueTime : todoItem.dueTime;
+            assertValid(TodoValidator.validateDueDate(dueDate, dueTime));
+            todoItem.setDue(dueDate, dueTime);
+        }
+
+        if (changes.priority !== undefined) {
+            assertValid(TodoValidator.validatePriority(changes.priority));
+            todoItem.setPriority(changes.priority);
+        }
+
+        if (changes.tags !== undefined) {
+            todoItem.setTags(parseTags(changes.tags));
+        }
+
+        if (changes.subtasks !== undefined) {
+            assertValid(TodoValidator.validateSubtasks(changes.subtasks));
+            todoItem.setSubtasks(changes.subtasks);
+        }
+
+        if (changes.recurrence !== undefined) {
+            assertValid(TodoValidator.validateRecurrence(changes.recurrence));
+            todoItem.setRecurrence(changes.recurrence);
+        }
+
+        if (changes.sortKey !== undefined) {
+            assertValid(TodoValidator.validateSortKey(changes.sortKey));
+            todoItem.setSortKey(changes.sortKey);
+        }
+
+        if (changes.listId !== undefined) {
+            assertValid(TodoValidator.validateListId(changes.listId));
+            todoItem.moveToList(changes.listId);
+        }
+
+        if (changes.completed !== undefined) {
+            if (typeof changes.completed !== 'boolean') {
+                throw new ApiError(400, 'Completed field must be a boolean');
+            }
+            if (changes.completed !== todoItem.completed) {
+                todoItem.toggle();
+            }
+        }
+
+        const updated = todoItem.toJSON();
+        assertValid(TodoValidator.validateTodoObject(updated));
+        return updated;
+    }
+
+    router.get('/', asyncHandler(async (req, res) => {
+        res.json(await store.readAll());
+    }));
+
+    router.post('/', asyncHandler(async (req, res) => {
+        const created = await store.update(todos => {
+            const todo = buildTodo(req.body || {}, todos);
+            return { data: [...todos, todo], result: todo };
+        });
+        res.status(201).json(created);
+    }));
+
+    router.put('/', asyncHandler(async (req, res) => {
+        const todos = req.body;
+        if (!Array.isArray(todos)) {
+            throw new ApiError(400, 'Invalid format: expected array');
+        }
+
+        const ids = new Set();
+        const replacement = todos.map(data => {
+            assertValid(TodoValidator.validateTodoObject(data));
+            if (ids.has(data.id)) {
+                throw new ApiError(400, `Duplicate todo id: ${data.id}`);
+            }
+            ids.add(data.id);
+            return TodoItem.fromJSON(data).toJSON();
+        });
+
+        await store.update(() => ({ data: replacement, result: null }));
+        res.json(replacement);
+    }));
+
+    // Only the completed todos can be deleted in bulk; a bare DELETE must not wipe the list
+    router.delete('/', asyncHandler(async (req, res) => {
+        if (req.query.completed !== 'true') {
+            throw new ApiError(400, 'Bulk delete needs ?completed=true');
+        }
+        const deleted = await store.update(todos => {
+            const remaining = todos.filter(todo => !todo.completed);
+            return { data: remaining, result: todos.length - remaining.length };
+        });
+        res.json({ deleted });
+    }));
+
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const id = parseId(req.params.id);
+        const todo = (await store.readAll()).find(item => item.id === id);
+        if (!todo) {
+            throw new ApiError(404, 'Todo not found');
+        }
+        res.json(todo);
+    }));
+
+    router.patch('/:id', asyncHandler(async (req, res) => {
+        const id = parseId(req.params.id);
+        const updated = await store.update(todos => {
+            const index = todos.findIndex(todo => todo.id === id);
+            if (index === -1) {
+                throw new ApiError(404, 'Todo not found');
+            }
+            const todo = applyChanges(todos[index], req.body || {});
+            const nextTodos = [...todos];
+            nextTodos[index] = todo;
+            return { data: nextTodos, result: todo };
+        });
+        res.json(updated);
+    }));
+
+    router.delete('/:id', asyncHandler(async (req, res) => {
+        const id = parseId(req.params.id);
+        await store.update(todos => {
+            if (!todos.some(todo => todo.id === id)) {
+                throw new ApiError(404, 'Todo not found');
+            }
+            return { data: todos.filter(todo => todo.id !== id), result: null };
+        });
+        res.status(204).end();
+    }));
+
+    router.use(jsonErrorHandler);
+
+    return router;
+}
+
+module.exports = { createTodoRouter };
@@ -0,0 +1,60 @@
+/**
+ * Jest unit tests for due dates
+ * Covers grouping, validation and the TodoItem round-trip
+ */
+
+let DueDateUtils;
+let TodoValidator;
+let TodoItem;
+
+beforeAll(async () => {
+    ({ DueDateUtils } = await import('../public/assets/js/utils/DueDateUtils.js'));
+    ({ TodoValidator } = await import('../public/assets/js/utils/TodoValidator.js'));
+    ({ TodoItem } = await import('../public/assets/js/models/TodoItem.js'));
+});
+
+// Wednesday 2024-03-13 at 10:30 local time
+const now = new Date(2024, 2, 13, 10, 30);
+
+describe('DueDateUtils.getDueGroup', () => {
+    test('should group todos as overdue, today, tomorrow or later', () => {
+        expect(DueDateUtils.getDueGroup({ dueDate: '2024-03-12' }, now)).toBe('overdue');
+        expect(DueDateUtils.getDueGroup({ dueDate: '2024-03-13', dueTime: '09:00' }, now)).toBe('overdue');
+        expect(DueDateUtils.getDueGroup({ dueDate: '2024-03-13', dueTime: '18:00' }, now)).toBe('today');
+        expect(DueDateUtils.getDueGroup({ dueDate: '2024-03-13' }, now)).toBe('today');
+        expect(DueDateUtils.getDueGroup({ dueDate: '2024-03-14' }, now)).toBe('tomorrow');
+        expect(DueDateUtils.getDueGroup({ dueDate: '2024-04-01' }, now)).toBe('later');
+        expect(DueDateUtils.getDueGroup({ dueDate: null }, now)).toBeNull();
+    });
+
+    test('should never report completed todos as overdue', () => {
+        expect(DueDateUtils.isOverdue({ dueDate: '2024-03-01', completed: true }, now)).toBe(false);
+    });
+
+    test('should handle month and year boundaries', () => {
+        expect(DueDateUtils.addDays('2024-02-28', 1)).toBe('2024-02-29');
+        expect(DueDateUtils.addDays('2024-12-31', 1)).toBe('2025-01-01');
+    });
+});
+
+describe('Due date validation', () => {
+    test('should accept real dates and times only', () => {
+        expect(TodoValidator.validateDueDate('2024-02-29', '23:59').isValid).toBe(true);
+        expect(TodoValidator.validateDueDate(null, null).isValid).toBe(true);
+        expect(TodoValidator.validateDueDate('2023-02-29').error).toBe('Invalid due date');
+        expect(TodoValidator.validateDueDate('2024-03-13T10:00:00Z').error).toBe('Invalid due date');
+        expect(TodoValidator.validateDueDate('2024-03-13', '24:00').error).toBe('Invalid due time');
+        expect(TodoValidator.validateDueDate(null, '10:00').error).toBe('A due time needs a due date');
+    });
+
+    test('should round-trip the due date through toJSON/fromJSON', () => {
+        const todo = new TodoItem('Pay rent', '1');
+        todo.setDue('2024-03-31', '09:00');
+
+        const restored = TodoItem.fromJSON(todo.toJSON());
+
+        expect(restored.dueDate).toBe('2024-03-31');
+        expect(restored.dueTime).toBe('09:00');
+        expect(TodoValidator.validateTodoObject(todo.toJSON()).isValid).toBe(true);
+    });
+});
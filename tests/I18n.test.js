@@ -0,0 +1,233 @@
+/**
+ * Jest unit tests for internationalization
+ * Covers message lookup with interpolation, plurals and fallbacks, locale detection,
+ * locale-aware dates, translated validation and notifications, and the language
+ * switcher with its saved setting
+ */
+
+let I18n;
+let TodoValidator;
+let RecurrenceUtils;
+let TodoList;
+let MemoryStorageAdapter;
+let TodoItem;
+let TodoSorter;
+let en;
+let es;
+
+beforeAll(async () => {
+    ({ I18n } = await import('../public/assets/js/utils/I18n.js'));
+    ({ TodoValidator } = await import('../public/assets/js/utils/TodoValidator.js'));
+    ({ RecurrenceUtils } = await import('../public/assets/js/utils/RecurrenceUtils.js'));
+    ({ TodoList } = await import('../public/assets/js/services/TodoList.js'));
+    ({ MemoryStorageAdapter } = await import('../public/assets/js/services/storage/MemoryStorageAdapter.js'));
+    ({ TodoItem } = await import('../public/assets/js/models/TodoItem.js'));
+    ({ TodoSorter } = await import('../public/assets/js/utils/TodoSorter.js'));
+    ({ en } = await import('../public/assets/js/locales/en.js'));
+    ({ es } = await import('../public/assets/js/locales/es.js'));
+});
+
+beforeEach(() => {
+    document.body.innerHTML = `
+        <h1 data-i18n="app.title">Todo List</h1>
+        <input type="text" id="todoInput" data-i18n-placeholder="form.taskPlaceholder">
+        <select id="localeSelect"></select>
+        <ul id="todoList"></ul>
+        <div class="stats">
+            <span id="totalTasks">Total: 0</span>
+            <span id="completedTasks">Completed: 0</span>
+        </div>
+    `;
+});
+
+afterEach(() => {
+    // The locale is shared by every module; the other tests expect English
+    I18n.setLocale('en');
+    history.replaceState(null, '', '/');
+});
+
+/**
+ * Create a TodoList with a notification spy
+ * @param {Object} data - Initial storage data
+ * @returns {Promise<Object>} - { todoList, storage, notify }
+ */
+async function createTodoList(data = {}) {
+    const storage = new MemoryStorageAdapter('todos', data);
+    const todoList = new TodoList(storage);
+    await todoList.ready;
+    const notify = jest.spyOn(todoList.notifications, 'show');
+    return { todoList, storage, notify };
+}
+
+describe('Catalogs', () => {
+    test('should translate every English message into Spanish', () => {
+        expect(Object.keys(es).sort()).toEqual(Object.keys(en).sort());
+    });
+
+    test('should label every priority and sort order', () => {
+        const keys = [
+            ...TodoItem.PRIORITIES.map(priority => `priority.${priority}`),
+            ...TodoSorter.SORT_OPTIONS.map(sortBy => `sort.${sortBy}`)
+        ];
+
+        expect(keys.filter(key => !(key in en))).toEqual([]);
+    });
+
+    test('should fill placeholders and pick plural forms', () => {
+        expect(I18n.t('stats.total', { count: 4 })).toBe('Total: 4');
+        expect(I18n.t('bulk.deleted', { count: 1 })).toBe('Deleted 1 task');
+        expect(I18n.t('bulk.deleted', { count: 3 })).toBe('Deleted 3 tasks');
+
+        I18n.setLocale('es');
+        expect(I18n.t('bulk.deleted', { count: 1 })).toBe('1 tarea eliminada');
+        expect(I18n.t('bulk.deleted', { count: 3 })).toBe('3 tareas eliminadas');
+    });
+
+    test('should fall back to English, then to the key itself', () => {
+        I18n.setLocale('es');
+        I18n.CATALOGS.en['test.onlyEnglish'] = 'Only in English';
+
+        try {
+            expect(I18n.t('test.onlyEnglish')).toBe('Only in English');
+            expect(I18n.t('Delete task')).toBe('Delete task');
+        } finally {
+            delete I18n.CATALOGS.en['test.onlyEnglish'];
+        }
+    });
+
+    test('should leave placeholders without a value untouched', () => {
+        expect(I18n.t('tag.renamed', { tag: 'work' })).toBe('Renamed #work to #{newTag}');
+    });
+});
+
+describe('Locales', () => {
+    test('should resolve regional language tags to a catalog', () => {
+        expect(I18n.resolveLocale('es-MX')).toBe('es');
+        expect(I18n.resolveLocale('EN_gb')).toBe('en');
+        expect(I18n.resolveLocale('fr')).toBeNull();
+        expect(I18n.setLocale('fr')).toBe(false);
+        expect(I18n.getLocale()).toBe('en');
+    });
+
+    test('should detect the first supported browser language', () => {
+        expect(I18n.detectLocale(['fr-FR', 'es-AR', 'en'])).toBe('es');
+        expect(I18n.detectLocale(['de', 'fr'])).toBe('en');
+    });
+
+    test('should set the language of the page', () => {
+        I18n.setLocale('es');
+        expect(document.documentElement.lang).toBe('es');
+    });
+
+    test('should format dates for the current locale', () => {
+        const date = new Date(2024, 2, 5);
+
+        expect(I18n.formatDate(date)).toBe(new Intl.DateTimeFormat('en', { dateStyle: 'medium' }).format(date));
+        I18n.setLocale('es');
+        expect(I18n.formatDate(date.toISOString())).toBe(new Intl.DateTimeFormat('es', { dateStyle: 'medium' }).format(date));
+        expect(I18n.formatDate('not a date')).toBe('');
+    });
+
+    test('should translate static markup', () => {
+        I18n.setLocale('es');
+        I18n.translate(document);
+
+        expect(document.querySelector('h1').textContent).toBe('Lista de tareas');
+        expect(document.getElementById('todoInput').placeholder).toBe(es['form.taskPlaceholder']);
+    });
+});
+
+describe('Translated messages', () => {
+    test('should report validation errors in Spanish', () => {
+        I18n.setLocale('es');
+
+        expect(TodoValidator.validateText('').error).toBe('¡Escribe una tarea!');
+        expect(TodoValidator.validateText('x'.repeat(101)).error).toBe('¡La tarea es demasiado larga! Máximo 100 caracteres.');
+    });
+
+    test('should describe repeat rules with local weekday names', () => {
+        I18n.setLocale('es');
+
+        expect(RecurrenceUtils.describe({ type: 'daily', interval: 1 })).toBe('Cada día');
+        expect(RecurrenceUtils.describe({ type: 'monthly', week: -1, weekday: 5 })).toBe('Cada mes el último viernes');
+    });
+
+    test('should show notifications in Spanish', async () => {
+        const { todoList, notify } = await createTodoList();
+        todoList.setLocale('es');
+
+        document.getElementById('todoInput').value = 'Comprar pan';
+        todoList.addTodo();
+
+        expect(notify).toHaveBeenCalledWith('¡Tarea añadida!', 'success');
+    });
+
+    test('should show the creation date in the locale of the page', async () => {
+        const createdAt = '2024-03-05T12:00:00.000Z';
+        await createTodoList({ todos: [{ id: '1', text: 'Dated', completed: false, createdAt }] });
+
+        const created = new Intl.DateTimeFormat('en', { dateStyle: 'medium' }).format(new Date(createdAt));
+        expect(document.querySelector('.todo-text').title).toBe(`Created ${created}`);
+    });
+});
+
+describe('Language switcher', () => {
+    test('should list the languages and re-render when one is picked', async () => {
+        const { todoList } = await createTodoList({
+            todos: [{ id: '1', text: 'Task', completed: true, createdAt: '2024-01-01T00:00:00.000Z' }]
+        });
+        const select = document.getElementById('localeSelect');
+        expect([...select.options].map(option => option.textContent)).toEqual(['English', 'Español']);
+        expect(select.value).toBe('en');
+
+        select.value = 'es';
+        select.dispatchEvent(new Event('change'));
+
+        expect(todoList.getLocale()).toBe('es');
+        expect(document.getElementById('completedTasks').textContent).toBe('Completadas: 1');
+        expect(document.querySelector('h1').textContent).toBe('Lista de tareas');
+        expect(document.querySelector('.todo-checkbox').getAttribute('aria-label')).toBe('Hecha: Task');
+    });
+
+    test('should translate the empty state', async () => {
+        const { todoList } = await createTodoList();
+
+        todoList.setLocale('es');
+
+        expect(document.getElementById('todoList').textContent).toContain('Aún no hay tareas.');
+    });
+
+    test('should save the choice and apply it on the next load', async () => {
+        const { todoList, storage } = await createTodoList();
+
+        todoList.setLocale('es');
+        await todoList.pendingSave;
+        expect(await storage.loadSettings()).toEqual(expect.objectContaining({ locale: 'es' }));
+
+        I18n.setLocale('en');
+        const reloaded = new TodoList(storage);
+        await reloaded.ready;
+        expect(reloaded.getLocale()).toBe('es');
+        expect(document.getElementById('totalTasks').textContent).toBe('Total: 0');
+        expect(document.getElementById('localeSelect').value).toBe('es');
+    });
+
+    test('should refuse unsupported languages', async () => {
+        const { todoList, notify } = await createTodoList();
+
+        expect(todoList.setLocale('fr')).toBe(false);
+
+        expect(todoList.getLocale()).toBe('en');
+        expect(notify).toHaveBeenCalledWith('Unsupported language: fr', 'error');
+    });
+
+    test('should show undo labels of older histories as they were saved', async () => {
+        const { todoList } = await createTodoList();
+        document.getElementById('todoInput').value = 'Task';
+        todoList.addTodo();
+        todoList.setLocale('es');
+
+        expect(I18n.t(todoList.history.undoStack[0].label)).toBe('añadir tarea');
+        expect(I18n.t('Add task')).toBe('Add task');
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Jest unit tests for todo IDs
+ * Covers ULID generation, ID validation and todos created in the same millisecond
+ */
+
+let IdUtils;
+let TodoItem;
+let TodoValidator;
+let TodoList;
+let MemoryStorageAdapter;
+
+beforeAll(async () => {
+    ({ IdUtils } = await import('../public/assets/js/utils/IdUtils.js'));
+    ({ TodoItem } = await import('../public/assets/js/models/TodoItem.js'));
+    ({ TodoValidator } = await import('../public/assets/js/utils/TodoValidator.js'));
+    ({ TodoList } = await import('../public/assets/js/services/TodoList.js'));
+    ({ MemoryStorageAdapter } = await import('../public/assets/js/services/storage/MemoryStorageAdapter.js'));
+});
+
+beforeEach(() => {
+    document.body.innerHTML = `
+        <input type="text" id="todoInput">
+        <ul id="todoList"></ul>
+    `;
+});
+
+afterEach(() => {
+    history.replaceState(null, '', '/');
+});
+
+describe('IdUtils', () => {
+    test('should create ULIDs that start with the encoded time', () => {
+        const id = IdUtils.createId(Date.UTC(2024, 0, 1));
+
+        expect(id).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+        expect(id.slice(0, 10)).toBe('01HK153X00');
+        expect(IdUtils.createId(0).slice(0, 10)).toBe('0000000000');
+    });
+
+    test('should keep IDs made in the same millisecond distinct and ordered', () => {
+        const time = Date.UTC(2024, 0, 1);
+        const ids = Array.from({ length: 1000 }, () => IdUtils.createId(time));
+
+        expect(new Set(ids).size).toBe(1000);
+        expect([...ids].sort()).toEqual(ids);
+        expect(IdUtils.createId(time + 1) > ids[ids.length - 1]).toBe(true);
+    });
+
+    test('should carry over when incrementing the random part', () => {
+        expect(IdUtils.increment([0, 31, 31])).toEqual([1, 0, 0]);
+        expect(IdUtils.increment([31, 31])).toHaveLength(2);
+    });
+
+    test('should accept string IDs only', () => {
+        expect(IdUtils.isValidId(IdUtils.createId())).toBe(true);
+        expect(IdUtils.isValidId('0b5e7a2c-1f4d-4c8e-9a6b-3d2f1e0c9b8a')).toBe(true);
+        expect(IdUtils.isValidId('1700000000000')).toBe(true);
+        expect(IdUtils.isValidId(1700000000000)).toBe(false);
+        expect(IdUtils.isValidId('')).toBe(false);
+        expect(IdUtils.isValidId('has space')).toBe(false);
+        expect(IdUtils.isValidId('"><img>')).toBe(false);
+        expect(TodoValidator.validateId(42).error).toBe('Invalid todo ID');
+    });
+
+    test('should convert legacy numeric IDs the same way every time', () => {
+        expect(IdUtils.fromLegacyId(1700000000000)).toBe('1700000000000');
+        expect(IdUtils.fromLegacyId('abc')).toBe('abc');
+        expect(IdUtils.fromLegacyId(null)).toBeNull();
+    });
+});
+
+describe('Todo IDs', () => {
+    test('should not collide for todos created in the same millisecond', async () => {
+        jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2024, 0, 1));
+        const todos = Array.from({ length: 50 }, (_, index) => new TodoItem(`Task ${index}`));
+        Date.now.mockRestore();
+
+        expect(new Set(todos.map(todo => todo.id)).size).toBe(50);
+        expect(todos.every(todo => TodoValidator.validateId(todo.id).isValid)).toBe(true);
+    });
+
+    test('should find and toggle todos by their string ID from the rendered list', async () => {
+        const todoList = new TodoList(new MemoryStorageAdapter('todos', {
+            todos: [
+                { id: 1700000000000, text: 'Legacy', completed: false, createdAt: '2024-01-01T00:00:00.000Z' },
+                { id: '01HK153X00ABCDEFGHJKMNPQRS', text: 'New', completed: false, createdAt: '2024-01-01T00:00:00.000Z' }
+            ]
+        }));
+        await todoList.ready;
+
+        document.querySelector('[data-todo-id="1700000000000"] .todo-checkbox').click();
+        document.querySelector('[data-todo-id="01HK153X00ABCDEFGHJKMNPQRS"] .todo-checkbox').click();
+
+        expect(todoList.findTodoById('1700000000000').completed).toBe(true);
+        expect(todoList.findTodoById('01HK153X00ABCDEFGHJKMNPQRS').completed).toBe(true);
+        expect(todoList.findTodoById(1700000000000)).toBeNull();
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * Jest unit tests for the notification center
+ * Covers stacking and queueing, timers paused on hover, dismiss and action buttons,
+ * the warning type, the history panel and the Retry offered after a failed save
+ */
+
+let NotificationManager;
+let NotificationHistory;
+let TodoList;
+let MemoryStorageAdapter;
+
+beforeAll(async () => {
+    ({ NotificationManager } = await import('../public/assets/js/ui/NotificationManager.js'));
+    ({ NotificationHistory } = await import('../public/assets/js/ui/NotificationHistory.js'));
+    ({ TodoList } = await import('../public/assets/js/services/TodoList.js'));
+    ({ MemoryStorageAdapter } = await import('../public/assets/js/services/storage/MemoryStorageAdapter.js'));
+});
+
+beforeEach(() => {
+    document.body.innerHTML = `
+        <input type="text" id="todoInput">
+        <ul id="todoList"></ul>
+        <button id="notificationHistoryButton"><span class="notification-badge" hidden>0</span></button>
+        <div id="notificationHistory" class="overlay" hidden></div>
+    `;
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    history.replaceState(null, '', '/');
+});
+
+const shownMessages = () => [...document.querySelectorAll('.notification-stack .notification-message')]
+    .map(element => element.textContent);
+
+describe('NotificationManager', () => {
+    test('should stack notifications and queue those beyond the maximum', () => {
+        jest.useFakeTimers();
+        const notifications = new NotificationManager({ maxVisible: 2 });
+
+        notifications.showSuccess('One');
+        notifications.showInfo('Two');
+        notifications.showError('Three');
+        expect(shownMessages()).toEqual(['One', 'Two']);
+        expect(notifications.notificationQueue).toHaveLength(1);
+
+        document.querySelector('.notification-dismiss').click();
+        jest.advanceTimersByTime(300);
+        expect(shownMessages()).toEqual(['Two', 'Three']);
+        expect(document.querySelector('.notification-error').getAttribute('role')).toBe('alert');
+    });
+
+    test('should hide notifications after their duration, pausing while hovered', () => {
+        jest.useFakeTimers();
+        const notifications = new NotificationManager();
+        notifications.show('Hover me', 'info', 3000);
+        const element = document.querySelector('.notification');
+
+        jest.advanceTimersByTime(2000);
+        element.dispatchEvent(new MouseEvent('mouseenter'));
+        jest.advanceTimersByTime(10000);
+        expect(shownMessages()).toEqual(['Hover me']);
+
+        element.dispatchEvent(new MouseEvent('mouseleave'));
+        jest.advanceTimersByTime(999);
+        expect(notifications.visible).toHaveLength(1);
+        jest.advanceTimersByTime(1 + 300);
+        expect(shownMessages()).toEqual([]);
+    });
+
+    test('should run action callbacks and dismiss the notification', () => {
+        const notifications = new NotificationManager();
+        const retry = jest.fn();
+        const details = jest.fn();
+
+        notifications.show('Upload failed', 'error', 5000, [
+            { label: 'Retry', onClick: retry },
+            { label: 'Details', onClick: details }
+        ]);
+        const buttons = [...document.querySelectorAll('.notification-action')];
+        expect(buttons.map(button => button.textContent)).toEqual(['Retry', 'Details']);
+
+        buttons[0].click();
+        expect(retry).toHaveBeenCalledTimes(1);
+        expect(details).not.toHaveBeenCalled();
+        expect(notifications.visible).toHaveLength(0);
+    });
+
+    test('should show warnings in yellow with dark text', () => {
+        const notifications = new NotificationManager();
+
+        notifications.showWarning('Storage is almost full');
+
+        const element = document.querySelector('.notification-warning');
+        expect(element.style.backgroundColor).toBe('rgb(255, 193, 7)');
+        expect(element.style.color).toBe('rgb(33, 37, 41)');
+    });
+
+    test('should keep a limited history with an unread count', () => {
+        const notifications = new NotificationManager({ maxVisible: 1, historyLimit: 3 });
+
+        ['A', 'B', 'C', 'D'].forEach(message => notifications.showInfo(message));
+
+        expect(notifications.history.map(entry => entry.message)).toEqual(['D', 'C', 'B']);
+        expect(notifications.unreadCount).toBe(3);
+        notifications.markHistoryRead();
+        expect(notifications.unreadCount).toBe(0);
+    });
+});
+
+describe('NotificationHistory', () => {
+    test('should list missed messages and mark them as read', () => {
+        const notifications = new NotificationManager();
+        const panel = new NotificationHistory(notifications);
+        const badge = document.querySelector('.notification-badge');
+
+        notifications.showSuccess('Saved <b>');
+        notifications.showError('Could not sync');
+        expect(badge.hidden).toBe(false);
+        expect(badge.textContent).toBe('2');
+
+        document.getElementById('notificationHistoryButton').click();
+        const items = [...document.querySelectorAll('.notification-history-item')];
+        expect(panel.isOpen()).toBe(true);
+        expect(items.map(item => item.querySelector('span').textContent)).toEqual(['Could not sync', 'Saved <b>']);
+        expect(items[0].classList.contains('notification-history-error')).toBe(true);
+        expect(badge.hidden).toBe(true);
+
+        notifications.showInfo('While open');
+        expect(document.querySelectorAll('.notification-history-item')).toHaveLength(3);
+        expect(notifications.unreadCount).toBe(0);
+
+        document.querySelector('.notification-history-clear').click();
+        expect(document.querySelector('.notification-history-empty')).not.toBeNull();
+
+        document.getElementById('notificationHistory').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        expect(panel.isOpen()).toBe(false);
+    });
+});
+
+describe('Failed saves', () => {
+    test('should offer to retry saving the current todos', async () => {
+        const storage = new MemoryStorageAdapter();
+        const todoList = new TodoList(storage);
+        await todoList.ready;
+        const saveTodos = jest.spyOn(storage, 'saveTodos').mockRejectedValueOnce(new Error('Disk full'));
+
+        document.getElementById('todoInput').value = 'Keep me';
+        todoList.addTodo();
+        await todoList.pendingSave;
+
+        const retry = [...document.querySelectorAll('.notification-action')].find(button => button.textContent === 'Retry');
+        expect(retry.closest('.notification').textContent).toContain('Could not save your tasks.');
+        retry.click();
+        await todoList.pendingSave;
+
+        expect(saveTodos).toHaveBeenCalledTimes(2);
+        await expect(storage.loadTodos()).resolves.toEqual([expect.objectContaining({ text: 'Keep me' })]);
+    });
+});
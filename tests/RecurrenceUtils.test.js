@@ -0,0 +1,128 @@
+/**
+ * Jest unit tests for recurring todos
+ */
+
+let RecurrenceUtils;
+let TodoValidator;
+let TodoList;
+let MemoryStorageAdapter;
+
+beforeAll(async () => {
+    ({ RecurrenceUtils } = await import('../public/assets/js/utils/RecurrenceUtils.js'));
+    ({ TodoValidator } = await import('../public/assets/js/utils/TodoValidator.js'));
+    ({ TodoList } = await import('../public/assets/js/services/TodoList.js'));
+    ({ MemoryStorageAdapter } = await import('../public/assets/js/services/storage/MemoryStorageAdapter.js'));
+});
+
+describe('RecurrenceUtils.getNextDueDate', () => {
+    test('should repeat daily from the due date', () => {
+        const rule = { type: 'daily', interval: 2 };
+
+        expect(RecurrenceUtils.getNextDueDate(rule, '2024-03-01', '2024-03-01')).toBe('2024-03-03');
+        // Completed late: skip past occurrences but keep the cadence
+        expect(RecurrenceUtils.getNextDueDate(rule, '2024-03-01', '2024-03-06')).toBe('2024-03-07');
+    });
+
+    test('should repeat weekly on the chosen weekdays', () => {
+        const rule = { type: 'weekly', weekdays: [1, 3] };
+
+        // 2024-03-04 is a Monday
+        expect(RecurrenceUtils.getNextDueDate(rule, '2024-03-04', '2024-03-04')).toBe('2024-03-06');
+        expect(RecurrenceUtils.getNextDueDate(rule, '2024-03-06', '2024-03-05')).toBe('2024-03-11');
+    });
+
+    test('should repeat monthly on day N, clamped to short months', () => {
+        const rule = { type: 'monthly', day: 31 };
+
+        expect(RecurrenceUtils.getNextDueDate(rule, '2024-01-31', '2024-01-31')).toBe('2024-02-29');
+        expect(RecurrenceUtils.getNextDueDate(rule, '2024-02-29', '2024-02-29')).toBe('2024-03-31');
+        expect(RecurrenceUtils.getNextDueDate(rule, '2024-12-31', '2024-12-31')).toBe('2025-01-31');
+    });
+
+    test('should repeat monthly on the last Friday', () => {
+        const rule = RecurrenceUtils.monthlyWeekdayRuleFor('2024-03-29');
+
+        expect(rule).toEqual({ type: 'monthly', weekday: 5, week: -1 });
+        expect(RecurrenceUtils.describe(rule)).toBe('Monthly on the last Friday');
+        expect(RecurrenceUtils.getNextDueDate(rule, '2024-03-29', '2024-03-29')).toBe('2024-04-26');
+    });
+
+    test('should repeat monthly on the Nth weekday', () => {
+        const rule = RecurrenceUtils.monthlyWeekdayRuleFor('2024-03-12');
+
+        expect(rule).toEqual({ type: 'monthly', weekday: 2, week: 2 });
+        expect(RecurrenceUtils.getNextDueDate(rule, '2024-03-12', '2024-03-12')).toBe('2024-04-09');
+    });
+
+    test('should repeat N days after completion', () => {
+        const rule = { type: 'afterCompletion', interval: 10 };
+
+        expect(RecurrenceUtils.getNextDueDate(rule, '2024-03-01', '2024-03-05')).toBe('2024-03-15');
+    });
+});
+
+describe('TodoValidator.validateRecurrence', () => {
+    test('should accept valid rules and reject broken ones', () => {
+        expect(TodoValidator.validateRecurrence(null).isValid).toBe(true);
+        expect(TodoValidator.validateRecurrence({ type: 'weekly', weekdays: [0, 6] }).isValid).toBe(true);
+        expect(TodoValidator.validateRecurrence({ type: 'weekly', weekdays: [] }).isValid).toBe(false);
+        expect(TodoValidator.validateRecurrence({ type: 'daily', interval: 0 }).isValid).toBe(false);
+        expect(TodoValidator.validateRecurrence({ type: 'monthly', weekday: 5, week: 5 }).isValid).toBe(false);
+        expect(TodoValidator.validateRecurrence({ type: 'yearly' }).isValid).toBe(false);
+    });
+});
+
+describe('TodoList recurring todos', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <input type="text" id="todoInput">
+            <input type="date" id="dueDateInput">
+            <select id="recurrenceSelect">
+                <option value="none">Never</option>
+                <option value="weekly">Weekly</option>
+            </select>
+            <ul id="todoList"></ul>
+        `;
+    });
+
+    test('should complete the occurrence and schedule the next one with history', async () => {
+        const storage = new MemoryStorageAdapter('todos', {
+            todos: [{
+                id: '1',
+                text: 'Standup',
+                completed: false,
+                createdAt: '2024-01-01T00:00:00.000Z',
+                dueDate: '2099-03-02',
+                recurrence: { type: 'weekly', weekdays: [1] },
+                subtasks: [{ id: 1, text: 'Notes', completed: true }]
+            }]
+        });
+        const todoList = new TodoList(storage);
+        await todoList.ready;
+
+        todoList.toggleTodo('1');
+        const [done, next] = todoList.todos;
+
+        expect(done).toMatchObject({ completed: true, recurrence: null });
+        expect(next).toMatchObject({ text: 'Standup', completed: false, dueDate: '2099-03-09' });
+        expect(next.id).not.toBe(done.id);
+        expect(next.subtasks[0].completed).toBe(false);
+        expect(next.history).toEqual([{ dueDate: '2099-03-02', completedAt: expect.any(String) }]);
+
+        todoList.toggleTodo(next.id);
+        expect(todoList.todos[2].history).toHaveLength(2);
+    });
+
+    test('should create a weekly todo from the form', async () => {
+        const todoList = new TodoList(new MemoryStorageAdapter());
+        await todoList.ready;
+
+        document.getElementById('todoInput').value = 'Report';
+        document.getElementById('dueDateInput').value = '2099-03-04';
+        document.getElementById('recurrenceSelect').value = 'weekly';
+        todoList.addTodo();
+
+        expect(todoList.todos[0].recurrence).toEqual({ type: 'weekly', weekdays: [3] });
+        expect(document.querySelector('.recurrence-badge').textContent).toContain('Weekly on Wed');
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Jest unit tests for the versioned storage schema
+ * Covers the migration pipeline, storage upgrades with backups and migrated imports
+ */
+
+let SchemaMigrations;
+let SchemaMigrationError;
+let MemoryStorageAdapter;
+let TodoList;
+
+beforeAll(async () => {
+    ({ SchemaMigrations, SchemaMigrationError } = await import('../public/assets/js/utils/SchemaMigrations.js'));
+    ({ MemoryStorageAdapter } = await import('../public/assets/js/services/storage/MemoryStorageAdapter.js'));
+    ({ TodoList } = await import('../public/assets/js/services/TodoList.js'));
+});
+
+beforeEach(() => {
+    document.body.innerHTML = `
+        <input type="text" id="todoInput">
+        <ul id="todoList"></ul>
+    `;
+});
+
+afterEach(() => {
+    history.replaceState(null, '', '/');
+});
+
+const createdAt = '2024-01-01T10:00:00.000Z';
+
+// A todo as the very first version of the app saved it
+const legacyTodo = { id: 1, text: 'Legacy task', completed: true, createdAt };
+
+describe('SchemaMigrations', () => {
+    test('should upgrade unversioned todos through every migration in order', () => {
+        const result = SchemaMigrations.migrate({ todos: [legacyTodo], lists: [] });
+
+        expect(result.version).toBe(SchemaMigrations.CURRENT_VERSION);
+        expect(result.applied).toEqual(SchemaMigrations.MIGRATIONS.map(migration => migration.description));
+        expect(result.todos).toEqual([{
+            ...legacyTodo,
+            id: '1',
+            listId: 'default',
+            priority: 'none',
+            dueDate: null,
+            dueTime: null,
+            tags: [],
+            subtasks: [],
+            recurrence: null,
+            updatedAt: createdAt,
+            revision: 1,
+            fieldUpdatedAt: {}
+        }]);
+    });
+
+    test('should only run the migrations newer than the stored version', () => {
+        const todo = { ...legacyTodo, listId: 'work', priority: 'bogus', revision: 0 };
+
+        const result = SchemaMigrations.migrate({ todos: [todo] }, 3);
+
+        expect(result.applied).toEqual(['Add sync metadata', 'Use string todo IDs']);
+        expect(result.todos[0]).toMatchObject({ listId: 'work', priority: 'bogus', revision: 1 });
+    });
+
+    test('should leave current data and non-object entries unchanged', () => {
+        const current = SchemaMigrations.migrate({ todos: [legacyTodo] }).todos;
+
+        expect(SchemaMigrations.migrate({ todos: [...current, 'junk'] }).todos).toEqual([...current, 'junk']);
+    });
+
+    test('should turn numeric IDs into strings in todos, the outbox and the undo history', () => {
+        const history = {
+            undo: [{ label: 'Edit task', changes: [{ id: 1, before: legacyTodo, after: { ...legacyTodo, text: 'Edited' } }] }],
+            redo: []
+        };
+        const outbox = [
+            { type: 'upsert', id: 1, todo: legacyTodo },
+            { type: 'delete', id: 2, deletedAt: createdAt },
+            { type: 'lists', id: 'lists', lists: [] }
+        ];
+
+        const result = SchemaMigrations.migrate({ todos: [legacyTodo], outbox, history }, 4);
+
+        expect(result.todos[0].id).toBe('1');
+        expect(result.outbox.map(change => change.id)).toEqual(['1', '2', 'lists']);
+        expect(result.outbox[0].todo.id).toBe('1');
+        const [change] = result.history.undo[0].changes;
+        expect([change.id, change.before.id, change.after.id]).toEqual(['1', '1', '1']);
+    });
+
+    test('should reject versions it does not know', () => {
+        const newer = SchemaMigrations.CURRENT_VERSION + 1;
+
+        expect(() => SchemaMigrations.migrate({ todos: [] }, newer)).toThrow(SchemaMigrationError);
+        expect(() => SchemaMigrations.migrate({ todos: [] }, newer)).toThrow(`newer version of the app (schema version ${newer})`);
+        expect(() => SchemaMigrations.migrate({ todos: [] }, 'two')).toThrow('Unknown schema version: two');
+    });
+
+    test('should name the migration that failed', () => {
+        const todos = [{ ...legacyTodo, get listId() { throw new Error('broken getter'); } }];
+
+        expect(() => SchemaMigrations.migrate({ todos })).toThrow('Upgrade to version 2 (Assign todos to lists) failed: broken getter');
+    });
+});
+
+describe('TodoStorage migrations', () => {
+    test('should back up and upgrade unversioned data on load', async () => {
+        const storage = new MemoryStorageAdapter('todos', { todos: [legacyTodo, { foo: 'bar' }] });
+
+        const todos = await storage.loadTodos();
+        const report = await storage.migrate();
+
+        expect(todos).toEqual([expect.objectContaining({ id: '1', listId: 'default', revision: 1 })]);
+        expect(report).toMatchObject({ fromVersion: 1, skipped: 1, backupKey: 'todos-backup' });
+        await expect(storage.read('todos-schema')).resolves.toEqual({ version: SchemaMigrations.CURRENT_VERSION });
+        await expect(storage.read('todos-backup')).resolves.toMatchObject({
+            version: 1,
+            todos: [legacyTodo, { foo: 'bar' }],
+            lists: null
+        });
+    });
+
+    test('should not touch data that is already current', async () => {
+        const storage = new MemoryStorageAdapter('todos', {
+            todos: [legacyTodo],
+            'todos-schema': { version: SchemaMigrations.CURRENT_VERSION }
+        });
+
+        await expect(storage.loadTodos()).resolves.toEqual([legacyTodo]);
+        await expect(storage.read('todos-backup')).resolves.toBeNull();
+    });
+
+    test('should keep the stored data and refuse writes when a migration fails', async () => {
+        const storage = new MemoryStorageAdapter('todos', {
+            todos: [legacyTodo],
+            'todos-schema': { version: 99 }
+        });
+
+        await expect(storage.loadTodos()).rejects.toThrow(SchemaMigrationError);
+        await expect(storage.saveTodos([])).rejects.toThrow(SchemaMigrationError);
+        await expect(storage.read('todos')).resolves.toEqual([legacyTodo]);
+    });
+
+    test('should try a failed migration again on the next load', async () => {
+        const storage = new MemoryStorageAdapter('todos', { todos: [legacyTodo] });
+        jest.spyOn(storage, 'read').mockRejectedValueOnce(new Error('Network error'));
+
+        await expect(storage.loadTodos()).rejects.toThrow('Network error');
+        await expect(storage.loadTodos()).resolves.toEqual([expect.objectContaining({ id: '1', listId: 'default' })]);
+        await expect(storage.read('todos-schema')).resolves.toEqual({ version: SchemaMigrations.CURRENT_VERSION });
+    });
+
+    test('should report failures and unreadable entries to the user', async () => {
+        const failing = new TodoList(new MemoryStorageAdapter('todos', { 'todos-schema': { version: 99 } }));
+        const showError = jest.spyOn(failing.notifications, 'showError');
+        await failing.ready;
+        expect(showError).toHaveBeenCalledWith(expect.stringContaining('Could not upgrade your saved tasks: The data was saved by a newer version'));
+
+        const partial = new TodoList(new MemoryStorageAdapter('todos', { todos: [legacyTodo, 42, { text: 7 }] }));
+        const partialError = jest.spyOn(partial.notifications, 'showError');
+        await partial.ready;
+        expect(partial.getAllTodos().map(todo => todo.text)).toEqual(['Legacy task']);
+        expect(partialError).toHaveBeenCalledWith(expect.stringContaining('2 unreadable entries were left out'));
+
+        const current = new TodoList(new MemoryStorageAdapter('todos', {
+            todos: [legacyTodo, null],
+            'todos-schema': { version: SchemaMigrations.CURRENT_VERSION }
+        }));
+        const currentError = jest.spyOn(current.notifications, 'showError');
+        await current.ready;
+        expect(current.getAllTodos().map(todo => todo.text)).toEqual(['Legacy task']);
+        expect(currentError).toHaveBeenCalledWith('1 saved entry is not a task and was left out.');
+    });
+});
+
+describe('Migrated imports', () => {
+    test('should upgrade imported files and reject newer ones', async () => {
+        const todoList = new TodoList(new MemoryStorageAdapter());
+        await todoList.ready;
+
+        expect(todoList.importTodos(JSON.stringify([legacyTodo]))).toBe(true);
+        expect(todoList.getAllTodos()[0]).toMatchObject({ text: 'Legacy task', priority: 'none', tags: [] });
+
+        const exported = JSON.parse(todoList.exportTodos({ allLists: true }));
+        expect(exported.schemaVersion).toBe(SchemaMigrations.CURRENT_VERSION);
+
+        const showError = jest.spyOn(todoList.notifications, 'showError');
+        const newer = { ...exported, schemaVersion: SchemaMigrations.CURRENT_VERSION + 1 };
+        expect(todoList.importTodos(JSON.stringify(newer))).toBe(false);
+        expect(showError).toHaveBeenCalledWith(expect.stringContaining('Import failed: The data was saved by a newer version'));
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Jest unit tests for full-text search
+ */
+
+let SearchUtils;
+let SearchIndex;
+let TodoItem;
+let TodoList;
+let MemoryStorageAdapter;
+
+beforeAll(async () => {
+    ({ SearchUtils } = await import('../public/assets/js/utils/SearchUtils.js'));
+    ({ SearchIndex } = await import('../public/assets/js/services/SearchIndex.js'));
+    ({ TodoItem } = await import('../public/assets/js/models/TodoItem.js'));
+    ({ TodoList } = await import('../public/assets/js/services/TodoList.js'));
+    ({ MemoryStorageAdapter } = await import('../public/assets/js/services/storage/MemoryStorageAdapter.js'));
+});
+
+/**
+ * Check a text against a query
+ * @param {string} text - Todo text
+ * @param {string} query - Query typed by the user
+ * @returns {boolean} - True if the text matches
+ */
+const matches = (text, query) => SearchUtils.matches(SearchUtils.normalize(text), SearchUtils.parseQuery(query));
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+describe('SearchUtils', () => {
+    test('should ignore case and accents', () => {
+        expect(matches('Llamar a la Señora Pérez', 'senora perez')).toBe(true);
+        expect(matches('Comprar cafe', 'CAFÉ')).toBe(true);
+        expect(matches('Reunión del año', 'ano reunion')).toBe(true);
+        expect(matches('Reunión del año', 'ano mes')).toBe(false);
+    });
+
+    test('should match quoted phrases and exclude terms', () => {
+        expect(SearchUtils.parseQuery('"buy milk" -bread -"old list" eggs')).toEqual({
+            include: ['buy milk', 'eggs'],
+            exclude: ['bread', 'old list']
+        });
+        expect(matches('Buy milk and eggs', '"buy milk"')).toBe(true);
+        expect(matches('Milk: buy it', '"buy milk"')).toBe(false);
+        expect(matches('Buy milk and bread', 'milk -bread')).toBe(false);
+        expect(SearchUtils.isEmpty(SearchUtils.parseQuery('  "" '))).toBe(true);
+    });
+
+    test('should highlight matches in the original text', () => {
+        const query = SearchUtils.parseQuery('cafe "de la"');
+
+        expect(SearchUtils.highlight('Café de la mañana', query, escapeHtml))
+            .toBe('<mark class="search-match">Café</mark> <mark class="search-match">de la</mark> mañana');
+    });
+
+    test('should escape the text around and inside highlights', () => {
+        const query = SearchUtils.parseQuery('<b>');
+
+        expect(SearchUtils.highlight('<img src=x onerror=alert(1)> <b>', query, escapeHtml))
+            .toBe('&lt;img src=x onerror=alert(1)&gt; <mark class="search-match">&lt;b&gt;</mark>');
+    });
+
+    test('should merge overlapping matches', () => {
+        expect(SearchUtils.findMatches('banana', SearchUtils.parseQuery('ana nan'))).toEqual([[1, 6]]);
+    });
+});
+
+describe('SearchIndex', () => {
+    test('should search tags and steps and refresh after an edit', () => {
+        const index = new SearchIndex();
+        const todo = new TodoItem('Plan trip', 1);
+        todo.setTags(['viaje']);
+        todo.addSubtask('Reservar hotel');
+
+        expect(index.filter([todo], SearchUtils.parseQuery('hotel viaje'))).toEqual([todo]);
+
+        todo.updateText('Plan holiday');
+        expect(index.filter([todo], SearchUtils.parseQuery('trip'))).toEqual([]);
+    });
+
+    test('should search 10,000 todos quickly', () => {
+        const index = new SearchIndex();
+        const todos = Array.from({ length: 10000 }, (_, i) => new TodoItem(`Tarea número ${i} para revisión`, i + 1));
+        const query = SearchUtils.parseQuery('numero 9999 -borrador');
+
+        index.filter(todos, query);
+        const start = performance.now();
+        const found = index.filter(todos, query);
+        const elapsed = performance.now() - start;
+
+        expect(found.map(todo => todo.id)).toEqual([10000]);
+        expect(elapsed).toBeLessThan(100);
+    });
+});
+
+describe('Search box', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = `
+            <input type="text" id="todoInput">
+            <input type="search" id="searchInput">
+            <ul id="todoList"></ul>
+        `;
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should filter and highlight as you type after a short pause', async () => {
+        const createdAt = '2024-01-01T00:00:00.000Z';
+        const storage = new MemoryStorageAdapter('todos', {
+            todos: [
+                { id: 1, text: 'Pagar factura <urgente>', completed: false, createdAt },
+                { id: 2, text: 'Llamar a mamá', completed: false, createdAt }
+            ]
+        });
+        const todoList = new TodoList(storage);
+        await todoList.ready;
+        const input = document.getElementById('searchInput');
+
+        input.value = 'URGENTE';
+        input.dispatchEvent(new Event('input'));
+        expect(document.querySelectorAll('.todo-item')).toHaveLength(2);
+
+        jest.advanceTimersByTime(SearchUtils.DEBOUNCE_MS);
+        const text = document.querySelector('.todo-text');
+        expect(document.querySelectorAll('.todo-item')).toHaveLength(1);
+        expect(text.querySelector('mark').textContent).toBe('urgente');
+        expect(text.textContent).toBe('Pagar factura <urgente>');
+
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+        expect(input.value).toBe('');
+        expect(document.querySelectorAll('.todo-item')).toHaveLength(2);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Jest tests for offline-first sync
+ * Covers changes the server rejects and the timestamps of queued changes,
+ * with TodoCore syncing through a mocked /api/sync endpoint
+ */
+
+let TodoCore;
+let SyncManager;
+let MemoryStorageAdapter;
+let ConsoleNotifier;
+
+beforeAll(async () => {
+    ({ TodoCore } = await import('../public/assets/js/services/TodoCore.js'));
+    ({ SyncManager } = await import('../public/assets/js/services/SyncManager.js'));
+    ({ MemoryStorageAdapter } = await import('../public/assets/js/services/storage/MemoryStorageAdapter.js'));
+    ({ ConsoleNotifier } = await import('../public/assets/js/services/ConsoleNotifier.js'));
+});
+
+let core;
+
+afterEach(() => {
+    core?.sync.stop();
+    core = null;
+    delete global.fetch;
+});
+
+/**
+ * Answer /api/sync with no todos, rejecting the upserts of the given todo ids
+ * @param {Array<string>} rejectedIds - Ids whose upserts the server rejects
+ */
+function mockServer(rejectedIds = []) {
+    global.fetch = jest.fn().mockImplementation(async (url, { body }) => {
+        const { changes } = JSON.parse(body);
+        const rejected = changes
+            .map((change, index) => ({ change, index }))
+            .filter(({ change }) => change.type === 'upsert' && rejectedIds.includes(change.id))
+            .map(({ index }) => ({ index, error: 'Invalid todo' }));
+        return { ok: true, json: async () => ({ todos: [], lists: [], rejected }) };
+    });
+}
+
+/**
+ * Create a loaded, syncing core with a fixed clock and a spy on its error messages
+ * @returns {Promise<Object>} - { core, sync, showError }
+ */
+async function createSyncedCore() {
+    const notifications = new ConsoleNotifier();
+    const showError = jest.spyOn(notifications, 'showError');
+    const sync = new SyncManager(new MemoryStorageAdapter());
+    let count = 0;
+    core = new TodoCore(new MemoryStorageAdapter(), {
+        sync,
+        notifications,
+        now: () => new Date('2024-03-01T10:00:00.000Z'),
+        createId: () => `todo-${++count}`
+    });
+    await core.ready;
+    return { core, sync, showError };
+}
+
+describe('SyncManager', () => {
+    test('should keep todos whose changes the server rejects and report them', async () => {
+        mockServer(['todo-1']);
+        const { sync, showError } = await createSyncedCore();
+
+        core.createTodo('Refused by the server');
+        await sync.sync();
+
+        expect(core.todos.map(todo => todo.text)).toEqual(['Refused by the server']);
+        expect(sync.outbox).toEqual([expect.objectContaining({ type: 'upsert', id: 'todo-1' })]);
+        expect(sync.getStatus().state).toBe('error');
+        expect(showError).toHaveBeenCalledWith(
+            'The server refused 1 change, so it is kept on this device only: Invalid todo'
+        );
+
+        await sync.sync();
+        expect(core.todos).toHaveLength(1);
+        expect(showError).toHaveBeenCalledTimes(1);
+    });
+
+    test('should clear the error once the server accepts the change', async () => {
+        mockServer(['todo-1']);
+        const { sync } = await createSyncedCore();
+        core.createTodo('Refused at first');
+        await sync.sync();
+
+        mockServer();
+        await sync.sync();
+
+        expect(sync.outbox).toEqual([]);
+        expect(sync.getStatus().state).toBe('synced');
+    });
+
+    test('should stamp queued deletions and lists with the core clock', async () => {
+        mockServer();
+        const { sync } = await createSyncedCore();
+        const todo = core.createTodo('Short-lived');
+
+        core.deleteTodo(todo.id);
+        core.createList('Work');
+
+        expect(sync.outbox).toEqual(expect.arrayContaining([
+            expect.objectContaining({ type: 'delete', deletedAt: '2024-03-01T10:00:00.000Z' }),
+            expect.objectContaining({ type: 'lists', updatedAt: '2024-03-01T10:00:00.000Z' })
+        ]));
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Jest tests for the DOM-free todo core
+ * Runs in Node without a document, with an injected clock and ID generator,
+ * and against the Express server through the HTTP storage adapter
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../index.js');
+
+let TodoCore;
+let MemoryStorageAdapter;
+let HttpStorageAdapter;
+
+beforeAll(async () => {
+    ({ TodoCore } = await import('../public/assets/js/services/TodoCore.js'));
+    ({ MemoryStorageAdapter } = await import('../public/assets/js/services/storage/MemoryStorageAdapter.js'));
+    ({ HttpStorageAdapter } = await import('../public/assets/js/services/storage/HttpStorageAdapter.js'));
+});
+
+/**
+ * Create a loaded core whose clock and IDs the test controls
+ * @param {TodoStorage} storage - Storage adapter
+ * @returns {Promise<Object>} - { core, clock } where clock.time can be moved
+ */
+async function createCore(storage = new MemoryStorageAdapter()) {
+    const clock = { time: new Date('2024-03-01T10:00:00.000Z') };
+    let count = 0;
+    const core = new TodoCore(storage, {
+        now: () => new Date(clock.time),
+        createId: () => `todo-${++count}`
+    });
+    await core.ready;
+    return { core, clock };
+}
+
+describe('TodoCore', () => {
+    test('should load without a document', () => {
+        expect(typeof document).toBe('undefined');
+        expect(typeof window).toBe('undefined');
+    });
+
+    test('should create todos with the injected clock and IDs', async () => {
+        const { core } = await createCore();
+
+        const todo = core.createTodo('Buy milk #shop', { priority: 'high' });
+        core.createTodo('Call Bob');
+
+        expect(todo.id).toBe('todo-1');
+        expect(todo.text).toBe('Buy milk');
+        expect(todo.tags).toEqual(['shop']);
+        expect(todo.createdAt).toBe('2024-03-01T10:00:00.000Z');
+        expect(core.todos.map(item => item.id)).toEqual(['todo-1', 'todo-2']);
+    });
+
+    test('should date edits with the injected clock', async () => {
+        const { core, clock } = await createCore();
+        const todo = core.createTodo('Buy milk');
+        expect(todo.updatedAt).toBe('2024-03-01T10:00:00.000Z');
+
+        clock.time = new Date('2024-03-02T08:30:00.000Z');
+        core.toggleTodo(todo.id);
+        clock.time = new Date('2024-03-03T12:00:00.000Z');
+        core.setTodoPriority(todo.id, 'high');
+
+        expect(todo.updatedAt).toBe('2024-03-03T12:00:00.000Z');
+        expect(todo.fieldUpdatedAt).toEqual({
+            completed: '2024-03-02T08:30:00.000Z',
+            priority: '2024-03-03T12:00:00.000Z'
+        });
+    });
+
+    test('should report invalid input through the notifier', async () => {
+        const { core } = await createCore();
+        const showError = jest.spyOn(core.notifications, 'showError');
+
+        expect(core.createTodo('   ')).toBeNull();
+        expect(core.createTodo('Pay rent', { dueDate: 'soon' })).toBeNull();
+
+        expect(showError).toHaveBeenCalledTimes(2);
+        expect(core.todos).toHaveLength(0);
+    });
+
+    test('should count overdue todos by the injected clock', async () => {
+        const { core, clock } = await createCore();
+        core.createTodo('Pay rent', { dueDate: '2024-03-05' });
+
+        expect(core.getStats().overdue).toBe(0);
+
+        clock.time = new Date('2024-03-06T09:00:00.000Z');
+        expect(core.getStats().overdue).toBe(1);
+
+        core.toggleTodo('todo-1');
+        expect(core.getStats()).toMatchObject({ total: 1, completed: 1, overdue: 0 });
+    });
+
+    test('should schedule the next occurrence from the injected clock', async () => {
+        const { core } = await createCore();
+        core.createTodo('Water plants', { recurrence: { type: 'daily', interval: 2 } });
+
+        core.toggleTodo('todo-1');
+
+        const next = core.todos.find(todo => !todo.completed);
+        expect(core.todos.find(todo => todo.id === 'todo-1').dueDate).toBe('2024-03-01');
+        expect(next.id).toBe('todo-2');
+        expect(next.dueDate).toBe('2024-03-03');
+        expect(next.createdAt).toBe('2024-03-01T10:00:00.000Z');
+    });
+
+    test('should save, undo and export like the browser app', async () => {
+        const storage = new MemoryStorageAdapter();
+        const { core } = await createCore(storage);
+        core.createTodo('Write report');
+        core.deleteTodo('todo-1');
+        core.undo();
+        await core.pendingSave;
+
+        await expect(storage.loadTodos()).resolves.toEqual([expect.objectContaining({ id: 'todo-1', text: 'Write report' })]);
+        expect(JSON.parse(core.exportTodos())).toEqual([expect.objectContaining({ text: 'Write report' })]);
+        expect(core.exportTodos({ format: 'todotxt' })).toContain('Write report');
+    });
+});
+
+describe('TodoCore on the server', () => {
+    let server;
+    let dataDir;
+
+    beforeEach(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'todos-'));
+        const app = await createApp({ dataFile: path.join(dataDir, 'todos.json') });
+        await new Promise(resolve => {
+            server = app.listen(0, resolve);
+        });
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('should keep todos in the server files through the HTTP adapter', async () => {
+        const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+        const { core } = await createCore(new HttpStorageAdapter('todos', baseUrl));
+        core.createTodo('Stored on the server');
+        await core.pendingSave;
+
+        const { core: reloaded } = await createCore(new HttpStorageAdapter('todos', baseUrl));
+
+        expect(reloaded.todos.map(todo => todo.text)).toEqual(['Stored on the server']);
+        const response = await fetch(`${baseUrl}/todos`);
+        expect(await response.json()).toEqual([expect.objectContaining({ id: 'todo-1' })]);
+    });
+
+    test('should keep todos other clients saved in the meantime', async () => {
+        const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+        const { core } = await createCore(new HttpStorageAdapter('todos', baseUrl));
+        await fetch(`${baseUrl}/todos`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: 'Added elsewhere' })
+        });
+
+        core.createTodo('Added here');
+        await core.pendingSave;
+
+        const response = await fetch(`${baseUrl}/todos`);
+        expect((await response.json()).map(todo => todo.text)).toEqual(['Added elsewhere', 'Added here']);
+    });
+});
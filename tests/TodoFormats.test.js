@@ -0,0 +1,282 @@
+/**
+ * Jest unit tests for the import/export formats and the import preview
+ */
+const { renderPage, createTodoList } = require('./todoListFixture');
+
+let TodoFormats;
+let FormatError;
+let CsvFormat;
+let MarkdownFormat;
+let TodoTxtFormat;
+let ICalendarFormat;
+let I18n;
+
+beforeAll(async () => {
+    ({ TodoFormats } = await import('../public/assets/js/utils/formats/TodoFormats.js'));
+    ({ FormatError } = await import('../public/assets/js/utils/formats/FormatError.js'));
+    ({ CsvFormat } = await import('../public/assets/js/utils/formats/CsvFormat.js'));
+    ({ MarkdownFormat } = await import('../public/assets/js/utils/formats/MarkdownFormat.js'));
+    ({ TodoTxtFormat } = await import('../public/assets/js/utils/formats/TodoTxtFormat.js'));
+    ({ ICalendarFormat } = await import('../public/assets/js/utils/formats/ICalendarFormat.js'));
+    ({ I18n } = await import('../public/assets/js/utils/I18n.js'));
+});
+
+beforeEach(() => {
+    renderPage('<div id="importExportDialog" class="overlay" hidden></div>');
+});
+
+afterEach(() => {
+    I18n.setLocale('en');
+    history.replaceState(null, '', '/');
+});
+
+const createdAt = '2024-01-01T10:00:00.000Z';
+
+const sampleTodos = () => [
+    {
+        id: '1', text: 'Buy milk, eggs and "good" bread', completed: false, priority: 'high',
+        dueDate: '2024-03-05', dueTime: '09:30', tags: ['shopping'], subtasks: [], createdAt
+    },
+    {
+        id: '2', text: 'File taxes', completed: true, priority: 'urgent', dueDate: '2024-04-15', dueTime: null,
+        tags: ['home', 'money'], subtasks: [{ id: 1, text: 'Find receipts', completed: true }], createdAt
+    }
+];
+
+// The two todos of the list imports go into
+const seedData = {
+    todos: [
+        { id: '1', text: 'Existing', completed: false, createdAt },
+        { id: '2', text: 'Also existing', completed: false, createdAt }
+    ]
+};
+
+describe('CSV format', () => {
+    test('should round-trip quotes, commas and tags', () => {
+        const { rows } = CsvFormat.parse(CsvFormat.serialize(sampleTodos()));
+
+        expect(rows.map(row => row.error)).toEqual([null, null]);
+        expect(rows[0].data).toMatchObject({
+            id: '1', text: 'Buy milk, eggs and "good" bread', completed: false, priority: 'high',
+            dueDate: '2024-03-05', dueTime: '09:30', tags: ['shopping']
+        });
+        expect(rows[1].data).toMatchObject({ completed: true, tags: ['home', 'money'] });
+    });
+
+    test('should accept other column names and report bad rows by line', () => {
+        const csv = 'Task,Done,Due\n"Two\nlines",yes,2024-01-02\n\nWalk dog,maybe,\n';
+        const { rows } = CsvFormat.parse(csv);
+
+        expect(rows[0]).toMatchObject({ row: 2, data: { text: 'Two\nlines', completed: true, dueDate: '2024-01-02' } });
+        expect(rows[1]).toMatchObject({ row: 5, error: { key: 'format.csv.invalidCompleted', params: { value: 'maybe' } } });
+        expect(TodoFormats.describeError(rows[1].error)).toBe('Invalid completed value: maybe');
+        expect(() => CsvFormat.parse('name,done\nx,1')).toThrow(new FormatError('format.csv.noTextColumn'));
+    });
+});
+
+describe('Markdown format', () => {
+    test('should write task list items with tags and indented steps', () => {
+        expect(MarkdownFormat.serialize(sampleTodos(), { title: 'Errands' })).toBe(
+            '# Errands\n\n' +
+            '- [ ] Buy milk, eggs and "good" bread #shopping\n' +
+            '- [x] File taxes #home #money\n' +
+            '  - [x] Find receipts\n'
+        );
+    });
+
+    test('should read task items and skip other lines', () => {
+        const { rows } = MarkdownFormat.parse('# Week\n\n* [X] Call mom #family\n    - [ ] Buy flowers\nSome note\n- [ ] Fix bike\n');
+
+        expect(rows).toHaveLength(2);
+        expect(rows[0]).toMatchObject({
+            row: 3,
+            data: { text: 'Call mom', completed: true, tags: ['family'], subtasks: [{ text: 'Buy flowers', completed: false }] }
+        });
+        expect(rows[1].data.text).toBe('Fix bike');
+    });
+});
+
+describe('todo.txt format', () => {
+    test('should write priorities, dates, projects and due dates', () => {
+        const todos = sampleTodos();
+        todos[1].fieldUpdatedAt = { completed: '2024-04-10T12:00:00.000Z' };
+        const lines = TodoTxtFormat.serialize(todos).trim().split('\n');
+
+        expect(lines[0]).toBe('(B) 2024-01-01 Buy milk, eggs and "good" bread +shopping due:2024-03-05');
+        expect(lines[1]).toBe('x 2024-04-10 2024-01-01 File taxes +home +money due:2024-04-15 pri:A');
+    });
+
+    test('should read todo.txt lines', () => {
+        const { rows } = TodoTxtFormat.parse('(A) 2024-02-01 Call Mom +Family @phone due:2024-02-03\nx 2024-02-02 Pay rent pri:C\n\nplain task\n');
+
+        expect(rows[0].data).toMatchObject({
+            text: 'Call Mom', priority: 'urgent', tags: ['family', 'phone'], dueDate: '2024-02-03', completed: false
+        });
+        expect(new Date(rows[0].data.createdAt).getDate()).toBe(1);
+        expect(rows[1].data).toMatchObject({ text: 'Pay rent', completed: true, priority: 'medium' });
+        expect(rows[1].data.createdAt).toBeUndefined();
+        expect(rows[2]).toMatchObject({ row: 4, data: { text: 'plain task', priority: 'none' } });
+    });
+});
+
+describe('iCalendar format', () => {
+    test('should write VTODOs with escaped, folded lines', () => {
+        const todos = sampleTodos();
+        todos[0].text = `${'Long text; with commas, '.repeat(4)}end`;
+        const ics = ICalendarFormat.serialize(todos, { now: new Date(createdAt) });
+        const lines = ics.split('\r\n');
+
+        expect(lines[0]).toBe('BEGIN:VCALENDAR');
+        expect(lines).toContain('UID:todo-1@todo-app');
+        expect(lines).toContain('DUE:20240305T093000');
+        expect(lines).toContain('DUE;VALUE=DATE:20240415');
+        expect(lines).toContain('STATUS:COMPLETED');
+        expect(lines).toContain('PRIORITY:1');
+        expect(lines).toContain('CATEGORIES:home,money');
+        expect(lines.every(line => line.length <= 75)).toBe(true);
+        expect(lines.some(line => line.startsWith(' '))).toBe(true);
+
+        const { rows } = ICalendarFormat.parse(ics);
+        expect(rows[0].data.text).toBe(todos[0].text);
+        expect(rows[0].data).toMatchObject({ id: '1', priority: 'high', dueDate: '2024-03-05', dueTime: '09:30' });
+        expect(rows[1].data).toMatchObject({ id: '2', completed: true, tags: ['home', 'money'], dueDate: '2024-04-15', dueTime: null });
+    });
+
+    test('should read VTODOs from other apps and skip events', () => {
+        const ics = [
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT',
+            'SUMMARY:Meeting',
+            'END:VEVENT',
+            'BEGIN:VTODO',
+            'UID:abc@example.com',
+            'SUMMARY:Renew passport\\, soon',
+            'PRIORITY:6',
+            'CATEGORIES:Travel Plans',
+            'END:VTODO',
+            'BEGIN:VTODO',
+            'SUMMARY:Broken',
+            'DUE:tomorrow',
+            'END:VTODO',
+            'END:VCALENDAR'
+        ].join('\n');
+        const { rows } = ICalendarFormat.parse(ics);
+
+        expect(rows).toHaveLength(2);
+        expect(rows[0]).toMatchObject({ row: 5, data: { text: 'Renew passport, soon', priority: 'low', tags: ['travel-plans'] } });
+        expect(rows[0].data.id).toBeUndefined();
+        expect(TodoFormats.describeError(rows[1].error)).toBe('Invalid DUE date: tomorrow');
+        expect(() => ICalendarFormat.parse('SUMMARY:x')).toThrow(new FormatError('format.ical.notCalendar'));
+    });
+});
+
+describe('TodoFormats', () => {
+    test('should detect formats from the file name, then the contents', () => {
+        expect(TodoFormats.detect('tasks.csv')).toBe('csv');
+        expect(TodoFormats.detect('tasks.ics')).toBe('ical');
+        expect(TodoFormats.detect('notes.markdown')).toBe('markdown');
+        expect(TodoFormats.detect('todo.txt', '(A) Call Mom')).toBe('todotxt');
+        expect(TodoFormats.detect('notes.txt', '# Notes\n- [ ] Task')).toBe('markdown');
+        expect(TodoFormats.detect('backup', '[]')).toBe('json');
+        expect(() => TodoFormats.get('xml')).toThrow(new FormatError('format.unknown'));
+        expect(TodoFormats.describeError(new FormatError('format.unknown', { name: 'xml' }))).toBe('Unknown format: xml');
+    });
+});
+
+describe('Import preview and merge', () => {
+    test('should validate each row with TodoValidator', async () => {
+        const todoList = await createTodoList(seedData);
+        const csv = 'text,priority,dueDate\nGood task,low,\nBad priority,critical,\n,none,\nBad date,,2024-02-30\n';
+
+        const preview = todoList.previewImport(csv, 'csv');
+
+        expect(preview.rows.map(row => row.error)).toEqual([
+            null,
+            'Priority must be one of: none, low, medium, high, urgent',
+            'Please enter a task!',
+            expect.stringContaining('date')
+        ]);
+        expect(todoList.todos.map(todo => todo.text)).toEqual(['Existing', 'Also existing']);
+    });
+
+    test('should merge new todos and update those with the same ID', async () => {
+        const todoList = await createTodoList(seedData);
+        const csv = 'id,text,completed\n2,Updated,true\n,Brand new,false\n';
+
+        expect(todoList.applyImport(todoList.previewImport(csv, 'csv'), { mode: 'merge' })).toBe(2);
+
+        expect(todoList.todos.map(todo => [todo.text, todo.completed])).toEqual([
+            ['Existing', false], ['Updated', true], ['Brand new', false]
+        ]);
+        expect(new Set(todoList.todos.map(todo => todo.id)).size).toBe(3);
+
+        todoList.undo();
+        expect(todoList.todos.map(todo => todo.text)).toEqual(['Existing', 'Also existing']);
+    });
+
+    test('should replace the current list and skip invalid rows', async () => {
+        const todoList = await createTodoList(seedData);
+        const preview = todoList.previewImport('- [ ] One\n- [x] Two\n- [ ] \n', 'markdown');
+
+        expect(todoList.applyImport(preview, { mode: 'replace' })).toBe(2);
+        expect(todoList.todos.map(todo => todo.text)).toEqual(['One', 'Two']);
+    });
+
+    test('should keep importTodos strict and round-trip every format', async () => {
+        const todoList = await createTodoList(seedData);
+        expect(todoList.importTodos('text\nFine\n"Open', { format: 'csv' })).toBe(false);
+        expect(todoList.importTodos('text,completed\nFine,maybe', { format: 'csv' })).toBe(false);
+
+        for (const { name } of TodoFormats.list()) {
+            const other = await createTodoList(seedData);
+            other.setTodoPriority(1, 'high');
+            const exported = other.exportTodos({ format: name });
+
+            expect(todoList.importTodos(exported, { format: name })).toBe(true);
+            expect(todoList.todos.map(todo => todo.text)).toEqual(['Existing', 'Also existing']);
+        }
+    });
+
+    test('should preview a chosen file in the dialog and import it', async () => {
+        const todoList = await createTodoList(seedData);
+        todoList.transferDialog.open('import');
+
+        await todoList.transferDialog.loadFile({
+            name: 'tasks.txt',
+            text: async () => '(B) Water plants +home\nx Done already\n'
+        });
+        expect(document.querySelector('.import-format').value).toBe('todotxt');
+        expect(document.querySelectorAll('.preview-row')).toHaveLength(2);
+        expect(document.querySelector('.import-confirm').textContent).toBe('Import 2 tasks');
+
+        document.querySelector('.import-confirm').click();
+
+        expect(todoList.transferDialog.isOpen()).toBe(false);
+        expect(todoList.todos.map(todo => todo.text)).toEqual(['Existing', 'Also existing', 'Water plants', 'Done already']);
+        expect(todoList.findTodoById(todoList.todos[2].id).tags).toEqual(['home']);
+    });
+
+    test('should show why a file cannot be read', async () => {
+        const todoList = await createTodoList(seedData);
+        todoList.transferDialog.open('import');
+
+        await todoList.transferDialog.loadFile({ name: 'broken.json', text: async () => '[{' });
+
+        expect(document.querySelector('.import-error').textContent).toContain('Could not read broken.json');
+        expect(document.querySelector('.import-confirm').disabled).toBe(true);
+    });
+
+    test('should show format names and file errors in the language of the page', async () => {
+        const todoList = await createTodoList(seedData);
+        todoList.setLocale('es');
+        todoList.transferDialog.open('import');
+
+        expect(document.querySelector('.import-format option[value="csv"]').textContent).toBe('CSV (hoja de cálculo)');
+
+        await todoList.transferDialog.loadFile({ name: 'tasks.csv', text: async () => 'text,done\nWalk dog,maybe\n' });
+        expect(document.querySelector('.preview-row.invalid').textContent).toContain('Valor de completada no válido: maybe');
+
+        await todoList.transferDialog.loadFile({ name: 'tasks.ics', text: async () => 'SUMMARY:x' });
+        expect(document.querySelector('.import-error').textContent).toBe('No se pudo leer tasks.ics: No es un archivo iCalendar');
+    });
+});
@@ -0,0 +1,200 @@
+/**
+ * Jest unit tests for accessibility
+ * Covers control labels, the live regions, keyboard navigation through the list
+ * with a roving tabindex, focus restored after re-rendering and reduced motion
+ */
+
+const { renderPage, numberedTodos, createTodoList } = require('./todoListFixture');
+
+let NotificationManager;
+
+beforeAll(async () => {
+    ({ NotificationManager } = await import('../public/assets/js/ui/NotificationManager.js'));
+});
+
+beforeEach(() => {
+    renderPage(`
+        <div class="stats" role="status" aria-live="polite">
+            <span id="totalTasks">Total: 0</span>
+            <span id="completedTasks">Completed: 0</span>
+        </div>
+    `);
+});
+
+afterEach(() => {
+    delete window.matchMedia;
+    jest.useRealTimers();
+    history.replaceState(null, '', '/');
+});
+
+// Three numbered todos, the first with a step
+const seedData = {
+    todos: numberedTodos(3).map((todo, index) => ({
+        ...todo,
+        subtasks: index === 0 ? [{ id: 's1', text: 'Step "one"', completed: false }] : []
+    }))
+};
+
+const row = (id) => document.querySelector(`[data-todo-id="${id}"]`);
+const tabStops = () => [...document.querySelectorAll('#todoList .todo-item')].filter(element => element.tabIndex === 0);
+
+/**
+ * Press a key on an element
+ * @param {HTMLElement} element - Target
+ * @param {string} key - Key name
+ */
+function press(element, key) {
+    element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+}
+
+describe('Labels', () => {
+    test('should name every control of a row after its task', async () => {
+        const todoList = await createTodoList(seedData);
+        todoList.toggleSubtaskList('1');
+        const first = row('1');
+
+        expect(first.querySelector('.todo-checkbox').getAttribute('aria-label')).toBe('Done: Task 1');
+        expect(first.querySelector('.todo-select').getAttribute('aria-label')).toBe('Select "Task 1"');
+        expect(first.querySelector('.delete-btn').getAttribute('aria-label')).toBe('Delete "Task 1"');
+        expect(first.querySelector('.edit-btn').getAttribute('aria-label')).toBe('Edit "Task 1"');
+        expect(first.querySelector('.subtask-checkbox').getAttribute('aria-label')).toBe('Done: Step "one"');
+        expect(first.querySelector('.subtask-delete').getAttribute('aria-label')).toBe('Delete step: Step "one"');
+        expect(first.querySelector('.subtask-input').getAttribute('aria-label')).toBe('Add a step');
+    });
+
+    test('should escape quotes in labels', async () => {
+        const todoList = await createTodoList();
+        document.getElementById('todoInput').value = 'Say "hi" <b>';
+        todoList.addTodo();
+
+        const checkbox = document.querySelector('.todo-checkbox');
+        expect(checkbox.getAttribute('aria-label')).toBe('Done: Say "hi" <b>');
+        expect(document.querySelector('.todo-item b')).toBeNull();
+    });
+});
+
+describe('Live regions', () => {
+    test('should have the notification region in the page before the first message', () => {
+        new NotificationManager();
+
+        const stack = document.querySelector('.notification-stack');
+        expect(stack.getAttribute('aria-live')).toBe('polite');
+        expect(stack.children).toHaveLength(0);
+    });
+
+    test('should update the stats inside a status region', async () => {
+        const todoList = await createTodoList(seedData);
+
+        todoList.toggleTodo('2');
+
+        const completed = document.getElementById('completedTasks');
+        expect(completed.textContent).toBe('Completed: 1');
+        expect(completed.closest('[aria-live]').getAttribute('role')).toBe('status');
+    });
+});
+
+describe('Keyboard navigation', () => {
+    test('should keep a single row in the tab order', async () => {
+        await createTodoList(seedData);
+
+        expect(tabStops()).toEqual([row('1')]);
+        expect(row('2').querySelector('.todo-checkbox').tabIndex).toBe(-1);
+        expect(row('1').querySelector('.todo-checkbox').hasAttribute('tabindex')).toBe(false);
+    });
+
+    test('should move between rows with the arrow keys, Home and End', async () => {
+        const todoList = await createTodoList(seedData);
+        row('1').focus();
+
+        press(row('1'), 'ArrowDown');
+        expect(document.activeElement).toBe(row('2'));
+        expect(tabStops()).toEqual([row('2')]);
+        expect(todoList.selectedTodoId).toBe('2');
+
+        press(row('2'), 'End');
+        expect(document.activeElement).toBe(row('3'));
+        press(row('3'), 'ArrowDown');
+        expect(document.activeElement).toBe(row('3'));
+
+        press(row('3'), 'Home');
+        expect(document.activeElement).toBe(row('1'));
+        press(row('1'), 'ArrowUp');
+        expect(document.activeElement).toBe(row('1'));
+    });
+
+    test('should not move between rows while a control in the row has the focus', async () => {
+        await createTodoList(seedData);
+        const checkbox = row('1').querySelector('.todo-checkbox');
+        checkbox.focus();
+
+        press(checkbox, 'ArrowDown');
+
+        expect(document.activeElement).toBe(checkbox);
+    });
+
+    test('should move the focused row with the j and k shortcuts', async () => {
+        await createTodoList(seedData);
+        row('1').focus();
+
+        press(row('1'), 'j');
+
+        expect(document.activeElement).toBe(row('2'));
+    });
+});
+
+describe('Focus restore', () => {
+    test('should focus the next row after deleting the focused one', async () => {
+        await createTodoList(seedData);
+        row('2').focus();
+
+        row('2').querySelector('.delete-btn').click();
+
+        expect(row('2')).toBeNull();
+        expect(document.activeElement).toBe(row('3'));
+        expect(tabStops()).toEqual([row('3')]);
+    });
+
+    test('should focus the previous row after deleting the last one', async () => {
+        await createTodoList(seedData);
+        row('3').querySelector('.delete-btn').focus();
+
+        row('3').querySelector('.delete-btn').click();
+
+        expect(document.activeElement).toBe(row('2'));
+    });
+
+    test('should focus the new task input after deleting the only row', async () => {
+        await createTodoList({ todos: seedData.todos.slice(0, 1) });
+        row('1').querySelector('.delete-btn').focus();
+
+        row('1').querySelector('.delete-btn').click();
+
+        expect(document.activeElement).toBe(document.getElementById('todoInput'));
+    });
+
+    test('should keep the focus on a checkbox when its row is re-rendered', async () => {
+        await createTodoList(seedData);
+        const checkbox = row('2').querySelector('.todo-checkbox');
+        checkbox.focus();
+
+        checkbox.click();
+
+        expect(row('2').classList.contains('completed')).toBe(true);
+        expect(document.activeElement).toBe(row('2').querySelector('.todo-checkbox'));
+    });
+});
+
+describe('Reduced motion', () => {
+    test('should remove notifications without animating', () => {
+        jest.useFakeTimers();
+        window.matchMedia = jest.fn(query => ({ matches: query === '(prefers-reduced-motion: reduce)' }));
+        const notifications = new NotificationManager();
+
+        notifications.showInfo('Saved');
+        const element = document.querySelector('.notification');
+        expect(element.style.animation).toContain('none');
+
+        element.querySelector('.notification-dismiss').click();
+        expect(element.isConnected).toBe(false);
+    });
+});
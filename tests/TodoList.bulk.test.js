@@ -0,0 +1,175 @@
+/**
+ * Jest unit tests for multi-select and bulk operations
+ */
+const { renderPage, storedTodos, createTodoList } = require('./todoListFixture');
+
+beforeEach(() => {
+    renderPage('<div id="bulkActionBar" class="bulk-action-bar" hidden></div>');
+});
+
+afterEach(() => {
+    history.replaceState(null, '', '/');
+});
+
+const seedData = { todos: storedTodos(['A', 'B', 'C', 'D', 'E']) };
+
+/**
+ * Click the select checkbox of a todo
+ * @param {string} id - Todo ID
+ * @param {boolean} shiftKey - Hold Shift for a range
+ */
+function clickSelect(id, shiftKey = false) {
+    document.querySelector(`[data-todo-id="${id}"] .todo-select`)
+        .dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, shiftKey }));
+}
+
+/**
+ * Spy on the save, render and notification methods of a TodoList
+ * @param {TodoList} todoList - TodoList to watch
+ * @returns {Object} - Jest spies
+ */
+function spyOnUpdates(todoList) {
+    return {
+        save: jest.spyOn(todoList, 'saveTodos'),
+        // Once per store batch, whether it patches rows or renders the whole list
+        render: jest.spyOn(todoList, 'renderChanges'),
+        notify: jest.spyOn(todoList.notifications, 'show')
+    };
+}
+
+describe('Bulk selection', () => {
+    test('should check todos with a click and ranges with Shift+click', async () => {
+        const todoList = await createTodoList(seedData);
+
+        clickSelect('2');
+        clickSelect('4', true);
+        expect(todoList.getBulkSelectedIds()).toEqual(['2', '3', '4']);
+        expect(document.querySelectorAll('.todo-item.bulk-selected')).toHaveLength(3);
+        expect(document.querySelector('.bulk-count').textContent).toBe('3 selected');
+        expect(document.querySelector('.bulk-actions').hidden).toBe(false);
+
+        clickSelect('3');
+        expect(todoList.getBulkSelectedIds()).toEqual(['2', '4']);
+        expect(document.querySelector('.bulk-select-all-checkbox').indeterminate).toBe(true);
+    });
+
+    test('should not check todos with a click between the row controls', async () => {
+        const todoList = await createTodoList(seedData);
+
+        document.querySelector('[data-todo-id="2"]').click();
+
+        expect(todoList.getBulkSelectedIds()).toEqual([]);
+        expect(document.querySelector('.todo-item.bulk-selected')).toBeNull();
+    });
+
+    test('should check every visible todo with select-all', async () => {
+        const todoList = await createTodoList(seedData);
+        const selectAll = document.querySelector('.bulk-select-all-checkbox');
+
+        selectAll.click();
+        expect(todoList.getBulkSelectedIds()).toEqual(['1', '2', '3', '4', '5']);
+        expect(selectAll.checked).toBe(true);
+
+        selectAll.click();
+        expect(todoList.getBulkSelectedIds()).toEqual([]);
+        expect(document.querySelector('.bulk-actions').hidden).toBe(true);
+    });
+
+    test('should drop todos that leave the view from the selection', async () => {
+        const todoList = await createTodoList(seedData);
+        todoList.selectAllVisible();
+
+        todoList.toggleTodo('1');
+        todoList.setViewFilter('active');
+
+        expect(todoList.getBulkSelectedIds()).toEqual(['2', '3', '4', '5']);
+        expect(todoList.bulkSelection.has('1')).toBe(false);
+    });
+});
+
+describe('Batch operations', () => {
+    test('should complete many todos with one save, render and notification', async () => {
+        const todoList = await createTodoList(seedData);
+        const spies = spyOnUpdates(todoList);
+
+        expect(todoList.setTodosCompleted(['1', '2', '3'])).toBe(3);
+
+        expect(todoList.getCompletedTodos().map(todo => todo.id)).toEqual(['1', '2', '3']);
+        expect(spies.save).toHaveBeenCalledTimes(1);
+        expect(spies.render).toHaveBeenCalledTimes(1);
+        expect(spies.notify).toHaveBeenCalledTimes(1);
+        expect(spies.notify).toHaveBeenCalledWith('Completed 3 tasks', 'success');
+    });
+
+    test('should delete many todos as one undo step', async () => {
+        const todoList = await createTodoList(seedData);
+        const spies = spyOnUpdates(todoList);
+
+        expect(todoList.deleteTodos(['2', '4'])).toBe(2);
+        expect(todoList.todos.map(todo => todo.text)).toEqual(['A', 'C', 'E']);
+        expect(spies.save).toHaveBeenCalledTimes(1);
+        expect(spies.render).toHaveBeenCalledTimes(1);
+        expect(spies.notify).toHaveBeenCalledTimes(1);
+
+        todoList.undo();
+        expect(todoList.todos).toHaveLength(5);
+    });
+
+    test('should change the priority and tags of the selected todos', async () => {
+        const todoList = await createTodoList(seedData);
+        todoList.selectAllVisible();
+
+        todoList.setTodosPriority(todoList.getBulkSelectedIds(), 'high');
+        todoList.addTagToTodos(todoList.getBulkSelectedIds(), '#Work');
+        expect(todoList.todos.every(todo => todo.priority === 'high' && todo.tags.includes('work'))).toBe(true);
+
+        todoList.removeTagFromTodos(['1', '2'], 'work');
+        expect(todoList.todos.filter(todo => todo.tags.includes('work')).map(todo => todo.id)).toEqual(['3', '4', '5']);
+    });
+
+    test('should leave every todo untouched when one would have too many tags', async () => {
+        const todoList = await createTodoList(seedData);
+        const tags = Array.from({ length: 10 }, (_, index) => `tag${index}`);
+        todoList.setTodoTags('1', tags);
+        const spies = spyOnUpdates(todoList);
+
+        expect(todoList.addTagToTodos(['1', '2'], 'extra')).toBe(0);
+
+        expect(todoList.findTodoById('2').tags).toEqual([]);
+        expect(spies.save).not.toHaveBeenCalled();
+        expect(spies.notify).toHaveBeenCalledWith(expect.stringContaining('Too many tags'), 'error');
+    });
+
+    test('should schedule the next occurrence of recurring todos', async () => {
+        const todoList = await createTodoList(seedData);
+        todoList.setTodoRecurrence('1', { type: 'daily', interval: 1 });
+
+        todoList.setTodosCompleted(['1', '2']);
+
+        expect(todoList.todos).toHaveLength(6);
+        expect(todoList.getIncompleteTodos().map(todo => todo.text)).toEqual(['C', 'D', 'E', 'A']);
+    });
+
+    test('should run the actions from the bulk action bar', async () => {
+        const todoList = await createTodoList(seedData);
+        clickSelect('1');
+        clickSelect('2');
+
+        document.querySelector('.bulk-complete').click();
+        expect(todoList.getCompletedTodos().map(todo => todo.id)).toEqual(['1', '2']);
+
+        const prioritySelect = document.querySelector('.bulk-priority');
+        prioritySelect.value = 'urgent';
+        prioritySelect.dispatchEvent(new Event('change'));
+        expect(todoList.findTodoById('2').priority).toBe('urgent');
+
+        document.querySelector('.bulk-tag-input').value = 'later';
+        document.querySelector('.bulk-add-tag').click();
+        expect(todoList.findTodoById('1').tags).toEqual(['later']);
+        expect(document.querySelector('.bulk-tag-input').value).toBe('');
+
+        document.querySelector('.bulk-delete').click();
+        expect(todoList.todos.map(todo => todo.id)).toEqual(['3', '4', '5']);
+        expect(document.querySelector('.bulk-actions').hidden).toBe(true);
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Jest unit tests for inline editing of todo text
+ */
+const { renderPage, storedTodos, createTodoList } = require('./todoListFixture');
+
+beforeEach(() => {
+    renderPage();
+});
+
+const seedData = { todos: storedTodos(['Buy mlik']) };
+
+/**
+ * Open the inline editor by double-clicking the todo text
+ * @returns {HTMLInputElement} - The editor input
+ */
+function startEditing() {
+    document.querySelector('.todo-text').dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+    return document.querySelector('.todo-edit-input');
+}
+
+/**
+ * Type into the editor input
+ * @param {HTMLInputElement} input - Editor input
+ * @param {string} value - New value
+ */
+function type(input, value) {
+    input.value = value;
+    input.dispatchEvent(new Event('input'));
+}
+
+/**
+ * Press a key in the editor input
+ * @param {HTMLInputElement} input - Editor input
+ * @param {string} key - Key name
+ */
+function press(input, key) {
+    input.dispatchEvent(new KeyboardEvent('keydown', { key }));
+}
+
+describe('Inline editing', () => {
+    test('should save on Enter without re-rendering the list', async () => {
+        const todoList = await createTodoList(seedData);
+        const renderSpy = jest.spyOn(todoList.renderer, 'renderTodos');
+
+        const input = startEditing();
+        expect(input.value).toBe('Buy mlik');
+        type(input, '  Buy milk ');
+        press(input, 'Enter');
+
+        expect(todoList.findTodoById('1').text).toBe('Buy milk');
+        expect(document.querySelector('.todo-text').textContent).toBe('Buy milk');
+        expect(document.querySelector('.todo-edit-input')).toBeNull();
+        expect(renderSpy).not.toHaveBeenCalled();
+    });
+
+    test('should name the edited todo in the row labels and keep the row', async () => {
+        const todoList = await createTodoList(seedData);
+        const row = document.querySelector('.todo-item');
+
+        const input = startEditing();
+        type(input, 'Buy milk');
+        press(input, 'Enter');
+
+        expect(row.getAttribute('aria-label')).toBe('Buy milk');
+        expect(row.querySelector('.todo-checkbox').getAttribute('aria-label')).toBe('Done: Buy milk');
+        expect(row.querySelector('.todo-select').getAttribute('aria-label')).toBe('Select "Buy milk"');
+        expect(row.querySelector('.edit-btn').getAttribute('aria-label')).toBe('Edit "Buy milk"');
+        expect(row.querySelector('.delete-btn').getAttribute('aria-label')).toBe('Delete "Buy milk"');
+
+        todoList.refresh();
+        expect(document.querySelector('.todo-item')).toBe(row);
+    });
+
+    test('should cancel on Escape', async () => {
+        const todoList = await createTodoList(seedData);
+
+        const input = startEditing();
+        type(input, 'Something else');
+        press(input, 'Escape');
+
+        expect(todoList.findTodoById('1').text).toBe('Buy mlik');
+        expect(document.querySelector('.todo-text').hidden).toBe(false);
+    });
+
+    test('should save on blur', async () => {
+        const todoList = await createTodoList(seedData);
+
+        document.querySelector('.edit-btn').click();
+        const input = document.querySelector('.todo-edit-input');
+        type(input, 'Buy oat milk');
+        input.dispatchEvent(new Event('blur'));
+
+        expect(todoList.findTodoById('1').text).toBe('Buy oat milk');
+    });
+
+    test('should show validation errors inline and keep editing', async () => {
+        const todoList = await createTodoList(seedData);
+        const errorSpy = jest.spyOn(todoList.notifications, 'showError');
+
+        const input = startEditing();
+        type(input, '   ');
+        press(input, 'Enter');
+
+        expect(document.querySelector('.todo-edit-error').textContent).toBe('Please enter a task!');
+        expect(input.classList.contains('invalid')).toBe(true);
+        expect(errorSpy).not.toHaveBeenCalled();
+        expect(todoList.findTodoById('1').text).toBe('Buy mlik');
+
+        type(input, 'Fixed');
+        expect(document.querySelector('.todo-edit-error').textContent).toBe('');
+    });
+
+    test('should count characters against the maximum length', async () => {
+        await createTodoList(seedData);
+
+        const input = startEditing();
+        expect(input.maxLength).toBe(100);
+        expect(document.querySelector('.todo-edit-counter').textContent).toBe('8/100');
+
+        type(input, 'a'.repeat(95));
+        const counter = document.querySelector('.todo-edit-counter');
+        expect(counter.textContent).toBe('95/100');
+        expect(counter.classList.contains('near-limit')).toBe(true);
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Jest unit tests for the All / Active / Completed views and their URL routes
+ */
+const { createdAt, renderPage, createTodoList } = require('./todoListFixture');
+
+let FilterRouter;
+
+beforeAll(async () => {
+    ({ FilterRouter } = await import('../public/assets/js/services/FilterRouter.js'));
+});
+
+beforeEach(() => {
+    renderPage(`
+        <nav id="filterTabs">
+            <a href="/" data-filter="all">All <span class="filter-count"></span></a>
+            <a href="/active" data-filter="active">Active <span class="filter-count"></span></a>
+            <a href="/completed" data-filter="completed">Completed <span class="filter-count"></span></a>
+        </nav>
+        <span id="visibleTasks"></span>
+        <span id="totalTasks"></span>
+    `);
+});
+
+afterEach(() => {
+    window.history.replaceState(null, '', '/');
+});
+
+// One active and two completed todos
+const seedData = {
+    todos: [
+        { id: '1', text: 'Open', completed: false, createdAt },
+        { id: '2', text: 'Done', completed: true, createdAt },
+        { id: '3', text: 'Also done', completed: true, createdAt }
+    ]
+};
+
+const renderedTexts = () => [...document.querySelectorAll('.todo-text')].map(element => element.textContent);
+
+describe('Filter views', () => {
+    test('should show only active or completed todos when a tab is clicked', async () => {
+        await createTodoList(seedData);
+
+        document.querySelector('[data-filter="completed"]').click();
+        expect(renderedTexts()).toEqual(['Done', 'Also done']);
+        expect(window.location.pathname).toBe('/completed');
+
+        document.querySelector('[data-filter="active"]').click();
+        expect(renderedTexts()).toEqual(['Open']);
+        expect(document.querySelector('[data-filter="active"]').getAttribute('aria-current')).toBe('page');
+    });
+
+    test('should show the filtered count next to the totals', async () => {
+        const todoList = await createTodoList(seedData);
+
+        expect(document.getElementById('visibleTasks').hidden).toBe(true);
+
+        todoList.setViewFilter('active');
+        expect(document.getElementById('visibleTasks').textContent).toBe('Showing: 1 of 3');
+        expect(document.getElementById('visibleTasks').hidden).toBe(false);
+        expect(document.getElementById('totalTasks').textContent).toBe('Total: 3');
+        expect([...document.querySelectorAll('.filter-count')].map(count => count.textContent)).toEqual(['3', '1', '2']);
+    });
+
+    test('should start on the view in the URL', async () => {
+        window.history.replaceState(null, '', '/completed');
+
+        const todoList = await createTodoList(seedData);
+
+        expect(todoList.viewFilter).toBe('completed');
+        expect(renderedTexts()).toEqual(['Done', 'Also done']);
+    });
+
+    test('should follow back and forward navigation', async () => {
+        const todoList = await createTodoList(seedData);
+        todoList.setViewFilter('active');
+
+        window.history.replaceState(null, '', '/');
+        window.dispatchEvent(new PopStateEvent('popstate'));
+
+        expect(todoList.viewFilter).toBe('all');
+        expect(renderedTexts()).toHaveLength(3);
+    });
+
+    test('should hide a todo from the active view once it is completed', async () => {
+        const todoList = await createTodoList(seedData);
+        todoList.setViewFilter('active');
+
+        todoList.toggleTodo('1');
+
+        expect(renderedTexts()).toEqual([]);
+        expect(document.querySelector('#todoList').textContent).toContain('No active tasks');
+    });
+
+    test('should parse path and hash routes', () => {
+        expect(FilterRouter.parse('/active')).toBe('active');
+        expect(FilterRouter.parse('#/completed/')).toBe('completed');
+        expect(FilterRouter.parse('/pages/index.html')).toBe('all');
+        expect(FilterRouter.getPath('all')).toBe('/');
+    });
+});
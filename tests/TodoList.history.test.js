@@ -0,0 +1,148 @@
+/**
+ * Jest unit tests for undo/redo
+ */
+const { createdAt, renderPage, createStorage, createTodoList } = require('./todoListFixture');
+
+let CommandHistory;
+
+beforeAll(async () => {
+    ({ CommandHistory } = await import('../public/assets/js/services/CommandHistory.js'));
+});
+
+beforeEach(() => {
+    renderPage(`
+        <button id="undoButton"></button>
+        <button id="redoButton"></button>
+    `);
+});
+
+afterEach(() => {
+    document.querySelectorAll('.notification').forEach(notification => notification.remove());
+});
+
+// Three todos, the second one completed
+const seedData = {
+    todos: [
+        { id: '1', text: 'First', completed: false, createdAt },
+        { id: '2', text: 'Second', completed: true, createdAt },
+        { id: '3', text: 'Third', completed: false, createdAt }
+    ]
+};
+
+const texts = (todoList) => todoList.todos.map(todo => todo.text);
+
+describe('Undo and redo', () => {
+    test('should undo and redo a delete, putting the todo back in place', async () => {
+        const todoList = await createTodoList(seedData);
+
+        todoList.deleteTodo('2');
+        expect(texts(todoList)).toEqual(['First', 'Third']);
+
+        expect(todoList.undo()).toBe(true);
+        expect(texts(todoList)).toEqual(['First', 'Second', 'Third']);
+        expect(todoList.findTodoById('2').completed).toBe(true);
+
+        expect(todoList.redo()).toBe(true);
+        expect(texts(todoList)).toEqual(['First', 'Third']);
+    });
+
+    test('should undo clearing completed todos and toggling', async () => {
+        const todoList = await createTodoList(seedData);
+
+        todoList.toggleTodo('1');
+        todoList.clearCompletedTodos();
+        expect(texts(todoList)).toEqual(['Third']);
+
+        todoList.undo();
+        expect(texts(todoList)).toEqual(['First', 'Second', 'Third']);
+        todoList.undo();
+        expect(todoList.findTodoById('1').completed).toBe(false);
+        expect(todoList.undo()).toBe(false);
+    });
+
+    test('should undo an import in one step', async () => {
+        const todoList = await createTodoList(seedData);
+
+        todoList.importTodos(JSON.stringify([{ id: 9, text: 'Imported', completed: false, createdAt }]));
+        expect(texts(todoList)).toEqual(['Imported']);
+
+        todoList.undo();
+        expect(texts(todoList)).toEqual(['First', 'Second', 'Third']);
+    });
+
+    test('should restamp restored fields so sync keeps them', async () => {
+        const todoList = await createTodoList(seedData);
+        const before = todoList.findTodoById('1').revision;
+
+        todoList.editTodo('1', 'Renamed');
+        todoList.undo();
+
+        const todo = todoList.findTodoById('1');
+        expect(todo.text).toBe('First');
+        expect(todo.revision).toBe(before + 2);
+        expect(todo.fieldUpdatedAt.text).toBeDefined();
+    });
+
+    test('should only copy the todos a change touched', async () => {
+        const todoList = await createTodoList(seedData);
+        todoList.toggleTodo('1');
+        const toJSON = jest.spyOn(todoList.findTodoById('3'), 'toJSON');
+        const saveTodos = jest.spyOn(todoList, 'saveTodos').mockImplementation(() => Promise.resolve());
+
+        todoList.toggleTodo('2');
+
+        expect(toJSON).not.toHaveBeenCalled();
+        expect(todoList.history.undoStack[1].changes.map(change => change.id)).toEqual(['2']);
+        saveTodos.mockRestore();
+    });
+
+    test('should drop the redo stack after a new change', async () => {
+        const todoList = await createTodoList(seedData);
+
+        todoList.deleteTodo('1');
+        todoList.undo();
+        todoList.toggleTodo('3');
+
+        expect(todoList.redo()).toBe(false);
+    });
+
+    test('should undo from the notification button and with Ctrl+Z', async () => {
+        const todoList = await createTodoList(seedData);
+
+        todoList.deleteTodo('3');
+        document.querySelector('.notification-action').click();
+        expect(texts(todoList)).toEqual(['First', 'Second', 'Third']);
+
+        todoList.toggleTodo('1');
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true }));
+        expect(todoList.findTodoById('1').completed).toBe(false);
+
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, shiftKey: true }));
+        expect(todoList.findTodoById('1').completed).toBe(true);
+    });
+
+    test('should keep the history across a reload', async () => {
+        const storage = await createStorage(seedData);
+        const todoList = await createTodoList(storage);
+        todoList.deleteTodo('1');
+        await todoList.pendingSave;
+
+        const reloaded = await createTodoList(storage);
+        expect(document.getElementById('undoButton').disabled).toBe(false);
+
+        reloaded.undo();
+        expect(texts(reloaded)).toEqual(['First', 'Second', 'Third']);
+    });
+
+    test('should keep only the most recent changes', () => {
+        const history = new CommandHistory(2);
+        const state = (text) => ({ todos: [{ id: 1, text }], lists: [] });
+
+        ['a', 'b', 'c'].forEach((text, index) => {
+            history.push(CommandHistory.createCommand(`Edit ${index}`, state(index), state(text)));
+        });
+
+        expect(history.undoStack.map(command => command.label)).toEqual(['Edit 1', 'Edit 2']);
+        expect(CommandHistory.createCommand('Nothing', state('a'), state('a'))).toBeNull();
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Jest unit tests for TodoList named lists
+ */
+const { renderPage, createStorage, createTodoList } = require('./todoListFixture');
+
+beforeEach(() => {
+    renderPage(`
+        <ul id="projectList"></ul>
+        <input type="text" id="newListInput">
+        <button id="addListButton">+</button>
+        <h2 id="currentListName"></h2>
+        <button id="addButton">Add Task</button>
+        <span id="totalTasks">Total: 0</span>
+        <span id="completedTasks">Completed: 0</span>
+    `);
+});
+
+/**
+ * Add a todo through the input field
+ * @param {TodoList} todoList - TodoList instance
+ * @param {string} text - Todo text
+ */
+function addTodo(todoList, text) {
+    document.getElementById('todoInput').value = text;
+    todoList.addTodo();
+}
+
+describe('TodoList named lists', () => {
+    test('should put legacy todos without a list into the default list', async () => {
+        const todoList = await createTodoList({
+            todos: [{ id: 1, text: 'Legacy task', completed: false, createdAt: '2024-01-01T00:00:00.000Z' }]
+        });
+
+        expect(todoList.getCurrentList().name).toBe('My Tasks');
+        expect(todoList.getAllTodos().map(todo => todo.text)).toEqual(['Legacy task']);
+    });
+
+    test('should keep todos and stats separate per list', async () => {
+        const todoList = await createTodoList();
+        addTodo(todoList, 'Personal task');
+
+        todoList.createList('Work');
+        addTodo(todoList, 'Work task');
+        todoList.toggleTodo(todoList.getAllTodos()[0].id);
+
+        expect(todoList.getAllTodos().map(todo => todo.text)).toEqual(['Work task']);
+        expect(todoList.getStats()).toMatchObject({ total: 1, completed: 1 });
+        expect(document.getElementById('currentListName').textContent).toBe('Work');
+
+        todoList.switchList('default');
+        expect(todoList.getAllTodos().map(todo => todo.text)).toEqual(['Personal task']);
+        expect(todoList.getStats()).toMatchObject({ total: 1, completed: 0 });
+    });
+
+    test('should remember the current list across reloads', async () => {
+        const storage = await createStorage();
+        const todoList = await createTodoList(storage);
+        const work = todoList.createList('Work');
+        await todoList.pendingSave;
+
+        const reloaded = await createTodoList(storage);
+
+        expect(reloaded.currentListId).toBe(work.id);
+        expect(reloaded.lists.map(list => list.name)).toEqual(['My Tasks', 'Work']);
+    });
+
+    test('should rename, reorder and delete lists', async () => {
+        const todoList = await createTodoList();
+        const work = todoList.createList('Work');
+        addTodo(todoList, 'Work task');
+        window.confirm = jest.fn(() => true);
+
+        todoList.renameList(work.id, '  Office  ');
+        todoList.moveList(work.id, -1);
+        expect(todoList.lists.map(list => list.name)).toEqual(['Office', 'My Tasks']);
+
+        todoList.deleteList(work.id);
+        expect(window.confirm).toHaveBeenCalled();
+        expect(todoList.lists.map(list => list.name)).toEqual(['My Tasks']);
+        expect(todoList.todos).toHaveLength(0);
+        expect(todoList.deleteList('default')).toBe(false);
+    });
+
+    test('should remember the sort order of each list', async () => {
+        const storage = await createStorage();
+        const todoList = await createTodoList(storage);
+        todoList.setSortOrder('priority');
+        todoList.createList('Work');
+        todoList.setSortOrder('alphabetical');
+        await todoList.pendingSave;
+
+        const reloaded = await createTodoList(storage);
+
+        expect(reloaded.lists.map(list => list.sortBy)).toEqual(['priority', 'alphabetical']);
+        expect(reloaded.setSortOrder('random')).toBe(false);
+    });
+
+    test('should export and import one list or all of them', async () => {
+        const todoList = await createTodoList();
+        addTodo(todoList, 'Personal task');
+        todoList.createList('Work');
+        addTodo(todoList, 'Work task');
+
+        const oneList = JSON.parse(todoList.exportTodos());
+        const allLists = todoList.exportTodos({ allLists: true });
+        expect(oneList.map(todo => todo.text)).toEqual(['Work task']);
+
+        const other = await createTodoList();
+        expect(other.importTodos(allLists)).toBe(true);
+        expect(other.lists.map(list => list.name)).toEqual(['My Tasks', 'Work']);
+        expect(other.getTodosForList('default').map(todo => todo.text)).toEqual(['Personal task']);
+
+        other.switchList('default');
+        other.importTodos(JSON.stringify(oneList));
+        expect(other.getAllTodos().map(todo => todo.text)).toEqual(['Work task']);
+        expect(other.todos).toHaveLength(1);
+    });
+});
@@ -0,0 +1,225 @@
+/**
+ * Jest unit tests for incremental rendering
+ * Covers keyed row updates, delegated row listeners and windowing of long lists
+ */
+
+const { createdAt, renderPage, numberedTodos, createTodoList } = require('./todoListFixture');
+
+let TodoRenderer;
+
+beforeAll(async () => {
+    ({ TodoRenderer } = await import('../public/assets/js/ui/TodoRenderer.js'));
+});
+
+beforeEach(() => {
+    renderPage('<select id="sortSelect"><option value="manual">Manual</option><option value="priority">Priority</option></select>');
+});
+
+afterEach(() => {
+    history.replaceState(null, '', '/');
+});
+
+/**
+ * Create a TodoList holding numbered todos
+ * @param {number} count - Number of todos
+ * @returns {Promise<TodoList>} - Loaded TodoList
+ */
+const createNumberedList = (count = 4) => createTodoList({ todos: numberedTodos(count) });
+
+const rows = () => [...document.querySelectorAll('.todo-item')];
+
+/**
+ * Record the changes made to the list while running an action
+ * @param {Function} action - Changes the todos
+ * @returns {Array<MutationRecord>} - Changes to the list and its rows
+ */
+function recordMutations(action) {
+    const observer = new MutationObserver(() => {});
+    observer.observe(document.getElementById('todoList'), { childList: true, subtree: true, attributes: true });
+    action();
+    const records = observer.takeRecords();
+    observer.disconnect();
+    return records;
+}
+
+describe('Keyed rendering', () => {
+    test('should replace only the row of a toggled todo', async () => {
+        const todoList = await createNumberedList();
+        const [first, second, , fourth] = rows();
+
+        const records = recordMutations(() => second.querySelector('.todo-checkbox').click());
+
+        expect(records).toHaveLength(1);
+        expect([...records[0].removedNodes]).toEqual([second]);
+        expect(rows()[0]).toBe(first);
+        expect(rows()[3]).toBe(fourth);
+        expect(rows()[1].classList.contains('completed')).toBe(true);
+        expect(todoList.findTodoById('2').completed).toBe(true);
+    });
+
+    test('should patch the rows of todos changed in place without rendering the list', async () => {
+        const todoList = await createNumberedList();
+        const render = jest.spyOn(todoList, 'render');
+        const getVisibleTodos = jest.spyOn(todoList, 'getVisibleTodos');
+
+        todoList.toggleTodo('2');
+        todoList.setTodosPriority(['3', '4'], 'high');
+
+        expect(render).not.toHaveBeenCalled();
+        expect(getVisibleTodos).not.toHaveBeenCalled();
+        expect(rows().map(row => row.className)).toEqual([
+            'todo-item priority-none',
+            'todo-item priority-none completed',
+            'todo-item priority-high',
+            'todo-item priority-high'
+        ]);
+    });
+
+    test('should render the list when a change hides or moves a row', async () => {
+        const todoList = await createNumberedList();
+        const render = jest.spyOn(todoList, 'render');
+
+        todoList.setViewFilter('active');
+        render.mockClear();
+        todoList.toggleTodo('2');
+        expect(render).toHaveBeenCalledTimes(1);
+        expect(rows().map(row => row.dataset.todoId)).toEqual(['1', '3', '4']);
+
+        todoList.setSortOrder('priority');
+        render.mockClear();
+        todoList.setTodoPriority('4', 'urgent');
+        expect(render).toHaveBeenCalledTimes(1);
+        expect(rows().map(row => row.dataset.todoId)).toEqual(['4', '1', '3']);
+    });
+
+    test('should keep row elements when todos are added, moved or deleted', async () => {
+        const todoList = await createNumberedList();
+        const [first, second, third, fourth] = rows();
+
+        todoList.moveTodo('4', null, '1');
+        expect(rows()).toEqual([fourth, first, second, third]);
+
+        todoList.deleteTodo('1');
+        document.getElementById('todoInput').value = 'Task 5';
+        todoList.addTodo();
+
+        expect(rows().slice(0, 3)).toEqual([fourth, second, third]);
+        expect(rows().map(row => row.dataset.todoId)).toEqual(['4', '2', '3', todoList.todos[3].id]);
+    });
+
+    test('should switch between rows and the empty state', async () => {
+        const todoList = await createNumberedList(2);
+
+        todoList.setViewFilter('completed');
+        expect(rows()).toHaveLength(0);
+        expect(document.getElementById('todoList').textContent).toContain('No completed tasks yet.');
+
+        todoList.setViewFilter('all');
+        expect(rows().map(row => row.dataset.todoId)).toEqual(['1', '2']);
+        expect(document.getElementById('todoList').children).toHaveLength(2);
+    });
+});
+
+describe('Due badges', () => {
+    test('should mark todos overdue by the same clock as the overdue count', async () => {
+        document.getElementById('todoList').insertAdjacentHTML('afterend', '<span id="overdueTasks"></span>');
+        await createTodoList({
+            todos: [
+                { id: '1', text: 'Late', completed: false, createdAt, dueDate: '2024-02-28' },
+                { id: '2', text: 'Next week', completed: false, createdAt, dueDate: '2024-03-08' }
+            ]
+        }, { now: () => new Date(2024, 2, 1, 10) });
+
+        const badges = rows().map(row => row.querySelector('.due-badge'));
+        expect(badges[0].classList.contains('due-overdue')).toBe(true);
+        expect(badges[1].classList.contains('due-overdue')).toBe(false);
+        expect(document.getElementById('overdueTasks').textContent).toBe('Overdue: 1');
+    });
+});
+
+describe('Delegated row listeners', () => {
+    test('should not add listeners to rendered rows', async () => {
+        const todoList = await createNumberedList(20);
+        const addEventListener = jest.spyOn(EventTarget.prototype, 'addEventListener');
+
+        todoList.setViewFilter('active');
+        todoList.setSortOrder('priority');
+
+        const onRows = addEventListener.mock.contexts.filter(target => target instanceof Element && target.closest('#todoList'));
+        expect(onRows).toHaveLength(0);
+        addEventListener.mockRestore();
+    });
+
+    test('should handle the controls of rows rendered after loading', async () => {
+        const todoList = await createNumberedList(1);
+        document.getElementById('todoInput').value = 'New #home';
+        todoList.addTodo();
+        const id = todoList.todos[1].id;
+        const row = () => document.querySelector(`[data-todo-id="${id}"]`);
+
+        row().querySelector('.priority-btn').click();
+        expect(todoList.findTodoById(id).priority).toBe('low');
+
+        row().querySelector('.tag-chip').click();
+        expect(todoList.tagFilter.tags).toEqual(['home']);
+
+        row().querySelector('.todo-select').click();
+        expect(todoList.getBulkSelectedIds()).toEqual([id]);
+
+        row().querySelector('.delete-btn').click();
+        expect(todoList.findTodoById(id)).toBeNull();
+    });
+});
+
+describe('Windowed rendering', () => {
+    let count;
+
+    beforeAll(() => {
+        count = TodoRenderer.VIRTUALIZE_THRESHOLD * 5;
+    });
+
+    test('should render only the rows around the viewport of a long list', async () => {
+        await createNumberedList(count);
+        const spacers = document.querySelectorAll('.todo-spacer');
+
+        expect(rows().length).toBeLessThan(100);
+        expect(rows()[0].dataset.todoId).toBe('1');
+        expect(spacers).toHaveLength(2);
+        expect(spacers[0].style.height).toBe('0px');
+        expect(spacers[1].style.height).toBe(`${(count - rows().length) * TodoRenderer.ROW_HEIGHT}px`);
+    });
+
+    test('should render the rows scrolled into view', async () => {
+        await createNumberedList(count);
+        const list = document.getElementById('todoList');
+        Object.defineProperty(list, 'scrollTop', { value: 500 * TodoRenderer.ROW_HEIGHT });
+
+        list.dispatchEvent(new Event('scroll'));
+
+        const ids = rows().map(row => Number(row.dataset.todoId));
+        expect(ids).toContain(501);
+        expect(ids[0]).toBe(501 - TodoRenderer.OVERSCAN);
+        expect(list.firstElementChild.style.height).toBe(`${(500 - TodoRenderer.OVERSCAN) * TodoRenderer.ROW_HEIGHT}px`);
+    });
+
+    test('should render a todo selected outside the window', async () => {
+        const todoList = await createNumberedList(count);
+
+        todoList.selectTodo('900');
+        expect(document.querySelector('[data-todo-id="900"]').classList.contains('selected')).toBe(true);
+
+        todoList.toggleTodo('900');
+        expect(document.querySelector('[data-todo-id="900"]').classList.contains('completed')).toBe(true);
+    });
+
+    test('should drop a todo after the last rendered row in front of the next todo', async () => {
+        const todoList = await createNumberedList(count);
+        const onReorder = jest.fn();
+        const last = rows()[rows().length - 1];
+        todoList.renderer.startDrag(rows()[0]);
+
+        todoList.renderer.finishDrag(Infinity, onReorder);
+
+        expect(onReorder).toHaveBeenCalledWith('1', last.dataset.todoId, String(Number(last.dataset.todoId) + 1));
+    });
+});
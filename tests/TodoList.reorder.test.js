@@ -0,0 +1,156 @@
+/**
+ * Jest unit tests for manual reordering and fractional sort keys
+ */
+const { renderPage, storedTodos, createTodoList } = require('./todoListFixture');
+
+let SortKeyUtils;
+
+beforeAll(async () => {
+    ({ SortKeyUtils } = await import('../public/assets/js/utils/SortKeyUtils.js'));
+});
+
+beforeEach(() => {
+    renderPage('<select id="sortSelect"><option value="manual">Manual</option><option value="priority">Priority</option></select>');
+});
+
+// Four todos saved before sort keys existed
+const seedData = { todos: storedTodos(['A', 'B', 'C', 'D']) };
+
+const renderedTexts = () => [...document.querySelectorAll('.todo-text')].map(element => element.textContent);
+
+/**
+ * Give every rendered todo a 40px tall box, stacked from the top
+ * jsdom has no layout, so drag-and-drop positions are faked.
+ */
+function layOutTodos() {
+    document.querySelectorAll('.todo-item').forEach((element, index) => {
+        element.getBoundingClientRect = () => ({ top: index * 40, height: 40, bottom: index * 40 + 40 });
+    });
+}
+
+describe('SortKeyUtils', () => {
+    test('should always find a key between two keys', () => {
+        const keys = [];
+        for (let i = 0; i < 500; i++) {
+            const position = (i * 7) % (keys.length + 1);
+            const key = SortKeyUtils.between(keys[position - 1] ?? null, keys[position] ?? null);
+            keys.splice(position, 0, key);
+        }
+
+        expect([...keys].sort()).toEqual(keys);
+        expect(new Set(keys).size).toBe(500);
+        expect(keys.every(key => SortKeyUtils.isValid(key))).toBe(true);
+    });
+
+    test('should keep keys short when appending or prepending', () => {
+        const appended = SortKeyUtils.generate(null, null, 5000);
+
+        expect(appended[appended.length - 1].length).toBeLessThanOrEqual(4);
+        expect(SortKeyUtils.between(null, 'a0')).toBe('Zz');
+    });
+
+    test('should reject invalid keys and reversed bounds', () => {
+        expect(SortKeyUtils.isValid('a0')).toBe(true);
+        expect(SortKeyUtils.isValid('a0V')).toBe(true);
+        expect(SortKeyUtils.isValid('a00')).toBe(false);
+        expect(SortKeyUtils.isValid('b1')).toBe(false);
+        expect(SortKeyUtils.isValid('0a')).toBe(false);
+        expect(() => SortKeyUtils.between('a1', 'a0')).toThrow();
+    });
+});
+
+describe('Manual reordering', () => {
+    test('should give legacy todos keys in their stored order', async () => {
+        const todoList = await createTodoList(seedData);
+        const keys = todoList.todos.map(todo => todo.sortKey);
+
+        expect(keys.every(Boolean)).toBe(true);
+        expect([...keys].sort()).toEqual(keys);
+    });
+
+    test('should add new todos at the end of the manual order', async () => {
+        const todoList = await createTodoList(seedData);
+
+        document.getElementById('todoInput').value = 'E';
+        todoList.addTodo();
+
+        expect(renderedTexts()).toEqual(['A', 'B', 'C', 'D', 'E']);
+        expect(new Set(todoList.todos.map(todo => todo.sortKey)).size).toBe(5);
+    });
+
+    test('should rewrite only the moved todo key', async () => {
+        const todoList = await createTodoList(seedData);
+        const before = new Map(todoList.todos.map(todo => [todo.id, todo.sortKey]));
+
+        expect(todoList.moveTodo('4', '1', '2')).toBe(true);
+
+        expect(renderedTexts()).toEqual(['A', 'D', 'B', 'C']);
+        const changed = todoList.todos.filter(todo => todo.sortKey !== before.get(todo.id));
+        expect(changed.map(todo => todo.id)).toEqual(['4']);
+        expect(todoList.findTodoById('4').fieldUpdatedAt.sortKey).toBeDefined();
+    });
+
+    test('should move a focused todo with Alt+Up and Alt+Down', async () => {
+        await createTodoList(seedData);
+
+        const handle = document.querySelector('[data-todo-id="1"] .drag-handle');
+        handle.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', altKey: true, bubbles: true }));
+        expect(renderedTexts()).toEqual(['B', 'A', 'C', 'D']);
+        expect(document.activeElement).toBe(document.querySelector('[data-todo-id="1"] .drag-handle'));
+
+        document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp', altKey: true, bubbles: true }));
+        document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp', altKey: true, bubbles: true }));
+        expect(renderedTexts()).toEqual(['A', 'B', 'C', 'D']);
+    });
+
+    test('should drop a dragged todo between its new neighbours', async () => {
+        await createTodoList(seedData);
+        layOutTodos();
+        const list = document.getElementById('todoList');
+        const dragged = document.querySelector('[data-todo-id="1"]');
+
+        dragged.dispatchEvent(new MouseEvent('dragstart', { bubbles: true }));
+        list.dispatchEvent(new MouseEvent('dragover', { bubbles: true, cancelable: true, clientY: 100 }));
+        expect(document.querySelector('[data-todo-id="4"]').classList.contains('drop-before')).toBe(true);
+        list.dispatchEvent(new MouseEvent('drop', { bubbles: true, cancelable: true, clientY: 100 }));
+
+        expect(renderedTexts()).toEqual(['B', 'C', 'A', 'D']);
+        expect(document.querySelector('.dragging, .drop-before')).toBeNull();
+    });
+
+    test('should drag by the handle on touch screens', async () => {
+        await createTodoList(seedData);
+        layOutTodos();
+        const handle = document.querySelector('[data-todo-id="2"] .drag-handle');
+
+        handle.dispatchEvent(new TouchEvent('touchstart', { bubbles: true }));
+        const move = new TouchEvent('touchmove', { bubbles: true, cancelable: true });
+        Object.defineProperty(move, 'touches', { value: [{ clientY: 500 }] });
+        handle.dispatchEvent(move);
+        handle.dispatchEvent(new TouchEvent('touchend', { bubbles: true }));
+
+        expect(move.defaultPrevented).toBe(true);
+        expect(renderedTexts()).toEqual(['A', 'C', 'D', 'B']);
+    });
+
+    test('should only reorder in manual sort order', async () => {
+        const todoList = await createTodoList(seedData);
+        todoList.setSortOrder('priority');
+
+        expect(document.querySelector('.drag-handle')).toBeNull();
+        expect(todoList.moveTodo('4', null, '1')).toBe(false);
+    });
+
+    test('should keep the order through export and import, and undo a move', async () => {
+        const todoList = await createTodoList(seedData);
+        todoList.moveTodo('3', null, '1');
+        const exported = todoList.exportTodos();
+
+        const other = await createTodoList(seedData);
+        other.importTodos(exported);
+        expect(renderedTexts()).toEqual(['C', 'A', 'B', 'D']);
+
+        todoList.undo();
+        expect(todoList.getSortedTodos().map(todo => todo.text)).toEqual(['A', 'B', 'C', 'D']);
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Jest unit tests for the keyboard shortcuts and the command palette
+ */
+const { createdAt, renderPage, createTodoList } = require('./todoListFixture');
+
+let FuzzyMatcher;
+
+beforeAll(async () => {
+    ({ FuzzyMatcher } = await import('../public/assets/js/utils/FuzzyMatcher.js'));
+});
+
+beforeEach(() => {
+    renderPage(`
+        <input type="search" id="searchInput">
+        <div id="commandPalette" class="overlay" hidden></div>
+        <div id="shortcutHelp" class="overlay" hidden></div>
+    `);
+});
+
+afterEach(() => {
+    history.replaceState(null, '', '/');
+});
+
+// Three todos, the last one completed
+const seedData = {
+    todos: [
+        { id: '1', text: 'Buy milk', completed: false, createdAt },
+        { id: '2', text: 'Walk dog', completed: false, createdAt },
+        { id: '3', text: 'Pay rent', completed: true, createdAt }
+    ]
+};
+
+/**
+ * Dispatch a keydown event
+ * @param {string} key - Key value
+ * @param {Object} options - Extra event options
+ * @param {EventTarget} target - Element receiving the key
+ * @returns {KeyboardEvent} - Dispatched event
+ */
+function press(key, options = {}, target = document.body) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+}
+
+const selectedId = () => document.querySelector('.todo-item.selected')?.dataset.todoId;
+
+describe('FuzzyMatcher', () => {
+    test('should match letters in order and rank word starts first', () => {
+        const items = ['Show completed tasks', 'Clear completed tasks', 'Clear all tasks'];
+        expect(FuzzyMatcher.filter('clc', items, item => item).map(result => result.item))
+            .toEqual(['Clear completed tasks']);
+        expect(FuzzyMatcher.match('clc', 'Clear completed tasks').positions).toEqual([0, 1, 6]);
+
+        const ranked = FuzzyMatcher.filter('ex', ['Next task', 'Export all lists'], item => item);
+        expect(ranked.map(result => result.item)).toEqual(['Export all lists', 'Next task']);
+    });
+
+    test('should return null when the letters are missing', () => {
+        expect(FuzzyMatcher.match('xyz', 'Export tasks')).toBeNull();
+        expect(FuzzyMatcher.match('', 'Export tasks')).toEqual({ score: 0, positions: [] });
+    });
+});
+
+describe('Keyboard shortcuts', () => {
+    test('should move the selection with j and k', async () => {
+        const todoList = await createTodoList(seedData);
+
+        press('j');
+        expect(selectedId()).toBe('1');
+        press('j');
+        press('j');
+        press('j');
+        expect(selectedId()).toBe('3');
+        press('k');
+        expect(todoList.selectedTodoId).toBe('2');
+
+        press('Escape');
+        expect(selectedId()).toBeUndefined();
+    });
+
+    test('should toggle, edit and delete the selected todo', async () => {
+        const todoList = await createTodoList(seedData);
+        press('j');
+
+        press('x');
+        expect(todoList.findTodoById('1').completed).toBe(true);
+        expect(selectedId()).toBe('1');
+
+        press('e');
+        const editInput = document.querySelector('[data-todo-id="1"] .todo-edit-input');
+        expect(editInput).not.toBeNull();
+        editInput.value = 'Buy oat milk';
+        editInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+        expect(todoList.findTodoById('1').text).toBe('Buy oat milk');
+
+        press('Delete');
+        expect(todoList.findTodoById('1')).toBeNull();
+        expect(selectedId()).toBe('2');
+    });
+
+    test('should select the next todo when the selected one leaves the view', async () => {
+        const todoList = await createTodoList(seedData);
+        todoList.setViewFilter('active');
+        press('j');
+
+        press('x');
+
+        expect(todoList.findTodoById('1').completed).toBe(true);
+        expect(selectedId()).toBe('2');
+    });
+
+    test('should focus the inputs with n and /, and toggle the help with ?', async () => {
+        await createTodoList(seedData);
+
+        press('/');
+        expect(document.activeElement.id).toBe('searchInput');
+        document.activeElement.blur();
+
+        press('?');
+        expect(document.getElementById('shortcutHelp').hidden).toBe(false);
+        expect(document.querySelectorAll('.shortcut-table tr').length).toBeGreaterThan(5);
+        press('Escape');
+        expect(document.getElementById('shortcutHelp').hidden).toBe(true);
+
+        press('n');
+        expect(document.activeElement.id).toBe('todoInput');
+    });
+
+    test('should ignore single-key shortcuts while typing', async () => {
+        const todoList = await createTodoList(seedData);
+        const input = document.getElementById('todoInput');
+        input.focus();
+
+        const event = press('j', {}, input);
+
+        expect(event.defaultPrevented).toBe(false);
+        expect(todoList.selectedTodoId).toBeNull();
+    });
+});
+
+describe('Command palette', () => {
+    test('should open with Ctrl+K even from an input and run the best match', async () => {
+        const todoList = await createTodoList(seedData);
+        const input = document.getElementById('todoInput');
+        input.focus();
+
+        press('k', { ctrlKey: true }, input);
+        const paletteInput = document.querySelector('.palette-input');
+        expect(document.getElementById('commandPalette').hidden).toBe(false);
+        expect(document.activeElement).toBe(paletteInput);
+
+        paletteInput.value = 'shcomp';
+        paletteInput.dispatchEvent(new Event('input'));
+        expect(document.querySelector('.palette-option.active').textContent).toContain('Show completed tasks');
+        expect(document.querySelectorAll('.palette-option.active mark').length).toBe(6);
+
+        paletteInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+        expect(todoList.viewFilter).toBe('completed');
+        expect(document.getElementById('commandPalette').hidden).toBe(true);
+        expect(document.activeElement).toBe(input);
+    });
+
+    test('should list the TodoList actions and run them from a click', async () => {
+        const todoList = await createTodoList(seedData);
+        press('k', { metaKey: true });
+        const labels = [...document.querySelectorAll('.palette-label')].map(element => element.textContent);
+
+        expect(labels).toEqual(expect.arrayContaining([
+            'Clear completed tasks', 'Export current list', 'Import tasks', 'Show active tasks', 'Sort by: Priority'
+        ]));
+
+        const paletteInput = document.querySelector('.palette-input');
+        paletteInput.value = 'clear completed';
+        paletteInput.dispatchEvent(new Event('input'));
+        document.querySelector('.palette-option').click();
+
+        expect(todoList.findTodoById('3')).toBeNull();
+        expect(todoList.todos).toHaveLength(2);
+    });
+
+    test('should close with Escape without running anything', async () => {
+        const todoList = await createTodoList(seedData);
+        press('k', { ctrlKey: true });
+
+        document.querySelector('.palette-input').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+        expect(todoList.commandPalette.isOpen()).toBe(false);
+        expect(todoList.todos).toHaveLength(3);
+    });
+});
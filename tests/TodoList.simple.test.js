@@ -3,6 +3,12 @@
  * Testing the addTodo function and related functionality
  */
 
+let IdUtils;
+
+beforeAll(async () => {
+    ({ IdUtils } = await import('../public/assets/js/utils/IdUtils.js'));
+});
+
 // Create a test environment
 beforeEach(() => {
     // Reset DOM
@@ -75,7 +81,7 @@ class TodoList {
         }
 
         const todo = {
-            id: Date.now(),
+            id: IdUtils.createId(),
             text: text,
             completed: false,
             createdAt: new Date().toISOString()
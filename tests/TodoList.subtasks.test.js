@@ -0,0 +1,133 @@
+/**
+ * Jest unit tests for subtasks (checklists inside a todo)
+ */
+const { createdAt, renderPage, createTodoList } = require('./todoListFixture');
+
+let TodoItem;
+let TodoValidator;
+
+beforeAll(async () => {
+    ({ TodoItem } = await import('../public/assets/js/models/TodoItem.js'));
+    ({ TodoValidator } = await import('../public/assets/js/utils/TodoValidator.js'));
+});
+
+beforeEach(() => {
+    renderPage(`
+        <button id="addButton">Add Task</button>
+        <input type="checkbox" id="autoCompleteToggle" checked>
+        <span id="totalTasks">Total: 0</span>
+        <span id="completedTasks">Completed: 0</span>
+        <span id="subtaskStats" hidden></span>
+    `);
+});
+
+// One todo with three subtasks, one of them done
+const seedData = {
+    todos: [{
+        id: '1',
+        text: 'Release',
+        completed: false,
+        createdAt,
+        subtasks: [
+            { id: 1, text: 'Write notes', completed: true },
+            { id: 2, text: 'Tag version', completed: false },
+            { id: 3, text: 'Publish', completed: false }
+        ]
+    }]
+};
+
+describe('TodoItem subtasks', () => {
+    test('should add, toggle and remove steps', () => {
+        const todo = new TodoItem('Pack', 1);
+
+        const first = todo.addSubtask('  Shoes  ');
+        const second = todo.addSubtask('Tent');
+        todo.toggleSubtask(first.id);
+        todo.removeSubtask(second.id);
+
+        expect(todo.subtasks).toEqual([{ id: 1, text: 'Shoes', completed: true }]);
+        expect(todo.completed).toBe(false);
+        expect(todo.fieldUpdatedAt.subtasks).toBeDefined();
+    });
+
+    test('should complete and re-open the parent with auto-complete', () => {
+        const todo = new TodoItem('Pack', 1);
+        todo.addSubtask('Shoes');
+        todo.addSubtask('Tent');
+
+        todo.toggleSubtask(1, true);
+        expect(todo.completed).toBe(false);
+        todo.toggleSubtask(2, true);
+        expect(todo.completed).toBe(true);
+        todo.toggleSubtask(2, true);
+        expect(todo.completed).toBe(false);
+    });
+
+    test('should round-trip subtasks through toJSON/fromJSON', () => {
+        const todo = new TodoItem('Pack', 1);
+        todo.addSubtask('Shoes');
+
+        const copy = TodoItem.fromJSON(todo.toJSON());
+        copy.toggleSubtask(1);
+
+        expect(copy.subtasks).toEqual([{ id: 1, text: 'Shoes', completed: true }]);
+        expect(todo.subtasks[0].completed).toBe(false);
+    });
+
+    test('should validate subtasks', () => {
+        expect(TodoValidator.validateSubtasks([{ id: 1, text: 'Ok', completed: false }]).isValid).toBe(true);
+        expect(TodoValidator.validateSubtasks([{ id: 1, text: '   ', completed: false }]).isValid).toBe(false);
+        expect(TodoValidator.validateSubtasks([
+            { id: 1, text: 'A', completed: false },
+            { id: 1, text: 'B', completed: false }
+        ]).isValid).toBe(false);
+    });
+});
+
+describe('TodoList subtasks', () => {
+    test('should show progress on the parent row and in the statistics', async () => {
+        const todoList = await createTodoList(seedData);
+
+        expect(document.querySelector('.subtask-progress').textContent).toBe('1/3');
+        expect(document.getElementById('subtaskStats').textContent).toBe('Steps: 1/3');
+        expect(todoList.getStats()).toMatchObject({ subtasksTotal: 3, subtasksCompleted: 1 });
+    });
+
+    test('should add a step from the checklist input', async () => {
+        const todoList = await createTodoList(seedData);
+
+        document.querySelector('.subtask-toggle').click();
+        const input = document.querySelector('.subtask-input');
+        input.value = 'Announce';
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+        expect(todoList.findTodoById('1').subtasks.map(subtask => subtask.text)).toEqual([
+            'Write notes', 'Tag version', 'Publish', 'Announce'
+        ]);
+        expect(document.querySelector('.subtask-progress').textContent).toBe('1/4');
+    });
+
+    test('should auto-complete the parent only when enabled', async () => {
+        const todoList = await createTodoList(seedData);
+
+        todoList.setAutoCompleteSubtasks(false);
+        todoList.toggleSubtask('1', 2);
+        todoList.toggleSubtask('1', 3);
+        expect(todoList.findTodoById('1').completed).toBe(false);
+
+        todoList.setAutoCompleteSubtasks(true);
+        todoList.toggleSubtask('1', 3);
+        todoList.toggleSubtask('1', 3);
+        expect(todoList.findTodoById('1').completed).toBe(true);
+    });
+
+    test('should keep subtasks through export and import', async () => {
+        const todoList = await createTodoList(seedData);
+        const exported = todoList.exportTodos();
+
+        todoList.deleteSubtask('1', 1);
+        expect(todoList.importTodos(exported)).toBe(true);
+
+        expect(todoList.findTodoById('1').subtasks).toHaveLength(3);
+    });
+});
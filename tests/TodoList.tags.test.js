@@ -0,0 +1,129 @@
+/**
+ * Jest unit tests for todo tags
+ */
+const { renderPage, createTodoList } = require('./todoListFixture');
+
+let TagUtils;
+
+beforeAll(async () => {
+    ({ TagUtils } = await import('../public/assets/js/utils/TagUtils.js'));
+});
+
+beforeEach(() => {
+    renderPage(`
+        <ul id="projectList"></ul>
+        <ul id="tagList"></ul>
+        <div id="tagFilterBar" hidden></div>
+        <button id="addButton">Add Task</button>
+        <span id="totalTasks">Total: 0</span>
+        <span id="completedTasks">Completed: 0</span>
+    `);
+});
+
+const seedData = {
+    todos: [
+        { id: '1', text: 'Fix header', completed: false, tags: ['frontend', 'bug'], createdAt: '2024-01-01T00:00:00.000Z' },
+        { id: '2', text: 'Fix API', completed: false, tags: ['backend', 'bug'], createdAt: '2024-01-02T00:00:00.000Z' },
+        { id: '3', text: 'New page', completed: false, tags: ['frontend'], createdAt: '2024-01-03T00:00:00.000Z' }
+    ]
+};
+
+/**
+ * Get the ids of the todos currently shown
+ * @param {TodoList} todoList - TodoList instance
+ * @returns {Array} - Visible todo ids
+ */
+function visibleIds(todoList) {
+    return todoList.getVisibleTodos().map(todo => todo.id);
+}
+
+describe('TagUtils.parseTags', () => {
+    test('should split hashtags out of the task text', () => {
+        expect(TagUtils.parseTags('Fix #Frontend header #bug #bug')).toEqual({
+            text: 'Fix header',
+            tags: ['frontend', 'bug']
+        });
+    });
+
+    test('should ignore "#" inside words', () => {
+        expect(TagUtils.parseTags('Learn C# basics')).toEqual({ text: 'Learn C# basics', tags: [] });
+    });
+});
+
+describe('TodoList tags', () => {
+    test('should store hashtags typed in the input as tags', async () => {
+        const todoList = await createTodoList(seedData);
+
+        document.getElementById('todoInput').value = 'Write docs #docs #frontend';
+        todoList.addTodo();
+
+        const added = todoList.todos[todoList.todos.length - 1];
+        expect(added.text).toBe('Write docs');
+        expect(added.tags).toEqual(['docs', 'frontend']);
+        expect(document.querySelectorAll('#todoList .tag-chip')).toHaveLength(7);
+    });
+
+    test('should reject a task made only of tags', async () => {
+        const todoList = await createTodoList(seedData);
+
+        document.getElementById('todoInput').value = '#docs';
+        todoList.addTodo();
+
+        expect(todoList.todos).toHaveLength(3);
+    });
+
+    test('should filter by all or any of the selected tags', async () => {
+        const todoList = await createTodoList(seedData);
+
+        todoList.toggleTagFilter('frontend');
+        todoList.toggleTagFilter('bug');
+        expect(visibleIds(todoList)).toEqual(['1']);
+
+        todoList.setTagFilterMode('or');
+        expect(visibleIds(todoList)).toEqual(['1', '2', '3']);
+
+        todoList.toggleTagFilter('frontend');
+        expect(visibleIds(todoList)).toEqual(['1', '2']);
+
+        todoList.clearTagFilter();
+        expect(document.getElementById('tagFilterBar').hidden).toBe(true);
+    });
+
+    test('should filter when a tag chip is clicked', async () => {
+        const todoList = await createTodoList(seedData);
+
+        document.querySelector('#todoList .tag-chip[data-tag="backend"]').click();
+
+        expect(todoList.tagFilter.tags).toEqual(['backend']);
+        expect(document.querySelectorAll('#todoList .todo-item')).toHaveLength(1);
+    });
+
+    test('should rename a tag on every todo and keep its color', async () => {
+        const todoList = await createTodoList(seedData);
+        todoList.setTagColor('frontend', '#123456');
+
+        expect(todoList.renameTag('frontend', '#UI')).toBe(true);
+
+        expect(todoList.findTodoById('1').tags).toEqual(['ui', 'bug']);
+        expect(todoList.findTodoById('3').tags).toEqual(['ui']);
+        expect(todoList.getTagColor('ui')).toBe('#123456');
+    });
+
+    test('should merge into an existing tag without duplicates', async () => {
+        const todoList = await createTodoList(seedData);
+
+        todoList.renameTag('backend', 'bug');
+
+        expect(todoList.findTodoById('2').tags).toEqual(['bug']);
+        expect(todoList.getTags().map(entry => [entry.tag, entry.count])).toEqual([['bug', 2], ['frontend', 2]]);
+    });
+
+    test('should reject invalid tags', async () => {
+        const todoList = await createTodoList(seedData);
+
+        expect(todoList.renameTag('bug', 'no spaces')).toBe(false);
+        expect(todoList.setTodoTags('1', ['ok', 'not<ok>'])).toBe(false);
+        expect(todoList.setTagColor('bug', 'red; background: url(x)')).toBe(false);
+        expect(todoList.findTodoById('1').tags).toEqual(['frontend', 'bug']);
+    });
+});
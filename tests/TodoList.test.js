@@ -1,8 +1,15 @@
 /**
  * Jest unit tests for TodoList class
  * Testing the addTodo function and related functionality
+ * Uses the real TodoList module with the default localStorage adapter
  */
 
+let TodoList;
+
+beforeAll(async () => {
+    ({ TodoList } = await import('../public/assets/js/services/TodoList.js'));
+});
+
 // Create a test environment
 beforeEach(() => {
     // Reset DOM
@@ -30,164 +37,21 @@ beforeEach(() => {
     localStorage.removeItem.mockClear();
 });
 
-// TodoList class for testing (extracted from the actual implementation)
-class TodoList {
-    constructor() {
-        this.todos = JSON.parse(localStorage.getItem('todos')) || [];
-        this.init();
-    }
-
-    init() {
-        this.todoInput = document.getElementById('todoInput');
-        this.addButton = document.getElementById('addButton');
-        this.todoList = document.getElementById('todoList');
-        this.totalTasks = document.getElementById('totalTasks');
-        this.completedTasks = document.getElementById('completedTasks');
-
-        this.bindEvents();
-        this.renderTodos();
-        this.updateStats();
-    }
-
-    bindEvents() {
-        // Add task button click
-        this.addButton.addEventListener('click', () => this.addTodo());
-
-        // Enter key press in input
-        this.todoInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.addTodo();
-            }
-        });
-
-        // Input focus for better UX
-        this.todoInput.addEventListener('focus', () => {
-            this.todoInput.style.borderColor = '#667eea';
-        });
-
-        this.todoInput.addEventListener('blur', () => {
-            this.todoInput.style.borderColor = '#e1e5e9';
-        });
-    }
-
-    addTodo() {
-        const text = this.todoInput.value.trim();
-
-        if (text === '') {
-            this.showNotification('Please enter a task!', 'error');
-            return;
-        }
-
-        if (text.length > 100) {
-            this.showNotification('Task is too long! Maximum 100 characters.', 'error');
-            return;
-        }
-
-        const todo = {
-            id: Date.now(),
-            text: text,
-            completed: false,
-            createdAt: new Date().toISOString()
-        };
-
-        this.todos.push(todo);
-        this.saveTodos();
-        this.renderTodos();
-        this.updateStats();
-
-        // Clear input and focus
-        this.todoInput.value = '';
-        this.todoInput.focus();
-
-        this.showNotification('Task added successfully!', 'success');
-    }
-
-    toggleTodo(id) {
-        const todo = this.todos.find(todo => todo.id === id);
-        if (todo) {
-            todo.completed = !todo.completed;
-            this.saveTodos();
-            this.renderTodos();
-            this.updateStats();
-        }
-    }
-
-    deleteTodo(id) {
-        const index = this.todos.findIndex(todo => todo.id === id);
-        if (index > -1) {
-            this.todos.splice(index, 1);
-            this.saveTodos();
-            this.renderTodos();
-            this.updateStats();
-            this.showNotification('Task deleted!', 'info');
-        }
-    }
-
-    renderTodos() {
-        this.todoList.innerHTML = '';
-
-        if (this.todos.length === 0) {
-            this.todoList.innerHTML = `
-                <li style="text-align: center; color: #6c757d; font-style: italic; padding: 20px;">
-                    No tasks yet. Add your first task above!
-                </li>
-            `;
-            return;
-        }
-
-        this.todos.forEach(todo => {
-            const li = document.createElement('li');
-            li.className = `todo-item ${todo.completed ? 'completed' : ''}`;
-
-            li.innerHTML = `
-                <input type="checkbox" class="todo-checkbox" ${todo.completed ? 'checked' : ''}>
-                <span class="todo-text">${this.escapeHtml(todo.text)}</span>
-                <button class="delete-btn" title="Delete task">×</button>
-            `;
-
-            // Add event listeners
-            const checkbox = li.querySelector('.todo-checkbox');
-            const deleteBtn = li.querySelector('.delete-btn');
-
-            checkbox.addEventListener('change', () => this.toggleTodo(todo.id));
-            deleteBtn.addEventListener('click', () => this.deleteTodo(todo.id));
-
-            this.todoList.appendChild(li);
-        });
-    }
-
-    updateStats() {
-        const total = this.todos.length;
-        const completed = this.todos.filter(todo => todo.completed).length;
-
-        this.totalTasks.textContent = `Total: ${total}`;
-        this.completedTasks.textContent = `Completed: ${completed}`;
-    }
-
-    saveTodos() {
-        localStorage.setItem('todos', JSON.stringify(this.todos));
-    }
-
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-
-    showNotification(message, type = 'info') {
-        // Simplified notification for testing
-        console.log(`${type}: ${message}`);
-    }
-}
-
 describe('TodoList - addTodo Function', () => {
     let todoList;
 
-    beforeEach(() => {
-        // Create a new instance
+    beforeEach(async () => {
+        // Create a new instance and wait for it to load
         todoList = new TodoList();
+        await todoList.ready;
+    });
+
+    afterEach(() => {
+        history.replaceState(null, '', '/');
     });
 
+    const statText = (id) => document.getElementById(id).textContent;
+
     describe('Adding a new todo', () => {
         test('should add a valid todo to the list', () => {
             // Arrange
@@ -217,19 +81,20 @@ describe('TodoList - addTodo Function', () => {
             expect(todoList.todoInput.value).toBe('');
         });
 
-        test('should save todos to localStorage after adding', () => {
+        test('should save todos to localStorage after adding', async () => {
             // Arrange
             const todoText = 'Test todo item';
             todoList.todoInput.value = todoText;
 
             // Act
             todoList.addTodo();
+            await todoList.pendingSave;
 
             // Assert
             expect(localStorage.setItem).toHaveBeenCalledWith('todos', expect.any(String));
 
             // Verify the saved data
-            const savedData = JSON.parse(localStorage.setItem.mock.calls[0][1]);
+            const savedData = JSON.parse(localStorage.setItem.mock.calls.find(([key]) => key === 'todos')[1]);
             expect(savedData).toHaveLength(1);
             expect(savedData[0].text).toBe(todoText);
         });
@@ -243,8 +108,8 @@ describe('TodoList - addTodo Function', () => {
             todoList.addTodo();
 
             // Assert
-            expect(todoList.totalTasks.textContent).toBe('Total: 1');
-            expect(todoList.completedTasks.textContent).toBe('Completed: 0');
+            expect(statText('totalTasks')).toBe('Total: 1');
+            expect(statText('completedTasks')).toBe('Completed: 0');
         });
 
         test('should generate unique IDs for each todo', () => {
@@ -363,7 +228,7 @@ describe('TodoList - addTodo Function', () => {
             expect(todo).toHaveProperty('completed');
             expect(todo).toHaveProperty('createdAt');
 
-            expect(typeof todo.id).toBe('number');
+            expect(typeof todo.id).toBe('string');
             expect(typeof todo.text).toBe('string');
             expect(typeof todo.completed).toBe('boolean');
             expect(typeof todo.createdAt).toBe('string');
@@ -422,8 +287,8 @@ describe('TodoList - addTodo Function', () => {
             });
 
             // Assert
-            expect(todoList.totalTasks.textContent).toBe('Total: 3');
-            expect(todoList.completedTasks.textContent).toBe('Completed: 0');
+            expect(statText('totalTasks')).toBe('Total: 3');
+            expect(statText('completedTasks')).toBe('Completed: 0');
         });
     });
 });
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * Jest unit tests for TodoMerger
+ * Conflict resolution must be deterministic and independent of argument order
+ */
+
+let TodoMerger;
+
+beforeAll(async () => {
+    ({ TodoMerger } = await import('../public/assets/js/utils/TodoMerger.js'));
+});
+
+const base = {
+    id: 1,
+    text: 'Original',
+    completed: false,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    revision: 1,
+    fieldUpdatedAt: {}
+};
+
+describe('TodoMerger.merge', () => {
+    test('should keep the latest value of each field independently', () => {
+        const local = { ...base, text: 'Local text', updatedAt: '2024-01-02T00:00:00.000Z', revision: 2, fieldUpdatedAt: { text: '2024-01-02T00:00:00.000Z' } };
+        const remote = { ...base, completed: true, updatedAt: '2024-01-03T00:00:00.000Z', revision: 2, fieldUpdatedAt: { completed: '2024-01-03T00:00:00.000Z' } };
+
+        const merged = TodoMerger.merge(local, remote);
+
+        expect(merged).toMatchObject({
+            text: 'Local text',
+            completed: true,
+            updatedAt: '2024-01-03T00:00:00.000Z',
+            revision: 2
+        });
+    });
+
+    test('should let the higher revision win on equal timestamps', () => {
+        const local = { ...base, text: 'Local', revision: 3 };
+        const remote = { ...base, text: 'Remote', revision: 2 };
+
+        expect(TodoMerger.merge(local, remote).text).toBe('Local');
+        expect(TodoMerger.merge(remote, local).text).toBe('Local');
+    });
+
+    test('should resolve full ties the same way regardless of order', () => {
+        const a = { ...base, text: 'Alpha' };
+        const b = { ...base, text: 'Beta' };
+
+        expect(TodoMerger.merge(a, b)).toEqual(TodoMerger.merge(b, a));
+    });
+});
+
+describe('TodoMerger.deletionWins', () => {
+    test('should keep todos edited after the deletion', () => {
+        expect(TodoMerger.deletionWins(base, '2024-01-02T00:00:00.000Z')).toBe(true);
+        expect(TodoMerger.deletionWins(base, '2023-12-31T00:00:00.000Z')).toBe(false);
+    });
+});
@@ -0,0 +1,43 @@
+/**
+ * Jest unit tests for TodoSorter
+ */
+
+let TodoSorter;
+
+beforeAll(async () => {
+    ({ TodoSorter } = await import('../public/assets/js/utils/TodoSorter.js'));
+});
+
+const todos = [
+    { id: 1, text: 'banana', completed: true, priority: 'low', dueDate: null, createdAt: '2024-01-01T00:00:00.000Z' },
+    { id: 2, text: 'Apple', completed: false, priority: 'urgent', dueDate: '2024-03-02', createdAt: '2024-01-03T00:00:00.000Z' },
+    { id: 3, text: 'cherry', completed: false, priority: 'none', dueDate: '2024-03-01', dueTime: '09:00', createdAt: '2024-01-02T00:00:00.000Z' },
+    { id: 4, text: 'apricot', completed: true, priority: 'urgent', dueDate: '2024-03-01', createdAt: '2024-01-04T00:00:00.000Z' }
+];
+
+/**
+ * Sort and return the ids
+ * @param {string} sortBy - Sort order name
+ * @returns {Array} - Ids in sorted order
+ */
+function sortedIds(sortBy) {
+    return TodoSorter.sort(todos, sortBy).map(todo => todo.id);
+}
+
+describe('TodoSorter.sort', () => {
+    test('should keep manual order and never mutate the input', () => {
+        expect(sortedIds('manual')).toEqual([1, 2, 3, 4]);
+        expect(todos.map(todo => todo.id)).toEqual([1, 2, 3, 4]);
+    });
+
+    test('should sort by priority, due date, creation and text', () => {
+        expect(sortedIds('priority')).toEqual([2, 4, 1, 3]);
+        expect(sortedIds('dueDate')).toEqual([3, 4, 2, 1]);
+        expect(sortedIds('created')).toEqual([4, 2, 3, 1]);
+        expect(sortedIds('alphabetical')).toEqual([2, 4, 1, 3]);
+    });
+
+    test('should move completed todos last without reordering the rest', () => {
+        expect(sortedIds('completedLast')).toEqual([2, 3, 1, 4]);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * Jest unit tests for the observable todo store
+ * Covers typed change events, batching, subscriptions and the TodoList subscribers
+ */
+
+const { createdAt, renderPage, storedTodos, createStorage, createTodoList } = require('./todoListFixture');
+
+let TodoStore;
+let TodoItem;
+let SchemaMigrations;
+
+beforeAll(async () => {
+    ({ TodoStore } = await import('../public/assets/js/services/TodoStore.js'));
+    ({ TodoItem } = await import('../public/assets/js/models/TodoItem.js'));
+    ({ SchemaMigrations } = await import('../public/assets/js/utils/SchemaMigrations.js'));
+});
+
+beforeEach(() => {
+    renderPage(`
+        <button id="addButton">Add</button>
+        <span id="totalTasks"></span>
+    `);
+});
+
+afterEach(() => {
+    history.replaceState(null, '', '/');
+});
+
+const seedData = { todos: storedTodos(['A', 'B', 'C']) };
+
+/**
+ * Summarize the changes a listener received
+ * @param {jest.Mock} listener - Store listener
+ * @returns {Array} - One [type, ids] entry per change, per call
+ */
+const received = (listener) => listener.mock.calls.map(([changes]) =>
+    changes.map(change => [change.type, change.todos.map(todo => todo.id)]));
+
+describe('TodoStore', () => {
+    test('should emit a typed change for every kind of mutation', () => {
+        const store = new TodoStore();
+        const listener = jest.fn();
+        store.subscribe(listener);
+        const [a, b, c] = ['A', 'B', 'C'].map((text, index) => new TodoItem(text, String(index + 1)));
+
+        store.add([a, b]);
+        store.add(c, { at: 0 });
+        b.toggle();
+        store.update(b);
+        store.reorder(a);
+        store.remove(['1', 'missing']);
+        store.replace([b]);
+
+        expect(received(listener)).toEqual([
+            [['added', ['1', '2']]],
+            [['added', ['3']]],
+            [['updated', ['2']]],
+            [['reordered', ['1']]],
+            [['removed', ['1']]],
+            [['replaced', ['2']]]
+        ]);
+        expect(store.getAll()).toEqual([b]);
+    });
+
+    test('should deliver a batch once, with its info, when the outermost batch ends', () => {
+        const store = new TodoStore([new TodoItem('A', '1')]);
+        const listener = jest.fn();
+        store.subscribe(listener);
+
+        const result = store.batch(() => {
+            store.add(new TodoItem('B', '2'));
+            store.batch(() => store.remove('1'), { message: 'Done' });
+            expect(listener).not.toHaveBeenCalled();
+            return 'ok';
+        }, { origin: 'remote' });
+
+        expect(result).toBe('ok');
+        expect(received(listener)).toEqual([[['added', ['2']], ['removed', ['1']]]]);
+        expect(listener.mock.calls[0][1]).toEqual({ origin: 'remote', message: 'Done' });
+    });
+
+    test('should replace a todo given as a new object and skip unknown ones', () => {
+        const store = new TodoStore([new TodoItem('A', '1')]);
+        const listener = jest.fn();
+        store.subscribe(listener);
+        const copy = TodoItem.fromJSON({ ...store.findById('1').toJSON(), text: 'A2' });
+
+        store.update([copy, new TodoItem('X', '9')]);
+
+        expect(store.findById('1')).toBe(copy);
+        expect(received(listener)).toEqual([[['updated', ['1']]]]);
+
+        store.update(new TodoItem('Y', '8'));
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop calling a listener after unsubscribing and isolate failing listeners', () => {
+        const store = new TodoStore();
+        const failing = jest.fn(() => { throw new Error('widget broke'); });
+        const listener = jest.fn();
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        store.subscribe(failing);
+        const unsubscribe = store.subscribe(listener);
+
+        store.add(new TodoItem('A', '1'));
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(errorSpy).toHaveBeenCalledWith('Todo change listener failed:', expect.any(Error));
+
+        unsubscribe();
+        store.add(new TodoItem('B', '2'));
+        expect(listener).toHaveBeenCalledTimes(1);
+        errorSpy.mockRestore();
+    });
+});
+
+describe('TodoList subscribers', () => {
+    test('should let other widgets follow todo changes', async () => {
+        const todoList = await createTodoList(seedData);
+        const listener = jest.fn();
+        todoList.store.subscribe(listener);
+
+        document.getElementById('todoInput').value = 'D';
+        document.getElementById('addButton').click();
+        const added = todoList.todos[3];
+        todoList.toggleTodo('1');
+        todoList.moveTodo('3', null, '1');
+        todoList.deleteTodo('2');
+        todoList.undo();
+
+        expect(received(listener)).toEqual([
+            [['added', [added.id]]],
+            [['updated', ['1']]],
+            [['reordered', ['3']]],
+            [['removed', ['2']]],
+            [['added', ['2']]]
+        ]);
+        expect(listener.mock.calls[4][1]).toEqual({ origin: 'history' });
+    });
+
+    test('should render, save, count and notify from one store change', async () => {
+        const todoList = await createTodoList(seedData);
+        const save = jest.spyOn(todoList, 'saveTodos');
+        const show = jest.spyOn(todoList.notifications, 'show');
+        const todo = new TodoItem('From a widget', 'w1');
+        todo.sortKey = todoList.nextSortKey();
+
+        todoList.store.batch(() => todoList.store.add(todo), { message: 'Added from the dashboard' });
+
+        expect([...document.querySelectorAll('.todo-text')].map(element => element.textContent))
+            .toEqual(['A', 'B', 'C', 'From a widget']);
+        expect(document.getElementById('totalTasks').textContent).toBe('Total: 4');
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(show).toHaveBeenCalledWith('Added from the dashboard', 'success');
+        await todoList.pendingSave;
+        await expect(todoList.storage.loadTodos()).resolves.toHaveLength(4);
+    });
+
+    test('should not save todos that were just loaded', async () => {
+        const storage = await createStorage({
+            todos: [{ id: '1', text: 'A', completed: false, createdAt, sortKey: 'a0' }],
+            'todos-schema': { version: SchemaMigrations.CURRENT_VERSION }
+        });
+        const saveTodos = jest.spyOn(storage, 'saveTodos');
+
+        const todoList = await createTodoList(storage);
+
+        expect(todoList.todos).toHaveLength(1);
+        expect(saveTodos).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,419 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Jest tests for the todo REST API
+ * Starts the Express app on a random port backed by a temporary JSON file
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../index.js');
+
+let server;
+let baseUrl;
+let dataDir;
+
+beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'todos-'));
+    const app = await createApp({ dataFile: path.join(dataDir, 'todos.json') });
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/todos`;
+});
+
+afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Send a JSON request to the API
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Object} body - Optional JSON body
+ * @returns {Promise<Object>} - Status and parsed body
+ */
+async function request(method, url, body) {
+    const response = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+describe('Todo REST API', () => {
+    test('should start with an empty list', async () => {
+        const { status, body } = await request('GET', baseUrl);
+
+        expect(status).toBe(200);
+        expect(body).toEqual([]);
+    });
+
+    test('should create a todo and persist it to disk', async () => {
+        const { status, body } = await request('POST', baseUrl, { text: '  Buy milk  ' });
+
+        expect(status).toBe(201);
+        expect(body).toMatchObject({ text: 'Buy milk', completed: false });
+        expect(body.id).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+
+        const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'todos.json'), 'utf8'));
+        expect(stored).toEqual([body]);
+    });
+
+    test('should reject invalid text with the validator error', async () => {
+        const empty = await request('POST', baseUrl, { text: '   ' });
+        const tooLong = await request('POST', baseUrl, { text: 'a'.repeat(101) });
+
+        expect(empty.status).toBe(400);
+        expect(empty.body.error).toBe('Please enter a task!');
+        expect(tooLong.status).toBe(400);
+        expect(tooLong.body.error).toBe('Task is too long! Maximum 100 characters.');
+    });
+
+    test('should reject full todo objects that fail validation', async () => {
+        const { status, body } = await request('POST', baseUrl, {
+            id: 'task-1', text: 'Task', completed: 'yes', createdAt: new Date().toISOString()
+        });
+
+        expect(status).toBe(400);
+        expect(body.error).toBe('Completed field must be a boolean');
+    });
+
+    test('should reject text that is not a string', async () => {
+        const createdAt = new Date().toISOString();
+
+        const created = await request('POST', baseUrl, { id: 'task-1', text: 5, completed: false, createdAt });
+        const replaced = await request('PUT', baseUrl, [{ id: 'task-2', text: null, completed: false, createdAt }]);
+
+        expect(created.status).toBe(400);
+        expect(created.body.error).toBe('Please enter a task!');
+        expect(replaced.status).toBe(400);
+        expect(replaced.body.error).toBe('Please enter a task!');
+    });
+
+    test('should generate distinct ids for todos created back to back', async () => {
+        const first = await request('POST', baseUrl, { text: 'First' });
+        const second = await request('POST', baseUrl, { text: 'Second' });
+
+        expect(first.body.id).not.toBe(second.body.id);
+    });
+
+    test('should read, update and delete a single todo', async () => {
+        const { body: created } = await request('POST', baseUrl, { text: 'Write report' });
+        const url = `${baseUrl}/${created.id}`;
+
+        expect((await request('GET', url)).body).toEqual(created);
+
+        const patched = await request('PATCH', url, { text: 'Write final report', completed: true });
+        expect(patched.status).toBe(200);
+        expect(patched.body).toMatchObject({ text: 'Write final report', completed: true });
+
+        expect((await request('DELETE', url)).status).toBe(204);
+        expect((await request('GET', url)).status).toBe(404);
+    });
+
+    test('should normalize and validate tags', async () => {
+        const { body: created } = await request('POST', baseUrl, { text: 'Tagged', tags: ['#Work', 'work'] });
+        const patched = await request('PATCH', `${baseUrl}/${created.id}`, { tags: ['home'] });
+        const invalid = await request('PATCH', `${baseUrl}/${created.id}`, { tags: ['two words'] });
+
+        expect(created.tags).toEqual(['work']);
+        expect(patched.body.tags).toEqual(['home']);
+        expect(invalid.status).toBe(400);
+    });
+
+    test('should reject subtasks without string text', async () => {
+        const { body: created } = await request('POST', baseUrl, { text: 'Checklist' });
+        const url = `${baseUrl}/${created.id}`;
+
+        const numeric = await request('PATCH', url, { subtasks: [{ id: 1, text: 1, completed: false }] });
+        const notObject = await request('PATCH', url, { subtasks: ['Step'] });
+
+        expect(numeric.status).toBe(400);
+        expect(numeric.body.error).toBe('Invalid subtask');
+        expect(notObject.status).toBe(400);
+        expect((await request('GET', url)).body.subtasks).toEqual([]);
+    });
+
+    test('should reject field timestamps that are not dates of known fields', async () => {
+        const createdAt = new Date().toISOString();
+        const todo = (fieldUpdatedAt) => [{ id: 'dated', text: 'Dated', completed: false, createdAt, fieldUpdatedAt }];
+
+        const text = await request('PUT', baseUrl, todo('zzz'));
+        const unknownField = await request('PUT', baseUrl, todo({ owner: createdAt }));
+        const badDate = await request('PUT', baseUrl, todo({ text: 'yesterday' }));
+        const valid = await request('PUT', baseUrl, todo({ text: createdAt }));
+
+        [text, unknownField, badDate].forEach(response => {
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('fieldUpdatedAt must map task fields to dates');
+        });
+        expect(valid.status).toBe(200);
+        expect((await request('GET', `${baseUrl}/dated`)).body.fieldUpdatedAt).toEqual({ text: createdAt });
+    });
+
+    test('should validate sort keys', async () => {
+        const { body: created } = await request('POST', baseUrl, { text: 'Ordered' });
+        const patched = await request('PATCH', `${baseUrl}/${created.id}`, { sortKey: 'a0V' });
+        const invalid = await request('PATCH', `${baseUrl}/${created.id}`, { sortKey: 'a00' });
+
+        expect(patched.body.sortKey).toBe('a0V');
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.error).toBe('Invalid sort key');
+    });
+
+    test('should replace the whole list with validated todos', async () => {
+        const createdAt = new Date().toISOString();
+        const todos = [
+            { id: 'one', text: 'One', completed: false, createdAt },
+            { id: 'two', text: 'Two', completed: true, createdAt }
+        ];
+
+        const replaced = await request('PUT', baseUrl, todos);
+        const invalid = await request('PUT', baseUrl, [{ id: 'three', text: '', completed: false, createdAt }]);
+
+        expect(replaced.status).toBe(200);
+        expect(replaced.body.map(todo => todo.text)).toEqual(['One', 'Two']);
+        expect(invalid.status).toBe(400);
+        expect((await request('GET', baseUrl)).body).toEqual(replaced.body);
+    });
+
+    test('should clear only completed todos', async () => {
+        const { body: done } = await request('POST', baseUrl, { text: 'Done' });
+        await request('POST', baseUrl, { text: 'Pending' });
+        await request('PATCH', `${baseUrl}/${done.id}`, { completed: true });
+
+        const { body } = await request('DELETE', `${baseUrl}?completed=true`);
+        const remaining = await request('GET', baseUrl);
+
+        expect(body).toEqual({ deleted: 1 });
+        expect(remaining.body.map(todo => todo.text)).toEqual(['Pending']);
+    });
+
+    test('should refuse a bulk delete without ?completed=true', async () => {
+        await request('POST', baseUrl, { text: 'Keep me' });
+
+        const bare = await request('DELETE', baseUrl);
+        const other = await request('DELETE', `${baseUrl}?completed=false`);
+
+        expect(bare.status).toBe(400);
+        expect(other.status).toBe(400);
+        expect((await request('GET', baseUrl)).body.map(todo => todo.text)).toEqual(['Keep me']);
+    });
+
+    test('should answer malformed JSON and bad ids with JSON errors', async () => {
+        const malformed = await fetch(baseUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"text":'
+        });
+        const badId = await request('GET', `${baseUrl}/not%20an%20id`);
+
+        expect(malformed.status).toBe(400);
+        expect(await malformed.json()).toHaveProperty('error');
+        expect(badId.status).toBe(400);
+        expect(badId.body.error).toBe('Invalid todo ID');
+    });
+});
+
+describe('App routes', () => {
+    test('should serve the app for the filtered view deep links', async () => {
+        const appUrl = baseUrl.replace('/api/todos', '');
+
+        for (const route of ['/', '/active', '/completed']) {
+            const response = await fetch(`${appUrl}${route}`);
+            expect(response.status).toBe(200);
+            expect(await response.text()).toContain('id="filterTabs"');
+        }
+        expect((await fetch(`${appUrl}/unknown`)).status).toBe(404);
+    });
+});
+
+describe('List API', () => {
+    test('should store validated lists and sync them last-writer-wins', async () => {
+        const listsUrl = baseUrl.replace('/todos', '/lists');
+        const syncUrl = baseUrl.replace('/todos', '/sync');
+
+        const saved = await request('PUT', listsUrl, [{ id: 'default', name: ' My Tasks ' }, { id: 'work', name: 'Work' }]);
+        const invalid = await request('PUT', listsUrl, [{ id: 'x', name: '' }]);
+        const stale = await request('POST', syncUrl, {
+            changes: [{ type: 'lists', id: 'lists', lists: [{ id: 'old', name: 'Old' }], updatedAt: '2000-01-01T00:00:00.000Z' }]
+        });
+
+        expect(saved.body.map(list => list.name)).toEqual(['My Tasks', 'Work']);
+        expect(invalid.status).toBe(400);
+        expect(stale.body.lists.map(list => list.id)).toEqual(['default', 'work']);
+    });
+
+    test('should store validated settings', async () => {
+        const settingsUrl = baseUrl.replace('/todos', '/settings');
+        const settings = { currentListId: 'default', autoCompleteSubtasks: false, tagColors: { work: '#667eea' }, locale: 'es' };
+
+        const saved = await request('PUT', settingsUrl, settings);
+
+        expect(saved.status).toBe(200);
+        expect((await request('GET', settingsUrl)).body).toEqual(settings);
+    });
+
+    test('should reject unknown or malformed settings and missing lists', async () => {
+        const settingsUrl = baseUrl.replace('/todos', '/settings');
+        await request('PUT', baseUrl.replace('/todos', '/lists'), [{ id: 'work', name: 'Work' }]);
+
+        const responses = await Promise.all([
+            ['not', 'an', 'object'],
+            { theme: 'dark' },
+            { tagColors: 'red' },
+            { tagColors: { work: 'red' } },
+            { autoCompleteSubtasks: 'yes' },
+            { locale: 'xx' },
+            { currentListId: 'default' }
+        ].map(settings => request('PUT', settingsUrl, settings)));
+
+        expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400, 400, 400, 400]);
+        expect(responses[1].body.error).toBe('Unknown setting: theme');
+        expect(responses[6].body.error).toBe('No list with ID default');
+        expect((await request('GET', settingsUrl)).body).toEqual({});
+        expect((await request('PUT', settingsUrl, { currentListId: 'work' })).status).toBe(200);
+    });
+});
+
+describe('Sync API', () => {
+    const syncUrl = () => baseUrl.replace('/todos', '/sync');
+
+    test('should apply queued upserts and deletes and return the merged list', async () => {
+        const { body: remote } = await request('POST', baseUrl, { text: 'Remote task' });
+        const createdAt = new Date().toISOString();
+
+        const { status, body } = await request('POST', syncUrl(), {
+            changes: [
+                { type: 'upsert', id: 'offline', todo: { id: 'offline', text: 'Offline task', completed: false, createdAt } },
+                { type: 'delete', id: remote.id, deletedAt: new Date(Date.now() + 1000).toISOString() }
+            ]
+        });
+
+        expect(status).toBe(200);
+        expect(body.rejected).toEqual([]);
+        expect(body.todos.map(todo => todo.text)).toEqual(['Offline task']);
+    });
+
+    test('should merge concurrent edits field by field', async () => {
+        const { body: todo } = await request('POST', baseUrl, { text: 'Shared task' });
+        const later = new Date(Date.parse(todo.updatedAt) + 60000).toISOString();
+        await request('PATCH', `${baseUrl}/${todo.id}`, { completed: true });
+
+        const { body } = await request('POST', syncUrl(), {
+            changes: [{
+                type: 'upsert',
+                id: todo.id,
+                todo: { ...todo, text: 'Renamed offline', updatedAt: later, revision: 2, fieldUpdatedAt: { text: later } }
+            }]
+        });
+
+        expect(body.todos[0]).toMatchObject({ text: 'Renamed offline', completed: true });
+    });
+
+    test('should reject invalid changes without blocking the rest', async () => {
+        const createdAt = new Date().toISOString();
+
+        const { body } = await request('POST', syncUrl(), {
+            changes: [
+                { type: 'upsert', id: 'empty', todo: { id: 'empty', text: '', completed: false, createdAt } },
+                { type: 'upsert', id: 'valid', todo: { id: 'valid', text: 'Valid', completed: false, createdAt } },
+                { type: 'upsert', id: 3, todo: { id: 3, text: 'Numeric ID', completed: false, createdAt } }
+            ]
+        });
+
+        expect(body.rejected).toEqual([
+            { index: 0, error: 'Please enter a task!' },
+            { index: 2, error: 'Invalid todo ID' }
+        ]);
+        expect(body.todos.map(todo => todo.text)).toEqual(['Valid']);
+    });
+
+    test('should reject malformed changes one at a time in a mixed batch', async () => {
+        const createdAt = new Date().toISOString();
+        const todo = (id, fields) => ({ type: 'upsert', id, todo: { id, completed: false, createdAt, ...fields } });
+
+        const { status, body } = await request('POST', syncUrl(), {
+            changes: [
+                todo('numeric', { text: 5 }),
+                todo('first', { text: 'First' }),
+                null,
+                todo('steps', { text: 'Steps', subtasks: [{ id: 1, text: 1, completed: false }] }),
+                todo('second', { text: 'Second' })
+            ]
+        });
+
+        expect(status).toBe(200);
+        expect(body.rejected.map(rejection => rejection.index)).toEqual([0, 2, 3]);
+        expect(body.todos.map(item => item.text)).toEqual(['First', 'Second']);
+    });
+});
+
+describe('History and schema API', () => {
+    const apiUrl = (name) => baseUrl.replace('/todos', `/${name}`);
+    const createdAt = '2024-01-01T00:00:00.000Z';
+    const addCommand = (id) => ({
+        label: 'Add task',
+        changes: [{ id, before: null, after: { id, text: 'Task', completed: false, createdAt }, beforeIndex: -1, afterIndex: 0 }],
+        lists: null
+    });
+
+    test('should save a valid undo history', async () => {
+        const history = { undo: [addCommand('task-1')], redo: [] };
+
+        const { status } = await request('PUT', apiUrl('history'), history);
+
+        expect(status).toBe(200);
+        expect((await request('GET', apiUrl('history'))).body).toEqual(history);
+    });
+
+    test('should reject malformed or oversized histories', async () => {
+        const notStacks = await request('PUT', apiUrl('history'), { undo: 'x' });
+        const badTodo = await request('PUT', apiUrl('history'), {
+            undo: [{ ...addCommand('task-1'), changes: [{ ...addCommand('task-1').changes[0], after: { id: 'task-1', text: 5 } }] }],
+            redo: []
+        });
+        const tooDeep = await request('PUT', apiUrl('history'), {
+            undo: Array.from({ length: 51 }, (_, index) => addCommand(`task-${index}`)),
+            redo: []
+        });
+
+        expect(notStacks.status).toBe(400);
+        expect(badTodo.status).toBe(400);
+        expect(tooDeep.status).toBe(400);
+        expect(tooDeep.body.error).toBe('Too many undo commands');
+        expect((await request('GET', apiUrl('history'))).body).toEqual({});
+    });
+
+    test('should keep the schema version and backup read-only', async () => {
+        const schema = await request('PUT', apiUrl('schema'), { version: 0 });
+        const backup = await request('PUT', apiUrl('backup'), {});
+
+        expect(schema.status).toBe(405);
+        expect(backup.status).toBe(405);
+        expect((await request('GET', apiUrl('schema'))).body.version).toBeGreaterThan(1);
+    });
+});
+
+describe('Stored data migrations', () => {
+    test('should back up and upgrade numeric ids when the server starts', async () => {
+        const legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'todos-legacy-'));
+        const legacy = [{ id: 1700000000000, text: 'Legacy task', completed: false, createdAt: new Date().toISOString() }];
+        fs.writeFileSync(path.join(legacyDir, 'todos.json'), JSON.stringify(legacy));
+
+        await createApp({ dataFile: path.join(legacyDir, 'todos.json') });
+        const read = (name) => JSON.parse(fs.readFileSync(path.join(legacyDir, `${name}.json`), 'utf8'));
+        const [todos, schema, backup] = [read('todos'), read('schema'), read('backup')];
+        fs.rmSync(legacyDir, { recursive: true, force: true });
+
+        expect(todos).toEqual([expect.objectContaining({ id: '1700000000000', listId: 'default', priority: 'none' })]);
+        expect(schema.version).toBeGreaterThan(1);
+        expect(backup).toMatchObject({ version: 1, todos: legacy });
+    });
+});
@@ -15,10 +15,13 @@ Object.defineProperty(global, 'localStorage', {
     writable: true
 });
 
-Object.defineProperty(window, 'localStorage', {
-    value: localStorageMock,
-    writable: true
-});
+// Node-environment suites (e.g. the server tests) have no window
+if (typeof window !== 'undefined') {
+    Object.defineProperty(window, 'localStorage', {
+        value: localStorageMock,
+        writable: true
+    });
+}
 
 // Mock console methods to reduce noise in tests
 global.console = {
@@ -0,0 +1,177 @@
+/**
+ * Jest unit tests for the storage adapters
+ * Covers the adapter interface and TodoList receiving an adapter
+ */
+
+let MemoryStorageAdapter;
+let LocalStorageAdapter;
+let HttpStorageAdapter;
+let StorageFactory;
+let TodoList;
+let SchemaMigrations;
+
+beforeAll(async () => {
+    ({ MemoryStorageAdapter } = await import('../public/assets/js/services/storage/MemoryStorageAdapter.js'));
+    ({ LocalStorageAdapter } = await import('../public/assets/js/services/storage/LocalStorageAdapter.js'));
+    ({ HttpStorageAdapter } = await import('../public/assets/js/services/storage/HttpStorageAdapter.js'));
+    ({ StorageFactory } = await import('../public/assets/js/services/storage/StorageFactory.js'));
+    ({ TodoList } = await import('../public/assets/js/services/TodoList.js'));
+    ({ SchemaMigrations } = await import('../public/assets/js/utils/SchemaMigrations.js'));
+});
+
+beforeEach(() => {
+    document.body.innerHTML = `
+        <input type="text" id="todoInput">
+        <button id="addButton">Add Task</button>
+        <ul id="todoList"></ul>
+        <span id="totalTasks">Total: 0</span>
+        <span id="completedTasks">Completed: 0</span>
+    `;
+    localStorage.getItem.mockReset();
+    localStorage.setItem.mockReset();
+});
+
+const sampleTodo = {
+    id: '1',
+    text: 'Stored task',
+    completed: false,
+    createdAt: '2024-01-01T00:00:00.000Z'
+};
+
+describe('Storage adapters', () => {
+    test('memory adapter should round-trip todos asynchronously', async () => {
+        const storage = new MemoryStorageAdapter();
+
+        await storage.saveTodos([sampleTodo]);
+
+        await expect(storage.loadTodos()).resolves.toEqual([sampleTodo]);
+        await expect(storage.getTodoCount()).resolves.toBe(1);
+
+        await storage.clearTodos();
+        await expect(storage.loadTodos()).resolves.toEqual([]);
+    });
+
+    test('localStorage adapter should keep the legacy key and format', async () => {
+        localStorage.getItem.mockReturnValue(JSON.stringify([sampleTodo, { foo: 'bar' }]));
+        const storage = new LocalStorageAdapter();
+
+        await storage.saveTodos([sampleTodo]);
+
+        expect(localStorage.setItem).toHaveBeenCalledWith('todos', JSON.stringify([sampleTodo]));
+        await expect(storage.loadTodos()).resolves.toEqual([sampleTodo]);
+    });
+
+    describe('http adapter', () => {
+        const otherTodo = { ...sampleTodo, id: '2', text: 'Other task' };
+
+        /**
+         * Answer GET /api/todos with stored todos and POST /api/sync with the rejected changes
+         * @param {Array} todos - Todos on the server
+         * @param {Array} rejected - Rejected sync changes
+         */
+        function mockServer(todos, rejected = []) {
+            const responses = {
+                schema: { version: SchemaMigrations.CURRENT_VERSION },
+                sync: { todos, lists: [], rejected },
+                todos
+            };
+            global.fetch = jest.fn().mockImplementation(async url => ({
+                ok: true,
+                json: async () => responses[url.split('/').pop()]
+            }));
+        }
+
+        const syncedChanges = () => JSON.parse(global.fetch.mock.lastCall[1].body).changes;
+
+        afterEach(() => {
+            delete global.fetch;
+        });
+
+        test('should read todos from the REST collection', async () => {
+            mockServer([sampleTodo]);
+            const storage = new HttpStorageAdapter('todos', '/api/');
+
+            await expect(storage.loadTodos()).resolves.toEqual([sampleTodo]);
+            expect(global.fetch).toHaveBeenCalledWith('/api/todos');
+        });
+
+        test('should save only the changed todos through the sync endpoint', async () => {
+            mockServer([sampleTodo, otherTodo]);
+            const storage = new HttpStorageAdapter('todos', '/api');
+            await storage.loadTodos();
+
+            const edited = { ...sampleTodo, completed: true };
+            await storage.saveTodos([edited, otherTodo]);
+
+            expect(global.fetch).toHaveBeenLastCalledWith('/api/sync', expect.objectContaining({ method: 'POST' }));
+            expect(syncedChanges()).toEqual([{ type: 'upsert', id: '1', todo: edited }]);
+
+            const calls = global.fetch.mock.calls.length;
+            await storage.saveTodos([edited, otherTodo]);
+            expect(global.fetch).toHaveBeenCalledTimes(calls);
+        });
+
+        test('should send a delete change for a removed todo', async () => {
+            mockServer([sampleTodo, otherTodo]);
+            const storage = new HttpStorageAdapter('todos', '/api');
+            await storage.loadTodos();
+
+            await storage.saveTodos([sampleTodo]);
+
+            expect(syncedChanges()).toEqual([{ type: 'delete', id: '2', deletedAt: expect.any(String) }]);
+        });
+
+        test('should send rejected changes again on the next save', async () => {
+            mockServer([], [{ index: 0, error: 'Invalid todo' }]);
+            const storage = new HttpStorageAdapter('todos', '/api');
+
+            await expect(storage.saveTodos([sampleTodo])).rejects.toThrow('Server request failed: Invalid todo');
+
+            mockServer([]);
+            await storage.saveTodos([sampleTodo]);
+            expect(syncedChanges()).toEqual([{ type: 'upsert', id: '1', todo: sampleTodo }]);
+        });
+
+        test('should keep the sync outbox on this device', async () => {
+            mockServer([]);
+            const storage = new HttpStorageAdapter('todos', '/api');
+            const outbox = [{ type: 'delete', id: '1', deletedAt: '2024-01-01T00:00:00.000Z' }];
+
+            await storage.write(storage.getKey('outbox'), outbox);
+
+            expect(localStorage.setItem).toHaveBeenCalledWith('todos-http-outbox', JSON.stringify(outbox));
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+    });
+
+    test('factory should reject unknown backends', () => {
+        expect(StorageFactory.create('memory')).toBeInstanceOf(MemoryStorageAdapter);
+        expect(() => StorageFactory.create('floppy')).toThrow('Unknown storage backend: floppy');
+    });
+});
+
+describe('TodoList with an injected adapter', () => {
+    test('should load todos from the adapter it receives', async () => {
+        const storage = new MemoryStorageAdapter('todos', { todos: [sampleTodo] });
+
+        const todoList = new TodoList(storage);
+        await todoList.ready;
+
+        expect(todoList.getAllTodos().map(todo => todo.text)).toEqual(['Stored task']);
+        expect(document.getElementById('totalTasks').textContent).toBe('Total: 1');
+    });
+
+    test('should save added todos through the adapter', async () => {
+        const storage = new MemoryStorageAdapter();
+        const todoList = new TodoList(storage);
+        await todoList.ready;
+
+        document.getElementById('todoInput').value = 'New task';
+        todoList.addTodo();
+        await todoList.pendingSave;
+
+        const stored = await storage.loadTodos();
+        expect(stored).toHaveLength(1);
+        expect(stored[0].text).toBe('New task');
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Shared fixture of the TodoList suites
+ * Builds the page the app renders into and creates the real TodoList module on
+ * the in-memory storage adapter
+ */
+
+const createdAt = '2024-01-01T00:00:00.000Z';
+
+/**
+ * Fill the page with the task input and the todo list, plus the elements a suite needs
+ * @param {string} markup - Extra elements, e.g. the list sidebar or the stats
+ */
+function renderPage(markup = '') {
+    document.body.innerHTML = `
+        <input type="text" id="todoInput" aria-label="New task">
+        <ul id="todoList" aria-label="Tasks"></ul>
+        ${markup}
+    `;
+}
+
+/**
+ * Build stored todos with IDs '1', '2', ... in order
+ * @param {Array<string>} texts - Todo texts
+ * @returns {Array<Object>} - Plain active todo objects
+ */
+function storedTodos(texts) {
+    return texts.map((text, index) => ({ id: String(index + 1), text, completed: false, createdAt }));
+}
+
+/**
+ * Build stored todos named 'Task 1', 'Task 2', ...
+ * @param {number} count - Number of todos
+ * @returns {Array<Object>} - Plain active todo objects
+ */
+function numberedTodos(count) {
+    return storedTodos(Array.from({ length: count }, (_, index) => `Task ${index + 1}`));
+}
+
+/**
+ * Create an in-memory storage adapter
+ * @param {Object} data - Initial storage data, e.g. { todos }
+ * @returns {Promise<MemoryStorageAdapter>} - Storage adapter
+ */
+async function createStorage(data = {}) {
+    const { MemoryStorageAdapter } = await import('../public/assets/js/services/storage/MemoryStorageAdapter.js');
+    return new MemoryStorageAdapter('todos', data);
+}
+
+/**
+ * Create a TodoList and wait for it to load
+ * @param {Object|TodoStorage} storage - Initial storage data such as { todos }, or a storage adapter to share between loads
+ * @param {Object} options - TodoList options, e.g. { now }
+ * @returns {Promise<TodoList>} - Loaded TodoList
+ */
+async function createTodoList(storage = {}, options = {}) {
+    const { TodoList } = await import('../public/assets/js/services/TodoList.js');
+    const adapter = typeof storage.read === 'function' ? storage : await createStorage(storage);
+    const todoList = new TodoList(adapter, options);
+    await todoList.ready;
+    return todoList;
+}
+
+module.exports = { createdAt, renderPage, storedTodos, numberedTodos, createStorage, createTodoList };